@@ -17,12 +17,34 @@ const constants = {
     MIN_ODDS: parseFloat(process.env.MIN_ODDS) || 1.01
   },
 
-  // Match status
+  // Match status; only upcoming matches take bets. Changes go through
+  // matchLifecycleService, which holds the legal transitions.
   MATCH_STATUS: {
+    SCHEDULED: 'scheduled',
     UPCOMING: 'upcoming',
     LIVE: 'live',
     FINISHED: 'finished',
-    CANCELLED: 'cancelled'
+    CANCELLED: 'cancelled',
+    POSTPONED: 'postponed'
+  },
+
+  // Whether a match result can still be disputed
+  RESULT_STATUS: {
+    PROVISIONAL: 'provisional',
+    FINALIZING: 'finalizing',
+    FINAL: 'final'
+  },
+
+  // Match timeline entries; related_player is the assist for goals and the
+  // player going off for substitutions
+  MATCH_EVENT_TYPES: {
+    GOAL: 'goal',
+    OWN_GOAL: 'own_goal',
+    PENALTY_GOAL: 'penalty_goal',
+    YELLOW_CARD: 'yellow_card',
+    SECOND_YELLOW: 'second_yellow',
+    RED_CARD: 'red_card',
+    SUBSTITUTION: 'substitution'
   },
 
   // Bet status
@@ -31,7 +53,110 @@ const constants = {
     WON: 'won',
     LOST: 'lost',
     REFUNDED: 'refunded',
-    CANCELLED: 'cancelled'
+    CANCELLED: 'cancelled',
+    VOID: 'void',
+    CASHED_OUT: 'cashed_out'
+  },
+
+  // Bets placed by the platform wallet on the user's behalf. Off by default:
+  // users send placeBet themselves and submit the hash to /bets/confirm.
+  CUSTODIAL_BETS_ENABLED: process.env.CUSTODIAL_BETS_ENABLED === 'true',
+
+  // Gasless bets (/bets/intent). Off by default: the stake is taken from the
+  // user's balance, but the relayer wallet must hold it to send on chain.
+  RELAYED_BETS_ENABLED: process.env.RELAYED_BETS_ENABLED === 'true',
+
+  // What stakes are placed in. In token mode (STAKING_MODE=token) the contract
+  // takes its stakeToken, which bettors approve it to spend from their wallet.
+  STAKING: {
+    TOKEN_MODE: process.env.STAKING_MODE === 'token',
+    SYMBOL: process.env.STAKING_MODE === 'token' ? (process.env.TOKEN_SYMBOL || 'CLUTCH') : 'ETH'
+  },
+
+  // How a bet reacts when the price moved after the user saw it
+  ODDS_POLICY: {
+    EXACT: 'exact',
+    ACCEPT_HIGHER: 'accept_higher',
+    ACCEPT_ANY: 'accept_any'
+  },
+
+  // Outgoing transactions from the platform signer
+  TRANSACTIONS: {
+    POLL_INTERVAL: parseInt(process.env.TX_POLL_INTERVAL_MS) || 3000,
+    // Re-broadcast with higher fees when nothing was mined for this long
+    STUCK_AFTER: parseInt(process.env.TX_STUCK_AFTER_MS) || 60000,
+    // Nodes require at least +10% to accept a replacement
+    BUMP_PERCENT: parseInt(process.env.TX_BUMP_PERCENT) || 20,
+    MAX_BUMPS: parseInt(process.env.TX_MAX_BUMPS) || 5,
+    MAX_FEE_GWEI: parseFloat(process.env.TX_MAX_FEE_GWEI) || 500,
+    // Give up waiting inside a request after this long; the monitor keeps watching
+    WAIT_TIMEOUT: parseInt(process.env.TX_WAIT_TIMEOUT_MS) || 10 * 60 * 1000,
+    GAS_LIMIT_BUFFER: 1.2
+  },
+
+  // Contract event indexer
+  INDEXER: {
+    CHECKPOINT: 'clutch_betting',
+    // Block the default network's contract was deployed at; nothing before it
+    // needs scanning. Other networks use CONTRACT_DEPLOY_BLOCK_<KEY>.
+    START_BLOCK: parseInt(process.env.CONTRACT_DEPLOY_BLOCK) || 0,
+    // Many RPC providers cap eth_getLogs ranges
+    BLOCK_RANGE: parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000,
+    EVENTS: [
+      'MatchCreated', 'BetPlaced', 'MatchResultSet', 'WinningsClaimed', 'BetRefunded',
+      'UltimateBetPlaced', 'UltimateWinningsClaimed'
+    ]
+  },
+
+  // Refund runs for cancelled matches
+  REFUNDS: {
+    // An in-progress run older than this is assumed dead and may be resumed
+    STALE_AFTER: (parseInt(process.env.REFUND_STALE_MINUTES) || 10) * 60 * 1000
+  },
+
+  // Contract vs database comparison
+  RECONCILIATION: {
+    // Scheduled runs also fix database drift (bet status and claimed flags)
+    AUTO_REPAIR: process.env.RECONCILIATION_AUTO_REPAIR === 'true',
+    // Amounts closer than this (in ether) count as equal
+    TOLERANCE: parseFloat(process.env.RECONCILIATION_TOLERANCE) || 0.000001
+  },
+
+  // Gasless bets: users sign an EIP-712 bet intent and the relayer wallet
+  // (RELAYER_PRIVATE_KEY) sends it to placeBetFor, paying the gas and stake
+  RELAYER: {
+    DOMAIN_NAME: 'ClutchBetting',
+    DOMAIN_VERSION: '1',
+    // Intents with a later deadline are refused
+    MAX_DEADLINE: (parseInt(process.env.INTENT_MAX_DEADLINE_SECONDS) || 3600) * 1000,
+    BATCH_SIZE: parseInt(process.env.RELAYER_BATCH_SIZE) || 10
+  },
+
+  // Match results are settled once REQUIRED_CONFIRMATIONS distinct sources agree.
+  // Sources are the external feed, admin wallets and contract oracle wallets;
+  // RESULT_SOURCES limits which of them are accepted.
+  CONSENSUS: {
+    REQUIRED_CONFIRMATIONS: parseInt(process.env.RESULT_REQUIRED_CONFIRMATIONS) || 2,
+    SOURCES: (process.env.RESULT_SOURCES || 'feed,admin,oracle').split(',').map(source => source.trim()).filter(Boolean)
+  },
+
+  // Owner-only contract calls are requested, then confirmed with a one-time token
+  CONTRACT_ACTIONS: {
+    CONFIRM_TTL: (parseInt(process.env.CONTRACT_ACTION_CONFIRM_TTL_SECONDS) || 600) * 1000
+  },
+
+  // Cash-out offers on pending bets
+  CASHOUT: {
+    MARGIN: parseFloat(process.env.CASHOUT_MARGIN) || 0.05,
+    QUOTE_TTL: (parseInt(process.env.CASHOUT_QUOTE_TTL_SECONDS) || 15) * 1000,
+    MIN_AMOUNT: parseFloat(process.env.CASHOUT_MIN_AMOUNT) || 0.01
+  },
+
+  // Accumulator bets
+  PARLAY: {
+    MIN_LEGS: parseInt(process.env.PARLAY_MIN_LEGS) || 2,
+    MAX_LEGS: parseInt(process.env.PARLAY_MAX_LEGS) || 10,
+    MAX_COMBINED_ODDS: parseFloat(process.env.PARLAY_MAX_COMBINED_ODDS) || 1000
   },
 
   // Bet outcomes
@@ -44,7 +169,9 @@ const constants = {
   // Verification
   VERIFICATION: {
     REQUIRED_CONFIRMATIONS: parseInt(process.env.REQUIRED_CONFIRMATIONS) || 2,
-    DISPUTE_PERIOD_DAYS: parseInt(process.env.DISPUTE_PERIOD_DAYS) || 7,
+    // Results stay provisional, and open to disputes, for this long before
+    // they are set on chain; 0 settles on chain straight away
+    DISPUTE_PERIOD_DAYS: parseFloat(process.env.DISPUTE_PERIOD_DAYS ?? 7),
     CLAIM_WINDOW_DAYS: parseInt(process.env.CLAIM_WINDOW_DAYS) || 30
   },
 
@@ -73,11 +200,27 @@ const constants = {
   // API endpoints for external data
   EXTERNAL_APIS: {
     SPORTS_DATA: process.env.SPORTS_DATA_API_URL || 'https://api.sportsdata.io/v4/soccer/scores',
+    FOOTBALL_DATA: process.env.FOOTBALL_DATA_API_URL || 'https://api.football-data.org/v4',
     FIFA_API: process.env.FIFA_API_URL || 'https://api.fifa.com/api/v3',
     BACKUP_SOURCES: ['ESPN', 'BBC', 'Reuters', 'Official FIFA Feed']
   },
 
+  // Match data providers (sportsdata, football-data, file, generated), tried in
+  // this order; providers without an API key or data file are skipped
+  SPORTS_DATA: {
+    PROVIDERS: (process.env.SPORTS_DATA_PROVIDERS || 'sportsdata,football-data,file')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    TIMEOUT_MS: parseInt(process.env.SPORTS_DATA_TIMEOUT_MS) || 5000,
+    FOOTBALL_DATA_COMPETITION: process.env.FOOTBALL_DATA_COMPETITION || 'WC',
+    FILE: process.env.MATCH_DATA_FILE || null,
+    // Synced fixtures are numbered from here, clear of on-chain match IDs
+    FIRST_SYNCED_MATCH_ID: 1000000000
+  },
+
   // Network configurations
+  // Network registry. Each network's contract is configured with
+  // CONTRACT_ADDRESS_<KEY>, and optionally CONTRACT_ABI_<KEY> and
+  // CONTRACT_DEPLOY_BLOCK_<KEY>; see config/networks.js.
   NETWORKS: {
     BASE: {
       chainId: 8453,
@@ -85,14 +228,41 @@ const constants = {
       rpcUrl: process.env.RPC_URL_BASE,
       explorer: 'https://basescan.org'
     },
+    BASE_SEPOLIA: {
+      chainId: 84532,
+      name: 'base-sepolia',
+      rpcUrl: process.env.RPC_URL_BASE_SEPOLIA,
+      explorer: 'https://sepolia.basescan.org'
+    },
     MAINNET: {
       chainId: 1,
       name: 'Ethereum Mainnet',
       rpcUrl: process.env.RPC_URL_MAINNET,
       explorer: 'https://etherscan.io'
+    },
+    SEPOLIA: {
+      chainId: 11155111,
+      name: 'sepolia',
+      rpcUrl: process.env.RPC_URL_SEPOLIA,
+      explorer: 'https://sepolia.etherscan.io'
+    },
+    HARDHAT: {
+      chainId: 31337,
+      name: 'hardhat',
+      rpcUrl: process.env.RPC_URL_HARDHAT || 'http://127.0.0.1:8545',
+      explorer: null
     }
   },
 
+  // Network used when a request does not pick one (?chain=)
+  DEFAULT_NETWORK: (process.env.NETWORK || 'base').toUpperCase().replace(/-/g, '_'),
+
+  // Other networks to run on at the same time, comma-separated keys
+  ENABLED_NETWORKS: (process.env.ENABLED_NETWORKS || '')
+    .split(',')
+    .map(key => key.trim().toUpperCase().replace(/-/g, '_'))
+    .filter(Boolean),
+
   // Contract ABI paths
   CONTRACT_PATHS: {
     ABI: './contracts/artifacts/ClutchBetting.json'
@@ -106,6 +276,85 @@ const constants = {
     API_KEY_LENGTH: 32
   },
 
+  // Admin permissions, granted to wallets through roles.
+  // A role may also hold '*' (everything) or '<resource>:*'.
+  PERMISSIONS: {
+    MATCHES_MANAGE: 'matches:manage',
+    MATCHES_SETTLE: 'matches:settle',
+    BETS_VIEW: 'bets:view',
+    BETS_MANAGE: 'bets:manage',
+    USERS_VIEW: 'users:view',
+    USERS_MANAGE: 'users:manage',
+    LEADERBOARD_MANAGE: 'leaderboard:manage',
+    FINANCE_VIEW: 'finance:view',
+    FINANCE_MANAGE: 'finance:manage',
+    ANALYTICS_VIEW: 'analytics:view',
+    SYSTEM_VIEW: 'system:view',
+    SYSTEM_MANAGE: 'system:manage',
+    ROLES_MANAGE: 'roles:manage',
+    API_KEYS_MANAGE: 'api_keys:manage',
+    // Owner-only contract calls; only super admins hold these by default
+    CONTRACT_ROLES_MANAGE: 'contract:roles',
+    CONTRACT_FUNDS_MANAGE: 'contract:funds'
+  },
+
+  // Built-in roles, created on startup if missing
+  DEFAULT_ROLES: {
+    super_admin: {
+      description: 'Full access, including role management',
+      permissions: ['*']
+    },
+    oracle: {
+      description: 'Reports and settles match results',
+      permissions: ['matches:settle', 'system:view']
+    },
+    support: {
+      description: 'Read-only access to users, bets and analytics',
+      permissions: ['users:view', 'bets:view', 'analytics:view']
+    }
+  },
+
+  // Partner API keys
+  API_KEYS: {
+    PREFIX: 'clutch_',
+    PEPPER: process.env.API_KEY_PEPPER || process.env.JWT_SECRET,
+    DEFAULT_QUOTA_PER_DAY: parseInt(process.env.API_KEY_DEFAULT_QUOTA) || 10000,
+    SCOPES: {
+      MATCHES_READ: 'matches:read',
+      ODDS_READ: 'odds:read',
+      RESULTS_READ: 'results:read',
+      BETS_READ: 'bets:read'
+    }
+  },
+
+  // Idempotency-Key support for non-repeatable writes (bets, claims)
+  IDEMPOTENCY: {
+    HEADER: 'idempotency-key',
+    KEY_TTL: (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    // A request still in progress after this long is assumed dead; longer than
+    // a transaction may wait to be mined, so a slow bet keeps its key
+    LEASE: (parseInt(process.env.IDEMPOTENCY_LEASE_MINUTES) || 15) * 60 * 1000,
+    MAX_KEY_LENGTH: 255
+  },
+
+  // Session tokens
+  AUTH_TOKENS: {
+    ACCESS_TOKEN_TTL: process.env.JWT_EXPIRES_IN || '15m',
+    REFRESH_TOKEN_TTL: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+  },
+
+  // Sign-In With Ethereum (EIP-4361)
+  SIWE: {
+    DOMAIN: process.env.SIWE_DOMAIN,
+    URI: process.env.SIWE_URI,
+    STATEMENT: process.env.SIWE_STATEMENT || 'Sign in to CLUTCH',
+    VERSION: '1',
+    NONCE_TTL: (parseInt(process.env.SIWE_NONCE_TTL_MINUTES) || 10) * 60 * 1000,
+    ALLOWED_CHAIN_IDS: process.env.SIWE_CHAIN_IDS
+      ? process.env.SIWE_CHAIN_IDS.split(',').map(id => parseInt(id))
+      : [8453, 1]
+  },
+
   // Notification types
   NOTIFICATION_TYPES: {
     BET_PLACED: 'bet_placed',
@@ -172,11 +421,11 @@ const validateConfig = () => {
     console.warn('⚠️ Blockchain RPC URL not configured - running in read-only mode');
   }
   
-  // Validate sports data API if configured
-  if (process.env.SPORTS_DATA_API_KEY) {
-    console.log('✅ Sports data API key configured');
+  // Validate sports data providers if configured
+  if (process.env.SPORTS_DATA_API_KEY || process.env.FOOTBALL_DATA_API_KEY || process.env.MATCH_DATA_FILE) {
+    console.log(`✅ Sports data providers: ${constants.SPORTS_DATA.PROVIDERS.join(', ')}`);
   } else {
-    console.warn('⚠️ Sports data API key not configured - using generated data');
+    console.warn('⚠️ No sports data provider configured - using generated data');
   }
   
   // Validate fee percentages
@@ -0,0 +1,80 @@
+// src/config/networks.js
+const path = require('path');
+const { constants } = require('./constants');
+
+const unsupported = (ref) => Object.assign(
+  new Error(`Unsupported or disabled network: ${ref}`),
+  { statusCode: 400 }
+);
+
+// Registry entry plus its contract deployment, read from the environment.
+// The default network also accepts the single-network CONTRACT_ADDRESS and
+// CONTRACT_DEPLOY_BLOCK variables.
+const describe = (key) => {
+  const isDefault = key === constants.DEFAULT_NETWORK;
+
+  return {
+    ...constants.NETWORKS[key],
+    key,
+    isDefault,
+    contractAddress: process.env[`CONTRACT_ADDRESS_${key}`] ||
+      (isDefault ? process.env.CONTRACT_ADDRESS : null) || null,
+    abiPath: path.resolve(
+      __dirname,
+      '../..',
+      process.env[`CONTRACT_ABI_${key}`] || constants.CONTRACT_PATHS.ABI
+    ),
+    deployBlock: parseInt(process.env[`CONTRACT_DEPLOY_BLOCK_${key}`]) ||
+      (isDefault ? constants.INDEXER.START_BLOCK : 0)
+  };
+};
+
+const getDefaultNetwork = () => {
+  if (!constants.NETWORKS[constants.DEFAULT_NETWORK]) {
+    throw new Error(`Unsupported network: ${constants.DEFAULT_NETWORK}`);
+  }
+  return describe(constants.DEFAULT_NETWORK);
+};
+
+const getDefaultChainId = () => getDefaultNetwork().chainId;
+
+// The default network first, then every other enabled one
+const getEnabledNetworks = () => {
+  const keys = new Set([constants.DEFAULT_NETWORK, ...constants.ENABLED_NETWORKS]);
+  return [...keys]
+    .filter(key => constants.NETWORKS[key])
+    .map(describe);
+};
+
+// Resolve a network key ('base_sepolia' or 'base-sepolia'), name or chain ID.
+// Nothing selects the default network; networks that are not enabled are rejected.
+const getNetwork = (ref) => {
+  if (ref === undefined || ref === null || ref === '') {
+    return getDefaultNetwork();
+  }
+
+  const value = String(ref).trim();
+  const key = value.toUpperCase().replace(/-/g, '_');
+
+  const network = getEnabledNetworks().find(candidate =>
+    candidate.key === key ||
+    candidate.name.toLowerCase() === value.toLowerCase() ||
+    String(candidate.chainId) === value
+  );
+
+  if (!network) {
+    throw unsupported(value);
+  }
+  return network;
+};
+
+// Network selected with ?chain= on a request
+const fromRequest = (req) => getNetwork(req.query.chain);
+
+module.exports = {
+  getNetwork,
+  getDefaultNetwork,
+  getDefaultChainId,
+  getEnabledNetworks,
+  fromRequest
+};
@@ -1,54 +1,75 @@
 // src/config/web3.js
 const { ethers } = require('ethers');
+const networks = require('./networks');
 const { constants } = require('./constants');
 const logger = require('../utils/logger');
 
+// One connection per network, created on first use
+const connections = new Map();
+
+// The ERC-20 calls and events the stake token needs
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
 class Web3Service {
-  constructor() {
+  constructor(network = null) {
     this.provider = null;
     this.signer = null;
+    this.relayer = null;
     this.contract = null;
-    this.network = null;
+    this.token = null;
+    this.network = network;
+    this.customProvider = null;
     this.isInitialized = false;
-    this.gasPrice = null;
     this.gasLimit = 3000000; // Default gas limit
   }
 
   async initialize() {
     try {
-      // Determine network from environment
-      const networkName = process.env.NETWORK || 'base';
-      const networkConfig = constants.NETWORKS[networkName.toUpperCase()];
-      
-      if (!networkConfig) {
-        throw new Error(`Unsupported network: ${networkName}`);
+      // Without an explicit network this is the default one (NETWORK)
+      const networkConfig = this.network || networks.getDefaultNetwork();
+
+      if (!this.customProvider && !networkConfig.rpcUrl) {
+        throw new Error(`No RPC URL configured for network: ${networkConfig.key}`);
       }
 
       this.network = networkConfig;
 
       // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(networkConfig.rpcUrl);
+      this.provider = this.customProvider || new ethers.JsonRpcProvider(networkConfig.rpcUrl);
       
       // Check network connection
       const network = await this.provider.getNetwork();
       logger.info(`Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
 
-      // Initialize signer if private key is provided
+      if (Number(network.chainId) !== networkConfig.chainId) {
+        throw new Error(`RPC for ${networkConfig.key} reports chain ID ${network.chainId}, expected ${networkConfig.chainId}`);
+      }
+
+      // The same platform key signs on every network
       if (process.env.PRIVATE_KEY) {
         this.signer = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
         logger.info(`Signer initialized: ${this.signer.address}`);
       }
 
-      // Load contract if address is provided
-      if (process.env.CONTRACT_ADDRESS) {
-        await this.loadContract();
+      // Separate wallet that pays gas for bets users signed off-chain
+      if (process.env.RELAYER_PRIVATE_KEY) {
+        this.relayer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, this.provider);
+        logger.info(`Relayer initialized: ${this.relayer.address}`);
       }
 
-      // Fetch current gas price
-      await this.updateGasPrice();
+      // Load contract if this network has one deployed
+      if (networkConfig.contractAddress) {
+        await this.loadContract();
 
-      // Schedule gas price updates every minute
-      setInterval(() => this.updateGasPrice(), 60000);
+        if (constants.STAKING.TOKEN_MODE) {
+          await this.loadToken();
+        }
+      }
 
       this.isInitialized = true;
       logger.info('Web3 service initialized successfully');
@@ -58,35 +79,44 @@ class Web3Service {
     }
   }
 
+  // Use an existing provider (e.g. an in-process Hardhat network) instead of
+  // the network's RPC URL. Takes effect on the next initialize().
+  setProvider(provider) {
+    this.customProvider = provider;
+    this.isInitialized = false;
+  }
+
   async loadContract() {
     try {
-      if (!process.env.CONTRACT_ADDRESS) {
-        throw new Error('CONTRACT_ADDRESS environment variable is not set');
+      const { contractAddress, abiPath, key } = this.network;
+
+      if (!contractAddress) {
+        throw new Error(`No contract address configured for network: ${key}`);
       }
 
-      // Load contract ABI
-      const contractArtifact = require('../../contracts/artifacts/ClutchBetting.json');
+      // Load contract ABI; networks may run different contract versions
+      const contractArtifact = require(abiPath);
       const contractABI = contractArtifact.abi;
 
       // Create contract instance
       if (this.signer) {
         this.contract = new ethers.Contract(
-          process.env.CONTRACT_ADDRESS,
+          contractAddress,
           contractABI,
           this.signer
         );
       } else {
         this.contract = new ethers.Contract(
-          process.env.CONTRACT_ADDRESS,
+          contractAddress,
           contractABI,
           this.provider
         );
       }
 
-      logger.info(`Contract loaded at address: ${process.env.CONTRACT_ADDRESS}`);
+      logger.info(`Contract loaded on ${key} at address: ${contractAddress}`);
       
       // Verify contract is deployed
-      const code = await this.provider.getCode(process.env.CONTRACT_ADDRESS);
+      const code = await this.provider.getCode(contractAddress);
       if (code === '0x') {
         throw new Error('No contract code at the specified address');
       }
@@ -106,17 +136,22 @@ class Web3Service {
     }
   }
 
-  async updateGasPrice() {
+  // The token the contract takes stakes in, as set on chain
+  async loadToken() {
     try {
-      const feeData = await this.provider.getFeeData();
-      this.gasPrice = feeData.gasPrice;
-      
-      // Add 10% buffer
-      this.gasPrice = this.gasPrice * 110n / 100n;
-      
-      logger.debug(`Gas price updated: ${ethers.formatUnits(this.gasPrice, 'gwei')} Gwei`);
+      const tokenAddress = await this.contract.stakeToken();
+
+      if (tokenAddress === ethers.ZeroAddress) {
+        throw new Error(`Contract on ${this.network.key} takes ETH stakes, but STAKING_MODE is token`);
+      }
+
+      this.token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer || this.provider);
+
+      logger.info(`Stake token on ${this.network.key} at address: ${tokenAddress}`);
+      return this.token;
     } catch (error) {
-      logger.error('Failed to update gas price:', error);
+      logger.error('Failed to load stake token:', error);
+      throw error;
     }
   }
 
@@ -130,9 +165,9 @@ class Web3Service {
       
       const factory = new ethers.ContractFactory(contractABI, contractBytecode, this.signer);
       
+      // Fees are left to ethers, which fills in EIP-1559 values from the node
       const contract = await factory.deploy(...constructorArgs, {
-        gasLimit: this.gasLimit,
-        gasPrice: this.gasPrice
+        gasLimit: this.gasLimit
       });
 
       await contract.waitForDeployment();
@@ -162,8 +197,7 @@ class Web3Service {
         to,
         value: ethers.parseEther(value.toString()),
         data,
-        gasLimit: this.gasLimit,
-        gasPrice: this.gasPrice
+        gasLimit: this.gasLimit
       });
 
       const receipt = await tx.wait();
@@ -196,31 +230,13 @@ class Web3Service {
         throw new Error(`Method ${method} not found in contract`);
       }
 
-      const txOptions = {
-        gasLimit: options.gasLimit || this.gasLimit,
-        gasPrice: options.gasPrice || this.gasPrice,
-        value: options.value ? ethers.parseEther(options.value.toString()) : 0
-      };
-
-      let result;
-      if (options.readOnly) {
-        // Read-only call (no gas needed)
-        result = await contractMethod(...args);
-      } else {
-        // Write transaction
-        const tx = await contractMethod(...args, txOptions);
-        const receipt = await tx.wait();
-        
-        result = {
-          txHash: tx.hash,
-          receipt,
-          success: receipt.status === 1
-        };
-        
-        logger.info(`Contract method ${method} called: ${tx.hash}`);
+      // Writes need nonce management and fee bumping; see transactionService.send
+      if (!options.readOnly) {
+        throw new Error(`Write call ${method} must go through the transaction service`);
       }
 
-      return result;
+      // Read-only call (no gas needed)
+      return await contractMethod(...args);
     } catch (error) {
       logger.error(`Contract call ${method} failed:`, error);
       throw error;
@@ -237,6 +253,51 @@ class Web3Service {
     }
   }
 
+  // ========== STAKE TOKEN ==========
+  // The contract only takes 18-decimal tokens, so amounts convert like ether
+
+  async getTokenBalance(owner) {
+    if (!this.token) {
+      throw new Error('Stake token not loaded');
+    }
+    return this.token.balanceOf(owner);
+  }
+
+  async getTokenAllowance(owner, spender) {
+    if (!this.token) {
+      throw new Error('Stake token not loaded');
+    }
+    return this.token.allowance(owner, spender);
+  }
+
+  // Call data for approve(spender, amount), for the user's wallet to send to the token
+  encodeApprove(spender, units) {
+    return this.token.interface.encodeFunctionData('approve', [spender, units]);
+  }
+
+  // Transfer events of the stake token in a receipt
+  decodeTransfers(receipt) {
+    if (!this.token) return [];
+
+    const tokenAddress = this.token.target.toLowerCase();
+    const transfers = [];
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== tokenAddress) continue;
+
+      const parsed = this.token.interface.parseLog(log);
+      if (parsed && parsed.name === 'Transfer') {
+        transfers.push({
+          from: parsed.args.from.toLowerCase(),
+          to: parsed.args.to.toLowerCase(),
+          value: parsed.args.value
+        });
+      }
+    }
+
+    return transfers;
+  }
+
   async getTransactionReceipt(txHash) {
     try {
       return await this.provider.getTransactionReceipt(txHash);
@@ -282,17 +343,19 @@ class Web3Service {
     try {
       const blockNumber = await this.provider.getBlockNumber();
       const network = await this.provider.getNetwork();
-      const gasPrice = await this.provider.getGasPrice();
+      const feeData = await this.provider.getFeeData();
 
       return {
         status: 'healthy',
         network: network.name,
         chainId: network.chainId,
         blockNumber,
-        gasPrice: ethers.formatUnits(gasPrice, 'gwei') + ' Gwei',
+        gasPrice: ethers.formatUnits(feeData.gasPrice, 'gwei') + ' Gwei',
         isConnected: true,
         contractLoaded: !!this.contract,
-        signerAvailable: !!this.signer
+        signerAvailable: !!this.signer,
+        relayerAvailable: !!this.relayer,
+        tokenLoaded: !!this.token
       };
     } catch (error) {
       return {
@@ -319,6 +382,24 @@ class Web3Service {
   getSignerAddress() {
     return this.signer ? this.signer.address : null;
   }
+
+  getRelayerAddress() {
+    return this.relayer ? this.relayer.address : null;
+  }
+
+  // Connection to a registered network (key, name or chain ID); the default
+  // network is this singleton. The caller initializes it.
+  forNetwork(ref) {
+    const network = networks.getNetwork(ref);
+    if (network.isDefault) {
+      return web3Service;
+    }
+
+    if (!connections.has(network.chainId)) {
+      connections.set(network.chainId, new Web3Service(network));
+    }
+    return connections.get(network.chainId);
+  }
 }
 
 // Create singleton instance
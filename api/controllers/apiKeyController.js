@@ -0,0 +1,275 @@
+// src/controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'Scopes must be a non-empty array';
+  }
+
+  const invalid = scopes.filter(scope => !ApiKey.isValidScope(scope));
+  if (invalid.length > 0) {
+    return `Unknown scopes: ${invalid.join(', ')}`;
+  }
+
+  return null;
+};
+
+// null means unlimited; undefined means "not provided"
+const parseQuota = (quota) => {
+  if (quota === undefined || quota === null) return quota;
+
+  const parsed = parseInt(quota);
+  return isNaN(parsed) || parsed < 1 ? NaN : parsed;
+};
+
+class ApiKeyController {
+  static async getScopes(req, res) {
+    try {
+      return res.status(200).json({
+        success: true,
+        data: Object.values(constants.API_KEYS.SCOPES)
+      });
+    } catch (error) {
+      logger.error('Get API key scopes error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get API key scopes'
+      });
+    }
+  }
+
+  static async getApiKeys(req, res) {
+    try {
+      const { owner, active } = req.query;
+
+      const keys = await ApiKey.findAll({
+        owner,
+        active: active === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: keys
+      });
+    } catch (error) {
+      logger.error('Get API keys error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get API keys'
+      });
+    }
+  }
+
+  static async getApiKey(req, res) {
+    try {
+      const key = await ApiKey.findById(req.params.keyId);
+
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: key
+      });
+    } catch (error) {
+      logger.error('Get API key error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get API key'
+      });
+    }
+  }
+
+  static async createApiKey(req, res) {
+    try {
+      const { name, owner, scopes, quotaPerDay } = req.body;
+
+      if (!name || !owner) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name and owner are required'
+        });
+      }
+
+      const scopeError = validateScopes(scopes);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          error: scopeError
+        });
+      }
+
+      const quota = parseQuota(quotaPerDay);
+      if (Number.isNaN(quota)) {
+        return res.status(400).json({
+          success: false,
+          error: 'quotaPerDay must be a positive integer or null'
+        });
+      }
+
+      const { key, record } = await ApiKey.create({
+        name,
+        owner,
+        scopes,
+        quotaPerDay: quota,
+        createdBy: req.user.walletAddress
+      });
+
+      logger.security('API key created', {
+        keyId: record.id,
+        owner,
+        scopes,
+        by: req.user.walletAddress
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'API key created. Store the key now, it will not be shown again.',
+        data: {
+          ...record,
+          key
+        }
+      });
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  }
+
+  static async updateApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+      const { name, scopes, quotaPerDay } = req.body;
+
+      const existing = await ApiKey.findById(keyId);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      if (existing.revoked_at) {
+        return res.status(400).json({
+          success: false,
+          error: 'API key has been revoked'
+        });
+      }
+
+      if (scopes !== undefined) {
+        const scopeError = validateScopes(scopes);
+        if (scopeError) {
+          return res.status(400).json({
+            success: false,
+            error: scopeError
+          });
+        }
+      }
+
+      const quota = parseQuota(quotaPerDay);
+      if (Number.isNaN(quota)) {
+        return res.status(400).json({
+          success: false,
+          error: 'quotaPerDay must be a positive integer or null'
+        });
+      }
+
+      const updated = await ApiKey.update(keyId, { name, scopes, quotaPerDay: quota });
+
+      logger.security('API key updated', {
+        keyId: updated.id,
+        scopes: updated.scopes,
+        quotaPerDay: updated.quota_per_day,
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'API key updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      logger.error('Update API key error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update API key'
+      });
+    }
+  }
+
+  static async rotateApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      const rotated = await ApiKey.rotate(keyId, req.user.walletAddress);
+      if (!rotated) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active API key not found'
+        });
+      }
+
+      logger.security('API key rotated', {
+        oldKeyId: parseInt(keyId),
+        newKeyId: rotated.record.id,
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'API key rotated. Store the new key now, it will not be shown again.',
+        data: {
+          ...rotated.record,
+          key: rotated.key
+        }
+      });
+    } catch (error) {
+      logger.error('Rotate API key error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key'
+      });
+    }
+  }
+
+  static async revokeApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      const revoked = await ApiKey.revoke(keyId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Active API key not found'
+        });
+      }
+
+      logger.security('API key revoked', {
+        keyId: parseInt(keyId),
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
+      });
+    }
+  }
+}
+
+module.exports = ApiKeyController;
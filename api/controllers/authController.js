@@ -1,146 +1,144 @@
 // src/controllers/authController.js
 const AuthMiddleware = require('../middleware/auth');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const siweService = require('../services/siweService');
 const { constants } = require('../config/constants');
 const logger = require('../utils/logger');
 
 class AuthController {
-  // REPLACE ONLY THE walletLogin method with this:
-
-static async walletLogin(req, res) {
-  try {
-    console.log('🔍 Backend received login request');
-    
-    // 1. Get data from request
-    const walletAddress = req.body.walletAddress;
-    const signature = req.body.signature || '';
-    const message = req.body.message || '';
-    
-    console.log('🔍 Raw walletAddress from body:', walletAddress);
-    console.log('🔍 Type:', typeof walletAddress);
-    
-    // 2. FIX: Check if it's undefined or null
-    if (walletAddress == null) {
-      console.error('❌ walletAddress is null or undefined');
-      return res.status(400).json({
-        success: false,
-        error: 'Wallet address is required'
-      });
-    }
-    
-    // 3. FIX: Use toString() instead of String()
-    let walletAddressStr;
+  // Issue a single-use nonce for Sign-In With Ethereum
+  static async getNonce(req, res) {
     try {
-      walletAddressStr = walletAddress.toString();
-      console.log('✅ After toString():', walletAddressStr);
+      const { walletAddress } = req.query;
+
+      if (walletAddress && !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid wallet address format'
+        });
+      }
+
+      const { nonce, expiresAt } = await siweService.issueNonce(walletAddress);
+      const domain = constants.SIWE.DOMAIN || req.get('host');
+      const chainId = parseInt(req.query.chainId) || constants.SIWE.ALLOWED_CHAIN_IDS[0];
+
+      const data = {
+        nonce,
+        expiresAt,
+        domain,
+        uri: constants.SIWE.URI || `${req.protocol}://${domain}`,
+        version: constants.SIWE.VERSION,
+        chainId,
+        statement: constants.SIWE.STATEMENT
+      };
+
+      // Pre-build the message when we already know who is signing
+      if (walletAddress) {
+        data.message = siweService.buildMessage({
+          ...data,
+          address: walletAddress,
+          issuedAt: new Date().toISOString(),
+          expirationTime: new Date(expiresAt).toISOString()
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
     } catch (error) {
-      console.error('❌ toString() failed:', error);
-      return res.status(400).json({
+      logger.error('Get nonce error:', error);
+      return res.status(500).json({
         success: false,
-        error: 'Invalid wallet address format'
+        error: 'Failed to issue nonce'
       });
     }
-    
-    // 4. FIX: Validate format
-    if (!walletAddressStr.startsWith('0x') || walletAddressStr.length !== 42) {
-      console.error('❌ Invalid ETH address format:', walletAddressStr);
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Ethereum address format'
-      });
+  }
+
+  // Verify the SIWE payload in the request body and load (or create) the user
+  static async authenticateWallet(req) {
+    const { walletAddress, signature, message } = req.body;
+
+    if (!signature || !message) {
+      throw Object.assign(new Error('Signature and SIWE message are required'), { statusCode: 400 });
     }
-    
-    // 5. FIX: Now safely lowercase
-    const normalizedAddress = walletAddressStr.toLowerCase();
-    console.log('✅ Normalized address:', normalizedAddress);
-    
-    // 6. Find or create user
+
+    const verified = await siweService.verify({
+      message,
+      signature,
+      expectedDomain: req.get('host'),
+      expectedAddress: walletAddress
+    });
+
+    const normalizedAddress = verified.walletAddress;
+
     let user = await User.findByWalletAddress(normalizedAddress);
-    console.log('🔍 User found:', !!user);
-    
+
     if (!user) {
-      console.log('🆕 Creating new user...');
       user = await User.create({
         wallet_address: normalizedAddress,
         username: `user_${normalizedAddress.slice(2, 8)}`,
-        balance: 1000
+        balance: 1000 // Starting balance for testing
       });
-      console.log('✅ User created');
+      logger.info(`New user created: ${normalizedAddress}`);
     }
-    
-    // 7. Generate token
-    // In walletLogin method, after user creation, you have:
-const token = AuthMiddleware.generateToken(normalizedAddress, {
-  userId: user.id,  // This is line 73 - user might be undefined
-  username: user.username
-});
-    
-    console.log('✅ Login successful');
-    
-    return res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        walletAddress: user.wallet_address,
-        username: user.username,
-        balance: user.balance || 0,
-        total_bets: user.total_bets || 0,
-        total_won: user.total_won || 0
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Login error:', error.message);
-    console.error('❌ Error details:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'Login failed'
-    });
+
+    return { user, normalizedAddress, chainId: verified.chainId };
   }
-}
-  // Connect wallet and get JWT token (alternative method)
-  static async connectWallet(req, res) {
+
+  // Wallet login/signup with a signed SIWE message
+  static async walletLogin(req, res) {
     try {
-      const { walletAddress, signature, message } = req.body;
-      
-      // Validate required fields
-      if (!walletAddress) {
-        return res.status(400).json({
-          success: false,
-          error: 'Wallet address is required'
-        });
-      }
+      const { user, normalizedAddress } = await AuthController.authenticateWallet(req);
 
-      // Validate Ethereum address format
-      const isValidAddress = /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
-      if (!isValidAddress) {
-        return res.status(400).json({
+      const { token, refreshToken, expiresIn } = await AuthMiddleware.issueTokens(normalizedAddress, {
+        userId: user.id,
+        username: user.username
+      }, req);
+
+      logger.info(`User logged in: ${normalizedAddress}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        user: {
+          walletAddress: user.wallet_address,
+          username: user.username,
+          balance: user.balance || 0,
+          total_bets: user.total_bets || 0,
+          total_won: user.total_won || 0
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          error: 'Invalid wallet address format'
+          error: error.message
         });
       }
 
-      const normalizedAddress = walletAddress.toLowerCase();
+      logger.error('Login error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Login failed'
+      });
+    }
+  }
 
-      // Check if user exists
-      let user = await User.findByWalletAddress(normalizedAddress);
-      
-      // Create user if doesn't exist
-      if (!user) {
-        user = await User.create({
-          wallet_address: normalizedAddress,
-          username: `user_${normalizedAddress.slice(2, 8)}`,
-          balance: 1000 // Starting balance for testing
-        });
-        logger.info(`New user created: ${normalizedAddress}`);
-      }
+  // Connect wallet and get JWT token (alternative method)
+  static async connectWallet(req, res) {
+    try {
+      const { user, normalizedAddress } = await AuthController.authenticateWallet(req);
 
-      // Generate JWT token
-      const token = AuthMiddleware.generateToken(normalizedAddress, {
+      // Start a new session
+      const { token, refreshToken, expiresIn } = await AuthMiddleware.issueTokens(normalizedAddress, {
         userId: user.id,
         username: user.username
-      });
+      }, req);
 
       logger.info(`User connected: ${normalizedAddress}`);
       
@@ -149,6 +147,8 @@ const token = AuthMiddleware.generateToken(normalizedAddress, {
         message: 'Wallet connected successfully',
         data: {
           token,
+          refreshToken,
+          expiresIn,
           user: {
             id: user.id,
             wallet_address: user.wallet_address,
@@ -162,10 +162,150 @@ const token = AuthMiddleware.generateToken(normalizedAddress, {
         }
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       logger.error('Wallet connection error:', error);
       return res.status(500).json({
         success: false,
-        error: error.message || 'Failed to connect wallet'
+        error: 'Failed to connect wallet'
+      });
+    }
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair
+  static async refreshToken(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Refresh token is required'
+        });
+      }
+
+      const record = await RefreshToken.findByToken(refreshToken);
+      if (!record) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token'
+        });
+      }
+
+      if (record.revoked_at) {
+        // A rotated token coming back means it was stolen or replayed:
+        // kill every token descended from the same login
+        if (record.revoked_reason === 'rotated') {
+          await RefreshToken.revokeFamily(record.family_id, 'reuse_detected');
+          logger.security('Refresh token reuse detected, session family revoked', {
+            walletAddress: record.wallet_address,
+            familyId: record.family_id,
+            ip: req.ip
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token has been revoked. Please log in again.'
+        });
+      }
+
+      if (record.expires_at <= new Date()) {
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token expired. Please log in again.'
+        });
+      }
+
+      const rotated = await RefreshToken.rotate(record, {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      if (!rotated) {
+        // Lost a race against another refresh with the same token
+        await RefreshToken.revokeFamily(record.family_id, 'reuse_detected');
+        logger.security('Concurrent refresh token use, session family revoked', {
+          walletAddress: record.wallet_address,
+          familyId: record.family_id
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token has been revoked. Please log in again.'
+        });
+      }
+
+      const user = await User.findByWalletAddress(record.wallet_address);
+      const token = AuthMiddleware.generateToken(record.wallet_address, {
+        userId: user ? user.id : undefined,
+        username: user ? user.username : undefined,
+        sid: record.family_id
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          token,
+          refreshToken: rotated.token,
+          expiresIn: constants.AUTH_TOKENS.ACCESS_TOKEN_TTL
+        }
+      });
+    } catch (error) {
+      logger.error('Refresh token error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to refresh token'
+      });
+    }
+  }
+
+  // Logout the current session
+  static async logout(req, res) {
+    try {
+      const { walletAddress, sid } = req.user;
+
+      await RefreshToken.revokeFamily(sid, 'logout');
+
+      logger.info(`User logged out: ${walletAddress}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Logout successful'
+      });
+    } catch (error) {
+      logger.error('Logout error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to logout'
+      });
+    }
+  }
+
+  // Logout every session for the wallet ("log out all devices")
+  static async logoutAll(req, res) {
+    try {
+      const { walletAddress } = req.user;
+
+      const revoked = await RefreshToken.revokeAllForWallet(walletAddress, 'logout_all');
+
+      logger.info(`User logged out of all sessions: ${walletAddress} (${revoked} tokens revoked)`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Logged out of all devices',
+        data: { revoked }
+      });
+    } catch (error) {
+      logger.error('Logout all error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to logout all sessions'
       });
     }
   }
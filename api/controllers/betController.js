@@ -2,7 +2,11 @@
 const Bet = require('../models/Bet');
 const Match = require('../models/Match');
 const User = require('../models/User');
+const BetSlip = require('../models/BetSlip');
 const web3Service = require('../services/web3Service');
+const parlayService = require('../services/parlayService');
+const cashoutService = require('../services/cashoutService');
+const matchLifecycleService = require('../services/matchLifecycleService');
 const { constants } = require('../config/constants');
 const logger = require('../utils/logger');
 
@@ -10,8 +14,24 @@ class BetController {
   // Place a bet
   static async placeBet(req, res) {
     try {
+      // Stakes must come from the user's wallet; see confirmBet
+      if (!constants.CUSTODIAL_BETS_ENABLED) {
+        return res.status(410).json({
+          success: false,
+          error: 'Server-placed bets are disabled. Send placeBet from your wallet and submit the hash to /bets/confirm'
+        });
+      }
+
+      // The platform wallet cannot spend the user's tokens
+      if (constants.STAKING.TOKEN_MODE) {
+        return res.status(410).json({
+          success: false,
+          error: `${constants.STAKING.SYMBOL} bets are placed from your wallet. Check /bets/approval, send placeTokenBet and submit the hash to /bets/confirm`
+        });
+      }
+
       const { walletAddress } = req.user;
-      const { match_id, outcome, amount } = req.body;
+      const { match_id, outcome, amount, displayed_odds } = req.body;
 
       // Validate required fields
       if (!match_id || outcome === undefined || !amount) {
@@ -28,14 +48,14 @@ class BetController {
       if (amount < minAmount) {
         return res.status(400).json({
           success: false,
-          error: `Minimum bet amount is ${minAmount} CLUTCH`
+          error: `Minimum bet amount is ${minAmount} ETH`
         });
       }
 
       if (amount > maxAmount) {
         return res.status(400).json({
           success: false,
-          error: `Maximum bet amount is ${maxAmount} CLUTCH`
+          error: `Maximum bet amount is ${maxAmount} ETH`
         });
       }
 
@@ -49,7 +69,7 @@ class BetController {
       }
 
       // Validate match exists and is bettable
-      const match = await Match.findById(parseInt(match_id));
+      const match = await Match.findById(parseInt(match_id), req.network.chainId);
       if (!match) {
         return res.status(404).json({
           success: false,
@@ -57,40 +77,55 @@ class BetController {
         });
       }
 
-      if (match.status !== constants.MATCH_STATUS.UPCOMING) {
+      if (!matchLifecycleService.isBettingOpen(match)) {
         return res.status(400).json({
           success: false,
           error: 'Match is not bettable'
         });
       }
 
-      // Get odds based on outcome
-      let odds;
-      if (parseInt(outcome) === constants.OUTCOMES.TEAM_A_WIN) {
-        odds = match.odds_team_a;
-      } else if (parseInt(outcome) === constants.OUTCOMES.DRAW) {
-        odds = match.odds_draw;
-      } else {
-        odds = match.odds_team_b;
+      // Without displayed odds the bet takes whatever the match holds (legacy clients);
+      // with them the default is to require the exact price the user saw
+      const oddsPolicy = req.body.odds_policy ||
+        (displayed_odds !== undefined ? constants.ODDS_POLICY.EXACT : constants.ODDS_POLICY.ACCEPT_ANY);
+
+      const validPolicies = Object.values(constants.ODDS_POLICY);
+      if (!validPolicies.includes(oddsPolicy)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid odds policy. Must be one of: ${validPolicies.join(', ')}`
+        });
+      }
+
+      const displayedOdds = displayed_odds !== undefined ? parseFloat(displayed_odds) : null;
+      if (oddsPolicy !== constants.ODDS_POLICY.ACCEPT_ANY && (displayedOdds === null || isNaN(displayedOdds))) {
+        return res.status(400).json({
+          success: false,
+          error: `Displayed odds are required for the ${oddsPolicy} odds policy`
+        });
       }
 
       // Place bet on blockchain
-      const chainResult = await web3Service.placeBetOnChain(
+      const chainResult = await web3Service.forNetwork(req.network.key).placeBetOnChain(
         walletAddress,
         parseInt(match_id),
         parseInt(outcome),
-        parseFloat(amount)
+        parseFloat(amount),
+        { displayedOdds, policy: oddsPolicy }
       );
 
       // Create bet in database
       const betData = {
         bet_id: chainResult.betId,
+        chain_id: req.network.chainId,
         user_address: walletAddress,
         match_id: parseInt(match_id),
         outcome: parseInt(outcome),
         amount: parseFloat(amount),
         potential_win: chainResult.potentialWin,
         odds: chainResult.odds,
+        displayed_odds: displayedOdds,
+        odds_policy: oddsPolicy,
         status: constants.BET_STATUS.PENDING,
         claimed: false
       };
@@ -104,7 +139,7 @@ class BetController {
       });
 
       // Update match total staked
-      await Match.updateTotalStaked(parseInt(match_id), parseFloat(amount));
+      await Match.updateTotalStaked(parseInt(match_id), parseFloat(amount), req.network.chainId);
 
       logger.info(`Bet placed: ${chainResult.betId} by ${walletAddress} on match ${match_id}`);
 
@@ -114,12 +149,23 @@ class BetController {
         data: {
           bet: dbBet,
           chain: {
+            network: req.network.name,
+            chainId: req.network.chainId,
             txHash: chainResult.txHash,
             betId: chainResult.betId
           }
         }
       });
     } catch (error) {
+      if (error.code === 'ODDS_CHANGED') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        });
+      }
+
       logger.error('Place bet error:', error);
       return res.status(500).json({
         success: false,
@@ -128,6 +174,208 @@ class BetController {
     }
   }
 
+  // Token mode: whether the user's wallet can stake the amount, and the approve
+  // call to send first if the betting contract's allowance is too low
+  static async getApproval(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const amount = parseFloat(req.query.amount);
+
+      if (isNaN(amount) || amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'A positive amount is required'
+        });
+      }
+
+      const approval = await web3Service.forNetwork(req.network.key).checkTokenApproval(walletAddress, amount);
+
+      return res.status(200).json({
+        success: true,
+        data: approval
+      });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_ALLOWANCE' || error.code === 'INSUFFICIENT_BALANCE') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        });
+      }
+
+      logger.error('Get approval error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to check approval'
+      });
+    }
+  }
+
+  // Record a bet the user placed from their own wallet
+  static async confirmBet(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const { tx_hash } = req.body;
+
+      if (!tx_hash || !/^0x[0-9a-fA-F]{64}$/.test(tx_hash)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid transaction hash is required'
+        });
+      }
+
+      if (await Bet.findByTxHash(tx_hash)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Transaction has already been used'
+        });
+      }
+
+      // The transaction is looked up on the network selected with ?chain=
+      const { chainId } = req.network;
+      const verified = await web3Service.forNetwork(req.network.key).verifyBetTransaction(tx_hash, walletAddress);
+
+      // The indexer may have recorded the bet before the user confirmed it
+      let dbBet = await Bet.findById(verified.betId, chainId);
+      if (dbBet) {
+        const attached = await Bet.attachTransaction(verified.betId, tx_hash, chainId);
+        if (!attached) {
+          return res.status(409).json({
+            success: false,
+            error: 'Bet has already been confirmed'
+          });
+        }
+        dbBet = await Bet.findById(verified.betId, chainId);
+      } else {
+        try {
+          dbBet = await Bet.create({
+            bet_id: verified.betId,
+            chain_id: chainId,
+            user_address: walletAddress,
+            match_id: verified.matchId,
+            outcome: verified.outcome,
+            amount: verified.amount,
+            potential_win: verified.potentialWin,
+            odds: verified.odds,
+            status: constants.BET_STATUS.PENDING,
+            claimed: false,
+            tx_hash
+          });
+        } catch (error) {
+          // Lost a race with a concurrent confirm of the same hash
+          if (error.code === 'P2002') {
+            return res.status(409).json({
+              success: false,
+              error: 'Transaction has already been used'
+            });
+          }
+          throw error;
+        }
+
+        await Match.updateTotalStaked(verified.matchId, verified.amount, chainId);
+      }
+
+      await User.updateStats(walletAddress, {
+        total_bets: 1,
+        total_staked: verified.amount
+      });
+
+      logger.info(`Bet confirmed: ${verified.betId} by ${walletAddress} (tx ${tx_hash})`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Bet confirmed successfully',
+        data: {
+          bet: dbBet,
+          chain: {
+            network: req.network.name,
+            chainId,
+            txHash: verified.txHash,
+            betId: verified.betId,
+            blockNumber: verified.blockNumber
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Confirm bet error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to confirm bet'
+      });
+    }
+  }
+
+  // Place an accumulator across several matches
+  static async placeParlay(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const { selections, amount } = req.body;
+
+      // Accumulators only run on the default network
+      if (!req.network.isDefault) {
+        return res.status(400).json({
+          success: false,
+          error: 'Parlays are only available on the default network'
+        });
+      }
+
+      const slip = await parlayService.placeParlay(walletAddress, selections, amount, req.network.chainId);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Parlay placed successfully',
+        data: slip
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Place parlay error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to place parlay'
+      });
+    }
+  }
+
+  // Get a single parlay slip with its legs
+  static async getParlayById(req, res) {
+    try {
+      const { slipId } = req.params;
+
+      const slip = await BetSlip.findById(slipId);
+      if (!slip) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parlay not found'
+        });
+      }
+
+      if (slip.user_address !== req.user.walletAddress.toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: slip
+      });
+    } catch (error) {
+      logger.error('Get parlay by ID error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get parlay'
+      });
+    }
+  }
+
   // Get user's bets by address (public or authenticated)
 static async getUserBetsByAddress(req, res) {
   try {
@@ -156,7 +404,8 @@ static async getUserBetsByAddress(req, res) {
       status,
       match_id: match_id ? parseInt(match_id) : undefined,
       outcome: outcome !== undefined ? parseInt(outcome) : undefined,
-      claimed: claimed === 'true' ? true : claimed === 'false' ? false : undefined
+      claimed: claimed === 'true' ? true : claimed === 'false' ? false : undefined,
+      chain_id: req.network.chainId
     };
 
     const pagination = {
@@ -196,6 +445,7 @@ static async getUserBets(req, res) {
 
     const { walletAddress } = req.user;
     const {
+      type = 'single',
       status,
       match_id,
       outcome,
@@ -206,11 +456,35 @@ static async getUserBets(req, res) {
       sort_order = 'DESC'
     } = req.query;
 
+    if (!['single', 'parlay'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type. Must be one of: single, parlay'
+      });
+    }
+
+    if (type === 'parlay') {
+      const slips = await BetSlip.findByUser(walletAddress, { status }, {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), constants.PAGINATION.MAX_LIMIT),
+        sort_by,
+        sort_order
+      });
+
+      return res.status(200).json({
+        success: true,
+        type,
+        data: slips.data,
+        pagination: slips.pagination
+      });
+    }
+
     const filters = {
       status,
       match_id: match_id ? parseInt(match_id) : undefined,
       outcome: outcome !== undefined ? parseInt(outcome) : undefined,
-      claimed: claimed === 'true' ? true : claimed === 'false' ? false : undefined
+      claimed: claimed === 'true' ? true : claimed === 'false' ? false : undefined,
+      chain_id: req.network.chainId
     };
 
     const pagination = {
@@ -240,7 +514,7 @@ static async getUserBets(req, res) {
     try {
       const { betId } = req.params;
       
-      const bet = await Bet.findById(parseInt(betId));
+      const bet = await Bet.findById(parseInt(betId), req.network.chainId);
       if (!bet) {
         return res.status(404).json({
           success: false,
@@ -277,7 +551,7 @@ static async getUserBets(req, res) {
       const { betId } = req.params;
 
       // Validate bet exists
-      const bet = await Bet.findById(parseInt(betId));
+      const bet = await Bet.findById(parseInt(betId), req.network.chainId);
       if (!bet) {
         return res.status(404).json({
           success: false,
@@ -308,14 +582,23 @@ static async getUserBets(req, res) {
         });
       }
 
+      // Provisional results are not on chain yet
+      const match = await Match.findById(bet.match_id, req.network.chainId);
+      if (match && match.result_status && match.result_status !== constants.RESULT_STATUS.FINAL) {
+        return res.status(409).json({
+          success: false,
+          error: `Match result is provisional until ${new Date(match.dispute_until).toISOString()}`
+        });
+      }
+
       // Claim on blockchain
-      const chainResult = await web3Service.claimWinningsOnChain(
+      const chainResult = await web3Service.forNetwork(req.network.key).claimWinningsOnChain(
         parseInt(betId),
         walletAddress
       );
 
       // Update bet in database
-      await Bet.claim(parseInt(betId), walletAddress);
+      await Bet.claim(parseInt(betId), walletAddress, req.network.chainId);
 
       // Update user stats
       await User.updateStats(walletAddress, {
@@ -344,16 +627,102 @@ static async getUserBets(req, res) {
     }
   }
 
+  // Quote a cash-out price for a pending bet
+  static async getCashoutQuote(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const { betId } = req.params;
+
+      // Cash-outs are priced from default-network matches only
+      if (!req.network.isDefault) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cash-outs are only available on the default network'
+        });
+      }
+
+      const quote = await cashoutService.getQuote(walletAddress, betId, req.network.chainId);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          quoteId: quote.quote_id,
+          betId: quote.bet_id,
+          amount: quote.amount,
+          originalOdds: quote.original_odds,
+          currentOdds: quote.current_odds,
+          expiresAt: quote.expires_at
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Get cash-out quote error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get cash-out quote'
+      });
+    }
+  }
+
+  // Accept a cash-out quote
+  static async acceptCashout(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const { betId } = req.params;
+      const { quoteId } = req.body;
+
+      // Cash-outs are priced from default-network matches only
+      if (!req.network.isDefault) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cash-outs are only available on the default network'
+        });
+      }
+
+      const { bet, quote } = await cashoutService.acceptQuote(walletAddress, betId, quoteId, req.network.chainId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Bet cashed out successfully',
+        data: {
+          bet,
+          amount: quote.amount
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Accept cash-out error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to cash out bet'
+      });
+    }
+  }
+
   // Get user active bets
   static async getUserActiveBets(req, res) {
     try {
       const { walletAddress } = req.user;
       
-      const activeBets = await Bet.getUserActiveBets(walletAddress);
+      const activeBets = await Bet.getUserActiveBets(walletAddress, req.network.chainId);
+      const activeParlays = await BetSlip.getUserActiveSlips(walletAddress);
       
       return res.status(200).json({
         success: true,
-        data: activeBets
+        data: activeBets,
+        parlays: activeParlays
       });
     } catch (error) {
       logger.error('Get user active bets error:', error);
@@ -369,7 +738,7 @@ static async getUserBets(req, res) {
     try {
       const { walletAddress } = req.user;
       
-      const winningBets = await Bet.getUserWinningBets(walletAddress);
+      const winningBets = await Bet.getUserWinningBets(walletAddress, req.network.chainId);
       
       return res.status(200).json({
         success: false,
@@ -389,7 +758,7 @@ static async getUserBets(req, res) {
     try {
       const { walletAddress } = req.user;
       
-      const stats = await Bet.getUserStats(walletAddress);
+      const stats = await Bet.getUserStats(walletAddress, req.network.chainId);
       
       if (!stats) {
         return res.status(404).json({
@@ -397,10 +766,15 @@ static async getUserBets(req, res) {
           error: 'User stats not found'
         });
       }
+
+      const parlayStats = await BetSlip.getUserStats(walletAddress);
       
       return res.status(200).json({
         success: true,
-        data: stats
+        data: {
+          ...stats,
+          parlays: parlayStats
+        }
       });
     } catch (error) {
       logger.error('Get user bet stats error:', error);
@@ -416,7 +790,7 @@ static async getUserBets(req, res) {
     try {
       const { limit = 20 } = req.query;
       
-      const bets = await Bet.getRecentBets(parseInt(limit));
+      const bets = await Bet.getRecentBets(parseInt(limit), req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -436,7 +810,7 @@ static async getUserBets(req, res) {
     try {
       const { limit = 10 } = req.query;
       
-      const bets = await Bet.getLargestBets(parseInt(limit));
+      const bets = await Bet.getLargestBets(parseInt(limit), req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -454,7 +828,7 @@ static async getUserBets(req, res) {
   // Get total bet statistics (admin)
   static async getTotalBetStats(req, res) {
     try {
-      const stats = await Bet.getTotalStats();
+      const stats = await Bet.getTotalStats(req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -476,7 +850,7 @@ static async getUserBets(req, res) {
       const { reason } = req.body;
 
       // Validate bet exists
-      const bet = await Bet.findById(parseInt(betId));
+      const bet = await Bet.findById(parseInt(betId), req.network.chainId);
       if (!bet) {
         return res.status(404).json({
           success: false,
@@ -493,7 +867,7 @@ static async getUserBets(req, res) {
       }
 
       // Get match to check status
-      const match = await Match.findById(bet.match_id);
+      const match = await Match.findById(bet.match_id, bet.chain_id);
       if (!match) {
         return res.status(404).json({
           success: false,
@@ -512,7 +886,7 @@ static async getUserBets(req, res) {
       // Update bet status
       const updatedBet = await Bet.update(parseInt(betId), {
         status: constants.BET_STATUS.CANCELLED
-      });
+      }, req.network.chainId);
 
       // Refund user (in production, this would trigger a blockchain transaction)
       await User.updateStats(bet.user_address, {
@@ -541,7 +915,7 @@ static async getUserBets(req, res) {
       const { betId } = req.params;
 
       // Validate bet exists
-      const bet = await Bet.findById(parseInt(betId));
+      const bet = await Bet.findById(parseInt(betId), req.network.chainId);
       if (!bet) {
         return res.status(404).json({
           success: false,
@@ -558,7 +932,7 @@ static async getUserBets(req, res) {
       }
 
       // Delete bet
-      const deletedBet = await Bet.delete(parseInt(betId));
+      const deletedBet = await Bet.delete(parseInt(betId), req.network.chainId);
 
       logger.info(`Bet deleted: ${betId}`);
 
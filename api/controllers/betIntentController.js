@@ -0,0 +1,109 @@
+// src/controllers/betIntentController.js
+const BetIntent = require('../models/BetIntent');
+const betIntentService = require('../services/betIntentService');
+const logger = require('../utils/logger');
+
+class BetIntentController {
+  // EIP-712 domain and types for wallets to sign bet intents with
+  static async getTypedData(req, res) {
+    try {
+      const typedData = await betIntentService.getTypedData(req.network.chainId);
+
+      return res.status(200).json({
+        success: true,
+        data: typedData
+      });
+    } catch (error) {
+      logger.error('Get bet intent typed data error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to get bet intent typed data'
+      });
+    }
+  }
+
+  // Queue a signed bet intent for the relayer
+  static async submitIntent(req, res) {
+    try {
+      const { intent, signature } = req.body;
+
+      const created = await betIntentService.submit({
+        chainId: req.network.chainId,
+        walletAddress: req.user.walletAddress,
+        intent,
+        signature
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Bet intent queued for relaying',
+        data: created
+      });
+    } catch (error) {
+      if (error.code === 'ODDS_CHANGED') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        });
+      }
+
+      logger.error('Submit bet intent error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to submit bet intent'
+      });
+    }
+  }
+
+  static async getMyIntents(req, res) {
+    try {
+      const { status, page, limit } = req.query;
+
+      const result = await BetIntent.findByUser(
+        req.user.walletAddress,
+        { status, chain_id: req.network.chainId },
+        { page, limit }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: result.intents,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get bet intents error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get bet intents'
+      });
+    }
+  }
+
+  static async getIntent(req, res) {
+    try {
+      const intent = await BetIntent.findById(req.params.intentId);
+
+      if (!intent || intent.user_address !== req.user.walletAddress.toLowerCase()) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bet intent not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: intent
+      });
+    } catch (error) {
+      logger.error('Get bet intent error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get bet intent'
+      });
+    }
+  }
+}
+
+module.exports = BetIntentController;
@@ -0,0 +1,119 @@
+// src/controllers/contractAdminController.js
+const ContractAction = require('../models/ContractAction');
+const contractAdminService = require('../services/contractAdminService');
+const logger = require('../utils/logger');
+
+class ContractAdminController {
+  // Oracles and admins on chain, from the contract's role events
+  static async getRoles(req, res) {
+    try {
+      const roles = await contractAdminService.getRoles(req.network.chainId);
+
+      return res.status(200).json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      logger.error('Get contract roles error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to get contract roles'
+      });
+    }
+  }
+
+  // Step one: request a role change or withdrawal. Nothing is sent until it is confirmed.
+  static async requestAction(req, res) {
+    try {
+      const { action, address } = req.body;
+
+      const result = await contractAdminService.request({
+        chainId: req.network.chainId,
+        action,
+        address,
+        user: req.user
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Confirm this action with the confirmation token before it expires',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Request contract action error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to request contract action'
+      });
+    }
+  }
+
+  // Step two: send the transaction
+  static async confirmAction(req, res) {
+    try {
+      const result = await contractAdminService.confirm({
+        chainId: req.network.chainId,
+        actionId: req.params.actionId,
+        token: req.body.confirmation_token,
+        user: req.user
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Confirm contract action error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to confirm contract action'
+      });
+    }
+  }
+
+  static async cancelAction(req, res) {
+    try {
+      const result = await contractAdminService.cancel({
+        chainId: req.network.chainId,
+        actionId: req.params.actionId,
+        user: req.user
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Cancel contract action error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to cancel contract action'
+      });
+    }
+  }
+
+  static async getActions(req, res) {
+    try {
+      const { status, action, page, limit } = req.query;
+
+      const result = await ContractAction.findAll(
+        { status, action, chain_id: req.network.chainId },
+        { page, limit }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: result.actions,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get contract actions error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get contract actions'
+      });
+    }
+  }
+}
+
+module.exports = ContractAdminController;
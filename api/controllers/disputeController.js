@@ -0,0 +1,99 @@
+// src/controllers/disputeController.js
+const settlementService = require('../services/settlementService');
+const logger = require('../utils/logger');
+
+class DisputeController {
+  // Result status and every dispute filed on it
+  static async getDisputes(req, res) {
+    try {
+      const disputes = await settlementService.getDisputes(req.network.chainId, req.params.matchId);
+
+      return res.status(200).json({
+        success: true,
+        data: disputes
+      });
+    } catch (error) {
+      logger.error('Get result disputes error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to get result disputes'
+      });
+    }
+  }
+
+  // Dispute a provisional result
+  static async fileDispute(req, res) {
+    try {
+      const { reason, proposed_result } = req.body;
+
+      const dispute = await settlementService.fileDispute({
+        chainId: req.network.chainId,
+        matchId: req.params.matchId,
+        user: req.user,
+        reason,
+        proposedResult: proposed_result
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Dispute filed; the result will not be finalized until it is decided',
+        data: dispute
+      });
+    } catch (error) {
+      logger.error('File result dispute error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to file dispute'
+      });
+    }
+  }
+
+  // Uphold the result, or overturn it and re-settle the match's bets
+  static async decideDispute(req, res) {
+    try {
+      const { decision, result, note } = req.body;
+
+      const decided = await settlementService.decideDispute({
+        chainId: req.network.chainId,
+        matchId: req.params.matchId,
+        disputeId: req.params.disputeId,
+        decision,
+        result,
+        note,
+        user: req.user
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Dispute ${decided.dispute.status}`,
+        data: decided
+      });
+    } catch (error) {
+      logger.error('Decide result dispute error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to decide dispute'
+      });
+    }
+  }
+
+  // Before and after states of everything overturned disputes changed
+  static async getSettlementAudit(req, res) {
+    try {
+      const audits = await settlementService.getAudit(req.network.chainId, req.params.matchId);
+
+      return res.status(200).json({
+        success: true,
+        data: audits
+      });
+    } catch (error) {
+      logger.error('Get settlement audit error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to get settlement audit'
+      });
+    }
+  }
+}
+
+module.exports = DisputeController;
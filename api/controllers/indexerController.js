@@ -0,0 +1,68 @@
+// src/controllers/indexerController.js
+const ChainEvent = require('../models/ChainEvent');
+const SyncCheckpoint = require('../models/SyncCheckpoint');
+const indexerService = require('../services/indexerService');
+const logger = require('../utils/logger');
+
+class IndexerController {
+  // Checkpoint and the applied events a reorg removed from the chain
+  static async getStatus(req, res) {
+    try {
+      const indexer = indexerService.forNetwork(req.network.key);
+
+      const [checkpoint, orphaned] = await Promise.all([
+        SyncCheckpoint.get(indexer.checkpointName),
+        ChainEvent.findOrphaned(req.network.chainId)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: { checkpoint, orphaned }
+      });
+    } catch (error) {
+      logger.error('Get indexer status error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get indexer status'
+      });
+    }
+  }
+
+  // Re-read the contract's events from a block (the deploy block by default)
+  static async resync(req, res) {
+    try {
+      const { from_block } = req.body;
+
+      if (from_block !== undefined && (!Number.isInteger(from_block) || from_block < 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'from_block must be a non-negative integer'
+        });
+      }
+
+      const result = await indexerService.forNetwork(req.network.key).resync(from_block);
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: result.message
+        });
+      }
+
+      logger.info(`Indexer resync on ${req.network.key} from block ${result.resyncedFrom} by ${req.user.walletAddress}`);
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Indexer resync error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to resync indexer'
+      });
+    }
+  }
+}
+
+module.exports = IndexerController;
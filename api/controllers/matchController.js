@@ -1,9 +1,12 @@
 // src/controllers/matchController.js
-const Match = require('../src/models/Match');
-const Bet = require('../src/models/Bet');
-const web3Service = require('../src/services/web3Service');
+const Match = require('../models/Match');
+const Bet = require('../models/Bet');
+const web3Service = require('../services/web3Service');
+const refundService = require('../services/refundService');
+const resultConsensusService = require('../services/resultConsensusService');
+const matchLifecycleService = require('../services/matchLifecycleService');
 const { constants } = require('../config/constants');
-const logger = require('../src/utils/logger');
+const logger = require('../utils/logger');
 
 class MatchController {
   // Get all matches with filters
@@ -28,7 +31,8 @@ class MatchController {
         team,
         start_date,
         end_date,
-        has_result: has_result === 'true' ? true : has_result === 'false' ? false : undefined
+        has_result: has_result === 'true' ? true : has_result === 'false' ? false : undefined,
+        chain_id: req.network.chainId
       };
 
       const pagination = {
@@ -59,21 +63,25 @@ class MatchController {
     try {
       const { matchId } = req.params;
       
-      const match = await Match.findById(parseInt(matchId));
-      if (!match) {
+      const details = await Match.getMatchWithScores(parseInt(matchId), req.network.chainId);
+      if (!details) {
         return res.status(404).json({
           success: false,
           error: 'Match not found'
         });
       }
+
+      const { score, events, ...match } = details;
       
       // Get match stats
-      const stats = await Match.getMatchStats(parseInt(matchId));
+      const stats = await Match.getMatchStats(parseInt(matchId), req.network.chainId);
       
       return res.status(200).json({
         success: true,
         data: {
           match,
+          score,
+          events,
           stats
         }
       });
@@ -144,15 +152,16 @@ class MatchController {
         odds_team_b: parseFloat(odds_team_b)
       };
 
-      const chainResult = await web3Service.createMatchOnChain(matchData);
+      const chainResult = await web3Service.forNetwork(req.network.key).createMatchOnChain(matchData);
       
       // Create match in database
       const dbMatch = await Match.create({
         match_id: chainResult.matchId,
+        chain_id: req.network.chainId,
         ...matchData
       });
 
-      logger.info(`Match created: ${chainResult.matchId} - ${team_a} vs ${team_b}`);
+      logger.info(`Match created on ${req.network.key}: ${chainResult.matchId} - ${team_a} vs ${team_b}`);
 
       return res.status(201).json({
         success: true,
@@ -160,6 +169,8 @@ class MatchController {
         data: {
           match: dbMatch,
           chain: {
+            network: req.network.name,
+            chainId: req.network.chainId,
             txHash: chainResult.txHash,
             matchId: chainResult.matchId
           }
@@ -181,7 +192,7 @@ class MatchController {
       const updateData = req.body;
 
       // Validate match exists
-      const match = await Match.findById(parseInt(matchId));
+      const match = await Match.findById(parseInt(matchId), req.network.chainId);
       if (!match) {
         return res.status(404).json({
           success: false,
@@ -189,8 +200,15 @@ class MatchController {
         });
       }
 
+      if (updateData.status !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use PUT /matches/:matchId/status to change the status'
+        });
+      }
+
       // Don't allow updating certain fields if bets are placed
-      if (match.total_staked > 0) {
+      if (match.total_staked > 0 || match.parlay_staked > 0) {
         const restrictedFields = ['odds_team_a', 'odds_draw', 'odds_team_b', 'match_date'];
         const hasRestrictedFields = Object.keys(updateData).some(field => 
           restrictedFields.includes(field)
@@ -205,7 +223,7 @@ class MatchController {
       }
 
       // Update match
-      const updatedMatch = await Match.update(parseInt(matchId), updateData);
+      const updatedMatch = await Match.update(parseInt(matchId), updateData, req.network.chainId);
 
       if (!updatedMatch) {
         return res.status(500).json({
@@ -230,115 +248,119 @@ class MatchController {
     }
   }
 
-  // Update match status (admin only)
+  // Move a match to another status (admin only); see matchLifecycleService for the legal moves
   static async updateMatchStatus(req, res) {
     try {
       const { matchId } = req.params;
-      const { status } = req.body;
-
-      // Validate status
-      const validStatuses = Object.values(constants.MATCH_STATUS);
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-        });
-      }
-
-      // Validate match exists
-      const match = await Match.findById(parseInt(matchId));
-      if (!match) {
-        return res.status(404).json({
-          success: false,
-          error: 'Match not found'
-        });
-      }
+      const { status, reason } = req.body;
+
+      const move = {
+        chainId: req.network.chainId,
+        matchId,
+        to: status,
+        source: matchLifecycleService.SOURCES.ADMIN,
+        actor: req.user.walletAddress,
+        reason
+      };
 
-      // Update on blockchain if needed
-      if (status === constants.MATCH_STATUS.FINISHED) {
-        // Only update blockchain when match is finished
-        // The actual result will be set separately
+      const { match: updatedMatch } = status === constants.MATCH_STATUS.FINISHED
+        ? await matchLifecycleService.finish(move)
+        : await matchLifecycleService.transition(move);
+
+      // Refund single bets and void accumulator legs on a cancelled match.
+      // A failed refund is recorded and can be resumed from the admin refunds endpoint.
+      let refund;
+      if (status === constants.MATCH_STATUS.CANCELLED) {
+        try {
+          refund = await refundService.refundMatch(parseInt(matchId), req.user.walletAddress, req.network.chainId);
+        } catch (refundError) {
+          logger.warn(`Refund not started for match ${matchId}: ${refundError.message}`);
+          refund = { match_id: parseInt(matchId), status: 'not_started', last_error: refundError.message };
+        }
       }
 
-      // Update in database
-      const updatedMatch = await Match.update(parseInt(matchId), { status });
-
       logger.info(`Match status updated: ${matchId} -> ${status}`);
 
       return res.status(200).json({
         success: true,
         message: 'Match status updated successfully',
-        data: updatedMatch
+        data: updatedMatch,
+        refund
       });
     } catch (error) {
       logger.error('Update match status error:', error);
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to update match status'
+        error: error.message || 'Failed to update match status'
       });
     }
   }
 
-  // Set match result (admin/oracle only)
-  static async setMatchResult(req, res) {
+  // Status history of a match and the statuses it can move to next
+  static async getMatchTransitions(req, res) {
     try {
-      const { matchId } = req.params;
-      const { result, verified_by } = req.body;
+      const transitions = await matchLifecycleService.getTransitions(req.network.chainId, req.params.matchId);
 
-      // Validate result
-      const validResults = Object.values(constants.OUTCOMES);
-      if (!validResults.includes(parseInt(result))) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid result. Must be one of: ${validResults.join(', ')}`
-        });
-      }
+      return res.status(200).json({
+        success: true,
+        data: transitions
+      });
+    } catch (error) {
+      logger.error('Get match transitions error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to get match transitions'
+      });
+    }
+  }
 
-      // Validate match exists and is finished
-      const match = await Match.findById(parseInt(matchId));
-      if (!match) {
-        return res.status(404).json({
-          success: false,
-          error: 'Match not found'
-        });
-      }
+  // Report a match result (admin/oracle only). The match is settled once
+  // enough sources agree; until then the report is recorded and 202 returned.
+  static async setMatchResult(req, res) {
+    try {
+      const { matchId } = req.params;
+      const { result, score_a, score_b } = req.body;
+
+      const consensus = await resultConsensusService.attestFromWallet({
+        chainId: req.network.chainId,
+        matchId: parseInt(matchId),
+        result,
+        scoreA: score_a,
+        scoreB: score_b,
+        walletAddress: req.user.walletAddress
+      });
 
-      if (match.status !== constants.MATCH_STATUS.FINISHED) {
-        return res.status(400).json({
-          success: false,
-          error: 'Match must be finished to set result'
-        });
-      }
+      if (consensus.status !== resultConsensusService.STATE.SETTLED) {
+        const message = consensus.status === resultConsensusService.STATE.REVIEW
+          ? 'Sources disagree; the match is waiting for manual review'
+          : `Result recorded; ${consensus.confirmations || 0} of ${consensus.required} confirmations`;
 
-      if (match.result !== null) {
-        return res.status(400).json({
-          success: false,
-          error: 'Result already set for this match'
+        return res.status(202).json({
+          success: true,
+          message,
+          data: consensus
         });
       }
 
-      // Set result on blockchain
-      const chainResult = await web3Service.setMatchResultOnChain(
-        parseInt(matchId),
-        parseInt(result)
-      );
-
-      logger.info(`Match result set: ${matchId} -> ${result}`);
+      logger.info(`Match result set: ${matchId} -> ${consensus.result}`);
 
       return res.status(200).json({
         success: true,
-        message: 'Match result set successfully',
+        message: consensus.provisional
+          ? `Match result set; open to disputes until ${consensus.dispute_until.toISOString()}`
+          : 'Match result set successfully',
         data: {
           matchId,
-          result,
+          result: consensus.result,
           chain: {
-            txHash: chainResult.txHash
-          }
+            txHash: consensus.tx_hash
+          },
+          consensus
         }
       });
     } catch (error) {
       logger.error('Set match result error:', error);
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: error.message || 'Failed to set match result'
       });
@@ -360,7 +382,8 @@ class MatchController {
 
       const filters = {
         outcome: outcome !== undefined ? parseInt(outcome) : undefined,
-        status
+        status,
+        chain_id: req.network.chainId
       };
 
       const pagination = {
@@ -391,7 +414,7 @@ class MatchController {
     try {
       const { matchId } = req.params;
       
-      const stats = await Match.getMatchStats(parseInt(matchId));
+      const stats = await Match.getMatchStats(parseInt(matchId), req.network.chainId);
       
       if (!stats) {
         return res.status(404).json({
@@ -401,7 +424,7 @@ class MatchController {
       }
       
       // Get bet distribution
-      const betStats = await Bet.getMatchBetStats(parseInt(matchId));
+      const betStats = await Bet.getMatchBetStats(parseInt(matchId), req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -419,12 +442,61 @@ class MatchController {
     }
   }
 
+  // Goals, cards and substitutions in order, with the score after each goal
+  static async getMatchTimeline(req, res) {
+    try {
+      const { matchId } = req.params;
+
+      const match = await Match.getMatchWithScores(parseInt(matchId), req.network.chainId);
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: 'Match not found'
+        });
+      }
+
+      const goalTypes = [
+        constants.MATCH_EVENT_TYPES.GOAL,
+        constants.MATCH_EVENT_TYPES.OWN_GOAL,
+        constants.MATCH_EVENT_TYPES.PENALTY_GOAL
+      ];
+      const running = { team_a: 0, team_b: 0 };
+
+      const timeline = match.events.map(event => {
+        if (!goalTypes.includes(event.type) || !event.team) {
+          return event;
+        }
+
+        running[event.team]++;
+        return { ...event, score: { ...running } };
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          match_id: match.match_id,
+          team_a: match.team_a,
+          team_b: match.team_b,
+          status: match.status,
+          score: match.score,
+          events: timeline
+        }
+      });
+    } catch (error) {
+      logger.error('Get match timeline error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get match timeline'
+      });
+    }
+  }
+
   // Get upcoming matches
   static async getUpcomingMatches(req, res) {
     try {
       const { limit = 10 } = req.query;
       
-      const matches = await Match.getUpcomingMatches(parseInt(limit));
+      const matches = await Match.getUpcomingMatches(parseInt(limit), req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -442,7 +514,7 @@ class MatchController {
   // Get live matches
   static async getLiveMatches(req, res) {
     try {
-      const matches = await Match.getLiveMatches();
+      const matches = await Match.getLiveMatches(req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -462,7 +534,7 @@ class MatchController {
     try {
       const { limit = 10 } = req.query;
       
-      const matches = await Match.getFinishedMatches(parseInt(limit));
+      const matches = await Match.getFinishedMatches(parseInt(limit), req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -482,7 +554,7 @@ class MatchController {
     try {
       const { limit = 5 } = req.query;
       
-      const matches = await Match.getPopularMatches(parseInt(limit));
+      const matches = await Match.getPopularMatches(parseInt(limit), req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -502,7 +574,7 @@ class MatchController {
     try {
       const { groupName } = req.params;
       
-      const matches = await Match.getMatchesByGroup(groupName);
+      const matches = await Match.getMatchesByGroup(groupName, req.network.chainId);
       
       return res.status(200).json({
         success: true,
@@ -523,7 +595,7 @@ class MatchController {
 static async getGroups(req, res) {
   try {
     // Get all matches
-    const result = await Match.findAll();
+    const result = await Match.findAll({ chain_id: req.network.chainId });
     
     // Group matches by group name
     const groupedMatches = {};
@@ -590,7 +662,7 @@ static async getGroups(req, res) {
       const { matchId } = req.params;
 
       // Validate match exists
-      const match = await Match.findById(parseInt(matchId));
+      const match = await Match.findById(parseInt(matchId), req.network.chainId);
       if (!match) {
         return res.status(404).json({
           success: false,
@@ -599,7 +671,7 @@ static async getGroups(req, res) {
       }
 
       // Check if bets have been placed
-      if (match.total_staked > 0) {
+      if (match.total_staked > 0 || match.parlay_staked > 0) {
         return res.status(400).json({
           success: false,
           error: 'Cannot delete match with active bets'
@@ -607,7 +679,7 @@ static async getGroups(req, res) {
       }
 
       // Delete match
-      const deletedMatch = await Match.delete(parseInt(matchId));
+      const deletedMatch = await Match.delete(parseInt(matchId), req.network.chainId);
 
       logger.info(`Match deleted: ${matchId}`);
 
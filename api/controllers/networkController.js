@@ -0,0 +1,32 @@
+// src/controllers/networkController.js
+const networks = require('../config/networks');
+const logger = require('../utils/logger');
+
+class NetworkController {
+  // Networks this deployment runs on, with the contract wallets should send to
+  static async getNetworks(req, res) {
+    try {
+      const data = networks.getEnabledNetworks().map(network => ({
+        key: network.key.toLowerCase(),
+        name: network.name,
+        chain_id: network.chainId,
+        explorer: network.explorer,
+        contract_address: network.contractAddress,
+        is_default: network.isDefault
+      }));
+
+      return res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Get networks error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get networks'
+      });
+    }
+  }
+}
+
+module.exports = NetworkController;
@@ -0,0 +1,238 @@
+// src/controllers/partnerController.js
+const Match = require('../models/Match');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const OUTCOME_NAMES = {
+  [constants.OUTCOMES.TEAM_A_WIN]: 'team_a',
+  [constants.OUTCOMES.DRAW]: 'draw',
+  [constants.OUTCOMES.TEAM_B_WIN]: 'team_b'
+};
+
+// Partners get a stable, documented shape instead of raw table rows
+const formatMatch = (match) => ({
+  matchId: match.match_id,
+  teamA: match.team_a,
+  teamB: match.team_b,
+  kickoff: match.match_date,
+  venue: match.venue,
+  group: match.group_name,
+  status: match.status
+});
+
+const formatOdds = (match) => ({
+  matchId: match.match_id,
+  teamA: match.odds_team_a,
+  draw: match.odds_draw,
+  teamB: match.odds_team_b,
+  updatedAt: match.updated_at
+});
+
+const formatResult = (match) => {
+  const outcome = match.result === null ? null : parseInt(match.result);
+
+  return {
+    matchId: match.match_id,
+    teamA: match.team_a,
+    teamB: match.team_b,
+    kickoff: match.match_date,
+    status: match.status,
+    outcome: outcome === null ? null : OUTCOME_NAMES[outcome] || null,
+    outcomeCode: outcome,
+    // A provisional outcome can still be overturned by a dispute
+    provisional: outcome !== null && !!match.result_status && match.result_status !== constants.RESULT_STATUS.FINAL
+  };
+};
+
+const parsePagination = (query) => ({
+  page: parseInt(query.page) || 1,
+  limit: Math.min(parseInt(query.limit) || constants.PAGINATION.DEFAULT_LIMIT, constants.PAGINATION.MAX_LIMIT)
+});
+
+class PartnerController {
+  static async getMatches(req, res) {
+    try {
+      const { status, group, team, from, to } = req.query;
+
+      const result = await Match.findAll({
+        status,
+        group_name: group,
+        team,
+        start_date: from,
+        end_date: to,
+        chain_id: req.network.chainId
+      }, parsePagination(req.query));
+
+      return res.status(200).json({
+        success: true,
+        data: result.data.map(formatMatch),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Partner get matches error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get matches'
+      });
+    }
+  }
+
+  static async getMatch(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId, req.network.chainId);
+
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: 'Match not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: formatMatch(match)
+      });
+    } catch (error) {
+      logger.error('Partner get match error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get match'
+      });
+    }
+  }
+
+  // Odds for every match that can still be bet on
+  static async getOdds(req, res) {
+    try {
+      const [upcoming, live] = await Promise.all([
+        Match.findAll({ status: constants.MATCH_STATUS.UPCOMING, chain_id: req.network.chainId }, parsePagination(req.query)),
+        Match.getLiveMatches(req.network.chainId)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: [...live, ...upcoming.data].map(formatOdds),
+        pagination: upcoming.pagination
+      });
+    } catch (error) {
+      logger.error('Partner get odds error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get odds'
+      });
+    }
+  }
+
+  static async getMatchOdds(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId, req.network.chainId);
+
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: 'Match not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: formatOdds(match)
+      });
+    } catch (error) {
+      logger.error('Partner get match odds error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get match odds'
+      });
+    }
+  }
+
+  static async getResults(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      const result = await Match.findAll({
+        status: constants.MATCH_STATUS.FINISHED,
+        has_result: true,
+        start_date: from,
+        end_date: to,
+        chain_id: req.network.chainId
+      }, {
+        ...parsePagination(req.query),
+        sort_order: 'desc'
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: result.data.map(formatResult),
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Partner get results error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get results'
+      });
+    }
+  }
+
+  static async getMatchResult(req, res) {
+    try {
+      const match = await Match.findById(req.params.matchId, req.network.chainId);
+
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: 'Match not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: formatResult(match)
+      });
+    } catch (error) {
+      logger.error('Partner get match result error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get match result'
+      });
+    }
+  }
+
+  // Aggregated betting volume per outcome; never exposes individual bets
+  static async getMatchBetStats(req, res) {
+    try {
+      const stats = await Match.getMatchStats(req.params.matchId, req.network.chainId);
+
+      if (!stats) {
+        return res.status(404).json({
+          success: false,
+          error: 'Match not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          matchId: stats.match_id,
+          totalBets: Number(stats.total_bets),
+          totalAmount: Number(stats.total_amount),
+          outcomes: {
+            teamA: { bets: Number(stats.bets_team_a), amount: Number(stats.amount_team_a) },
+            draw: { bets: Number(stats.bets_draw), amount: Number(stats.amount_draw) },
+            teamB: { bets: Number(stats.bets_team_b), amount: Number(stats.amount_team_b) }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Partner get match bet stats error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get match bet stats'
+      });
+    }
+  }
+}
+
+module.exports = PartnerController;
@@ -0,0 +1,97 @@
+// src/controllers/reconciliationController.js
+const ReconciliationReport = require('../models/ReconciliationReport');
+const reconciliationService = require('../services/reconciliationService');
+const logger = require('../utils/logger');
+
+class ReconciliationController {
+  // Compare the contract with the database now (read-only)
+  static async getReconciliation(req, res) {
+    try {
+      const report = await reconciliationService.run({
+        chainId: req.network.chainId,
+        triggeredBy: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Reconciliation error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to reconcile'
+      });
+    }
+  }
+
+  // Compare and write the contract's values back where the database drifted
+  static async repair(req, res) {
+    try {
+      const report = await reconciliationService.run({
+        chainId: req.network.chainId,
+        repair: true,
+        triggeredBy: req.user.walletAddress
+      });
+
+      logger.info(`Reconciliation repair ${report.id} by ${req.user.walletAddress}: ${report.repaired} repaired`);
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Reconciliation repair error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to repair'
+      });
+    }
+  }
+
+  static async getReports(req, res) {
+    try {
+      const { status, page, limit } = req.query;
+
+      const result = await ReconciliationReport.findAll({ status, chain_id: req.network.chainId }, { page, limit });
+
+      return res.status(200).json({
+        success: true,
+        data: result.reports,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get reconciliation reports error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get reconciliation reports'
+      });
+    }
+  }
+
+  static async getReport(req, res) {
+    try {
+      const report = await ReconciliationReport.findById(req.params.reportId);
+
+      if (!report || report.chain_id !== req.network.chainId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reconciliation report not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Get reconciliation report error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get reconciliation report'
+      });
+    }
+  }
+}
+
+module.exports = ReconciliationController;
@@ -0,0 +1,77 @@
+// src/controllers/refundController.js
+const RefundJob = require('../models/RefundJob');
+const refundService = require('../services/refundService');
+const logger = require('../utils/logger');
+
+class RefundController {
+  static async getRefunds(req, res) {
+    try {
+      const { status, page, limit } = req.query;
+
+      const result = await RefundJob.findAll({ status, chain_id: req.network.chainId }, { page, limit });
+
+      return res.status(200).json({
+        success: true,
+        data: result.jobs,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get refunds error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get refunds'
+      });
+    }
+  }
+
+  static async getRefund(req, res) {
+    try {
+      const job = await RefundJob.findByMatchId(req.params.matchId, req.network.chainId);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'No refund found for this match'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: await refundService.buildReport(job)
+      });
+    } catch (error) {
+      logger.error('Get refund error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get refund'
+      });
+    }
+  }
+
+  // Start or resume the refund run for a cancelled match
+  static async runRefund(req, res) {
+    try {
+      const report = await refundService.refundMatch(req.params.matchId, req.user.walletAddress, req.network.chainId);
+
+      return res.status(200).json({
+        success: report.status === RefundJob.STATUS.COMPLETED,
+        data: report
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Run refund error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to run refund'
+      });
+    }
+  }
+}
+
+module.exports = RefundController;
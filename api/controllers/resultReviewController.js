@@ -0,0 +1,74 @@
+// src/controllers/resultReviewController.js
+const ResultReview = require('../models/ResultReview');
+const resultConsensusService = require('../services/resultConsensusService');
+const logger = require('../utils/logger');
+
+class ResultReviewController {
+  // Matches parked because their sources disagree
+  static async getReviews(req, res) {
+    try {
+      const { status = ResultReview.STATUS.OPEN, page, limit } = req.query;
+
+      const result = await ResultReview.findAll(
+        { status, chain_id: req.network.chainId },
+        { page, limit }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: result.reviews,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get result reviews error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get result reviews'
+      });
+    }
+  }
+
+  // Settle a parked match with the result the admin picked
+  static async resolveReview(req, res) {
+    try {
+      const review = await resultConsensusService.resolveReview({
+        chainId: req.network.chainId,
+        reviewId: req.params.reviewId,
+        result: req.body.result,
+        user: req.user
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Review resolved and match settled',
+        data: review
+      });
+    } catch (error) {
+      logger.error('Resolve result review error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to resolve result review'
+      });
+    }
+  }
+
+  // Every source's report for one match
+  static async getConsensus(req, res) {
+    try {
+      const consensus = await resultConsensusService.getConsensus(req.network.chainId, req.params.matchId);
+
+      return res.status(200).json({
+        success: true,
+        data: consensus
+      });
+    } catch (error) {
+      logger.error('Get result consensus error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to get result consensus'
+      });
+    }
+  }
+}
+
+module.exports = ResultReviewController;
@@ -0,0 +1,331 @@
+// src/controllers/roleController.js
+const { ethers } = require('ethers');
+const Role = require('../models/Role');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return 'Permissions must be a non-empty array';
+  }
+
+  const invalid = permissions.filter(p => typeof p !== 'string' || !Role.isValidPermission(p));
+  if (invalid.length > 0) {
+    return `Unknown permissions: ${invalid.join(', ')}`;
+  }
+
+  return null;
+};
+
+class RoleController {
+  static async getPermissions(req, res) {
+    try {
+      return res.status(200).json({
+        success: true,
+        data: Object.values(constants.PERMISSIONS)
+      });
+    } catch (error) {
+      logger.error('Get permissions error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get permissions'
+      });
+    }
+  }
+
+  static async getRoles(req, res) {
+    try {
+      const roles = await Role.findAll();
+
+      return res.status(200).json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get roles'
+      });
+    }
+  }
+
+  static async createRole(req, res) {
+    try {
+      const { name, description, permissions } = req.body;
+
+      if (!name || !ROLE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Role name must be 2-50 lowercase letters, digits or underscores'
+        });
+      }
+
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          error: permissionError
+        });
+      }
+
+      const existing = await Role.findByName(name);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'Role already exists'
+        });
+      }
+
+      const role = await Role.create({ name, description, permissions });
+
+      logger.security('Role created', {
+        role: name,
+        permissions,
+        by: req.user.walletAddress
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+      });
+    } catch (error) {
+      logger.error('Create role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create role'
+      });
+    }
+  }
+
+  static async updateRole(req, res) {
+    try {
+      const { roleName } = req.params;
+      const { description, permissions } = req.body;
+
+      const role = await Role.findByName(roleName);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role not found'
+        });
+      }
+
+      if (role.is_system) {
+        return res.status(400).json({
+          success: false,
+          error: 'Built-in roles cannot be modified'
+        });
+      }
+
+      if (permissions !== undefined) {
+        const permissionError = validatePermissions(permissions);
+        if (permissionError) {
+          return res.status(400).json({
+            success: false,
+            error: permissionError
+          });
+        }
+      }
+
+      const updated = await Role.update(roleName, { description, permissions });
+
+      logger.security('Role updated', {
+        role: roleName,
+        permissions: updated.permissions,
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      logger.error('Update role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update role'
+      });
+    }
+  }
+
+  static async deleteRole(req, res) {
+    try {
+      const { roleName } = req.params;
+
+      const role = await Role.findByName(roleName);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role not found'
+        });
+      }
+
+      if (role.is_system) {
+        return res.status(400).json({
+          success: false,
+          error: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      await Role.delete(roleName);
+
+      logger.security('Role deleted', {
+        role: roleName,
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Delete role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete role'
+      });
+    }
+  }
+
+  static async getAssignments(req, res) {
+    try {
+      const { walletAddress, role } = req.query;
+
+      const assignments = await Role.getAssignments({
+        walletAddress,
+        roleName: role
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: assignments
+      });
+    } catch (error) {
+      logger.error('Get role assignments error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get role assignments'
+      });
+    }
+  }
+
+  static async getWalletRoles(req, res) {
+    try {
+      const { walletAddress } = req.params;
+
+      if (!ethers.isAddress(walletAddress)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid wallet address'
+        });
+      }
+
+      const { roles, permissions } = await Role.getPermissionsForWallet(walletAddress);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          walletAddress: walletAddress.toLowerCase(),
+          roles,
+          permissions
+        }
+      });
+    } catch (error) {
+      logger.error('Get wallet roles error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get wallet roles'
+      });
+    }
+  }
+
+  static async assignRole(req, res) {
+    try {
+      const { walletAddress, role: roleName } = req.body;
+
+      if (!walletAddress || !ethers.isAddress(walletAddress)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Valid wallet address is required'
+        });
+      }
+
+      const role = roleName ? await Role.findByName(roleName) : null;
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role not found'
+        });
+      }
+
+      const assignment = await Role.assign(walletAddress, roleName, req.user.walletAddress);
+
+      logger.security('Role assigned', {
+        walletAddress: walletAddress.toLowerCase(),
+        role: roleName,
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Role assigned successfully',
+        data: assignment
+      });
+    } catch (error) {
+      logger.error('Assign role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to assign role'
+      });
+    }
+  }
+
+  static async revokeRole(req, res) {
+    try {
+      const { walletAddress, roleName } = req.params;
+
+      // Never leave the platform without someone who can manage roles
+      if (roleName === Role.SUPER_ADMIN) {
+        const superAdmins = await Role.countAssignments(Role.SUPER_ADMIN);
+        if (superAdmins <= 1) {
+          return res.status(400).json({
+            success: false,
+            error: 'Cannot revoke the last super admin'
+          });
+        }
+      }
+
+      const revoked = await Role.revoke(walletAddress, roleName);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role assignment not found'
+        });
+      }
+
+      logger.security('Role revoked', {
+        walletAddress: walletAddress.toLowerCase(),
+        role: roleName,
+        by: req.user.walletAddress
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Role revoked successfully'
+      });
+    } catch (error) {
+      logger.error('Revoke role error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to revoke role'
+      });
+    }
+  }
+}
+
+module.exports = RoleController;
@@ -0,0 +1,89 @@
+// src/controllers/transactionController.js
+const Transaction = require('../models/Transaction');
+const transactionService = require('../services/transactionService');
+const logger = require('../utils/logger');
+
+class TransactionController {
+  static async getTransactions(req, res) {
+    try {
+      const { status, method, page, limit } = req.query;
+
+      const result = await Transaction.findAll({ status, method, chain_id: req.network.chainId }, { page, limit });
+
+      return res.status(200).json({
+        success: true,
+        data: result.transactions,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('Get transactions error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get transactions'
+      });
+    }
+  }
+
+  // Look up by internal ID or by the hash of any attempt
+  static async getTransaction(req, res) {
+    try {
+      const { txRef } = req.params;
+
+      const transaction = txRef.startsWith('0x')
+        ? await Transaction.findByHash(txRef)
+        : await Transaction.findById(txRef);
+
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found'
+        });
+      }
+
+      const attempts = await Transaction.getAttempts(transaction.id);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...transaction,
+          attempts
+        }
+      });
+    } catch (error) {
+      logger.error('Get transaction error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get transaction'
+      });
+    }
+  }
+
+  static async speedUpTransaction(req, res) {
+    try {
+      const transaction = await transactionService.speedUpById(req.params.transactionId);
+
+      logger.info(`Transaction ${transaction.id} sped up by ${req.user.walletAddress}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Replacement transaction sent',
+        data: transaction
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Speed up transaction error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to speed up transaction'
+      });
+    }
+  }
+}
+
+module.exports = TransactionController;
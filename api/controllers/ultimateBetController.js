@@ -0,0 +1,417 @@
+// src/controllers/ultimateBetController.js
+const UltimateBet = require('../models/UltimateBet');
+const OutrightOdds = require('../models/OutrightOdds');
+const User = require('../models/User');
+const web3Service = require('../services/web3Service');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class UltimateBetController {
+  // Outright (tournament winner) odds per team
+  static async getOutrightOdds(req, res) {
+    try {
+      const { include_eliminated } = req.query;
+
+      const [odds, teamStats, champion] = await Promise.all([
+        OutrightOdds.findAll(include_eliminated === 'true' ? {} : { eliminated: false }),
+        UltimateBet.getTeamStats(),
+        OutrightOdds.getChampion()
+      ]);
+
+      const statsByTeam = new Map(teamStats.map(stat => [stat.team_id, stat]));
+
+      return res.status(200).json({
+        success: true,
+        data: odds.map(team => ({
+          ...team,
+          total_bets: statsByTeam.get(team.team_id)?.total_bets || 0,
+          total_staked: statsByTeam.get(team.team_id)?.total_staked || 0
+        })),
+        champion
+      });
+    } catch (error) {
+      logger.error('Get outright odds error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get outright odds'
+      });
+    }
+  }
+
+  // Place a tournament-winner bet from the platform wallet. The contract allows
+  // one active ultimate bet per sender, so this only suits a single custodial user.
+  static async placeUltimateBet(req, res) {
+    try {
+      // Stakes must come from the user's wallet; see confirmUltimateBet
+      if (!constants.CUSTODIAL_BETS_ENABLED) {
+        return res.status(410).json({
+          success: false,
+          error: 'Server-placed bets are disabled. Send placeUltimateBet from your wallet and submit the hash to /ultimate-bets/confirm'
+        });
+      }
+
+      const { walletAddress } = req.user;
+      const { team_id, amount } = req.body;
+
+      if (team_id === undefined || !amount) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team ID and amount are required'
+        });
+      }
+
+      const minAmount = constants.BETTING_LIMITS.MIN_AMOUNT;
+      const maxAmount = constants.BETTING_LIMITS.MAX_AMOUNT;
+
+      if (amount < minAmount) {
+        return res.status(400).json({
+          success: false,
+          error: `Minimum bet amount is ${minAmount} ETH`
+        });
+      }
+
+      if (amount > maxAmount) {
+        return res.status(400).json({
+          success: false,
+          error: `Maximum bet amount is ${maxAmount} ETH`
+        });
+      }
+
+      const champion = await OutrightOdds.getChampion();
+      if (champion) {
+        return res.status(400).json({
+          success: false,
+          error: 'The tournament winner has already been decided'
+        });
+      }
+
+      const team = await OutrightOdds.findByTeamId(team_id);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team not found'
+        });
+      }
+
+      if (team.eliminated) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team has been eliminated'
+        });
+      }
+
+      // The contract allows one active ultimate bet per bettor
+      const activeBet = await UltimateBet.findActiveByUser(walletAddress);
+      if (activeBet) {
+        return res.status(400).json({
+          success: false,
+          error: 'You already have an active ultimate bet'
+        });
+      }
+
+      const chainResult = await web3Service.placeUltimateBetOnChain(
+        walletAddress,
+        team.team_id,
+        team.team_name,
+        parseFloat(amount),
+        team.odds
+      );
+
+      const dbBet = await UltimateBet.create({
+        bet_id: chainResult.betId,
+        user_address: walletAddress,
+        team_id: team.team_id,
+        team_name: team.team_name,
+        amount: parseFloat(amount),
+        potential_win: chainResult.potentialWin,
+        odds: chainResult.odds,
+        status: constants.BET_STATUS.PENDING,
+        tx_hash: chainResult.txHash
+      });
+
+      await User.updateStats(walletAddress, {
+        total_bets: 1,
+        total_staked: parseFloat(amount)
+      });
+
+      logger.info(`Ultimate bet placed: ${chainResult.betId} by ${walletAddress} on ${team.team_name}`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Ultimate bet placed successfully',
+        data: {
+          bet: dbBet,
+          chain: {
+            txHash: chainResult.txHash,
+            betId: chainResult.betId
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Place ultimate bet error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to place ultimate bet'
+      });
+    }
+  }
+
+  // Record an ultimate bet the user placed from their own wallet
+  static async confirmUltimateBet(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const { tx_hash } = req.body;
+
+      if (!tx_hash || !/^0x[0-9a-fA-F]{64}$/.test(tx_hash)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid transaction hash is required'
+        });
+      }
+
+      if (await UltimateBet.findByTxHash(tx_hash)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Transaction has already been used'
+        });
+      }
+
+      const verified = await web3Service.verifyUltimateBetTransaction(tx_hash, walletAddress);
+
+      // The indexer may have recorded the bet before the user confirmed it
+      let dbBet = await UltimateBet.findById(verified.betId);
+      if (dbBet) {
+        if (!(await UltimateBet.attachTransaction(verified.betId, tx_hash))) {
+          return res.status(409).json({
+            success: false,
+            error: 'Ultimate bet has already been confirmed'
+          });
+        }
+        dbBet = await UltimateBet.findById(verified.betId);
+      } else {
+        try {
+          dbBet = await UltimateBet.create({
+            bet_id: verified.betId,
+            user_address: walletAddress,
+            team_id: verified.teamId,
+            team_name: verified.teamName,
+            amount: verified.amount,
+            potential_win: verified.potentialWin,
+            odds: verified.odds,
+            status: constants.BET_STATUS.PENDING,
+            tx_hash
+          });
+        } catch (error) {
+          // Lost a race with a concurrent confirm of the same bet
+          if (error.code === 'P2002') {
+            return res.status(409).json({
+              success: false,
+              error: 'Transaction has already been used'
+            });
+          }
+          throw error;
+        }
+      }
+
+      await User.updateStats(walletAddress, {
+        total_bets: 1,
+        total_staked: verified.amount
+      });
+
+      logger.info(`Ultimate bet confirmed: ${verified.betId} by ${walletAddress} (tx ${tx_hash})`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Ultimate bet confirmed successfully',
+        data: {
+          bet: dbBet,
+          chain: {
+            txHash: verified.txHash,
+            betId: verified.betId,
+            blockNumber: verified.blockNumber
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Confirm ultimate bet error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to confirm ultimate bet'
+      });
+    }
+  }
+
+  // Get the current user's ultimate bets
+  static async getMyUltimateBets(req, res) {
+    try {
+      const { walletAddress } = req.user;
+
+      const bets = await UltimateBet.findByUser(walletAddress);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          active: bets.find(bet => bet.active === 1) || null,
+          bets
+        }
+      });
+    } catch (error) {
+      logger.error('Get my ultimate bets error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get ultimate bets'
+      });
+    }
+  }
+
+  // Claim a winning ultimate bet
+  static async claimUltimateWinnings(req, res) {
+    try {
+      const { walletAddress } = req.user;
+      const { betId } = req.params;
+
+      const bet = await UltimateBet.findById(betId);
+      if (!bet) {
+        return res.status(404).json({
+          success: false,
+          error: 'Ultimate bet not found'
+        });
+      }
+
+      if (bet.user_address.toLowerCase() !== walletAddress.toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (bet.status !== constants.BET_STATUS.WON) {
+        return res.status(400).json({
+          success: false,
+          error: 'Ultimate bet is not won'
+        });
+      }
+
+      if (bet.claimed) {
+        return res.status(400).json({
+          success: false,
+          error: 'Ultimate bet already claimed'
+        });
+      }
+
+      const chainResult = await web3Service.claimUltimateWinningsOnChain(parseInt(betId), walletAddress);
+
+      await User.updateStats(walletAddress, {
+        total_won: bet.potential_win
+      });
+
+      logger.info(`Ultimate bet winnings claimed: ${betId} by ${walletAddress}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Winnings claimed successfully',
+        data: {
+          betId,
+          amount: bet.potential_win,
+          chain: {
+            txHash: chainResult.txHash
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Claim ultimate winnings error:', error);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to claim ultimate winnings'
+      });
+    }
+  }
+
+  // Set or update a team's outright odds (admin)
+  static async updateOutrightOdds(req, res) {
+    try {
+      const { teamId } = req.params;
+      const { team_name, odds, eliminated } = req.body;
+
+      const existing = await OutrightOdds.findByTeamId(teamId);
+
+      if (!existing && (!team_name || odds === undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team name and odds are required for a new team'
+        });
+      }
+
+      if (odds !== undefined) {
+        const parsedOdds = parseFloat(odds);
+        if (isNaN(parsedOdds) || parsedOdds < constants.BETTING_LIMITS.MIN_ODDS || parsedOdds > constants.BETTING_LIMITS.MAX_ODDS) {
+          return res.status(400).json({
+            success: false,
+            error: `Odds must be between ${constants.BETTING_LIMITS.MIN_ODDS} and ${constants.BETTING_LIMITS.MAX_ODDS}`
+          });
+        }
+      }
+
+      const record = await OutrightOdds.upsert(teamId, { team_name, odds, eliminated });
+
+      logger.info(`Outright odds updated for team ${teamId} by ${req.user.walletAddress}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Outright odds updated successfully',
+        data: record
+      });
+    } catch (error) {
+      logger.error('Update outright odds error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update outright odds'
+      });
+    }
+  }
+
+  // Declare the tournament winner and settle every ultimate bet (admin/oracle)
+  static async setChampion(req, res) {
+    try {
+      const { team_id } = req.body;
+
+      const team = team_id !== undefined ? await OutrightOdds.findByTeamId(team_id) : null;
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          error: 'Team not found'
+        });
+      }
+
+      const existing = await OutrightOdds.getChampion();
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: `Champion already set: ${existing.team_name}`
+        });
+      }
+
+      await OutrightOdds.setChampion(team.team_id);
+      const settled = await UltimateBet.settleChampion(team.team_id);
+
+      logger.info(`Champion set: ${team.team_name} by ${req.user.walletAddress}`, settled);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Champion set successfully',
+        data: {
+          champion: team.team_name,
+          settled
+        }
+      });
+    } catch (error) {
+      logger.error('Set champion error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to set champion'
+      });
+    }
+  }
+}
+
+module.exports = UltimateBetController;
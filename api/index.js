@@ -3,6 +3,7 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { PrismaClient } = require('@prisma/client');
+const { getDefaultChainId } = require('./config/networks');
 
 const app = express();
 const prisma = new PrismaClient();
@@ -70,6 +71,7 @@ function generateFullWorldCupSchedule() {
         
         matches.push({
           match_id: matchId++,
+          chain_id: getDefaultChainId(),
           team_a: teams[i],
           team_b: teams[j],
           match_date: matchDate,
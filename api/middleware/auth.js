@@ -1,8 +1,13 @@
 // src/middleware/auth.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { constants } = require('../config/constants');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const siweService = require('../services/siweService');
 
 class AuthMiddleware {
   // Verify JWT token
@@ -56,6 +61,23 @@ static async verifyToken(req, res, next) {
       });
     }
     
+    // Access tokens are bound to a refresh token family; once that family is
+    // revoked (logout, logout-all, reuse detection) the access token is dead too
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please log in again.'
+      });
+    }
+
+    const sessionActive = await RefreshToken.isFamilyActive(decoded.sid);
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked. Please log in again.'
+      });
+    }
+    
     // Optional: Verify user exists in database
     try {
       const user = await User.findByWalletAddress(decoded.walletAddress);
@@ -111,32 +133,36 @@ static async verifyToken(req, res, next) {
   }
 }
 
-  // Verify wallet signature
+  // Verify wallet signature (Sign-In With Ethereum)
   static async verifyWallet(req, res, next) {
     try {
       const { walletAddress, signature, message } = req.body;
       
-      if (!walletAddress || !signature || !message) {
+      if (!signature || !message) {
         return res.status(400).json({
           success: false,
-          error: 'Wallet address, signature, and message are required'
+          error: 'Signature and SIWE message are required'
         });
       }
 
-      // In production, you would verify the signature against the message
-      // For now, we'll just validate the wallet address format
-      const isValidAddress = /^0x[a-fA-F0-9]{40}$/.test(walletAddress);
-      
-      if (!isValidAddress) {
-        return res.status(400).json({
+      const verified = await siweService.verify({
+        message,
+        signature,
+        expectedDomain: req.get('host'),
+        expectedAddress: walletAddress
+      });
+
+      req.walletAddress = verified.walletAddress;
+      req.siwe = verified.fields;
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          error: 'Invalid wallet address'
+          error: error.message
         });
       }
 
-      req.walletAddress = walletAddress.toLowerCase();
-      next();
-    } catch (error) {
       logger.error('Wallet verification error:', error);
       return res.status(500).json({
         success: false,
@@ -153,66 +179,127 @@ static async verifyToken(req, res, next) {
     };
 
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      expiresIn: constants.AUTH_TOKENS.ACCESS_TOKEN_TTL
     });
   }
 
-  // Admin authentication
-  static async verifyAdmin(req, res, next) {
-    try {
-      await this.verifyToken(req, res, () => {
-        // Check if user is admin
-        // This would typically check against a database or environment variable
-        const adminWallets = process.env.ADMIN_WALLETS?.split(',') || [];
-        
-        if (!adminWallets.includes(req.user.walletAddress.toLowerCase())) {
+  // Start a new session: short-lived access token plus a rotating refresh token
+  static async issueTokens(walletAddress, userData = {}, req = null) {
+    const familyId = crypto.randomUUID();
+    const meta = req ? { userAgent: req.get('User-Agent'), ip: req.ip } : {};
+
+    const { token: refreshToken } = await RefreshToken.create(walletAddress, familyId, meta);
+    const token = AuthMiddleware.generateToken(walletAddress, {
+      ...userData,
+      sid: familyId
+    });
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: constants.AUTH_TOKENS.ACCESS_TOKEN_TTL
+    };
+  }
+
+  // Permission check for admin routes. All listed permissions are required.
+  static requirePermission(...permissions) {
+    return (req, res, next) => AuthMiddleware.verifyToken(req, res, async () => {
+      try {
+        const { roles, permissions: granted } = await Role.getPermissionsForWallet(req.user.walletAddress);
+        const missing = permissions.filter(permission => !Role.hasPermission(granted, permission));
+
+        if (missing.length > 0) {
+          logger.security('Permission denied', {
+            walletAddress: req.user.walletAddress,
+            missing,
+            method: req.method,
+            url: req.originalUrl
+          });
+
           return res.status(403).json({
             success: false,
-            error: 'Admin access required'
+            error: 'Insufficient permissions',
+            required: missing
           });
         }
-        
-        next();
-      });
-    } catch (error) {
-      logger.error('Admin verification error:', error);
-      return res.status(500).json({
-        success: false,
-        error: 'Admin verification failed'
-      });
-    }
-  }
 
-  // API key authentication
-  static async verifyApiKey(req, res, next) {
-    try {
-      const apiKey = req.headers['x-api-key'];
-      
-      if (!apiKey) {
-        return res.status(401).json({
+        req.user.roles = roles;
+        req.user.permissions = granted;
+        next();
+      } catch (error) {
+        logger.error('Permission check error:', error);
+        return res.status(500).json({
           success: false,
-          error: 'API key required'
+          error: 'Permission check failed'
         });
       }
+    });
+  }
 
-      // Verify API key (in production, this would check against a database)
-      const validApiKeys = process.env.API_KEYS?.split(',') || [];
-      
-      if (!validApiKeys.includes(apiKey)) {
-        return res.status(401).json({
+  // Partner API key authentication. All listed scopes are required.
+  static requireApiKey(...scopes) {
+    return async (req, res, next) => {
+      try {
+        const apiKey = req.headers['x-api-key'];
+
+        if (!apiKey) {
+          return res.status(401).json({
+            success: false,
+            error: 'API key required'
+          });
+        }
+
+        const record = await ApiKey.findByKey(apiKey);
+
+        if (!record || record.revoked_at) {
+          logger.security('Invalid API key used', {
+            ip: req.ip,
+            url: req.originalUrl
+          });
+
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid API key'
+          });
+        }
+
+        if (!ApiKey.hasScopes(record, scopes)) {
+          return res.status(403).json({
+            success: false,
+            error: 'API key lacks required scope',
+            required: scopes.filter(scope => !record.scopes.includes(scope))
+          });
+        }
+
+        const remaining = await ApiKey.recordUsage(record, req.ip);
+
+        if (record.quota_per_day !== null) {
+          res.setHeader('X-Quota-Limit', record.quota_per_day);
+          res.setHeader('X-Quota-Remaining', Math.max(remaining, 0));
+        }
+
+        if (remaining === -1) {
+          return res.status(429).json({
+            success: false,
+            error: 'Daily API quota exceeded'
+          });
+        }
+
+        req.apiKey = {
+          id: record.id,
+          owner: record.owner,
+          scopes: record.scopes
+        };
+
+        next();
+      } catch (error) {
+        logger.error('API key verification error:', error);
+        return res.status(500).json({
           success: false,
-          error: 'Invalid API key'
+          error: 'API key verification failed'
         });
       }
-
-      next();
-    } catch (error) {
-      logger.error('API key verification error:', error);
-      return res.status(500).json({
-        success: false,
-        error: 'API key verification failed'
-      });
-    }
+    };
   }
 
   // Rate limiting middleware
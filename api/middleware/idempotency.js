@@ -0,0 +1,120 @@
+// src/middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// JSON with sorted keys so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// The query string is part of the request: ?chain= picks the network
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}\n${req.baseUrl}${req.path}\n${stableStringify(req.query || {})}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+class IdempotencyMiddleware {
+  // Honour an optional Idempotency-Key header. Must run after verifyToken;
+  // keys are scoped to the authenticated wallet.
+  static idempotent() {
+    return async (req, res, next) => {
+      const key = req.get(constants.IDEMPOTENCY.HEADER);
+
+      if (key === undefined) {
+        return next();
+      }
+
+      if (!key || key.length > constants.IDEMPOTENCY.MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Idempotency-Key must be 1-${constants.IDEMPOTENCY.MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      try {
+        const path = `${req.baseUrl}${req.path}`;
+        const requestHash = fingerprint(req);
+
+        const { record, created } = await IdempotencyKey.acquire({
+          key,
+          walletAddress: req.user.walletAddress,
+          method: req.method,
+          path,
+          requestHash
+        });
+
+        if (!created) {
+          if (record.method !== req.method || record.path !== path || record.request_hash !== requestHash) {
+            logger.warn('Idempotency key reused with a different payload', {
+              walletAddress: req.user.walletAddress,
+              key,
+              path
+            });
+
+            return res.status(409).json({
+              success: false,
+              error: 'Idempotency-Key has already been used for a different request'
+            });
+          }
+
+          if (record.status === IdempotencyKey.STATUS.IN_PROGRESS) {
+            res.setHeader('Retry-After', 1);
+            return res.status(409).json({
+              success: false,
+              error: 'A request with this Idempotency-Key is still being processed'
+            });
+          }
+
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(record.response_status).json(record.response_body);
+        }
+
+        // Persist whatever the handler responds with before it reaches the client,
+        // so a retry racing the response sees the stored result. Failures are stored
+        // too: a 500 may come after the bet already went on-chain, so retrying under
+        // the same key must not run the handler again.
+        let stored = false;
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+          stored = true;
+          IdempotencyKey.complete(record.id, res.statusCode, body)
+            .catch(error => logger.error('Failed to store idempotent response:', error))
+            .finally(() => originalJson(body));
+          return res;
+        };
+
+        // A response sent some other way (res.send, res.end, Express's default
+        // error handler) has nothing to replay; free the key so a retry runs.
+        // A handler that never responds holds the key until its lease runs out.
+        res.on('finish', () => {
+          if (!stored) {
+            IdempotencyKey.release(record.id)
+              .catch(error => logger.error('Failed to release idempotency key:', error));
+          }
+        });
+
+        next();
+      } catch (error) {
+        logger.error('Idempotency middleware error:', error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to process Idempotency-Key'
+        });
+      }
+    };
+  }
+}
+
+module.exports = IdempotencyMiddleware;
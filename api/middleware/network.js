@@ -0,0 +1,23 @@
+// src/middleware/network.js
+const networks = require('../config/networks');
+
+class NetworkMiddleware {
+  // Resolve ?chain= (network key, name or chain ID) into req.network.
+  // Without it the request runs against the default network.
+  static selectNetwork() {
+    return (req, res, next) => {
+      try {
+        req.network = networks.fromRequest(req);
+        next();
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          error: error.message,
+          networks: networks.getEnabledNetworks().map(network => network.key.toLowerCase())
+        });
+      }
+    };
+  }
+}
+
+module.exports = NetworkMiddleware;
@@ -0,0 +1,229 @@
+// src/models/ApiKey.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Keys are stored as a peppered HMAC; the plaintext is shown once on creation
+const hashKey = (key) => crypto
+  .createHmac('sha256', constants.API_KEYS.PEPPER || '')
+  .update(key)
+  .digest('hex');
+
+const generateKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(constants.SECURITY.API_KEY_LENGTH).toString('base64url');
+
+  return {
+    key: `${constants.API_KEYS.PREFIX}${prefix}_${secret}`,
+    prefix: `${constants.API_KEYS.PREFIX}${prefix}`
+  };
+};
+
+// Never hand the hash back to callers
+const sanitize = (record) => {
+  if (!record) return record;
+  const { key_hash, ...rest } = record;
+  return rest;
+};
+
+class ApiKey {
+  static async create({ name, owner, scopes, quotaPerDay, createdBy, rotatedFrom }) {
+    try {
+      const { key, prefix } = generateKey();
+
+      const record = await prisma.apiKey.create({
+        data: {
+          name,
+          owner,
+          key_prefix: prefix,
+          key_hash: hashKey(key),
+          scopes,
+          quota_per_day: quotaPerDay === undefined ? constants.API_KEYS.DEFAULT_QUOTA_PER_DAY : quotaPerDay,
+          created_by: createdBy ? createdBy.toLowerCase() : null,
+          rotated_from: rotatedFrom || null
+        }
+      });
+
+      return { key, record: sanitize(record) };
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const record = await prisma.apiKey.findUnique({
+        where: { id: parseInt(id) }
+      });
+      return sanitize(record);
+    } catch (error) {
+      logger.error('Error finding API key:', error);
+      throw error;
+    }
+  }
+
+  static async findByKey(key) {
+    try {
+      if (!key || typeof key !== 'string' || !key.startsWith(constants.API_KEYS.PREFIX)) {
+        return null;
+      }
+
+      const record = await prisma.apiKey.findUnique({
+        where: { key_hash: hashKey(key) }
+      });
+      return sanitize(record);
+    } catch (error) {
+      logger.error('Error finding API key by value:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      const where = {};
+      if (filters.owner) where.owner = filters.owner;
+      if (filters.active === true) where.revoked_at = null;
+
+      const records = await prisma.apiKey.findMany({
+        where,
+        orderBy: { created_at: 'desc' }
+      });
+      return records.map(sanitize);
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, { name, scopes, quotaPerDay }) {
+    try {
+      const data = {};
+      if (name !== undefined) data.name = name;
+      if (scopes !== undefined) data.scopes = scopes;
+      if (quotaPerDay !== undefined) data.quota_per_day = quotaPerDay;
+
+      const record = await prisma.apiKey.update({
+        where: { id: parseInt(id) },
+        data
+      });
+      return sanitize(record);
+    } catch (error) {
+      logger.error('Error updating API key:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(id) {
+    try {
+      const result = await prisma.apiKey.updateMany({
+        where: {
+          id: parseInt(id),
+          revoked_at: null
+        },
+        data: { revoked_at: new Date() }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  // Issue a replacement with the same owner, scopes and quota, then revoke the old key
+  static async rotate(id, rotatedBy) {
+    try {
+      const current = await ApiKey.findById(id);
+      if (!current || current.revoked_at) {
+        return null;
+      }
+
+      const created = await ApiKey.create({
+        name: current.name,
+        owner: current.owner,
+        scopes: current.scopes,
+        quotaPerDay: current.quota_per_day,
+        createdBy: rotatedBy,
+        rotatedFrom: current.id
+      });
+
+      await ApiKey.revoke(current.id);
+      return created;
+    } catch (error) {
+      logger.error('Error rotating API key:', error);
+      throw error;
+    }
+  }
+
+  // Count one request against the key's daily quota.
+  // Returns the remaining quota, or -1 when the quota is exhausted.
+  static async recordUsage(record, ip = null) {
+    try {
+      const now = new Date();
+      const windowExpired = now - record.usage_window_start >= constants.TIME.ONE_DAY;
+
+      let result;
+      if (windowExpired) {
+        // Only one concurrent request gets to reset the window
+        result = await prisma.apiKey.updateMany({
+          where: {
+            id: record.id,
+            usage_window_start: record.usage_window_start
+          },
+          data: {
+            usage_count: 1,
+            usage_window_start: now,
+            last_used_at: now,
+            last_used_ip: ip
+          }
+        });
+
+        if (result.count === 1) {
+          return record.quota_per_day === null ? null : record.quota_per_day - 1;
+        }
+      }
+
+      const where = { id: record.id };
+      if (record.quota_per_day !== null) {
+        where.usage_count = { lt: record.quota_per_day };
+      }
+
+      result = await prisma.apiKey.updateMany({
+        where,
+        data: {
+          usage_count: { increment: 1 },
+          last_used_at: now,
+          last_used_ip: ip
+        }
+      });
+
+      if (result.count === 0) {
+        return -1;
+      }
+
+      if (record.quota_per_day === null) {
+        return null;
+      }
+
+      const updated = await prisma.apiKey.findUnique({
+        where: { id: record.id },
+        select: { usage_count: true }
+      });
+      return Math.max(record.quota_per_day - updated.usage_count, 0);
+    } catch (error) {
+      logger.error('Error recording API key usage:', error);
+      throw error;
+    }
+  }
+
+  static hasScopes(record, scopes) {
+    return scopes.every(scope => record.scopes.includes(scope));
+  }
+
+  static isValidScope(scope) {
+    return Object.values(constants.API_KEYS.SCOPES).includes(scope);
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,72 @@
+// src/models/AuthNonce.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class AuthNonce {
+  static async issue(walletAddress = null) {
+    try {
+      // SIWE nonces must be alphanumeric and at least 8 characters
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const expiresAt = new Date(Date.now() + constants.SIWE.NONCE_TTL);
+
+      const record = await prisma.authNonce.create({
+        data: {
+          nonce,
+          wallet_address: walletAddress ? walletAddress.toLowerCase() : null,
+          expires_at: expiresAt
+        }
+      });
+      return record;
+    } catch (error) {
+      logger.error('Error issuing auth nonce:', error);
+      throw error;
+    }
+  }
+
+  // Atomically mark a nonce as used. Returns false when the nonce is
+  // unknown, expired, already used or bound to a different wallet.
+  static async consume(nonce, walletAddress) {
+    try {
+      const now = new Date();
+      const normalizedAddress = walletAddress.toLowerCase();
+
+      const result = await prisma.authNonce.updateMany({
+        where: {
+          nonce,
+          used_at: null,
+          expires_at: { gt: now },
+          OR: [
+            { wallet_address: null },
+            { wallet_address: normalizedAddress }
+          ]
+        },
+        data: {
+          used_at: now,
+          wallet_address: normalizedAddress
+        }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error consuming auth nonce:', error);
+      throw error;
+    }
+  }
+
+  static async deleteExpired() {
+    try {
+      const result = await prisma.authNonce.deleteMany({
+        where: {
+          expires_at: { lt: new Date() }
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting expired auth nonces:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuthNonce;
@@ -1,20 +1,44 @@
 // src/models/Bet.js
 const prisma = require('../config/database');
 const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
 const logger = require('../utils/logger');
 
+// Bet IDs are per contract: a bet is identified by (chain_id, bet_id).
+// As in Match, lookups by ID default to the default network and list
+// queries cover every network unless a chain ID is given.
+const chainOf = (chainId) => parseInt(chainId) || getDefaultChainId();
+
+const betKey = (betId, chainId) => ({
+  chain_id_bet_id: {
+    chain_id: chainOf(chainId),
+    bet_id: parseInt(betId)
+  }
+});
+
+const chainFilter = (chainId) => (chainId ? { chain_id: parseInt(chainId) } : {});
+
+// Share of a stake left after the platform and oracle fees
+const NET_SHARE = 1 - (constants.FEES.PLATFORM + constants.FEES.ORACLE) / 100;
+
 class Bet {
   static async create(betData) {
     try {
       const bet = await prisma.bet.create({
         data: {
           bet_id: betData.bet_id,
+          chain_id: chainOf(betData.chain_id),
           user_address: betData.user_address.toLowerCase(),
           match_id: parseInt(betData.match_id),
           outcome: parseInt(betData.outcome),
           amount: parseFloat(betData.amount),
           potential_win: parseFloat(betData.potential_win),
           odds: parseFloat(betData.odds),
+          displayed_odds: betData.displayed_odds !== undefined && betData.displayed_odds !== null
+            ? parseFloat(betData.displayed_odds)
+            : null,
+          odds_policy: betData.odds_policy || null,
+          tx_hash: betData.tx_hash ? betData.tx_hash.toLowerCase() : null,
           status: betData.status || constants.BET_STATUS.PENDING,
           claimed: betData.claimed ? 1 : 0, // Convert boolean to 0/1
           placed_at: new Date()
@@ -27,10 +51,13 @@ class Bet {
     }
   }
 
-  static async findById(betId) {
+  static async findById(betId, chainId = null) {
     try {
       const bet = await prisma.bet.findFirst({
-        where: { bet_id: parseInt(betId) },
+        where: {
+          bet_id: parseInt(betId),
+          chain_id: chainOf(chainId)
+        },
         include: {
           match: {
             select: {
@@ -51,7 +78,7 @@ class Bet {
 
   static async findByUser(walletAddress, filters = {}, pagination = {}) {
     try {
-      const { status, match_id, outcome, claimed } = filters;
+      const { status, match_id, outcome, claimed, chain_id } = filters;
       
       const page = parseInt(pagination.page) || 1;
       const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
@@ -62,7 +89,8 @@ class Bet {
       
       // Build where clause
       const where = {
-        user_address: walletAddress.toLowerCase()
+        user_address: walletAddress.toLowerCase(),
+        ...chainFilter(chain_id)
       };
       
       if (status) where.status = status;
@@ -118,7 +146,7 @@ class Bet {
 
   static async findByMatch(matchId, filters = {}, pagination = {}) {
     try {
-      const { outcome, status } = filters;
+      const { outcome, status, chain_id } = filters;
       
       const page = parseInt(pagination.page) || 1;
       const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
@@ -129,7 +157,8 @@ class Bet {
       
       // Build where clause
       const where = {
-        match_id: parseInt(matchId)
+        match_id: parseInt(matchId),
+        chain_id: chainOf(chain_id)
       };
       
       if (outcome !== undefined) where.outcome = parseInt(outcome);
@@ -168,7 +197,24 @@ class Bet {
     }
   }
 
-  static async update(betId, updateData) {
+  // Every on-chain bet recorded for a network, for reconciliation
+  static async findAllByChain(chainId = null) {
+    try {
+      const bets = await prisma.bet.findMany({
+        where: {
+          chain_id: chainOf(chainId),
+          bet_id: { not: null }
+        },
+        orderBy: { bet_id: 'asc' }
+      });
+      return bets;
+    } catch (error) {
+      logger.error('Error finding bets by chain:', error);
+      throw error;
+    }
+  }
+
+  static async update(betId, updateData, chainId = null) {
     try {
       // Prepare data for update
       const data = {};
@@ -194,7 +240,7 @@ class Bet {
       }
       
       const bet = await prisma.bet.update({
-        where: { bet_id: parseInt(betId) },
+        where: betKey(betId, chainId),
         data
       });
       
@@ -205,12 +251,13 @@ class Bet {
     }
   }
 
-  static async updateStatusForMatch(matchId, result) {
+  static async updateStatusForMatch(matchId, result, chainId = null) {
     try {
-      // Find all pending bets for this match
+      // Find all pending bets for this match (cashed-out bets are already closed)
       const pendingBets = await prisma.bet.findMany({
         where: {
           match_id: parseInt(matchId),
+          chain_id: chainOf(chainId),
           status: constants.BET_STATUS.PENDING
         }
       });
@@ -241,11 +288,95 @@ class Bet {
     }
   }
 
-  static async claim(betId, userAddress) {
+  static async findByTxHash(txHash) {
     try {
-      const bet = await prisma.bet.update({
+      const bet = await prisma.bet.findUnique({
+        where: { tx_hash: txHash.toLowerCase() }
+      });
+      return bet;
+    } catch (error) {
+      logger.error('Error finding bet by transaction hash:', error);
+      throw error;
+    }
+  }
+
+  // Link a bet the indexer already created to the transaction its owner submitted
+  static async attachTransaction(betId, txHash, chainId = null) {
+    try {
+      const result = await prisma.bet.updateMany({
         where: {
           bet_id: parseInt(betId),
+          chain_id: chainOf(chainId),
+          tx_hash: null
+        },
+        data: { tx_hash: txHash.toLowerCase() }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error attaching transaction to bet:', error);
+      throw error;
+    }
+  }
+
+  static async getPendingForMatch(matchId, chainId = null) {
+    try {
+      const bets = await prisma.bet.findMany({
+        where: {
+          match_id: parseInt(matchId),
+          chain_id: chainOf(chainId),
+          status: constants.BET_STATUS.PENDING
+        },
+        orderBy: { bet_id: 'asc' }
+      });
+      return bets;
+    } catch (error) {
+      logger.error('Error getting pending bets for match:', error);
+      throw error;
+    }
+  }
+
+  // Mark the bet refunded and take its stake back out of the user's stats.
+  // Guarded so a bet is only refunded once, even if a refund run is repeated.
+  static async markRefunded(bet) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const result = await tx.bet.updateMany({
+          where: {
+            bet_id: bet.bet_id,
+            chain_id: bet.chain_id,
+            status: constants.BET_STATUS.PENDING
+          },
+          data: {
+            status: constants.BET_STATUS.REFUNDED,
+            refunded_at: new Date()
+          }
+        });
+
+        if (result.count !== 1) {
+          return false;
+        }
+
+        await tx.user.updateMany({
+          where: { wallet_address: bet.user_address.toLowerCase() },
+          data: {
+            total_staked: { decrement: bet.amount },
+            updated_at: new Date()
+          }
+        });
+
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error marking bet refunded:', error);
+      throw error;
+    }
+  }
+
+  static async claim(betId, userAddress, chainId = null) {
+    try {
+      const bet = await prisma.bet.update({
+        where: {
+          ...betKey(betId, chainId),
           user_address: userAddress.toLowerCase(),
           status: constants.BET_STATUS.WON
         },
@@ -265,11 +396,12 @@ class Bet {
     }
   }
 
-  static async getUserActiveBets(walletAddress) {
+  static async getUserActiveBets(walletAddress, chainId = null) {
     try {
       const bets = await prisma.bet.findMany({
         where: {
           user_address: walletAddress.toLowerCase(),
+          ...chainFilter(chainId),
           status: constants.BET_STATUS.PENDING,
           match: {
             status: {
@@ -300,11 +432,12 @@ class Bet {
     }
   }
 
-  static async getUserWinningBets(walletAddress) {
+  static async getUserWinningBets(walletAddress, chainId = null) {
     try {
       const bets = await prisma.bet.findMany({
         where: {
           user_address: walletAddress.toLowerCase(),
+          ...chainFilter(chainId),
           status: constants.BET_STATUS.WON
         },
         include: {
@@ -327,12 +460,13 @@ class Bet {
     }
   }
 
-  static async getUserStats(walletAddress) {
+  static async getUserStats(walletAddress, chainId = null) {
     try {
       const stats = await prisma.bet.groupBy({
         by: ['status'],
         where: {
-          user_address: walletAddress.toLowerCase()
+          user_address: walletAddress.toLowerCase(),
+          ...chainFilter(chainId)
         },
         _count: {
           id: true
@@ -358,6 +492,7 @@ class Bet {
         pending_bets: 0,
         won_bets: 0,
         lost_bets: 0,
+        cashed_out_bets: 0,
         total_potential_winnings: 0,
         total_staked: 0,
         average_odds: 0,
@@ -376,6 +511,8 @@ class Bet {
           result.total_potential_winnings = stat._sum.potential_win || 0;
         } else if (stat.status === constants.BET_STATUS.LOST) {
           result.lost_bets = count;
+        } else if (stat.status === constants.BET_STATUS.CASHED_OUT) {
+          result.cashed_out_bets = count;
         }
         
         result.total_staked += stat._sum.amount || 0;
@@ -404,12 +541,13 @@ class Bet {
     }
   }
 
-  static async getMatchBetStats(matchId) {
+  static async getMatchBetStats(matchId, chainId = null) {
     try {
       const stats = await prisma.bet.groupBy({
         by: ['outcome'],
         where: {
           match_id: parseInt(matchId),
+          chain_id: chainOf(chainId),
           status: constants.BET_STATUS.PENDING
         },
         _count: {
@@ -439,9 +577,10 @@ class Bet {
     }
   }
 
-  static async getRecentBets(limit = 20) {
+  static async getRecentBets(limit = 20, chainId = null) {
     try {
       const bets = await prisma.bet.findMany({
+        where: chainFilter(chainId),
         include: {
           user: {
             select: {
@@ -467,10 +606,11 @@ class Bet {
     }
   }
 
-  static async getLargestBets(limit = 10) {
+  static async getLargestBets(limit = 10, chainId = null) {
     try {
       const bets = await prisma.bet.findMany({
         where: {
+          ...chainFilter(chainId),
           status: constants.BET_STATUS.PENDING
         },
         include: {
@@ -499,10 +639,11 @@ class Bet {
     }
   }
 
-  static async getTotalStats() {
+  static async getTotalStats(chainId = null) {
     try {
       const stats = await prisma.bet.groupBy({
         by: ['status'],
+        where: chainFilter(chainId),
         _count: {
           id: true
         },
@@ -566,10 +707,10 @@ class Bet {
     }
   }
 
-  static async delete(betId) {
+  static async delete(betId, chainId = null) {
     try {
       const bet = await prisma.bet.delete({
-        where: { bet_id: parseInt(betId) }
+        where: betKey(betId, chainId)
       });
       return bet;
     } catch (error) {
@@ -578,10 +719,13 @@ class Bet {
     }
   }
 
-  static async exists(betId) {
+  static async exists(betId, chainId = null) {
     try {
       const count = await prisma.bet.count({
-        where: { bet_id: parseInt(betId) }
+        where: {
+          bet_id: parseInt(betId),
+          chain_id: chainOf(chainId)
+        }
       });
       return count > 0;
     } catch (error) {
@@ -589,6 +733,15 @@ class Bet {
       throw error;
     }
   }
+
+  // Odds and potential win as stored, from a BetPlaced event's gross stake and
+  // the contract's potential win, which is on the stake net of fees
+  static fromChainAmounts(amount, chainPotentialWin) {
+    const netStake = amount * NET_SHARE;
+    const odds = netStake > 0 ? Math.round(chainPotentialWin / netStake * 100) / 100 : 1;
+
+    return { odds, potentialWin: amount * odds };
+  }
 }
 
 module.exports = Bet;
\ No newline at end of file
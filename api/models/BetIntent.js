@@ -0,0 +1,205 @@
+// src/models/BetIntent.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+class BetIntent {
+  // Take the stake from the user's balance and queue the intent in one
+  // transaction; a short balance queues nothing
+  static async create(intentData) {
+    try {
+      const walletAddress = intentData.user_address.toLowerCase();
+      const amount = parseFloat(intentData.amount);
+
+      return await prisma.$transaction(async (tx) => {
+        const debited = await tx.user.updateMany({
+          where: {
+            wallet_address: walletAddress,
+            balance: { gte: amount }
+          },
+          data: {
+            balance: { decrement: amount }
+          }
+        });
+
+        if (debited.count !== 1) {
+          throw Object.assign(new Error('Insufficient balance'), { statusCode: 400 });
+        }
+
+        return tx.betIntent.create({
+          data: {
+            chain_id: parseInt(intentData.chain_id) || getDefaultChainId(),
+            user_address: walletAddress,
+            match_id: parseInt(intentData.match_id),
+            outcome: parseInt(intentData.outcome),
+            amount,
+            amount_wei: intentData.amount_wei.toString(),
+            max_odds: parseFloat(intentData.max_odds),
+            deadline: intentData.deadline,
+            nonce: intentData.nonce.toString(),
+            signature: intentData.signature,
+            status: STATUS.QUEUED
+          }
+        });
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error creating bet intent:', error);
+      }
+      throw error;
+    }
+  }
+
+  static async findById(intentId) {
+    try {
+      const intent = await prisma.betIntent.findUnique({
+        where: { id: parseInt(intentId) }
+      });
+      return intent;
+    } catch (error) {
+      logger.error('Error finding bet intent:', error);
+      throw error;
+    }
+  }
+
+  static async findByUser(walletAddress, filters = {}, pagination = {}) {
+    try {
+      const where = { user_address: walletAddress.toLowerCase() };
+      if (filters.status) where.status = filters.status;
+      if (filters.chain_id) where.chain_id = parseInt(filters.chain_id);
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
+
+      const [intents, total] = await Promise.all([
+        prisma.betIntent.findMany({
+          where,
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.betIntent.count({ where })
+      ]);
+
+      return {
+        intents,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding user bet intents:', error);
+      throw error;
+    }
+  }
+
+  // Oldest first, the order they are relayed in
+  static async findByStatus(status, chainId, limit = undefined) {
+    try {
+      const intents = await prisma.betIntent.findMany({
+        where: {
+          status,
+          chain_id: parseInt(chainId)
+        },
+        orderBy: { id: 'asc' },
+        take: limit
+      });
+      return intents;
+    } catch (error) {
+      logger.error('Error finding bet intents by status:', error);
+      throw error;
+    }
+  }
+
+  // Queued to submitted; returns false if another worker took it first
+  static async markSubmitted(intentId) {
+    try {
+      const { count } = await prisma.betIntent.updateMany({
+        where: { id: parseInt(intentId), status: STATUS.QUEUED },
+        data: {
+          status: STATUS.SUBMITTED,
+          submitted_at: new Date()
+        }
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error marking bet intent submitted:', error);
+      throw error;
+    }
+  }
+
+  static async update(intentId, updateData) {
+    try {
+      const intent = await prisma.betIntent.update({
+        where: { id: parseInt(intentId) },
+        data: updateData
+      });
+      return intent;
+    } catch (error) {
+      logger.error('Error updating bet intent:', error);
+      throw error;
+    }
+  }
+
+  static async markConfirmed(intentId, { betId, txHash }) {
+    return BetIntent.update(intentId, {
+      status: STATUS.CONFIRMED,
+      bet_id: betId,
+      tx_hash: txHash.toLowerCase(),
+      completed_at: new Date()
+    });
+  }
+
+  // Close an unplaced intent and return its stake to the user's balance.
+  // Guarded on the open statuses so the stake is returned once.
+  static async markFailed(intentId, message) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const { count } = await tx.betIntent.updateMany({
+          where: {
+            id: parseInt(intentId),
+            status: { in: [STATUS.QUEUED, STATUS.SUBMITTED] }
+          },
+          data: {
+            status: STATUS.FAILED,
+            error: message,
+            completed_at: new Date()
+          }
+        });
+
+        const intent = await tx.betIntent.findUnique({
+          where: { id: parseInt(intentId) }
+        });
+
+        if (count === 1) {
+          await tx.user.update({
+            where: { wallet_address: intent.user_address },
+            data: {
+              balance: { increment: intent.amount }
+            }
+          });
+        }
+
+        return intent;
+      });
+    } catch (error) {
+      logger.error('Error marking bet intent failed:', error);
+      throw error;
+    }
+  }
+}
+
+BetIntent.STATUS = STATUS;
+
+module.exports = BetIntent;
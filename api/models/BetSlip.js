@@ -0,0 +1,353 @@
+// src/models/BetSlip.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+// A slip's legs are all on one network's matches
+const chainOf = (chainId) => parseInt(chainId) || getDefaultChainId();
+
+// Attach legs (with their match) to each slip
+const withLegs = async (slips, client = prisma) => {
+  if (slips.length === 0) return [];
+
+  const legs = await client.betSlipLeg.findMany({
+    where: { slip_id: { in: slips.map(slip => slip.id) } },
+    orderBy: { id: 'asc' }
+  });
+
+  const matches = await client.match.findMany({
+    where: {
+      OR: legs.map(leg => ({ chain_id: leg.chain_id, match_id: leg.match_id }))
+    },
+    select: {
+      chain_id: true,
+      match_id: true,
+      team_a: true,
+      team_b: true,
+      match_date: true,
+      status: true,
+      result: true
+    }
+  });
+  const matchKey = (row) => `${row.chain_id}:${row.match_id}`;
+  const matchesByKey = new Map(matches.map(match => [matchKey(match), match]));
+
+  return slips.map(slip => ({
+    ...slip,
+    legs: legs
+      .filter(leg => leg.slip_id === slip.id)
+      .map(leg => ({ ...leg, match: matchesByKey.get(matchKey(leg)) || null }))
+  }));
+};
+
+class BetSlip {
+  // Debit the stake, create the slip with its legs and add the stake to each
+  // leg's match exposure in one transaction; a short balance creates nothing
+  static async create(slipData) {
+    try {
+      const walletAddress = slipData.user_address.toLowerCase();
+      const stake = parseFloat(slipData.stake);
+      const chainId = chainOf(slipData.chain_id);
+
+      return await prisma.$transaction(async (tx) => {
+        const debited = await tx.user.updateMany({
+          where: {
+            wallet_address: walletAddress,
+            balance: { gte: stake }
+          },
+          data: {
+            balance: { decrement: stake },
+            total_bets: { increment: 1 },
+            total_staked: { increment: stake }
+          }
+        });
+
+        if (debited.count !== 1) {
+          throw Object.assign(new Error('Insufficient balance'), { statusCode: 400 });
+        }
+
+        const slip = await tx.betSlip.create({
+          data: {
+            chain_id: chainId,
+            user_address: walletAddress,
+            type: slipData.type || 'parlay',
+            stake,
+            combined_odds: slipData.combined_odds,
+            potential_win: slipData.potential_win,
+            status: constants.BET_STATUS.PENDING,
+            placed_at: new Date()
+          }
+        });
+
+        await tx.betSlipLeg.createMany({
+          data: slipData.legs.map(leg => ({
+            slip_id: slip.id,
+            chain_id: chainId,
+            match_id: parseInt(leg.match_id),
+            outcome: parseInt(leg.outcome),
+            odds: parseFloat(leg.odds),
+            status: constants.BET_STATUS.PENDING
+          }))
+        });
+
+        // Exposure per match; total_staked only counts on-chain bets
+        for (const leg of slipData.legs) {
+          await tx.match.update({
+            where: {
+              chain_id_match_id: {
+                chain_id: chainId,
+                match_id: parseInt(leg.match_id)
+              }
+            },
+            data: {
+              parlay_staked: { increment: stake },
+              updated_at: new Date()
+            }
+          });
+        }
+
+        const [created] = await withLegs([slip], tx);
+        return created;
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error creating bet slip:', error);
+      }
+      throw error;
+    }
+  }
+
+  static async findById(slipId) {
+    try {
+      const slip = await prisma.betSlip.findUnique({
+        where: { id: parseInt(slipId) }
+      });
+      if (!slip) return null;
+
+      const [result] = await withLegs([slip]);
+      return result;
+    } catch (error) {
+      logger.error('Error finding bet slip by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByUser(walletAddress, filters = {}, pagination = {}) {
+    try {
+      const { status } = filters;
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
+      const sort_by = pagination.sort_by || 'placed_at';
+      const sort_order = pagination.sort_order || 'desc';
+
+      const skip = (page - 1) * limit;
+
+      const where = {
+        user_address: walletAddress.toLowerCase()
+      };
+
+      if (status) where.status = status;
+
+      const validSortColumns = ['placed_at', 'stake', 'combined_odds', 'potential_win', 'settled_at'];
+      const sortColumn = validSortColumns.includes(sort_by) ? sort_by : 'placed_at';
+      const order = sort_order.toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+      const total = await prisma.betSlip.count({ where });
+
+      const slips = await prisma.betSlip.findMany({
+        where,
+        orderBy: { [sortColumn]: order },
+        skip,
+        take: limit
+      });
+
+      return {
+        data: await withLegs(slips),
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding bet slips by user:', error);
+      throw error;
+    }
+  }
+
+  static async getUserActiveSlips(walletAddress) {
+    try {
+      const slips = await prisma.betSlip.findMany({
+        where: {
+          user_address: walletAddress.toLowerCase(),
+          status: constants.BET_STATUS.PENDING
+        },
+        orderBy: { placed_at: 'desc' }
+      });
+      return await withLegs(slips);
+    } catch (error) {
+      logger.error('Error getting user active bet slips:', error);
+      throw error;
+    }
+  }
+
+  static async getUserStats(walletAddress) {
+    try {
+      const stats = await prisma.betSlip.groupBy({
+        by: ['status'],
+        where: {
+          user_address: walletAddress.toLowerCase()
+        },
+        _count: { id: true },
+        _sum: {
+          stake: true,
+          payout: true
+        }
+      });
+
+      const result = {
+        total_slips: 0,
+        pending_slips: 0,
+        won_slips: 0,
+        lost_slips: 0,
+        refunded_slips: 0,
+        total_staked: 0,
+        total_payout: 0
+      };
+
+      stats.forEach(stat => {
+        const count = stat._count.id || 0;
+        result.total_slips += count;
+        result.total_staked += stat._sum.stake || 0;
+        result.total_payout += stat._sum.payout || 0;
+
+        if (stat.status === constants.BET_STATUS.PENDING) result.pending_slips = count;
+        else if (stat.status === constants.BET_STATUS.WON) result.won_slips = count;
+        else if (stat.status === constants.BET_STATUS.LOST) result.lost_slips = count;
+        else if (stat.status === constants.BET_STATUS.REFUNDED) result.refunded_slips = count;
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Error getting user bet slip stats:', error);
+      throw error;
+    }
+  }
+
+  static async getLegs(slipId) {
+    try {
+      const legs = await prisma.betSlipLeg.findMany({
+        where: { slip_id: parseInt(slipId) },
+        orderBy: { id: 'asc' }
+      });
+      return legs;
+    } catch (error) {
+      logger.error('Error getting bet slip legs:', error);
+      throw error;
+    }
+  }
+
+  static async getPendingLegsForMatch(matchId, chainId = null) {
+    try {
+      const legs = await prisma.betSlipLeg.findMany({
+        where: {
+          chain_id: chainOf(chainId),
+          match_id: parseInt(matchId),
+          status: constants.BET_STATUS.PENDING
+        }
+      });
+      return legs;
+    } catch (error) {
+      logger.error('Error getting pending legs for match:', error);
+      throw error;
+    }
+  }
+
+  static async updateLegStatus(legId, status) {
+    try {
+      const result = await prisma.betSlipLeg.updateMany({
+        where: {
+          id: legId,
+          status: constants.BET_STATUS.PENDING
+        },
+        data: {
+          status,
+          settled_at: new Date()
+        }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error updating bet slip leg status:', error);
+      throw error;
+    }
+  }
+
+  // Re-price a still-open slip after one of its legs was voided
+  static async updateOdds(slipId, combinedOdds, potentialWin) {
+    try {
+      const result = await prisma.betSlip.updateMany({
+        where: {
+          id: parseInt(slipId),
+          status: constants.BET_STATUS.PENDING
+        },
+        data: {
+          combined_odds: combinedOdds,
+          potential_win: potentialWin
+        }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error updating bet slip odds:', error);
+      throw error;
+    }
+  }
+
+  // Close a slip and credit the payout. Guarded on the pending status so a
+  // slip is never paid twice.
+  static async settle(slipId, { status, combinedOdds, payout }) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const settled = await tx.betSlip.updateMany({
+          where: {
+            id: parseInt(slipId),
+            status: constants.BET_STATUS.PENDING
+          },
+          data: {
+            status,
+            combined_odds: combinedOdds,
+            payout,
+            settled_at: new Date()
+          }
+        });
+
+        if (settled.count !== 1) {
+          return null;
+        }
+
+        const slip = await tx.betSlip.findUnique({
+          where: { id: parseInt(slipId) }
+        });
+
+        if (payout > 0) {
+          await tx.user.update({
+            where: { wallet_address: slip.user_address },
+            data: {
+              balance: { increment: payout },
+              ...(status === constants.BET_STATUS.WON ? { total_won: { increment: payout } } : {})
+            }
+          });
+        }
+
+        return slip;
+      });
+    } catch (error) {
+      logger.error('Error settling bet slip:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BetSlip;
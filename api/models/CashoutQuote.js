@@ -0,0 +1,123 @@
+// src/models/CashoutQuote.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const quoteError = (message, statusCode = 409) => Object.assign(new Error(message), { statusCode });
+
+class CashoutQuote {
+  static async create(quoteData) {
+    try {
+      const quote = await prisma.cashoutQuote.create({
+        data: {
+          quote_id: crypto.randomUUID(),
+          bet_id: parseInt(quoteData.bet_id),
+          chain_id: parseInt(quoteData.chain_id) || getDefaultChainId(),
+          user_address: quoteData.user_address.toLowerCase(),
+          amount: parseFloat(quoteData.amount),
+          original_odds: parseFloat(quoteData.original_odds),
+          current_odds: parseFloat(quoteData.current_odds),
+          expires_at: new Date(Date.now() + constants.CASHOUT.QUOTE_TTL)
+        }
+      });
+      return quote;
+    } catch (error) {
+      logger.error('Error creating cash-out quote:', error);
+      throw error;
+    }
+  }
+
+  static async findByQuoteId(quoteId) {
+    try {
+      const quote = await prisma.cashoutQuote.findUnique({
+        where: { quote_id: quoteId }
+      });
+      return quote;
+    } catch (error) {
+      logger.error('Error finding cash-out quote:', error);
+      throw error;
+    }
+  }
+
+  // Accept a quote: burn it, close the bet and credit the user, all or nothing
+  static async accept(quote) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const now = new Date();
+
+        const burned = await tx.cashoutQuote.updateMany({
+          where: {
+            id: quote.id,
+            accepted_at: null,
+            expires_at: { gt: now }
+          },
+          data: { accepted_at: now }
+        });
+
+        if (burned.count !== 1) {
+          throw quoteError('Cash-out quote has expired or was already used');
+        }
+
+        // Only a still-pending, unclaimed bet can be cashed out
+        const closed = await tx.bet.updateMany({
+          where: {
+            chain_id: quote.chain_id,
+            bet_id: quote.bet_id,
+            user_address: quote.user_address,
+            status: constants.BET_STATUS.PENDING,
+            claimed: 0
+          },
+          data: {
+            status: constants.BET_STATUS.CASHED_OUT,
+            cashout_amount: quote.amount,
+            cashed_out_at: now
+          }
+        });
+
+        if (closed.count !== 1) {
+          throw quoteError('Bet is no longer eligible for cash-out');
+        }
+
+        await tx.user.update({
+          where: { wallet_address: quote.user_address },
+          data: {
+            balance: { increment: quote.amount }
+          }
+        });
+
+        return tx.bet.findUnique({
+          where: {
+            chain_id_bet_id: {
+              chain_id: quote.chain_id,
+              bet_id: quote.bet_id
+            }
+          }
+        });
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error('Error accepting cash-out quote:', error);
+      }
+      throw error;
+    }
+  }
+
+  static async deleteExpired() {
+    try {
+      const result = await prisma.cashoutQuote.deleteMany({
+        where: {
+          accepted_at: null,
+          expires_at: { lt: new Date() }
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting expired cash-out quotes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CashoutQuote;
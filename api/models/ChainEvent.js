@@ -0,0 +1,218 @@
+// src/models/ChainEvent.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  PROVISIONAL: 'provisional',
+  CONFIRMED: 'confirmed',
+  // Applied, then its block was reorged away; kept for review
+  ORPHANED: 'orphaned'
+};
+
+class ChainEvent {
+  // Returns false if the event was already recorded
+  static async record(eventData) {
+    try {
+      await prisma.chainEvent.create({
+        data: {
+          chain_id: parseInt(eventData.chain_id),
+          tx_hash: eventData.tx_hash,
+          log_index: parseInt(eventData.log_index),
+          block_number: parseInt(eventData.block_number),
+          block_hash: eventData.block_hash,
+          event_name: eventData.event_name,
+          args: eventData.args || null,
+          status: STATUS.PROVISIONAL
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return ChainEvent.restoreOrphaned(eventData);
+      }
+      logger.error('Error recording chain event:', error);
+      throw error;
+    }
+  }
+
+  // An orphaned event whose transaction was mined again on the canonical chain
+  // goes back to provisional at its new block. Returns false for any other
+  // event already recorded.
+  static async restoreOrphaned(eventData) {
+    try {
+      const result = await prisma.chainEvent.updateMany({
+        where: {
+          chain_id: parseInt(eventData.chain_id),
+          tx_hash: eventData.tx_hash,
+          log_index: parseInt(eventData.log_index),
+          status: STATUS.ORPHANED
+        },
+        data: {
+          block_number: parseInt(eventData.block_number),
+          block_hash: eventData.block_hash,
+          status: STATUS.PROVISIONAL,
+          confirmed_at: null
+        }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error restoring orphaned chain event:', error);
+      throw error;
+    }
+  }
+
+  static async findProvisional(maxBlock, chainId) {
+    try {
+      const events = await prisma.chainEvent.findMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: STATUS.PROVISIONAL,
+          block_number: { lte: parseInt(maxBlock) }
+        },
+        orderBy: [{ block_number: 'asc' }, { log_index: 'asc' }]
+      });
+      return events;
+    } catch (error) {
+      logger.error('Error finding provisional chain events:', error);
+      throw error;
+    }
+  }
+
+  static async confirm(id) {
+    try {
+      const event = await prisma.chainEvent.update({
+        where: { id },
+        data: {
+          status: STATUS.CONFIRMED,
+          confirmed_at: new Date()
+        }
+      });
+      return event;
+    } catch (error) {
+      logger.error('Error confirming chain event:', error);
+      throw error;
+    }
+  }
+
+  // Applied events of the given kinds in insertion order, a page after an ID
+  static async findConfirmedByName(eventNames, chainId, { afterId = 0, limit = 1000 } = {}) {
+    try {
+      const events = await prisma.chainEvent.findMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: STATUS.CONFIRMED,
+          event_name: { in: eventNames },
+          id: { gt: afterId }
+        },
+        orderBy: { id: 'asc' },
+        take: limit
+      });
+      return events;
+    } catch (error) {
+      logger.error('Error finding chain events by name:', error);
+      throw error;
+    }
+  }
+
+  // Confirmed events at or below a block, newest first
+  static async findConfirmedBefore(maxBlock, chainId, limit = 100) {
+    try {
+      const events = await prisma.chainEvent.findMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: STATUS.CONFIRMED,
+          block_number: { lte: parseInt(maxBlock) }
+        },
+        orderBy: [{ block_number: 'desc' }, { log_index: 'desc' }],
+        take: limit
+      });
+      return events;
+    } catch (error) {
+      logger.error('Error finding confirmed chain events:', error);
+      throw error;
+    }
+  }
+
+  static async findFrom(minBlock, chainId) {
+    try {
+      const events = await prisma.chainEvent.findMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: { not: STATUS.ORPHANED },
+          block_number: { gte: parseInt(minBlock) }
+        },
+        orderBy: [{ block_number: 'asc' }, { log_index: 'asc' }]
+      });
+      return events;
+    } catch (error) {
+      logger.error('Error finding chain events:', error);
+      throw error;
+    }
+  }
+
+  static async findOrphaned(chainId) {
+    try {
+      const events = await prisma.chainEvent.findMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: STATUS.ORPHANED
+        },
+        orderBy: [{ block_number: 'asc' }, { log_index: 'asc' }]
+      });
+      return events;
+    } catch (error) {
+      logger.error('Error finding orphaned chain events:', error);
+      throw error;
+    }
+  }
+
+  static async markOrphaned(ids) {
+    try {
+      const result = await prisma.chainEvent.updateMany({
+        where: { id: { in: ids } },
+        data: { status: STATUS.ORPHANED }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error marking chain events orphaned:', error);
+      throw error;
+    }
+  }
+
+  // Forget events from a block on so they are read and applied again
+  static async deleteFrom(minBlock, chainId) {
+    try {
+      const result = await prisma.chainEvent.deleteMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: { not: STATUS.ORPHANED },
+          block_number: { gte: parseInt(minBlock) }
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting chain events:', error);
+      throw error;
+    }
+  }
+
+  // Drop everything not yet applied; it is read again from the canonical chain
+  static async deleteProvisional(chainId) {
+    try {
+      const result = await prisma.chainEvent.deleteMany({
+        where: {
+          chain_id: parseInt(chainId),
+          status: STATUS.PROVISIONAL
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting provisional chain events:', error);
+      throw error;
+    }
+  }
+}
+
+ChainEvent.STATUS = STATUS;
+
+module.exports = ChainEvent;
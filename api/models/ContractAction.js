@@ -0,0 +1,172 @@
+// src/models/ContractAction.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+// Only hashes are stored; the raw confirmation token is returned to the requester once
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sanitize = (record) => {
+  if (!record) return record;
+  const { token_hash, ...rest } = record;
+  return rest;
+};
+
+const STATUS = {
+  PENDING: 'pending',
+  EXECUTING: 'executing',
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+class ContractAction {
+  static async create({ chainId, action, target = null, requestedBy }) {
+    try {
+      const token = crypto.randomBytes(24).toString('base64url');
+
+      const record = await prisma.contractAction.create({
+        data: {
+          chain_id: parseInt(chainId) || getDefaultChainId(),
+          action,
+          target,
+          status: STATUS.PENDING,
+          token_hash: hashToken(token),
+          requested_by: requestedBy,
+          expires_at: new Date(Date.now() + constants.CONTRACT_ACTIONS.CONFIRM_TTL)
+        }
+      });
+
+      return { action: sanitize(record), confirmationToken: token };
+    } catch (error) {
+      logger.error('Error creating contract action:', error);
+      throw error;
+    }
+  }
+
+  static async findById(actionId) {
+    try {
+      const record = await prisma.contractAction.findUnique({
+        where: { id: parseInt(actionId) }
+      });
+      return sanitize(record);
+    } catch (error) {
+      logger.error('Error finding contract action:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}, pagination = {}) {
+    try {
+      const where = {};
+      if (filters.status) where.status = filters.status;
+      if (filters.action) where.action = filters.action;
+      if (filters.chain_id) where.chain_id = parseInt(filters.chain_id);
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
+
+      const [actions, total] = await Promise.all([
+        prisma.contractAction.findMany({
+          where,
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.contractAction.count({ where })
+      ]);
+
+      return {
+        actions: actions.map(sanitize),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding contract actions:', error);
+      throw error;
+    }
+  }
+
+  // Moves a pending action to executing if the token matches and it has not
+  // expired. Only one confirmation can win; returns false otherwise.
+  static async claim(actionId, token, confirmedBy) {
+    try {
+      const { count } = await prisma.contractAction.updateMany({
+        where: {
+          id: parseInt(actionId),
+          status: STATUS.PENDING,
+          token_hash: hashToken(String(token)),
+          expires_at: { gt: new Date() }
+        },
+        data: {
+          status: STATUS.EXECUTING,
+          confirmed_by: confirmedBy
+        }
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error claiming contract action:', error);
+      throw error;
+    }
+  }
+
+  static async complete(actionId, { txHash, result }) {
+    try {
+      const record = await prisma.contractAction.update({
+        where: { id: parseInt(actionId) },
+        data: {
+          status: STATUS.EXECUTED,
+          tx_hash: txHash,
+          result,
+          executed_at: new Date()
+        }
+      });
+      return sanitize(record);
+    } catch (error) {
+      logger.error('Error completing contract action:', error);
+      throw error;
+    }
+  }
+
+  static async fail(actionId, message) {
+    try {
+      const record = await prisma.contractAction.update({
+        where: { id: parseInt(actionId) },
+        data: {
+          status: STATUS.FAILED,
+          error: message,
+          executed_at: new Date()
+        }
+      });
+      return sanitize(record);
+    } catch (error) {
+      logger.error('Error failing contract action:', error);
+      throw error;
+    }
+  }
+
+  // Pending actions only; returns false if it was already confirmed or closed
+  static async close(actionId, status) {
+    try {
+      const { count } = await prisma.contractAction.updateMany({
+        where: { id: parseInt(actionId), status: STATUS.PENDING },
+        data: { status }
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error closing contract action:', error);
+      throw error;
+    }
+  }
+}
+
+ContractAction.STATUS = STATUS;
+
+module.exports = ContractAction;
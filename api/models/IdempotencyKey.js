@@ -0,0 +1,120 @@
+// src/models/IdempotencyKey.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+class IdempotencyKey {
+  // Claim a key for a new request. Returns { record, created } where created
+  // is false if another request already holds the key.
+  static async acquire({ key, walletAddress, method, path, requestHash }) {
+    const normalizedAddress = walletAddress.toLowerCase();
+
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          key,
+          wallet_address: normalizedAddress,
+          method,
+          path,
+          request_hash: requestHash,
+          status: STATUS.IN_PROGRESS,
+          expires_at: new Date(Date.now() + constants.IDEMPOTENCY.KEY_TTL)
+        }
+      });
+      return { record, created: true };
+    } catch (error) {
+      // Unique constraint violation: the key is already taken
+      if (error.code !== 'P2002') {
+        logger.error('Error acquiring idempotency key:', error);
+        throw error;
+      }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({
+      where: {
+        wallet_address_key: {
+          wallet_address: normalizedAddress,
+          key
+        }
+      }
+    });
+
+    // Expired keys may be reused, and so may a key whose request has been in
+    // progress longer than the lease (its process died or its handler never
+    // responded); drop the stale row and try once more
+    const leaseExpiry = new Date(Date.now() - constants.IDEMPOTENCY.LEASE);
+    const isStale = existing && (
+      existing.expires_at <= new Date() ||
+      (existing.status === STATUS.IN_PROGRESS && existing.created_at <= leaseExpiry)
+    );
+
+    if (isStale) {
+      await prisma.idempotencyKey.deleteMany({
+        where: {
+          id: existing.id,
+          OR: [
+            { expires_at: { lte: new Date() } },
+            { status: STATUS.IN_PROGRESS, created_at: { lte: leaseExpiry } }
+          ]
+        }
+      });
+      return IdempotencyKey.acquire({ key, walletAddress, method, path, requestHash });
+    }
+
+    return { record: existing, created: false };
+  }
+
+  static async complete(id, responseStatus, responseBody) {
+    try {
+      const record = await prisma.idempotencyKey.update({
+        where: { id },
+        data: {
+          status: STATUS.COMPLETED,
+          response_status: responseStatus,
+          response_body: responseBody === undefined ? null : responseBody,
+          completed_at: new Date()
+        }
+      });
+      return record;
+    } catch (error) {
+      logger.error('Error completing idempotency key:', error);
+      throw error;
+    }
+  }
+
+  // Give up a key whose request ended without a stored response
+  static async release(id) {
+    try {
+      const result = await prisma.idempotencyKey.deleteMany({
+        where: { id, status: STATUS.IN_PROGRESS }
+      });
+      return result.count > 0;
+    } catch (error) {
+      logger.error('Error releasing idempotency key:', error);
+      throw error;
+    }
+  }
+
+  static async deleteExpired() {
+    try {
+      const result = await prisma.idempotencyKey.deleteMany({
+        where: {
+          expires_at: { lt: new Date() }
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting expired idempotency keys:', error);
+      throw error;
+    }
+  }
+}
+
+IdempotencyKey.STATUS = STATUS;
+
+module.exports = IdempotencyKey;
@@ -1,14 +1,41 @@
 // src/models/Match.js - COMPLETE Prisma Version (CORRECTED)
 const prisma = require('../config/database');
+const MatchEvent = require('./MatchEvent');
 const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
 const logger = require('../utils/logger');
 
+// Match IDs come from a network's contract, so a match is identified by
+// (chain_id, match_id). Lookups by ID default to the default network; list
+// queries cover every network unless a chain ID is given.
+const chainOf = (chainId) => parseInt(chainId) || getDefaultChainId();
+
+const matchKey = (matchId, chainId) => ({
+  chain_id_match_id: {
+    chain_id: chainOf(chainId),
+    match_id: parseInt(matchId)
+  }
+});
+
+// Goals per period, or null for a period without both teams' score
+const scorePair = (a, b) => (a === null || b === null ? null : { team_a: a, team_b: b });
+
+const formatScore = (match) => ({
+  full_time: scorePair(match.score_a, match.score_b),
+  half_time: scorePair(match.half_time_score_a, match.half_time_score_b),
+  extra_time: scorePair(match.extra_time_score_a, match.extra_time_score_b),
+  penalties: scorePair(match.penalty_score_a, match.penalty_score_b)
+});
+
+const chainFilter = (chainId) => (chainId ? { chain_id: parseInt(chainId) } : {});
+
 class Match {
   static async create(matchData) {
     try {
       const match = await prisma.match.create({
         data: {
           match_id: parseInt(matchData.match_id),
+          chain_id: chainOf(matchData.chain_id),
           team_a: matchData.team_a,
           team_b: matchData.team_b,
           match_date: new Date(matchData.match_date),
@@ -30,10 +57,10 @@ class Match {
     }
   }
 
-  static async findById(matchId) {
+  static async findById(matchId, chainId = null) {
     try {
-      const match = await prisma.match.findFirst({
-        where: { match_id: parseInt(matchId) }
+      const match = await prisma.match.findUnique({
+        where: matchKey(matchId, chainId)
       });
       return match;
     } catch (error) {
@@ -50,7 +77,8 @@ class Match {
         team,
         start_date,
         end_date,
-        has_result
+        has_result,
+        chain_id
       } = filters;
 
       const page = parseInt(pagination.page) || 1;
@@ -61,7 +89,7 @@ class Match {
       const skip = (page - 1) * limit;
       
       // Build where clause
-      const where = {};
+      const where = { ...chainFilter(chain_id) };
       
       if (status) where.status = status;
       if (group_name) where.group_name = group_name;
@@ -130,10 +158,24 @@ class Match {
     }
   }
 
-  static async update(matchId, updateData) {
+  // Every match recorded for a network, for reconciliation
+  static async findAllByChain(chainId = null) {
+    try {
+      const matches = await prisma.match.findMany({
+        where: { chain_id: chainOf(chainId) },
+        orderBy: { match_id: 'asc' }
+      });
+      return matches;
+    } catch (error) {
+      logger.error('Error finding matches by chain:', error);
+      throw error;
+    }
+  }
+
+  static async update(matchId, updateData, chainId = null) {
     try {
-      // Filter out problematic columns
-      const columnsToExclude = ['external_id', 'competition_id', 'season', 'api_data'];
+      // Filter out problematic columns; status changes go through matchLifecycleService
+      const columnsToExclude = ['external_id', 'competition_id', 'season', 'api_data', 'status'];
       
       const data = {};
       Object.keys(updateData).forEach(key => {
@@ -146,7 +188,7 @@ class Match {
       data.updated_at = new Date();
       
       const match = await prisma.match.update({
-        where: { match_id: parseInt(matchId) },
+        where: matchKey(matchId, chainId),
         data
       });
       return match;
@@ -156,10 +198,10 @@ class Match {
     }
   }
 
-  static async updateTotalStaked(matchId, amount) {
+  static async updateTotalStaked(matchId, amount, chainId = null) {
     try {
       const match = await prisma.match.update({
-        where: { match_id: parseInt(matchId) },
+        where: matchKey(matchId, chainId),
         data: {
           total_staked: {
             increment: parseFloat(amount)
@@ -174,13 +216,12 @@ class Match {
     }
   }
 
-  static async setResult(matchId, result, verifiedBy, txHash = null) {
+  static async setResult(matchId, result, verifiedBy, txHash = null, chainId = null) {
     try {
       const match = await prisma.match.update({
-        where: { match_id: parseInt(matchId) },
+        where: matchKey(matchId, chainId),
         data: {
-          result: result,
-          status: constants.MATCH_STATUS.FINISHED,
+          result: String(result), // text column
           updated_at: new Date()
         }
       });
@@ -196,10 +237,69 @@ class Match {
     }
   }
 
-  static async getUpcomingMatches(limit = 10) {
+  // Provisional results whose dispute window has closed
+  // Matches past kickoff that have not started yet
+  static async findKickoffDue(chainId = null) {
     try {
       const matches = await prisma.match.findMany({
         where: {
+          chain_id: chainOf(chainId),
+          status: { in: [constants.MATCH_STATUS.SCHEDULED, constants.MATCH_STATUS.UPCOMING] },
+          match_date: { lte: new Date() }
+        },
+        orderBy: { match_date: 'asc' }
+      });
+      return matches;
+    } catch (error) {
+      logger.error('Error finding matches due to kick off:', error);
+      throw error;
+    }
+  }
+
+  static async findProvisionalDue(chainId = null) {
+    try {
+      const matches = await prisma.match.findMany({
+        where: {
+          chain_id: chainOf(chainId),
+          result_status: constants.RESULT_STATUS.PROVISIONAL,
+          dispute_until: { lte: new Date() }
+        },
+        orderBy: { dispute_until: 'asc' }
+      });
+      return matches;
+    } catch (error) {
+      logger.error('Error finding provisional results due:', error);
+      throw error;
+    }
+  }
+
+  // Moves the result from one status to the next; returns false if it had
+  // already moved on
+  static async moveResultStatus(matchId, from, to, chainId = null) {
+    try {
+      const { count } = await prisma.match.updateMany({
+        where: {
+          chain_id: chainOf(chainId),
+          match_id: parseInt(matchId),
+          result_status: from
+        },
+        data: {
+          result_status: to,
+          updated_at: new Date()
+        }
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error moving match result status:', error);
+      throw error;
+    }
+  }
+
+  static async getUpcomingMatches(limit = 10, chainId = null) {
+    try {
+      const matches = await prisma.match.findMany({
+        where: {
+          ...chainFilter(chainId),
           status: {
             equals: constants.MATCH_STATUS.UPCOMING,
             mode: 'insensitive'
@@ -226,10 +326,11 @@ class Match {
     }
   }
 
-  static async getLiveMatches() {
+  static async getLiveMatches(chainId = null) {
     try {
       const matches = await prisma.match.findMany({
         where: {
+          ...chainFilter(chainId),
           status: constants.MATCH_STATUS.LIVE
         },
         orderBy: { match_date: 'asc' }
@@ -241,10 +342,11 @@ class Match {
     }
   }
 
-  static async getFinishedMatches(limit = 10) {
+  static async getFinishedMatches(limit = 10, chainId = null) {
     try {
       const matches = await prisma.match.findMany({
         where: {
+          ...chainFilter(chainId),
           status: constants.MATCH_STATUS.FINISHED
         },
         orderBy: { match_date: 'desc' },
@@ -257,10 +359,11 @@ class Match {
     }
   }
 
-  static async getMatchesByGroup(groupName) {
+  static async getMatchesByGroup(groupName, chainId = null) {
     try {
       const matches = await prisma.match.findMany({
         where: {
+          ...chainFilter(chainId),
           group_name: groupName
         },
         orderBy: { match_date: 'asc' }
@@ -272,13 +375,14 @@ class Match {
     }
   }
 
-  static async getMatchStats(matchId) {
+  static async getMatchStats(matchId, chainId = null) {
     try {
       // FIXED: Added explicit column names to avoid ambiguity
       const rawQuery = `
         SELECT 
           m.id,
           m.match_id,
+          m.chain_id,
           m.team_a,
           m.team_b,
           m.match_date,
@@ -302,14 +406,18 @@ class Match {
           COALESCE(SUM(CASE WHEN b.outcome = 1 THEN b.amount END), 0) as amount_draw,
           COALESCE(SUM(CASE WHEN b.outcome = 2 THEN b.amount END), 0) as amount_team_b
         FROM matches m
-        LEFT JOIN bets b ON m.match_id = b.match_id
-        WHERE m.match_id = $1
-        GROUP BY m.id, m.match_id, m.team_a, m.team_b, m.match_date, m.venue, 
+        LEFT JOIN bets b ON m.match_id = b.match_id AND m.chain_id = b.chain_id
+        WHERE m.match_id = $1 AND m.chain_id = $2
+        GROUP BY m.id, m.match_id, m.chain_id, m.team_a, m.team_b, m.match_date, m.venue, 
                  m.group_name, m.odds_team_a, m.odds_draw, m.odds_team_b, 
                  m.status, m.result, m.total_staked, m.archived, m.created_at, m.updated_at
       `;
       
-      const stats = await prisma.$queryRawUnsafe(rawQuery, parseInt(matchId));
+      const stats = await prisma.$queryRawUnsafe(
+        rawQuery,
+        parseInt(matchId),
+        chainOf(chainId)
+      );
       return stats[0] || null;
     } catch (error) {
       logger.error('Error getting match stats:', error);
@@ -317,7 +425,7 @@ class Match {
     }
   }
 
-  static async getPopularMatches(limit = 5) {
+  static async getPopularMatches(limit = 5, chainId = null) {
     try {
       // FIXED: Added alias for SUM to avoid ambiguity
       const rawQuery = `
@@ -326,9 +434,9 @@ class Match {
           COUNT(b.id) as bet_count,
           COALESCE(SUM(b.amount), 0) as bet_total_staked
         FROM matches m
-        LEFT JOIN bets b ON m.match_id = b.match_id
-        WHERE m.status = $1
-        GROUP BY m.id, m.match_id, m.team_a, m.team_b, m.match_date, m.venue, 
+        LEFT JOIN bets b ON m.match_id = b.match_id AND m.chain_id = b.chain_id
+        WHERE m.status = $1 AND ($3::int IS NULL OR m.chain_id = $3)
+        GROUP BY m.id, m.match_id, m.chain_id, m.team_a, m.team_b, m.match_date, m.venue, 
                  m.group_name, m.odds_team_a, m.odds_draw, m.odds_team_b, 
                  m.status, m.result, m.total_staked, m.archived, m.created_at, m.updated_at
         ORDER BY bet_total_staked DESC
@@ -338,7 +446,8 @@ class Match {
       const popularMatches = await prisma.$queryRawUnsafe(
         rawQuery, 
         constants.MATCH_STATUS.UPCOMING,
-        parseInt(limit)
+        parseInt(limit),
+        chainId ? parseInt(chainId) : null
       );
       return popularMatches;
     } catch (error) {
@@ -347,14 +456,18 @@ class Match {
     }
   }
 
-  static async getMatchWithScores(matchId) {
+  // The match with its scores grouped by period and its events timeline
+  static async getMatchWithScores(matchId, chainId = null) {
     try {
-      // Since you don't have a results table yet, we'll just return the match
-      // You can add a results table to your schema later
-      const match = await prisma.match.findFirst({
-        where: { match_id: parseInt(matchId) }
+      const match = await prisma.match.findUnique({
+        where: matchKey(matchId, chainId)
       });
-      return match;
+      if (!match) {
+        return null;
+      }
+
+      const events = await MatchEvent.findByMatch(match.match_id, match.chain_id);
+      return { ...match, score: formatScore(match), events };
     } catch (error) {
       logger.error('Error getting match with scores:', error);
       throw error;
@@ -380,10 +493,10 @@ class Match {
     }
   }
 
-  static async delete(matchId) {
+  static async delete(matchId, chainId = null) {
     try {
       const match = await prisma.match.delete({
-        where: { match_id: parseInt(matchId) }
+        where: matchKey(matchId, chainId)
       });
       return match;
     } catch (error) {
@@ -392,10 +505,13 @@ class Match {
     }
   }
 
-  static async exists(matchId) {
+  static async exists(matchId, chainId = null) {
     try {
       const count = await prisma.match.count({
-        where: { match_id: parseInt(matchId) }
+        where: {
+          match_id: parseInt(matchId),
+          chain_id: chainOf(chainId)
+        }
       });
       return count > 0;
     } catch (error) {
@@ -504,10 +620,10 @@ class Match {
     }
   }
 
-  static async getMatchOdds(matchId) {
+  static async getMatchOdds(matchId, chainId = null) {
     try {
-      const match = await prisma.match.findFirst({
-        where: { match_id: parseInt(matchId) },
+      const match = await prisma.match.findUnique({
+        where: matchKey(matchId, chainId),
         select: {
           odds_team_a: true,
           odds_draw: true,
@@ -521,10 +637,29 @@ class Match {
     }
   }
 
-  static async updateOdds(matchId, odds) {
+  // Current price of an outcome (constants.OUTCOMES) on a match row
+  static getOddsForOutcome(match, outcome) {
+    switch (parseInt(outcome)) {
+      case constants.OUTCOMES.TEAM_A_WIN: return match.odds_team_a;
+      case constants.OUTCOMES.DRAW: return match.odds_draw;
+      case constants.OUTCOMES.TEAM_B_WIN: return match.odds_team_b;
+      default: return null;
+    }
+  }
+
+  // Whether the current price still satisfies what the user agreed to
+  static isOddsAcceptable(currentOdds, displayedOdds, policy) {
+    switch (policy) {
+      case constants.ODDS_POLICY.ACCEPT_ANY: return true;
+      case constants.ODDS_POLICY.ACCEPT_HIGHER: return currentOdds >= displayedOdds;
+      default: return currentOdds === displayedOdds;
+    }
+  }
+
+  static async updateOdds(matchId, odds, chainId = null) {
     try {
       const match = await prisma.match.update({
-        where: { match_id: parseInt(matchId) },
+        where: matchKey(matchId, chainId),
         data: {
           odds_team_a: odds.team_a,
           odds_draw: odds.draw,
@@ -544,6 +679,7 @@ class Match {
       const matches = await prisma.match.createMany({
         data: matchesData.map(match => ({
           match_id: parseInt(match.match_id),
+          chain_id: chainOf(match.chain_id),
           team_a: match.team_a,
           team_b: match.team_b,
           match_date: new Date(match.match_date),
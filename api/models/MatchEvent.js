@@ -0,0 +1,61 @@
+// src/models/MatchEvent.js
+const prisma = require('../config/database');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const chainOf = (chainId) => parseInt(chainId) || getDefaultChainId();
+
+const EVENT_FIELDS = ['type', 'team', 'minute', 'extra_minute', 'player', 'related_player'];
+
+class MatchEvent {
+  static async findByMatch(matchId, chainId = null) {
+    try {
+      const events = await prisma.matchEvent.findMany({
+        where: {
+          chain_id: chainOf(chainId),
+          match_id: parseInt(matchId)
+        },
+        orderBy: [{ minute: 'asc' }, { extra_minute: 'asc' }, { id: 'asc' }]
+      });
+      return events;
+    } catch (error) {
+      logger.error('Error finding match events:', error);
+      throw error;
+    }
+  }
+
+  // Replaces the match's timeline with the feed's: events are upserted by
+  // their feed id, and ones the feed no longer reports (e.g. goals ruled out
+  // on review) are removed
+  static async syncFromFeed(matchId, events, chainId = null) {
+    try {
+      const key = { chain_id: chainOf(chainId), match_id: parseInt(matchId) };
+
+      return await prisma.$transaction(async (tx) => {
+        await tx.matchEvent.deleteMany({
+          where: { ...key, external_id: { notIn: events.map(event => event.external_id) } }
+        });
+
+        for (const event of events) {
+          const data = {};
+          for (const field of EVENT_FIELDS) {
+            data[field] = event[field] ?? null;
+          }
+
+          await tx.matchEvent.upsert({
+            where: { chain_id_match_id_external_id: { ...key, external_id: event.external_id } },
+            update: data,
+            create: { ...key, external_id: event.external_id, ...data }
+          });
+        }
+
+        return events.length;
+      });
+    } catch (error) {
+      logger.error('Error syncing match events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MatchEvent;
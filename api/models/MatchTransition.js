@@ -0,0 +1,61 @@
+// src/models/MatchTransition.js
+const prisma = require('../config/database');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const chainOf = (chainId) => parseInt(chainId) || getDefaultChainId();
+
+// Rows are written by matchLifecycleService, in the same transaction as the
+// status change they describe
+class MatchTransition {
+  // Moves the match from one status to another and records it. Returns null
+  // if the match was no longer in the expected status.
+  static async record({ chainId = null, matchId, from, to, source, actor = null, reason = null }) {
+    try {
+      const key = { chain_id: chainOf(chainId), match_id: parseInt(matchId) };
+
+      return await prisma.$transaction(async (tx) => {
+        const { count } = await tx.match.updateMany({
+          where: { ...key, status: from },
+          data: { status: to, updated_at: new Date() }
+        });
+
+        if (count !== 1) {
+          return null;
+        }
+
+        return tx.matchTransition.create({
+          data: {
+            ...key,
+            from_status: from,
+            to_status: to,
+            source,
+            actor: actor ? actor.toLowerCase() : null,
+            reason
+          }
+        });
+      });
+    } catch (error) {
+      logger.error('Error recording match transition:', error);
+      throw error;
+    }
+  }
+
+  static async findByMatch(matchId, chainId = null) {
+    try {
+      const transitions = await prisma.matchTransition.findMany({
+        where: {
+          chain_id: chainOf(chainId),
+          match_id: parseInt(matchId)
+        },
+        orderBy: { id: 'asc' }
+      });
+      return transitions;
+    } catch (error) {
+      logger.error('Error finding match transitions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MatchTransition;
@@ -0,0 +1,91 @@
+// src/models/OutrightOdds.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+class OutrightOdds {
+  static async findAll(filters = {}) {
+    try {
+      const where = {};
+      if (filters.eliminated !== undefined) where.eliminated = filters.eliminated;
+
+      const odds = await prisma.outrightOdds.findMany({
+        where,
+        orderBy: { odds: 'asc' }
+      });
+      return odds;
+    } catch (error) {
+      logger.error('Error finding outright odds:', error);
+      throw error;
+    }
+  }
+
+  static async findByTeamId(teamId) {
+    try {
+      const odds = await prisma.outrightOdds.findUnique({
+        where: { team_id: parseInt(teamId) }
+      });
+      return odds;
+    } catch (error) {
+      logger.error('Error finding outright odds by team:', error);
+      throw error;
+    }
+  }
+
+  static async upsert(teamId, { team_name, odds, eliminated }) {
+    try {
+      const data = {};
+      if (team_name !== undefined) data.team_name = team_name;
+      if (odds !== undefined) data.odds = parseFloat(odds);
+      if (eliminated !== undefined) data.eliminated = !!eliminated;
+
+      const record = await prisma.outrightOdds.upsert({
+        where: { team_id: parseInt(teamId) },
+        update: data,
+        create: {
+          team_id: parseInt(teamId),
+          team_name,
+          odds: parseFloat(odds),
+          eliminated: !!eliminated
+        }
+      });
+      return record;
+    } catch (error) {
+      logger.error('Error upserting outright odds:', error);
+      throw error;
+    }
+  }
+
+  static async getChampion() {
+    try {
+      const champion = await prisma.outrightOdds.findFirst({
+        where: { champion: true }
+      });
+      return champion;
+    } catch (error) {
+      logger.error('Error getting champion:', error);
+      throw error;
+    }
+  }
+
+  // Crown the winner; every other team is out
+  static async setChampion(teamId) {
+    try {
+      await prisma.$transaction([
+        prisma.outrightOdds.updateMany({
+          where: { team_id: { not: parseInt(teamId) } },
+          data: { eliminated: true, champion: false }
+        }),
+        prisma.outrightOdds.update({
+          where: { team_id: parseInt(teamId) },
+          data: { eliminated: false, champion: true }
+        })
+      ]);
+      return true;
+    } catch (error) {
+      logger.error('Error setting champion:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = OutrightOdds;
@@ -0,0 +1,147 @@
+// src/models/ReconciliationReport.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  RUNNING: 'running',
+  CLEAN: 'clean',
+  DISCREPANCIES: 'discrepancies',
+  FAILED: 'failed'
+};
+
+class ReconciliationReport {
+  static async create({ chainId, repair = false, triggeredBy = null }) {
+    try {
+      const report = await prisma.reconciliationReport.create({
+        data: {
+          chain_id: parseInt(chainId) || getDefaultChainId(),
+          status: STATUS.RUNNING,
+          repair,
+          triggered_by: triggeredBy
+        }
+      });
+      return report;
+    } catch (error) {
+      logger.error('Error creating reconciliation report:', error);
+      throw error;
+    }
+  }
+
+  static async findById(reportId) {
+    try {
+      const report = await prisma.reconciliationReport.findUnique({
+        where: { id: parseInt(reportId) }
+      });
+      return report;
+    } catch (error) {
+      logger.error('Error finding reconciliation report:', error);
+      throw error;
+    }
+  }
+
+  static async findLatest(chainId = null) {
+    try {
+      const report = await prisma.reconciliationReport.findFirst({
+        where: { chain_id: parseInt(chainId) || getDefaultChainId() },
+        orderBy: { started_at: 'desc' }
+      });
+      return report;
+    } catch (error) {
+      logger.error('Error finding latest reconciliation report:', error);
+      throw error;
+    }
+  }
+
+  // Report history without the discrepancy lists
+  static async findAll(filters = {}, pagination = {}) {
+    try {
+      const where = {};
+      if (filters.status) where.status = filters.status;
+      if (filters.chain_id) where.chain_id = parseInt(filters.chain_id);
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
+
+      const [reports, total] = await Promise.all([
+        prisma.reconciliationReport.findMany({
+          where,
+          select: {
+            id: true,
+            chain_id: true,
+            status: true,
+            repair: true,
+            triggered_by: true,
+            summary: true,
+            critical: true,
+            warnings: true,
+            repaired: true,
+            error: true,
+            started_at: true,
+            completed_at: true
+          },
+          orderBy: { started_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.reconciliationReport.count({ where })
+      ]);
+
+      return {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding reconciliation reports:', error);
+      throw error;
+    }
+  }
+
+  static async complete(reportId, { summary, discrepancies, critical, warnings, repaired }) {
+    try {
+      const report = await prisma.reconciliationReport.update({
+        where: { id: reportId },
+        data: {
+          status: discrepancies.length > 0 ? STATUS.DISCREPANCIES : STATUS.CLEAN,
+          summary,
+          discrepancies,
+          critical,
+          warnings,
+          repaired,
+          completed_at: new Date()
+        }
+      });
+      return report;
+    } catch (error) {
+      logger.error('Error completing reconciliation report:', error);
+      throw error;
+    }
+  }
+
+  static async fail(reportId, message) {
+    try {
+      const report = await prisma.reconciliationReport.update({
+        where: { id: reportId },
+        data: {
+          status: STATUS.FAILED,
+          error: message,
+          completed_at: new Date()
+        }
+      });
+      return report;
+    } catch (error) {
+      logger.error('Error failing reconciliation report:', error);
+      throw error;
+    }
+  }
+}
+
+ReconciliationReport.STATUS = STATUS;
+
+module.exports = ReconciliationReport;
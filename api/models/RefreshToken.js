@@ -0,0 +1,162 @@
+// src/models/RefreshToken.js
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Only hashes are stored; the raw token is returned to the client once
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class RefreshToken {
+  static async create(walletAddress, familyId, meta = {}) {
+    try {
+      const token = crypto.randomBytes(48).toString('base64url');
+
+      const record = await prisma.refreshToken.create({
+        data: {
+          token_hash: hashToken(token),
+          family_id: familyId,
+          wallet_address: walletAddress.toLowerCase(),
+          expires_at: new Date(Date.now() + constants.AUTH_TOKENS.REFRESH_TOKEN_TTL),
+          user_agent: meta.userAgent || null,
+          ip_address: meta.ip || null
+        }
+      });
+
+      return { token, record };
+    } catch (error) {
+      logger.error('Error creating refresh token:', error);
+      throw error;
+    }
+  }
+
+  static async findByToken(token) {
+    try {
+      if (!token || typeof token !== 'string') return null;
+
+      const record = await prisma.refreshToken.findUnique({
+        where: { token_hash: hashToken(token) }
+      });
+      return record;
+    } catch (error) {
+      logger.error('Error finding refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Replace a live token with a new one in the same family.
+  // Returns null if the token was already used (concurrent or replayed refresh).
+  static async rotate(record, meta = {}) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const revoked = await tx.refreshToken.updateMany({
+          where: {
+            id: record.id,
+            revoked_at: null
+          },
+          data: {
+            revoked_at: new Date(),
+            revoked_reason: 'rotated'
+          }
+        });
+
+        if (revoked.count !== 1) {
+          return null;
+        }
+
+        const token = crypto.randomBytes(48).toString('base64url');
+        const next = await tx.refreshToken.create({
+          data: {
+            token_hash: hashToken(token),
+            family_id: record.family_id,
+            wallet_address: record.wallet_address,
+            expires_at: new Date(Date.now() + constants.AUTH_TOKENS.REFRESH_TOKEN_TTL),
+            user_agent: meta.userAgent || null,
+            ip_address: meta.ip || null
+          }
+        });
+
+        await tx.refreshToken.update({
+          where: { id: record.id },
+          data: { replaced_by: next.id }
+        });
+
+        return { token, record: next };
+      });
+    } catch (error) {
+      logger.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  static async revokeFamily(familyId, reason = 'logout') {
+    try {
+      const result = await prisma.refreshToken.updateMany({
+        where: {
+          family_id: familyId,
+          revoked_at: null
+        },
+        data: {
+          revoked_at: new Date(),
+          revoked_reason: reason
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error revoking refresh token family:', error);
+      throw error;
+    }
+  }
+
+  static async revokeAllForWallet(walletAddress, reason = 'logout_all') {
+    try {
+      const result = await prisma.refreshToken.updateMany({
+        where: {
+          wallet_address: walletAddress.toLowerCase(),
+          revoked_at: null
+        },
+        data: {
+          revoked_at: new Date(),
+          revoked_reason: reason
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error revoking refresh tokens for wallet:', error);
+      throw error;
+    }
+  }
+
+  // A session is live while its family still holds an unrevoked, unexpired token
+  static async isFamilyActive(familyId) {
+    try {
+      const count = await prisma.refreshToken.count({
+        where: {
+          family_id: familyId,
+          revoked_at: null,
+          expires_at: { gt: new Date() }
+        }
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error('Error checking refresh token family:', error);
+      throw error;
+    }
+  }
+
+  static async deleteExpired() {
+    try {
+      const result = await prisma.refreshToken.deleteMany({
+        where: {
+          expires_at: { lt: new Date() }
+        }
+      });
+      return result.count;
+    } catch (error) {
+      logger.error('Error deleting expired refresh tokens:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RefreshToken;
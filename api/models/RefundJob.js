@@ -0,0 +1,147 @@
+// src/models/RefundJob.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+// One refund run per match, and match IDs are per network
+const jobKey = (matchId, chainId) => ({
+  chain_id_match_id: {
+    chain_id: parseInt(chainId) || getDefaultChainId(),
+    match_id: parseInt(matchId)
+  }
+});
+
+const STATUS = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class RefundJob {
+  static async findByMatchId(matchId, chainId = null) {
+    try {
+      const job = await prisma.refundJob.findUnique({
+        where: jobKey(matchId, chainId)
+      });
+      return job;
+    } catch (error) {
+      logger.error('Error finding refund job:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}, pagination = {}) {
+    try {
+      const where = {};
+      if (filters.status) where.status = filters.status;
+      if (filters.chain_id) where.chain_id = parseInt(filters.chain_id);
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
+
+      const [jobs, total] = await Promise.all([
+        prisma.refundJob.findMany({
+          where,
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.refundJob.count({ where })
+      ]);
+
+      return {
+        jobs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding refund jobs:', error);
+      throw error;
+    }
+  }
+
+  static async findOrCreate(matchId, triggeredBy, chainId = null) {
+    try {
+      const key = jobKey(matchId, chainId);
+      const job = await prisma.refundJob.upsert({
+        where: key,
+        update: {},
+        create: {
+          ...key.chain_id_match_id,
+          status: STATUS.PENDING,
+          triggered_by: triggeredBy || null
+        }
+      });
+      return job;
+    } catch (error) {
+      logger.error('Error creating refund job:', error);
+      throw error;
+    }
+  }
+
+  // Claim the job for this run. Fails if it is finished or another run is still alive.
+  static async acquire(jobId) {
+    try {
+      const staleBefore = new Date(Date.now() - constants.REFUNDS.STALE_AFTER);
+
+      const result = await prisma.refundJob.updateMany({
+        where: {
+          id: jobId,
+          OR: [
+            { status: { in: [STATUS.PENDING, STATUS.FAILED] } },
+            { status: STATUS.IN_PROGRESS, updated_at: { lt: staleBefore } }
+          ]
+        },
+        data: {
+          status: STATUS.IN_PROGRESS,
+          attempts: { increment: 1 },
+          last_error: null,
+          started_at: new Date()
+        }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error acquiring refund job:', error);
+      throw error;
+    }
+  }
+
+  static async update(jobId, data) {
+    try {
+      const job = await prisma.refundJob.update({
+        where: { id: jobId },
+        data
+      });
+      return job;
+    } catch (error) {
+      logger.error('Error updating refund job:', error);
+      throw error;
+    }
+  }
+
+  static async recordRefund(jobId, amount) {
+    try {
+      const job = await prisma.refundJob.update({
+        where: { id: jobId },
+        data: {
+          refunded_bets: { increment: 1 },
+          refunded_amount: { increment: parseFloat(amount) }
+        }
+      });
+      return job;
+    } catch (error) {
+      logger.error('Error recording refund:', error);
+      throw error;
+    }
+  }
+}
+
+RefundJob.STATUS = STATUS;
+
+module.exports = RefundJob;
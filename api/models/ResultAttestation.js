@@ -0,0 +1,57 @@
+// src/models/ResultAttestation.js
+const prisma = require('../config/database');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const SOURCE_TYPES = {
+  FEED: 'feed',
+  ADMIN: 'admin',
+  ORACLE: 'oracle'
+};
+
+class ResultAttestation {
+  // Records a source's report, replacing its earlier one for the same match
+  static async upsert({ chainId, matchId, source, sourceType, result, scoreA = null, scoreB = null, reportedBy }) {
+    try {
+      const chain_id = parseInt(chainId) || getDefaultChainId();
+      const match_id = parseInt(matchId);
+      const data = {
+        source_type: sourceType,
+        result: parseInt(result),
+        score_a: scoreA,
+        score_b: scoreB,
+        reported_by: reportedBy.toLowerCase()
+      };
+
+      const attestation = await prisma.resultAttestation.upsert({
+        where: { chain_id_match_id_source: { chain_id, match_id, source } },
+        create: { chain_id, match_id, source, ...data },
+        update: data
+      });
+      return attestation;
+    } catch (error) {
+      logger.error('Error recording result attestation:', error);
+      throw error;
+    }
+  }
+
+  static async findByMatch(matchId, chainId = null) {
+    try {
+      const attestations = await prisma.resultAttestation.findMany({
+        where: {
+          chain_id: parseInt(chainId) || getDefaultChainId(),
+          match_id: parseInt(matchId)
+        },
+        orderBy: { created_at: 'asc' }
+      });
+      return attestations;
+    } catch (error) {
+      logger.error('Error finding result attestations:', error);
+      throw error;
+    }
+  }
+}
+
+ResultAttestation.SOURCE_TYPES = SOURCE_TYPES;
+
+module.exports = ResultAttestation;
@@ -0,0 +1,195 @@
+// src/models/ResultDispute.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  OPEN: 'open',
+  UPHELD: 'upheld',
+  OVERTURNED: 'overturned'
+};
+
+const chainOf = (chainId) => parseInt(chainId) || getDefaultChainId();
+
+class ResultDispute {
+  static async create(disputeData) {
+    try {
+      const dispute = await prisma.resultDispute.create({
+        data: {
+          chain_id: chainOf(disputeData.chain_id),
+          match_id: parseInt(disputeData.match_id),
+          filed_by: disputeData.filed_by.toLowerCase(),
+          filer_role: disputeData.filer_role,
+          disputed_result: parseInt(disputeData.disputed_result),
+          proposed_result: disputeData.proposed_result ?? null,
+          reason: disputeData.reason,
+          status: STATUS.OPEN
+        }
+      });
+      return dispute;
+    } catch (error) {
+      logger.error('Error creating result dispute:', error);
+      throw error;
+    }
+  }
+
+  static async findById(disputeId) {
+    try {
+      const dispute = await prisma.resultDispute.findUnique({
+        where: { id: parseInt(disputeId) }
+      });
+      return dispute;
+    } catch (error) {
+      logger.error('Error finding result dispute:', error);
+      throw error;
+    }
+  }
+
+  static async findByMatch(matchId, chainId = null, filters = {}) {
+    try {
+      const where = {
+        chain_id: chainOf(chainId),
+        match_id: parseInt(matchId)
+      };
+      if (filters.status) where.status = filters.status;
+      if (filters.filed_by) where.filed_by = filters.filed_by.toLowerCase();
+
+      const disputes = await prisma.resultDispute.findMany({
+        where,
+        orderBy: { created_at: 'asc' }
+      });
+      return disputes;
+    } catch (error) {
+      logger.error('Error finding result disputes:', error);
+      throw error;
+    }
+  }
+
+  static async countOpen(matchId, chainId = null) {
+    try {
+      return await prisma.resultDispute.count({
+        where: {
+          chain_id: chainOf(chainId),
+          match_id: parseInt(matchId),
+          status: STATUS.OPEN
+        }
+      });
+    } catch (error) {
+      logger.error('Error counting open result disputes:', error);
+      throw error;
+    }
+  }
+
+  // The result stands; returns null if the dispute was already decided
+  static async uphold(disputeId, { decidedBy, note = null }) {
+    try {
+      const { count } = await prisma.resultDispute.updateMany({
+        where: { id: parseInt(disputeId), status: STATUS.OPEN },
+        data: {
+          status: STATUS.UPHELD,
+          decided_by: decidedBy.toLowerCase(),
+          decision_note: note,
+          decided_at: new Date()
+        }
+      });
+      return count === 1 ? ResultDispute.findById(disputeId) : null;
+    } catch (error) {
+      logger.error('Error upholding result dispute:', error);
+      throw error;
+    }
+  }
+
+  // Changes the match's provisional result and re-settles its won and lost
+  // bets, recording the before and after state of each in the settlement
+  // audit. All or nothing; returns null if the dispute was already decided
+  // or the result is no longer provisional.
+  static async overturn({ dispute, result, decidedBy, note = null, disputeUntil }) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const key = { chain_id: dispute.chain_id, match_id: dispute.match_id };
+
+        const match = await tx.match.findUnique({ where: { chain_id_match_id: key } });
+        if (!match || match.result_status !== constants.RESULT_STATUS.PROVISIONAL) {
+          return null;
+        }
+
+        const decided = await tx.resultDispute.updateMany({
+          where: { id: dispute.id, status: STATUS.OPEN },
+          data: {
+            status: STATUS.OVERTURNED,
+            decided_by: decidedBy.toLowerCase(),
+            decision_note: note,
+            new_result: result,
+            decided_at: new Date()
+          }
+        });
+
+        if (decided.count !== 1) {
+          return null;
+        }
+
+        await tx.match.update({
+          where: { chain_id_match_id: key },
+          data: {
+            result: String(result), // text column
+            dispute_until: disputeUntil,
+            updated_at: new Date()
+          }
+        });
+
+        const audits = [{
+          entity: 'match',
+          entity_id: match.match_id,
+          before: { result: parseInt(match.result), dispute_until: match.dispute_until },
+          after: { result, dispute_until: disputeUntil }
+        }];
+
+        const bets = await tx.bet.findMany({
+          where: {
+            ...key,
+            status: { in: [constants.BET_STATUS.WON, constants.BET_STATUS.LOST] }
+          }
+        });
+
+        for (const bet of bets) {
+          const status = bet.outcome === result ? constants.BET_STATUS.WON : constants.BET_STATUS.LOST;
+          if (status === bet.status) continue;
+
+          await tx.bet.update({
+            where: { id: bet.id },
+            data: { status, result_set_at: new Date() }
+          });
+
+          audits.push({
+            entity: 'bet',
+            entity_id: bet.bet_id,
+            before: { status: bet.status, outcome: bet.outcome, user_address: bet.user_address },
+            after: { status, outcome: bet.outcome, user_address: bet.user_address }
+          });
+        }
+
+        await tx.settlementAudit.createMany({
+          data: audits.map(audit => ({
+            ...key,
+            dispute_id: dispute.id,
+            performed_by: decidedBy.toLowerCase(),
+            ...audit
+          }))
+        });
+
+        return {
+          dispute: await tx.resultDispute.findUnique({ where: { id: dispute.id } }),
+          bets_resettled: audits.length - 1
+        };
+      });
+    } catch (error) {
+      logger.error('Error overturning result dispute:', error);
+      throw error;
+    }
+  }
+}
+
+ResultDispute.STATUS = STATUS;
+
+module.exports = ResultDispute;
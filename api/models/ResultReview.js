@@ -0,0 +1,147 @@
+// src/models/ResultReview.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  OPEN: 'open',
+  RESOLVING: 'resolving',
+  RESOLVED: 'resolved'
+};
+
+// Matches whose sources reported different results, waiting for an admin
+class ResultReview {
+  static async create({ chainId, matchId, attestations }) {
+    try {
+      const review = await prisma.resultReview.create({
+        data: {
+          chain_id: parseInt(chainId) || getDefaultChainId(),
+          match_id: parseInt(matchId),
+          status: STATUS.OPEN,
+          attestations
+        }
+      });
+      return review;
+    } catch (error) {
+      logger.error('Error creating result review:', error);
+      throw error;
+    }
+  }
+
+  static async findById(reviewId) {
+    try {
+      const review = await prisma.resultReview.findUnique({
+        where: { id: parseInt(reviewId) }
+      });
+      return review;
+    } catch (error) {
+      logger.error('Error finding result review:', error);
+      throw error;
+    }
+  }
+
+  // The review a match is parked in, if any
+  static async findActive(matchId, chainId = null) {
+    try {
+      const review = await prisma.resultReview.findFirst({
+        where: {
+          chain_id: parseInt(chainId) || getDefaultChainId(),
+          match_id: parseInt(matchId),
+          status: { in: [STATUS.OPEN, STATUS.RESOLVING] }
+        }
+      });
+      return review;
+    } catch (error) {
+      logger.error('Error finding active result review:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}, pagination = {}) {
+    try {
+      const where = {};
+      if (filters.status) where.status = filters.status;
+      if (filters.chain_id) where.chain_id = parseInt(filters.chain_id);
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT;
+
+      const [reviews, total] = await Promise.all([
+        prisma.resultReview.findMany({
+          where,
+          orderBy: { created_at: 'asc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.resultReview.count({ where })
+      ]);
+
+      return {
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding result reviews:', error);
+      throw error;
+    }
+  }
+
+  static async update(reviewId, updateData) {
+    try {
+      const review = await prisma.resultReview.update({
+        where: { id: parseInt(reviewId) },
+        data: updateData
+      });
+      return review;
+    } catch (error) {
+      logger.error('Error updating result review:', error);
+      throw error;
+    }
+  }
+
+  // Open to resolving; returns false if another admin is already resolving it
+  static async claim(reviewId, resolvedBy) {
+    try {
+      const { count } = await prisma.resultReview.updateMany({
+        where: { id: parseInt(reviewId), status: STATUS.OPEN },
+        data: {
+          status: STATUS.RESOLVING,
+          resolved_by: resolvedBy.toLowerCase()
+        }
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error claiming result review:', error);
+      throw error;
+    }
+  }
+
+  static async resolve(reviewId, { result, txHash }) {
+    return ResultReview.update(reviewId, {
+      status: STATUS.RESOLVED,
+      resolution: parseInt(result),
+      tx_hash: txHash,
+      error: null,
+      resolved_at: new Date()
+    });
+  }
+
+  // Back to open after a failed settlement, so it can be resolved again
+  static async reopen(reviewId, message) {
+    return ResultReview.update(reviewId, {
+      status: STATUS.OPEN,
+      resolved_by: null,
+      error: message
+    });
+  }
+}
+
+ResultReview.STATUS = STATUS;
+
+module.exports = ResultReview;
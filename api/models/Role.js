@@ -0,0 +1,239 @@
+// src/models/Role.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const SUPER_ADMIN = 'super_admin';
+
+class Role {
+  static async findAll() {
+    try {
+      const roles = await prisma.role.findMany({
+        orderBy: { name: 'asc' }
+      });
+      return roles;
+    } catch (error) {
+      logger.error('Error finding roles:', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const role = await prisma.role.findUnique({
+        where: { name }
+      });
+      return role;
+    } catch (error) {
+      logger.error('Error finding role by name:', error);
+      throw error;
+    }
+  }
+
+  static async create({ name, description, permissions }) {
+    try {
+      const role = await prisma.role.create({
+        data: {
+          name,
+          description: description || null,
+          permissions
+        }
+      });
+      return role;
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  static async update(name, { description, permissions }) {
+    try {
+      const data = {};
+      if (description !== undefined) data.description = description;
+      if (permissions !== undefined) data.permissions = permissions;
+
+      const role = await prisma.role.update({
+        where: { name },
+        data
+      });
+      return role;
+    } catch (error) {
+      logger.error('Error updating role:', error);
+      throw error;
+    }
+  }
+
+  static async delete(name) {
+    try {
+      await prisma.$transaction([
+        prisma.walletRole.deleteMany({ where: { role_name: name } }),
+        prisma.role.delete({ where: { name } })
+      ]);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+
+  static async getAssignments(filters = {}) {
+    try {
+      const where = {};
+      if (filters.walletAddress) where.wallet_address = filters.walletAddress.toLowerCase();
+      if (filters.roleName) where.role_name = filters.roleName;
+
+      const assignments = await prisma.walletRole.findMany({
+        where,
+        orderBy: { created_at: 'desc' }
+      });
+      return assignments;
+    } catch (error) {
+      logger.error('Error getting role assignments:', error);
+      throw error;
+    }
+  }
+
+  static async countAssignments(roleName) {
+    try {
+      const count = await prisma.walletRole.count({
+        where: { role_name: roleName }
+      });
+      return count;
+    } catch (error) {
+      logger.error('Error counting role assignments:', error);
+      throw error;
+    }
+  }
+
+  static async assign(walletAddress, roleName, grantedBy = null) {
+    try {
+      const normalizedAddress = walletAddress.toLowerCase();
+
+      const assignment = await prisma.walletRole.upsert({
+        where: {
+          wallet_address_role_name: {
+            wallet_address: normalizedAddress,
+            role_name: roleName
+          }
+        },
+        update: {},
+        create: {
+          wallet_address: normalizedAddress,
+          role_name: roleName,
+          granted_by: grantedBy ? grantedBy.toLowerCase() : null
+        }
+      });
+      return assignment;
+    } catch (error) {
+      logger.error('Error assigning role:', error);
+      throw error;
+    }
+  }
+
+  static async revoke(walletAddress, roleName) {
+    try {
+      const result = await prisma.walletRole.deleteMany({
+        where: {
+          wallet_address: walletAddress.toLowerCase(),
+          role_name: roleName
+        }
+      });
+      return result.count > 0;
+    } catch (error) {
+      logger.error('Error revoking role:', error);
+      throw error;
+    }
+  }
+
+  // Union of the permissions of every role held by the wallet
+  static async getPermissionsForWallet(walletAddress) {
+    try {
+      const assignments = await prisma.walletRole.findMany({
+        where: { wallet_address: walletAddress.toLowerCase() },
+        select: { role_name: true }
+      });
+
+      if (assignments.length === 0) {
+        return { roles: [], permissions: [] };
+      }
+
+      const roleNames = assignments.map(a => a.role_name);
+      const roles = await prisma.role.findMany({
+        where: { name: { in: roleNames } },
+        select: { permissions: true }
+      });
+
+      const permissions = new Set();
+      roles.forEach(role => role.permissions.forEach(p => permissions.add(p)));
+
+      return { roles: roleNames, permissions: [...permissions] };
+    } catch (error) {
+      logger.error('Error getting wallet permissions:', error);
+      throw error;
+    }
+  }
+
+  // '*' grants everything, 'matches:*' grants every matches permission
+  static hasPermission(granted, required) {
+    if (granted.includes('*') || granted.includes(required)) {
+      return true;
+    }
+
+    const [resource] = required.split(':');
+    return granted.includes(`${resource}:*`);
+  }
+
+  static isValidPermission(permission) {
+    if (permission === '*') return true;
+
+    const known = Object.values(constants.PERMISSIONS);
+    if (known.includes(permission)) return true;
+
+    const [resource, action] = permission.split(':');
+    return action === '*' && known.some(p => p.startsWith(`${resource}:`));
+  }
+
+  // Create the built-in roles and, on a fresh install, seed super admins from
+  // ADMIN_WALLETS. Once any super admin exists the env var is ignored.
+  static async ensureDefaults() {
+    try {
+      for (const [name, role] of Object.entries(constants.DEFAULT_ROLES)) {
+        await prisma.role.upsert({
+          where: { name },
+          update: {
+            description: role.description,
+            permissions: role.permissions,
+            is_system: true
+          },
+          create: {
+            name,
+            description: role.description,
+            permissions: role.permissions,
+            is_system: true
+          }
+        });
+      }
+
+      const superAdmins = await Role.countAssignments(SUPER_ADMIN);
+      if (superAdmins > 0) {
+        return;
+      }
+
+      const bootstrapWallets = (process.env.ADMIN_WALLETS?.split(',') || [])
+        .map(wallet => wallet.trim())
+        .filter(Boolean);
+
+      for (const wallet of bootstrapWallets) {
+        await Role.assign(wallet, SUPER_ADMIN, 'bootstrap');
+        logger.security('Bootstrapped super admin from ADMIN_WALLETS', { wallet });
+      }
+    } catch (error) {
+      logger.error('Error ensuring default roles:', error);
+      throw error;
+    }
+  }
+}
+
+Role.SUPER_ADMIN = SUPER_ADMIN;
+
+module.exports = Role;
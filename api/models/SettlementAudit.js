@@ -0,0 +1,25 @@
+// src/models/SettlementAudit.js
+const prisma = require('../config/database');
+const { getDefaultChainId } = require('../config/networks');
+const logger = require('../utils/logger');
+
+// Rows are written by ResultDispute.overturn, in the same transaction as the change
+class SettlementAudit {
+  static async findByMatch(matchId, chainId = null) {
+    try {
+      const audits = await prisma.settlementAudit.findMany({
+        where: {
+          chain_id: parseInt(chainId) || getDefaultChainId(),
+          match_id: parseInt(matchId)
+        },
+        orderBy: { id: 'asc' }
+      });
+      return audits;
+    } catch (error) {
+      logger.error('Error finding settlement audits:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SettlementAudit;
@@ -0,0 +1,39 @@
+// src/models/SyncCheckpoint.js
+const prisma = require('../config/database');
+const logger = require('../utils/logger');
+
+class SyncCheckpoint {
+  static async get(name) {
+    try {
+      const checkpoint = await prisma.syncCheckpoint.findUnique({
+        where: { name }
+      });
+      return checkpoint;
+    } catch (error) {
+      logger.error('Error getting sync checkpoint:', error);
+      throw error;
+    }
+  }
+
+  static async set(name, checkpointData) {
+    try {
+      const data = {};
+      if (checkpointData.block_number !== undefined) data.block_number = parseInt(checkpointData.block_number);
+      if (checkpointData.block_hash !== undefined) data.block_hash = checkpointData.block_hash;
+      if (checkpointData.confirmed_block !== undefined) data.confirmed_block = parseInt(checkpointData.confirmed_block);
+      if (checkpointData.confirmed_hash !== undefined) data.confirmed_hash = checkpointData.confirmed_hash;
+
+      const checkpoint = await prisma.syncCheckpoint.upsert({
+        where: { name },
+        update: data,
+        create: { name, ...data }
+      });
+      return checkpoint;
+    } catch (error) {
+      logger.error('Error setting sync checkpoint:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SyncCheckpoint;
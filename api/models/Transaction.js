@@ -0,0 +1,212 @@
+// src/models/Transaction.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const STATUS = {
+  QUEUED: 'queued',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  DROPPED: 'dropped'
+};
+
+const ATTEMPT_STATUS = {
+  SENT: 'sent',
+  MINED: 'mined',
+  REPLACED: 'replaced'
+};
+
+class Transaction {
+  static async create(txData) {
+    try {
+      const transaction = await prisma.transaction.create({
+        data: {
+          chain_id: parseInt(txData.chain_id),
+          method: txData.method,
+          args: txData.args || null,
+          value: txData.value ? txData.value.toString() : '0',
+          from_address: txData.from_address.toLowerCase(),
+          to_address: txData.to_address.toLowerCase(),
+          data: txData.data,
+          status: STATUS.QUEUED
+        }
+      });
+      return transaction;
+    } catch (error) {
+      logger.error('Error creating transaction:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const transaction = await prisma.transaction.findUnique({
+        where: { id: parseInt(id) }
+      });
+      return transaction;
+    } catch (error) {
+      logger.error('Error finding transaction by ID:', error);
+      throw error;
+    }
+  }
+
+  // Any attempt's hash identifies the transaction, not only the one that was mined
+  static async findByHash(txHash) {
+    try {
+      const attempt = await prisma.transactionAttempt.findUnique({
+        where: { tx_hash: txHash.toLowerCase() }
+      });
+      if (!attempt) return null;
+
+      return this.findById(attempt.transaction_id);
+    } catch (error) {
+      logger.error('Error finding transaction by hash:', error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}, pagination = {}) {
+    try {
+      const where = {};
+      if (filters.status) where.status = filters.status;
+      if (filters.method) where.method = filters.method;
+      if (filters.chain_id) where.chain_id = parseInt(filters.chain_id);
+
+      const page = parseInt(pagination.page) || 1;
+      const limit = Math.min(
+        parseInt(pagination.limit) || constants.PAGINATION.DEFAULT_LIMIT,
+        constants.PAGINATION.MAX_LIMIT
+      );
+
+      const [transactions, total] = await Promise.all([
+        prisma.transaction.findMany({
+          where,
+          orderBy: { created_at: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.transaction.count({ where })
+      ]);
+
+      return {
+        transactions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding transactions:', error);
+      throw error;
+    }
+  }
+
+  static async findByStatus(status, chainId, fromAddress = null) {
+    try {
+      const where = {
+        status,
+        chain_id: parseInt(chainId)
+      };
+      if (fromAddress) where.from_address = fromAddress.toLowerCase();
+
+      const transactions = await prisma.transaction.findMany({
+        where,
+        orderBy: { id: 'asc' }
+      });
+      return transactions;
+    } catch (error) {
+      logger.error('Error finding transactions by status:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const transaction = await prisma.transaction.update({
+        where: { id: parseInt(id) },
+        data
+      });
+      return transaction;
+    } catch (error) {
+      logger.error('Error updating transaction:', error);
+      throw error;
+    }
+  }
+
+  // Highest nonce this signer has broadcast on a network
+  static async getMaxNonce(fromAddress, chainId) {
+    try {
+      const result = await prisma.transaction.aggregate({
+        where: {
+          chain_id: parseInt(chainId),
+          from_address: fromAddress.toLowerCase(),
+          nonce: { not: null }
+        },
+        _max: { nonce: true }
+      });
+      return result._max.nonce;
+    } catch (error) {
+      logger.error('Error getting max transaction nonce:', error);
+      throw error;
+    }
+  }
+
+  static async addAttempt(transactionId, attemptData) {
+    try {
+      const attempt = await prisma.transactionAttempt.create({
+        data: {
+          transaction_id: transactionId,
+          tx_hash: attemptData.tx_hash.toLowerCase(),
+          nonce: attemptData.nonce,
+          max_fee_per_gas: attemptData.max_fee_per_gas ? attemptData.max_fee_per_gas.toString() : null,
+          max_priority_fee_per_gas: attemptData.max_priority_fee_per_gas ? attemptData.max_priority_fee_per_gas.toString() : null,
+          gas_price: attemptData.gas_price ? attemptData.gas_price.toString() : null
+        }
+      });
+      return attempt;
+    } catch (error) {
+      logger.error('Error recording transaction attempt:', error);
+      throw error;
+    }
+  }
+
+  static async getAttempts(transactionId) {
+    try {
+      const attempts = await prisma.transactionAttempt.findMany({
+        where: { transaction_id: transactionId },
+        orderBy: { id: 'asc' }
+      });
+      return attempts;
+    } catch (error) {
+      logger.error('Error getting transaction attempts:', error);
+      throw error;
+    }
+  }
+
+  // The mined attempt wins; every other broadcast of the nonce was replaced
+  static async markAttemptMined(transactionId, txHash) {
+    try {
+      await prisma.$transaction([
+        prisma.transactionAttempt.updateMany({
+          where: { transaction_id: transactionId },
+          data: { status: ATTEMPT_STATUS.REPLACED }
+        }),
+        prisma.transactionAttempt.update({
+          where: { tx_hash: txHash.toLowerCase() },
+          data: { status: ATTEMPT_STATUS.MINED }
+        })
+      ]);
+    } catch (error) {
+      logger.error('Error marking transaction attempt mined:', error);
+      throw error;
+    }
+  }
+}
+
+Transaction.STATUS = STATUS;
+Transaction.ATTEMPT_STATUS = ATTEMPT_STATUS;
+
+module.exports = Transaction;
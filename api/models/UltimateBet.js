@@ -0,0 +1,207 @@
+// src/models/UltimateBet.js
+const prisma = require('../config/database');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class UltimateBet {
+  static async create(betData) {
+    try {
+      const bet = await prisma.ultimateBet.create({
+        data: {
+          bet_id: betData.bet_id,
+          user_address: betData.user_address.toLowerCase(),
+          team_id: parseInt(betData.team_id),
+          team_name: betData.team_name,
+          amount: parseFloat(betData.amount),
+          potential_win: parseFloat(betData.potential_win),
+          odds: parseFloat(betData.odds),
+          status: betData.status || constants.BET_STATUS.PENDING,
+          active: betData.active === false ? 0 : 1,
+          claimed: betData.claimed ? 1 : 0,
+          tx_hash: betData.tx_hash ? betData.tx_hash.toLowerCase() : null,
+          placed_at: new Date()
+        }
+      });
+      return bet;
+    } catch (error) {
+      logger.error('Error creating ultimate bet:', error);
+      throw error;
+    }
+  }
+
+  static async findById(betId) {
+    try {
+      const bet = await prisma.ultimateBet.findFirst({
+        where: { bet_id: parseInt(betId) }
+      });
+      return bet;
+    } catch (error) {
+      logger.error('Error finding ultimate bet by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByTxHash(txHash) {
+    try {
+      const bet = await prisma.ultimateBet.findUnique({
+        where: { tx_hash: txHash.toLowerCase() }
+      });
+      return bet;
+    } catch (error) {
+      logger.error('Error finding ultimate bet by transaction hash:', error);
+      throw error;
+    }
+  }
+
+  // Link a bet the indexer already created to the transaction its owner submitted
+  static async attachTransaction(betId, txHash) {
+    try {
+      const result = await prisma.ultimateBet.updateMany({
+        where: {
+          bet_id: parseInt(betId),
+          tx_hash: null
+        },
+        data: { tx_hash: txHash.toLowerCase() }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error attaching transaction to ultimate bet:', error);
+      throw error;
+    }
+  }
+
+  static async findByUser(walletAddress) {
+    try {
+      const bets = await prisma.ultimateBet.findMany({
+        where: { user_address: walletAddress.toLowerCase() },
+        orderBy: { placed_at: 'desc' }
+      });
+      return bets;
+    } catch (error) {
+      logger.error('Error finding ultimate bets by user:', error);
+      throw error;
+    }
+  }
+
+  static async findActiveByUser(walletAddress) {
+    try {
+      const bet = await prisma.ultimateBet.findFirst({
+        where: {
+          user_address: walletAddress.toLowerCase(),
+          active: 1
+        }
+      });
+      return bet;
+    } catch (error) {
+      logger.error('Error finding active ultimate bet:', error);
+      throw error;
+    }
+  }
+
+  static async update(betId, updateData) {
+    try {
+      const data = {};
+
+      if (updateData.status !== undefined) data.status = updateData.status;
+      if (updateData.active !== undefined) data.active = updateData.active ? 1 : 0;
+      if (updateData.claimed !== undefined) data.claimed = updateData.claimed ? 1 : 0;
+      if (updateData.claimed_at !== undefined) data.claimed_at = updateData.claimed_at;
+
+      const otherFields = ['amount', 'potential_win', 'odds'];
+      otherFields.forEach(field => {
+        if (updateData[field] !== undefined) data[field] = updateData[field];
+      });
+
+      if (Object.keys(data).length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      const bet = await prisma.ultimateBet.update({
+        where: { bet_id: parseInt(betId) },
+        data
+      });
+      return bet;
+    } catch (error) {
+      logger.error('Error updating ultimate bet:', error);
+      throw error;
+    }
+  }
+
+  static async claim(betId, userAddress) {
+    try {
+      const result = await prisma.ultimateBet.updateMany({
+        where: {
+          bet_id: parseInt(betId),
+          user_address: userAddress.toLowerCase(),
+          status: constants.BET_STATUS.WON,
+          claimed: 0
+        },
+        data: {
+          claimed: 1,
+          active: 0,
+          claimed_at: new Date()
+        }
+      });
+      return result.count === 1;
+    } catch (error) {
+      logger.error('Error claiming ultimate bet:', error);
+      throw error;
+    }
+  }
+
+  // Resolve every open champion bet once the tournament winner is known
+  static async settleChampion(teamId) {
+    try {
+      const now = new Date();
+      const [won, lost] = await prisma.$transaction([
+        prisma.ultimateBet.updateMany({
+          where: {
+            team_id: parseInt(teamId),
+            status: constants.BET_STATUS.PENDING
+          },
+          data: {
+            status: constants.BET_STATUS.WON,
+            settled_at: now
+          }
+        }),
+        prisma.ultimateBet.updateMany({
+          where: {
+            team_id: { not: parseInt(teamId) },
+            status: constants.BET_STATUS.PENDING
+          },
+          data: {
+            status: constants.BET_STATUS.LOST,
+            active: 0,
+            settled_at: now
+          }
+        })
+      ]);
+
+      return { won: won.count, lost: lost.count };
+    } catch (error) {
+      logger.error('Error settling ultimate bets:', error);
+      throw error;
+    }
+  }
+
+  static async getTeamStats() {
+    try {
+      const stats = await prisma.ultimateBet.groupBy({
+        by: ['team_id'],
+        _count: { id: true },
+        _sum: { amount: true }
+      });
+
+      return stats.map(stat => ({
+        team_id: stat.team_id,
+        total_bets: stat._count.id || 0,
+        total_staked: stat._sum.amount || 0
+      }));
+    } catch (error) {
+      logger.error('Error getting ultimate bet team stats:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UltimateBet;
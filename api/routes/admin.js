@@ -2,97 +2,318 @@
 const express = require('express');
 const router = express.Router();
 const AdminController = require('../../api/controllers/adminController');
+const RoleController = require('../../api/controllers/roleController');
+const ApiKeyController = require('../../api/controllers/apiKeyController');
+const RefundController = require('../../api/controllers/refundController');
+const ReconciliationController = require('../../api/controllers/reconciliationController');
+const ContractAdminController = require('../../api/controllers/contractAdminController');
+const ResultReviewController = require('../../api/controllers/resultReviewController');
+const IndexerController = require('../../api/controllers/indexerController');
 const AuthMiddleware = require('../middleware/auth');
+const NetworkMiddleware = require('../middleware/network');
+const { constants } = require('../config/constants');
 
-// All admin routes require admin authentication
-router.use(AuthMiddleware.verifyAdmin);
+const { PERMISSIONS } = constants;
 
 // Dashboard statistics
 router.get('/dashboard', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getDashboardStats
 );
 
 // User management
 router.get('/users', 
+  AuthMiddleware.requirePermission(PERMISSIONS.USERS_VIEW),
   AdminController.getAllUsers
 );
 
 router.get('/users/:userId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.USERS_VIEW),
   AdminController.getUserDetails
 );
 
 router.put('/users/:userId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.USERS_MANAGE),
   AdminController.updateUser
 );
 
 router.delete('/users/:userId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.USERS_MANAGE),
   AdminController.deleteUser
 );
 
 // Match management
 router.get('/matches/pending', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_MANAGE),
   AdminController.getPendingMatches
 );
 
 router.get('/matches/needs-result', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
   AdminController.getMatchesNeedingResult
 );
 
+// Result consensus (per network, ?chain=). Matches whose sources disagree
+// wait in the review queue until an admin picks the result.
+router.get('/results/reviews', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
+  NetworkMiddleware.selectNetwork(),
+  ResultReviewController.getReviews
+);
+
+router.post('/results/reviews/:reviewId/resolve', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
+  NetworkMiddleware.selectNetwork(),
+  ResultReviewController.resolveReview
+);
+
+router.get('/results/:matchId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
+  NetworkMiddleware.selectNetwork(),
+  ResultReviewController.getConsensus
+);
+
 // Bet management
 router.get('/bets/pending', 
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_VIEW),
   AdminController.getPendingBets
 );
 
 router.get('/bets/large', 
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_VIEW),
   AdminController.getLargeBets
 );
 
+// Cancelled-match refunds (per network, ?chain=)
+router.get('/refunds', 
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  RefundController.getRefunds
+);
+
+router.get('/refunds/:matchId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  RefundController.getRefund
+);
+
+router.post('/refunds/:matchId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_MANAGE),
+  NetworkMiddleware.selectNetwork(),
+  RefundController.runRefund
+);
+
+// Contract vs database reconciliation (per network, ?chain=)
+router.get('/reconciliation', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  ReconciliationController.getReconciliation
+);
+
+router.post('/reconciliation/repair', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_MANAGE),
+  NetworkMiddleware.selectNetwork(),
+  ReconciliationController.repair
+);
+
+router.get('/reconciliation/reports', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  ReconciliationController.getReports
+);
+
+router.get('/reconciliation/reports/:reportId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  ReconciliationController.getReport
+);
+
+// On-chain roles and withdrawals (per network, ?chain=). Actions are requested,
+// then confirmed with the returned token; each action also checks its own
+// contract:* permission.
+router.get('/contract/roles', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  ContractAdminController.getRoles
+);
+
+router.get('/contract/actions', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  ContractAdminController.getActions
+);
+
+router.post('/contract/actions', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  NetworkMiddleware.selectNetwork(),
+  ContractAdminController.requestAction
+);
+
+router.post('/contract/actions/:actionId/confirm', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  NetworkMiddleware.selectNetwork(),
+  ContractAdminController.confirmAction
+);
+
+router.post('/contract/actions/:actionId/cancel', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  NetworkMiddleware.selectNetwork(),
+  ContractAdminController.cancelAction
+);
+
 // Financial operations
 router.get('/financial/overview', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_VIEW),
   AdminController.getFinancialOverview
 );
 
 router.get('/financial/transactions', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_VIEW),
   AdminController.getRecentTransactions
 );
 
 // System operations
 router.get('/system/health', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_VIEW),
   AdminController.getSystemHealth
 );
 
 router.post('/system/sync-chain', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_MANAGE),
   AdminController.syncWithBlockchain
 );
 
+// Event indexer (per network, ?chain=). A resync re-reads events from a block;
+// events a reorg removed after they were applied are listed for review.
+router.get('/system/indexer', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  IndexerController.getStatus
+);
+
+router.post('/system/indexer/resync', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  NetworkMiddleware.selectNetwork(),
+  IndexerController.resync
+);
+
 router.post('/system/update-fees', 
+  AuthMiddleware.requirePermission(PERMISSIONS.FINANCE_MANAGE),
   AdminController.updateFeeStructure
 );
 
 // Analytics
 router.get('/analytics/users', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getUserAnalytics
 );
 
 router.get('/analytics/bets', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getBetAnalytics
 );
 
 router.get('/analytics/revenue', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getRevenueAnalytics
 );
 
 // Reports
 router.get('/reports/daily', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getDailyReport
 );
 
 router.get('/reports/weekly', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getWeeklyReport
 );
 
 router.get('/reports/monthly', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ANALYTICS_VIEW),
   AdminController.getMonthlyReport
 );
 
+// Roles and permissions
+router.get('/roles', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.getRoles
+);
+
+router.post('/roles', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.createRole
+);
+
+router.get('/roles/permissions', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.getPermissions
+);
+
+router.get('/roles/assignments', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.getAssignments
+);
+
+router.post('/roles/assignments', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.assignRole
+);
+
+router.delete('/roles/assignments/:walletAddress/:roleName', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.revokeRole
+);
+
+router.get('/roles/wallets/:walletAddress', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.getWalletRoles
+);
+
+router.put('/roles/:roleName', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.updateRole
+);
+
+router.delete('/roles/:roleName', 
+  AuthMiddleware.requirePermission(PERMISSIONS.ROLES_MANAGE),
+  RoleController.deleteRole
+);
+
+// Partner API keys
+router.get('/api-keys', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.getApiKeys
+);
+
+router.post('/api-keys', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.createApiKey
+);
+
+router.get('/api-keys/scopes', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.getScopes
+);
+
+router.get('/api-keys/:keyId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.getApiKey
+);
+
+router.put('/api-keys/:keyId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.updateApiKey
+);
+
+router.post('/api-keys/:keyId/rotate', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.rotateApiKey
+);
+
+router.delete('/api-keys/:keyId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  ApiKeyController.revokeApiKey
+);
+
 module.exports = router;
\ No newline at end of file
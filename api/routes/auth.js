@@ -4,6 +4,9 @@ const router = express.Router();
 const AuthController = require('../../api/controllers/authController');
 const AuthMiddleware = require('../middleware/auth');
 
+// Issue a single-use SIWE nonce
+router.get('/nonce', AuthController.getNonce);
+
 // Wallet login/signup - use walletLogin method
 router.post('/login', AuthController.walletLogin);
 
@@ -28,13 +31,13 @@ router.get('/search', AuthController.searchUsers);
 // Get top users (public)
 router.get('/top', AuthController.getTopUsers);
 
-// Logout (client-side token invalidation)
-router.post('/logout', AuthMiddleware.verifyToken, (req, res) => {
-  logger.info(`User logged out: ${req.user.walletAddress}`);
-  return res.status(200).json({
-    success: true,
-    message: 'Logout successful'
-  });
-});
+// Rotate refresh token
+router.post('/refresh', AuthController.refreshToken);
+
+// Logout current session
+router.post('/logout', AuthMiddleware.verifyToken, AuthController.logout);
+
+// Logout all devices
+router.post('/logout-all', AuthMiddleware.verifyToken, AuthController.logoutAll);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const BetController = require('../../api/controllers/betController');
+const BetIntentController = require('../../api/controllers/betIntentController');
 const AuthMiddleware = require('../middleware/auth');
+const IdempotencyMiddleware = require('../middleware/idempotency');
+const NetworkMiddleware = require('../middleware/network');
+const { constants } = require('../config/constants');
+
+const { PERMISSIONS } = constants;
+
+// Every bet route accepts ?chain=
+router.use(NetworkMiddleware.selectNetwork());
 
 // Public routes
 router.get('/recent', 
@@ -21,9 +30,53 @@ router.get('/user/:userAddress',
 // User routes (require authentication)
 router.post('/', 
   AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
   BetController.placeBet
 );
 
+router.get('/approval', 
+  AuthMiddleware.verifyToken,
+  BetController.getApproval
+);
+
+router.post('/confirm', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  BetController.confirmBet
+);
+
+// Gasless bets: signed intents placed by the relayer
+router.get('/intent/typed-data', 
+  BetIntentController.getTypedData
+);
+
+router.post('/intent', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  BetIntentController.submitIntent
+);
+
+router.get('/intent/my', 
+  AuthMiddleware.verifyToken,
+  BetIntentController.getMyIntents
+);
+
+router.get('/intent/:intentId', 
+  AuthMiddleware.verifyToken,
+  BetIntentController.getIntent
+);
+
+router.post('/parlay', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  BetController.placeParlay
+);
+
+router.get('/parlay/:slipId', 
+  AuthMiddleware.verifyToken,
+  BetController.getParlayById
+);
+
 router.get('/my', 
   AuthMiddleware.verifyToken,
   BetController.getUserBets
@@ -51,22 +104,34 @@ router.get('/:betId',
 
 router.post('/:betId/claim', 
   AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
   BetController.claimBetWinnings
 );
 
+router.get('/:betId/cashout', 
+  AuthMiddleware.verifyToken,
+  BetController.getCashoutQuote
+);
+
+router.post('/:betId/cashout', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  BetController.acceptCashout
+);
+
 // Admin routes
 router.get('/stats/total', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_VIEW),
   BetController.getTotalBetStats
 );
 
 router.put('/:betId/cancel', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_MANAGE),
   BetController.cancelBet
 );
 
 router.delete('/:betId', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.BETS_MANAGE),
   BetController.deleteBet
 );
 
@@ -3,6 +3,9 @@ const express = require('express');
 const router = express.Router();
 const LeaderboardController = require('../../api/controllers/leaderboardController');
 const AuthMiddleware = require('../middleware/auth');
+const { constants } = require('../config/constants');
+
+const { PERMISSIONS } = constants;
 
 // Public routes
 router.get('/', 
@@ -46,7 +49,7 @@ router.get('/my/streak',
 
 // Admin routes
 router.post('/update-ranks', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.LEADERBOARD_MANAGE),
   LeaderboardController.updateAllRanks
 );
 
@@ -2,7 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const MatchController = require('../../api/controllers/matchController');
+const DisputeController = require('../../api/controllers/disputeController');
 const AuthMiddleware = require('../middleware/auth');
+const NetworkMiddleware = require('../middleware/network');
+const { constants } = require('../config/constants');
+
+const { PERMISSIONS } = constants;
+
+// Every match route accepts ?chain=
+router.use(NetworkMiddleware.selectNetwork());
 
 // Public routes
 router.get('/', 
@@ -43,29 +51,57 @@ router.get('/:matchId/stats',
   MatchController.getMatchStats
 );
 
+router.get('/:matchId/timeline', 
+  MatchController.getMatchTimeline
+);
+
+router.get('/:matchId/transitions', 
+  MatchController.getMatchTransitions
+);
+
+router.get('/:matchId/disputes', 
+  DisputeController.getDisputes
+);
+
+// Bettors on the match (and result admins) can dispute a provisional result
+router.post('/:matchId/disputes', 
+  AuthMiddleware.verifyToken,
+  DisputeController.fileDispute
+);
+
 // Admin routes
 router.post('/', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_MANAGE),
   MatchController.createMatch
 );
 
 router.put('/:matchId', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_MANAGE),
   MatchController.updateMatch
 );
 
 router.put('/:matchId/status', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_MANAGE),
   MatchController.updateMatchStatus
 );
 
 router.post('/:matchId/result', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
   MatchController.setMatchResult
 );
 
+router.post('/:matchId/disputes/:disputeId/decision', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
+  DisputeController.decideDispute
+);
+
+router.get('/:matchId/settlement-audit', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
+  DisputeController.getSettlementAudit
+);
+
 router.delete('/:matchId', 
-  AuthMiddleware.verifyAdmin,
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_MANAGE),
   MatchController.deleteMatch
 );
 
@@ -0,0 +1,11 @@
+// src/routes/networks.js
+const express = require('express');
+const router = express.Router();
+const NetworkController = require('../../api/controllers/networkController');
+
+// Public routes
+router.get('/', 
+  NetworkController.getNetworks
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// src/routes/partner.js
+const express = require('express');
+const router = express.Router();
+const PartnerController = require('../../api/controllers/partnerController');
+const AuthMiddleware = require('../middleware/auth');
+const NetworkMiddleware = require('../middleware/network');
+const { constants } = require('../config/constants');
+
+const { SCOPES } = constants.API_KEYS;
+
+// Read-only partner API, authenticated with an x-api-key header.
+// Matches are per network (?chain=, the default network otherwise).
+router.use(NetworkMiddleware.selectNetwork());
+
+// Matches
+router.get('/matches', 
+  AuthMiddleware.requireApiKey(SCOPES.MATCHES_READ),
+  PartnerController.getMatches
+);
+
+router.get('/matches/:matchId', 
+  AuthMiddleware.requireApiKey(SCOPES.MATCHES_READ),
+  PartnerController.getMatch
+);
+
+// Odds
+router.get('/odds', 
+  AuthMiddleware.requireApiKey(SCOPES.ODDS_READ),
+  PartnerController.getOdds
+);
+
+router.get('/matches/:matchId/odds', 
+  AuthMiddleware.requireApiKey(SCOPES.ODDS_READ),
+  PartnerController.getMatchOdds
+);
+
+// Results
+router.get('/results', 
+  AuthMiddleware.requireApiKey(SCOPES.RESULTS_READ),
+  PartnerController.getResults
+);
+
+router.get('/matches/:matchId/result', 
+  AuthMiddleware.requireApiKey(SCOPES.RESULTS_READ),
+  PartnerController.getMatchResult
+);
+
+// Aggregated betting volume
+router.get('/matches/:matchId/bets/stats', 
+  AuthMiddleware.requireApiKey(SCOPES.BETS_READ),
+  PartnerController.getMatchBetStats
+);
+
+module.exports = router;
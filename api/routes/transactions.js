@@ -0,0 +1,29 @@
+// src/routes/transactions.js
+const express = require('express');
+const router = express.Router();
+const TransactionController = require('../../api/controllers/transactionController');
+const AuthMiddleware = require('../middleware/auth');
+const NetworkMiddleware = require('../middleware/network');
+const { constants } = require('../config/constants');
+
+const { PERMISSIONS } = constants;
+
+// User routes (require authentication)
+router.get('/:txRef', 
+  AuthMiddleware.verifyToken,
+  TransactionController.getTransaction
+);
+
+// Admin routes
+router.get('/', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_VIEW),
+  NetworkMiddleware.selectNetwork(),
+  TransactionController.getTransactions
+);
+
+router.post('/:transactionId/speed-up', 
+  AuthMiddleware.requirePermission(PERMISSIONS.SYSTEM_MANAGE),
+  TransactionController.speedUpTransaction
+);
+
+module.exports = router;
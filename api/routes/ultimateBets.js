@@ -0,0 +1,51 @@
+// src/routes/ultimateBets.js
+const express = require('express');
+const router = express.Router();
+const UltimateBetController = require('../../api/controllers/ultimateBetController');
+const AuthMiddleware = require('../middleware/auth');
+const IdempotencyMiddleware = require('../middleware/idempotency');
+const { constants } = require('../config/constants');
+
+const { PERMISSIONS } = constants;
+
+// Public routes
+router.get('/odds', 
+  UltimateBetController.getOutrightOdds
+);
+
+// User routes (require authentication)
+router.post('/', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  UltimateBetController.placeUltimateBet
+);
+
+router.post('/confirm', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  UltimateBetController.confirmUltimateBet
+);
+
+router.get('/my', 
+  AuthMiddleware.verifyToken,
+  UltimateBetController.getMyUltimateBets
+);
+
+router.post('/:betId/claim', 
+  AuthMiddleware.verifyToken,
+  IdempotencyMiddleware.idempotent(),
+  UltimateBetController.claimUltimateWinnings
+);
+
+// Admin routes
+router.put('/odds/:teamId', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_MANAGE),
+  UltimateBetController.updateOutrightOdds
+);
+
+router.post('/champion', 
+  AuthMiddleware.requirePermission(PERMISSIONS.MATCHES_SETTLE),
+  UltimateBetController.setChampion
+);
+
+module.exports = router;
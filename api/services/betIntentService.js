@@ -0,0 +1,378 @@
+// src/services/betIntentService.js
+const { ethers } = require('ethers');
+const BetIntent = require('../models/BetIntent');
+const Bet = require('../models/Bet');
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const web3Service = require('./web3Service');
+const matchLifecycleService = require('./matchLifecycleService');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const fail = (message, statusCode, code, details) => Object.assign(new Error(message), { statusCode, code, details });
+
+// EIP-712 type the user signs. Amount is in wei, maxOdds is multiplied by 100
+// like the contract's odds, and deadline is a unix timestamp in seconds.
+const TYPES = {
+  BetIntent: [
+    { name: 'bettor', type: 'address' },
+    { name: 'matchId', type: 'uint256' },
+    { name: 'outcome', type: 'uint8' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'maxOdds', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// Gasless bets. A user signs a bet intent, the API checks it and queues it,
+// and the relayer worker sends it to placeBetFor, which checks the signature
+// on chain and records the signer as the bettor, so winnings and refunds go
+// to them. The relayer wallet pays the gas and sends the stake on chain, and
+// the stake comes out of the user's custodial balance when the intent is
+// accepted. An intent that is never placed returns it.
+class BetIntentService {
+  constructor() {
+    this.running = new Set();
+  }
+
+  async getTypedData(chainId = null) {
+    const chain = web3Service.forNetwork(chainId);
+    await chain.initialize();
+
+    return {
+      domain: await this.getDomain(chain),
+      types: TYPES,
+      primaryType: 'BetIntent'
+    };
+  }
+
+  async getDomain(chain) {
+    return {
+      name: constants.RELAYER.DOMAIN_NAME,
+      version: constants.RELAYER.DOMAIN_VERSION,
+      chainId: chain.chainId,
+      verifyingContract: await chain.web3.contract.getAddress()
+    };
+  }
+
+  async submit({ chainId = null, walletAddress, intent, signature }) {
+    if (!constants.RELAYED_BETS_ENABLED) {
+      throw fail('Gasless bets are disabled', 410);
+    }
+
+    // The relayer stakes ETH; token stakes come from the bettor's own wallet
+    if (constants.STAKING.TOKEN_MODE) {
+      throw fail(`Gasless bets are not available for ${constants.STAKING.SYMBOL} stakes`, 410);
+    }
+
+    const chain = web3Service.forNetwork(chainId);
+    await chain.initialize();
+
+    if (!chain.web3.relayer) {
+      throw fail(`Gasless bets are not available on ${chain.network.name}`, 503);
+    }
+
+    const value = this.parseIntent(intent);
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(await this.getDomain(chain), TYPES, value, signature);
+    } catch (error) {
+      throw fail('Invalid signature', 400);
+    }
+
+    if (signer.toLowerCase() !== value.bettor.toLowerCase()) {
+      throw fail('Signature does not match the bettor', 401);
+    }
+
+    if (value.bettor.toLowerCase() !== walletAddress.toLowerCase()) {
+      throw fail('Intent was signed for another wallet', 403);
+    }
+
+    const deadline = new Date(Number(value.deadline) * 1000);
+    if (deadline <= new Date()) {
+      throw fail('Intent has expired', 400);
+    }
+
+    if (deadline.getTime() - Date.now() > constants.RELAYER.MAX_DEADLINE) {
+      throw fail(`Intent deadline may be at most ${constants.RELAYER.MAX_DEADLINE / 1000} seconds away`, 400);
+    }
+
+    const amount = parseFloat(ethers.formatEther(value.amount));
+    if (amount < constants.BETTING_LIMITS.MIN_AMOUNT) {
+      throw fail(`Minimum bet amount is ${constants.BETTING_LIMITS.MIN_AMOUNT} ETH`, 400);
+    }
+
+    if (amount > constants.BETTING_LIMITS.MAX_AMOUNT) {
+      throw fail(`Maximum bet amount is ${constants.BETTING_LIMITS.MAX_AMOUNT} ETH`, 400);
+    }
+
+    const validOutcomes = Object.values(constants.OUTCOMES);
+    if (!validOutcomes.includes(Number(value.outcome))) {
+      throw fail(`Invalid outcome. Must be one of: ${validOutcomes.join(', ')}`, 400);
+    }
+
+    await this.checkMatch(chain, Number(value.matchId), Number(value.outcome), Number(value.maxOdds));
+
+    let created;
+    try {
+      created = await BetIntent.create({
+        chain_id: chain.chainId,
+        user_address: value.bettor,
+        match_id: Number(value.matchId),
+        outcome: Number(value.outcome),
+        amount,
+        amount_wei: value.amount,
+        max_odds: Number(value.maxOdds) / 100,
+        deadline,
+        nonce: value.nonce,
+        signature
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw fail('Intent nonce has already been used', 409);
+      }
+      throw error;
+    }
+
+    logger.info(`Bet intent ${created.id} queued for ${created.user_address} on match ${created.match_id}`);
+
+    // Relay right away; the scheduled worker picks up anything left over
+    this.processQueue(chain.chainId).catch(error => {
+      logger.error('Relayer run after intent submission failed:', error);
+    });
+
+    return created;
+  }
+
+  parseIntent(intent) {
+    if (!intent || typeof intent !== 'object') {
+      throw fail('A bet intent is required', 400);
+    }
+
+    try {
+      if (!ethers.isAddress(intent.bettor)) {
+        throw new Error('bettor');
+      }
+
+      return {
+        bettor: ethers.getAddress(intent.bettor),
+        matchId: BigInt(intent.matchId),
+        outcome: BigInt(intent.outcome),
+        amount: BigInt(intent.amount),
+        maxOdds: BigInt(intent.maxOdds),
+        deadline: BigInt(intent.deadline),
+        nonce: BigInt(intent.nonce)
+      };
+    } catch (error) {
+      throw fail('Malformed bet intent. Expected bettor, matchId, outcome, amount, maxOdds, deadline and nonce', 400);
+    }
+  }
+
+  // The match must still take bets at odds no higher than the signed maximum
+  async checkMatch(chain, matchId, outcome, maxOdds) {
+    const match = await Match.findById(matchId, chain.chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    if (!matchLifecycleService.isBettingOpen(match)) {
+      throw fail('Match is not bettable', 400);
+    }
+
+    const odds = Match.getOddsForOutcome(match, outcome);
+    if (Math.round(odds * 100) > maxOdds) {
+      throw fail('Odds have changed', 409, 'ODDS_CHANGED', {
+        match_id: matchId,
+        outcome,
+        max_odds: maxOdds / 100,
+        current_odds: odds
+      });
+    }
+
+    return odds;
+  }
+
+  // Relayer worker: finishes intents whose transaction outlived a previous run,
+  // then relays the oldest queued ones. One run per network at a time.
+  async processQueue(chainId = null) {
+    const chain = web3Service.forNetwork(chainId);
+    if (this.running.has(chain.chainId)) {
+      return { relayed: 0, resumed: 0 };
+    }
+
+    this.running.add(chain.chainId);
+    try {
+      await chain.initialize();
+      if (!chain.web3.relayer) {
+        return { relayed: 0, resumed: 0 };
+      }
+
+      const resumed = await this.resumeSubmitted(chain);
+
+      // Intents already sent are still finished after the feature is turned off
+      if (!constants.RELAYED_BETS_ENABLED) {
+        return { relayed: 0, resumed };
+      }
+
+      const queued = await BetIntent.findByStatus(BetIntent.STATUS.QUEUED, chain.chainId, constants.RELAYER.BATCH_SIZE);
+      await Promise.all(queued.map(intent => this.relay(chain, intent)));
+
+      return { relayed: queued.length, resumed };
+    } finally {
+      this.running.delete(chain.chainId);
+    }
+  }
+
+  async relay(chain, intent) {
+    const relayer = chain.transactions.forRelayer(chain.network.key);
+
+    try {
+      if (new Date(intent.deadline) <= new Date()) {
+        await BetIntent.markFailed(intent.id, 'Intent expired before it was relayed');
+        return;
+      }
+
+      // Odds may have moved while the intent was queued
+      await this.checkMatch(chain, intent.match_id, intent.outcome, Math.round(intent.max_odds * 100));
+
+      if (!(await BetIntent.markSubmitted(intent.id))) return;
+
+      const transaction = await relayer.enqueue('placeBetFor', [this.toContractIntent(intent), intent.signature], {
+        value: ethers.formatEther(BigInt(intent.amount_wei))
+      });
+
+      await BetIntent.update(intent.id, {
+        transaction_id: transaction.id,
+        tx_hash: transaction.tx_hash
+      });
+
+      const result = await relayer.waitForTransaction(transaction.id);
+      await this.recordBet(chain, intent, result.receipt);
+    } catch (error) {
+      // A transaction that is still pending, or mined but not yet recorded,
+      // is finished by a later run
+      const current = await BetIntent.findById(intent.id);
+      if (current.transaction_id) {
+        const transaction = await Transaction.findById(current.transaction_id);
+        if (transaction && [Transaction.STATUS.PENDING, Transaction.STATUS.CONFIRMED].includes(transaction.status)) {
+          logger.warn(`Bet intent ${intent.id} is not finished yet: ${error.message}`);
+          return;
+        }
+      }
+
+      logger.error(`Bet intent ${intent.id} failed:`, error);
+      await BetIntent.markFailed(intent.id, error.shortMessage || error.message);
+    }
+  }
+
+  // The intent exactly as it was signed
+  toContractIntent(intent) {
+    return [
+      intent.user_address,
+      intent.match_id,
+      intent.outcome,
+      intent.amount_wei,
+      Math.round(intent.max_odds * 100),
+      Math.floor(new Date(intent.deadline).getTime() / 1000),
+      intent.nonce
+    ];
+  }
+
+  async resumeSubmitted(chain) {
+    const submitted = await BetIntent.findByStatus(BetIntent.STATUS.SUBMITTED, chain.chainId);
+    let resumed = 0;
+
+    for (const intent of submitted) {
+      try {
+        if (!intent.transaction_id) {
+          // Interrupted between submission and sending; the transaction, if
+          // any, is in the transactions table
+          if (Date.now() - new Date(intent.submitted_at).getTime() > constants.TRANSACTIONS.WAIT_TIMEOUT) {
+            // A spent nonce means the bet was placed after all; the indexer
+            // records it, and the stake must not be returned
+            if (await chain.web3.contract.usedNonces(intent.user_address, intent.nonce)) {
+              await BetIntent.update(intent.id, {
+                status: BetIntent.STATUS.CONFIRMED,
+                completed_at: new Date()
+              });
+            } else {
+              await BetIntent.markFailed(intent.id, 'Relay was interrupted before its transaction was recorded');
+            }
+          }
+          continue;
+        }
+
+        const transaction = await Transaction.findById(intent.transaction_id);
+
+        if (transaction.status === Transaction.STATUS.CONFIRMED) {
+          const receipt = await chain.web3.provider.getTransactionReceipt(transaction.tx_hash);
+          await this.recordBet(chain, intent, receipt);
+          resumed++;
+        } else if (transaction.status === Transaction.STATUS.FAILED || transaction.status === Transaction.STATUS.DROPPED) {
+          await BetIntent.markFailed(intent.id, transaction.error || 'Relay transaction failed');
+        }
+      } catch (error) {
+        logger.error(`Could not resume bet intent ${intent.id}:`, error);
+      }
+    }
+
+    return resumed;
+  }
+
+  // Record the placed bet under the user who signed the intent
+  async recordBet(chain, intent, receipt) {
+    let event = null;
+    for (const log of receipt.logs) {
+      const parsed = chain.web3.contract.interface.parseLog(log);
+      if (parsed && parsed.name === 'BetPlaced') {
+        event = parsed;
+        break;
+      }
+    }
+
+    if (!event) {
+      throw new Error('BetPlaced event not found in receipt');
+    }
+
+    const betId = chain.convertToNumber(event.args.betId);
+
+    if (!(await Bet.findById(betId, chain.chainId))) {
+      const { odds, potentialWin } = Bet.fromChainAmounts(
+        intent.amount,
+        parseFloat(chain.web3.formatEther(event.args.potentialWin))
+      );
+
+      await Bet.create({
+        bet_id: betId,
+        chain_id: chain.chainId,
+        user_address: intent.user_address,
+        match_id: intent.match_id,
+        outcome: intent.outcome,
+        amount: intent.amount,
+        potential_win: potentialWin,
+        odds,
+        tx_hash: receipt.hash,
+        status: constants.BET_STATUS.PENDING,
+        claimed: false
+      });
+
+      await User.updateStats(intent.user_address, {
+        total_bets: 1,
+        total_staked: intent.amount
+      });
+
+      await Match.updateTotalStaked(intent.match_id, intent.amount, chain.chainId);
+    }
+
+    logger.info(`Bet intent ${intent.id} relayed as bet ${betId}: ${receipt.hash}`);
+    return BetIntent.markConfirmed(intent.id, { betId, txHash: receipt.hash });
+  }
+}
+
+// Create singleton instance
+const betIntentService = new BetIntentService();
+
+module.exports = betIntentService;
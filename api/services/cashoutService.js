@@ -0,0 +1,107 @@
+// src/services/cashoutService.js
+const Bet = require('../models/Bet');
+const Match = require('../models/Match');
+const CashoutQuote = require('../models/CashoutQuote');
+const web3Service = require('./web3Service');
+const matchLifecycleService = require('./matchLifecycleService');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const cashoutError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const roundAmount = (amount) => Math.floor(amount * 100) / 100;
+
+// Cash-outs are paid from the platform balance, so only custodial bets (held on
+// chain by the platform signer) qualify: the user cannot claim those on chain
+// afterwards. A bet held in the user's own wallet could be cashed out and then
+// claimed from the contract as well.
+class CashoutService {
+  // Fair value is the stake re-priced at the current odds, less the house margin.
+  // It can never exceed what the bet would pay if it won.
+  priceBet(bet, currentOdds) {
+    const fairValue = bet.amount * bet.odds / currentOdds;
+    const offer = Math.min(fairValue, bet.potential_win) * (1 - constants.CASHOUT.MARGIN);
+    return roundAmount(offer);
+  }
+
+  async loadEligibleBet(walletAddress, betId, chainId) {
+    const bet = await Bet.findById(parseInt(betId), chainId);
+    if (!bet) {
+      throw cashoutError('Bet not found', 404);
+    }
+
+    if (bet.user_address.toLowerCase() !== walletAddress.toLowerCase()) {
+      throw cashoutError('Access denied', 403);
+    }
+
+    if (bet.status !== constants.BET_STATUS.PENDING || bet.claimed) {
+      throw cashoutError('Only pending bets can be cashed out');
+    }
+
+    // Odds are not updated in play, so a live match would be priced off stale odds
+    const match = await Match.findById(bet.match_id, bet.chain_id);
+    if (!match || !matchLifecycleService.isBettingOpen(match) || match.result !== null) {
+      throw cashoutError('Cash-out is not available for this match');
+    }
+
+    const chain = web3Service.forNetwork(bet.chain_id);
+    await chain.initialize();
+    if (!(await chain.isCustodialBet(bet.bet_id))) {
+      throw cashoutError('Only bets placed through the platform wallet can be cashed out');
+    }
+
+    const currentOdds = Match.getOddsForOutcome(match, bet.outcome);
+    if (!currentOdds || currentOdds <= 1) {
+      throw cashoutError('Cash-out is not available for this match');
+    }
+
+    return { bet, currentOdds };
+  }
+
+  async getQuote(walletAddress, betId, chainId) {
+    const { bet, currentOdds } = await this.loadEligibleBet(walletAddress, betId, chainId);
+
+    const amount = this.priceBet(bet, currentOdds);
+    if (amount < constants.CASHOUT.MIN_AMOUNT) {
+      throw cashoutError('Cash-out value is too low');
+    }
+
+    const quote = await CashoutQuote.create({
+      bet_id: bet.bet_id,
+      chain_id: bet.chain_id,
+      user_address: walletAddress,
+      amount,
+      original_odds: bet.odds,
+      current_odds: currentOdds
+    });
+
+    return quote;
+  }
+
+  async acceptQuote(walletAddress, betId, quoteId, chainId) {
+    if (!quoteId) {
+      throw cashoutError('Quote ID is required');
+    }
+
+    const quote = await CashoutQuote.findByQuoteId(quoteId);
+    if (!quote || quote.user_address !== walletAddress.toLowerCase()) {
+      throw cashoutError('Cash-out quote not found', 404);
+    }
+
+    // The bet and match must still be open at acceptance time
+    const eligible = await this.loadEligibleBet(walletAddress, betId, chainId);
+    if (quote.bet_id !== eligible.bet.bet_id || quote.chain_id !== eligible.bet.chain_id) {
+      throw cashoutError('Cash-out quote not found', 404);
+    }
+
+    const bet = await CashoutQuote.accept(quote);
+
+    logger.info(`Bet cashed out: ${bet.bet_id} by ${walletAddress} for ${quote.amount}`);
+    return { bet, quote };
+  }
+}
+
+// Create singleton instance
+const cashoutService = new CashoutService();
+
+module.exports = cashoutService;
@@ -0,0 +1,218 @@
+// src/services/contractAdminService.js
+const { ethers } = require('ethers');
+const ContractAction = require('../models/ContractAction');
+const Role = require('../models/Role');
+const web3Service = require('./web3Service');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const { PERMISSIONS } = constants;
+
+// Owner-only contract calls the API can make. Role changes take a target
+// address; withdrawals pay out to the contract owner.
+const ACTIONS = {
+  add_oracle: { method: 'addOracle', role: 'oracle', grant: true, permission: PERMISSIONS.CONTRACT_ROLES_MANAGE },
+  remove_oracle: { method: 'removeOracle', role: 'oracle', grant: false, permission: PERMISSIONS.CONTRACT_ROLES_MANAGE },
+  add_admin: { method: 'addAdmin', role: 'admin', grant: true, permission: PERMISSIONS.CONTRACT_ROLES_MANAGE },
+  remove_admin: { method: 'removeAdmin', role: 'admin', grant: false, permission: PERMISSIONS.CONTRACT_ROLES_MANAGE },
+  withdraw_fees: { method: 'withdrawFees', permission: PERMISSIONS.CONTRACT_FUNDS_MANAGE },
+  // Drains the whole balance, stakes included
+  emergency_withdraw: { method: 'emergencyWithdraw', permission: PERMISSIONS.CONTRACT_FUNDS_MANAGE }
+};
+
+const ROLE_EVENTS = {
+  oracle: { added: 'OracleAdded', removed: 'OracleRemoved', mapping: 'isOracle' },
+  admin: { added: 'AdminAdded', removed: 'AdminRemoved', mapping: 'isAdmin' }
+};
+
+// Every contract action is two calls: a request that checks it would succeed
+// and returns a one-time confirmation token, then a confirmation that presents
+// the token before it expires and sends the transaction.
+class ContractAdminService {
+  async request({ chainId = null, action, address = null, user }) {
+    const definition = this.getDefinition(action, user);
+    const chain = web3Service.forNetwork(chainId);
+    await chain.initialize();
+
+    const target = definition.role ? this.normalizeAddress(address) : null;
+    const preview = await this.check(chain, definition, target);
+
+    const { action: record, confirmationToken } = await ContractAction.create({
+      chainId: chain.chainId,
+      action,
+      target,
+      requestedBy: user.walletAddress
+    });
+
+    logger.info(`Contract action ${record.id} (${action}) requested on ${chain.network.key} by ${user.walletAddress}`);
+
+    return {
+      ...record,
+      preview,
+      confirmation_token: confirmationToken
+    };
+  }
+
+  async confirm({ chainId = null, actionId, token, user }) {
+    const chain = web3Service.forNetwork(chainId);
+    const record = await this.findForNetwork(actionId, chain.chainId);
+    const definition = this.getDefinition(record.action, user);
+
+    if (record.status !== ContractAction.STATUS.PENDING) {
+      throw fail(`Action is ${record.status}`, 409);
+    }
+
+    if (new Date(record.expires_at) <= new Date()) {
+      await ContractAction.close(record.id, ContractAction.STATUS.EXPIRED);
+      throw fail('Confirmation expired; request the action again', 410);
+    }
+
+    if (!token || !(await ContractAction.claim(record.id, token, user.walletAddress))) {
+      throw fail('Invalid confirmation token', 403);
+    }
+
+    try {
+      await chain.initialize();
+
+      // The chain may have changed since the request
+      const preview = await this.check(chain, definition, record.target);
+      const args = record.target ? [record.target] : [];
+      const sent = await chain.transactions.send(definition.method, args);
+
+      logger.info(`Contract action ${record.id} (${record.action}) confirmed by ${user.walletAddress}: ${sent.txHash}`);
+
+      return await ContractAction.complete(record.id, { txHash: sent.txHash, result: preview });
+    } catch (error) {
+      logger.error(`Contract action ${record.id} failed:`, error);
+      await ContractAction.fail(record.id, error.message);
+      throw error;
+    }
+  }
+
+  async cancel({ chainId = null, actionId, user }) {
+    const chain = web3Service.forNetwork(chainId);
+    const record = await this.findForNetwork(actionId, chain.chainId);
+    this.getDefinition(record.action, user);
+
+    if (!(await ContractAction.close(record.id, ContractAction.STATUS.CANCELLED))) {
+      throw fail(`Action is ${record.status}`, 409);
+    }
+
+    logger.info(`Contract action ${record.id} cancelled by ${user.walletAddress}`);
+    return ContractAction.findById(record.id);
+  }
+
+  // Current oracles and admins, rebuilt by replaying the role events since the
+  // network's deploy block (the constructor emits them for the deployer)
+  async getRoles(chainId = null) {
+    const chain = web3Service.forNetwork(chainId);
+    await chain.initialize();
+
+    const read = (method, args = []) => chain.web3.callContract(method, args, { readOnly: true });
+    const owner = (await read('owner')).toLowerCase();
+    const signer = chain.web3.getSignerAddress();
+
+    const fromBlock = chain.web3.network.deployBlock;
+    const latestBlock = await chain.web3.provider.getBlockNumber();
+    const roles = {};
+
+    for (const [role, events] of Object.entries(ROLE_EVENTS)) {
+      const holders = new Map();
+
+      const logs = [];
+      for (let from = fromBlock; from <= latestBlock; from += constants.INDEXER.BLOCK_RANGE) {
+        const to = Math.min(from + constants.INDEXER.BLOCK_RANGE - 1, latestBlock);
+        logs.push(...await chain.web3.getEvents(events.added, {}, from, to));
+        logs.push(...await chain.web3.getEvents(events.removed, {}, from, to));
+      }
+
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const log of logs) {
+        const address = log.args[0].toLowerCase();
+        if (log.fragment.name === events.added) {
+          holders.set(address, { address, block: log.blockNumber, tx_hash: log.transactionHash });
+        } else {
+          holders.delete(address);
+        }
+      }
+
+      roles[role] = [...holders.values()];
+    }
+
+    return {
+      network: chain.network.key,
+      contract: await chain.web3.contract.getAddress(),
+      owner,
+      signer: signer ? signer.toLowerCase() : null,
+      signer_is_owner: !!signer && signer.toLowerCase() === owner,
+      oracles: roles.oracle,
+      admins: roles.admin
+    };
+  }
+
+  getDefinition(action, user) {
+    const definition = ACTIONS[action];
+    if (!definition) {
+      throw fail(`Unknown action. Valid: ${Object.keys(ACTIONS).join(', ')}`, 400);
+    }
+
+    if (!Role.hasPermission(user.permissions || [], definition.permission)) {
+      throw fail(`Requires ${definition.permission}`, 403);
+    }
+
+    return definition;
+  }
+
+  async findForNetwork(actionId, chainId) {
+    const record = await ContractAction.findById(actionId);
+    if (!record || record.chain_id !== chainId) {
+      throw fail('Contract action not found', 404);
+    }
+    return record;
+  }
+
+  normalizeAddress(address) {
+    if (!address || !ethers.isAddress(address) || address === ethers.ZeroAddress) {
+      throw fail('A valid address is required', 400);
+    }
+    return address.toLowerCase();
+  }
+
+  // Fails early on anything the contract would revert on, and describes what
+  // the transaction will do
+  async check(chain, definition, target) {
+    const read = (method, args = []) => chain.web3.callContract(method, args, { readOnly: true });
+    const owner = (await read('owner')).toLowerCase();
+    const signer = chain.web3.getSignerAddress();
+
+    if (!signer || signer.toLowerCase() !== owner) {
+      throw fail('The platform signer is not the contract owner', 409);
+    }
+
+    if (definition.role) {
+      const holds = await read(ROLE_EVENTS[definition.role].mapping, [target]);
+      if (holds === definition.grant) {
+        throw fail(`${target} is ${holds ? 'already' : 'not'} ${definition.role === 'oracle' ? 'an oracle' : 'an admin'}`, 409);
+      }
+      return { role: definition.role, address: target, grant: definition.grant };
+    }
+
+    const amount = definition.method === 'withdrawFees'
+      ? await read('totalFeesCollected')
+      : await read('getContractBalance');
+
+    if (amount === 0n) {
+      throw fail('Nothing to withdraw', 409);
+    }
+
+    return { amount: chain.web3.formatEther(amount), recipient: owner };
+  }
+}
+
+// Create singleton instance
+const contractAdminService = new ContractAdminService();
+
+module.exports = contractAdminService;
@@ -1,5 +1,10 @@
 // api/services/dataSyncService.js - UPDATED
 const logger = require('../utils/logger');
+const refundService = require('./refundService');
+const MatchEvent = require('../models/MatchEvent');
+const matchLifecycleService = require('./matchLifecycleService');
+const { getDefaultChainId } = require('../config/networks');
+const { constants } = require('../config/constants');
 
 class DataSyncService {
   constructor(sportsDataService) {
@@ -18,22 +23,22 @@ class DataSyncService {
     const syncStart = Date.now();
 
     try {
-      logger.info('🔄 Starting REAL data sync from SportsData.io API...');
+      logger.info('🔄 Starting data sync from sports data providers...');
       
-      // Test API connection first
+      // Test provider connections first
       const health = await this.sportsDataService.healthCheck();
       if (!health.connected) {
         throw new Error(`API not connected: ${health.error}`);
       }
       
-      // Fetch matches from API
-      const apiMatches = await this.sportsDataService.fetchWorldCupMatches();
+      // Fetch fixtures from the first provider that has them
+      const apiMatches = await this.sportsDataService.fetchFixtures();
       
-      if (!apiMatches || apiMatches.length === 0) {
+      if (apiMatches.length === 0) {
         logger.warn('⚠️ No matches received from API');
         return {
           success: false,
-          message: 'No matches received from SportsData.io API',
+          message: 'No matches received from any sports data provider',
           created: 0,
           updated: 0,
           total: 0,
@@ -50,38 +55,90 @@ class DataSyncService {
       let created = 0;
       let updated = 0;
       let errors = 0;
+      const cancelledMatchIds = [];
       
-      // Process each match
-      for (const matchData of apiMatches.slice(0, 50)) { // Limit to 50 matches
+      // Process each match. A fixture is found by its provider and that
+      // provider's id; new ones get a match_id of ours, since provider ids
+      // overlap each other and on-chain match IDs. The sports feed only
+      // maintains matches on the default network.
+      const chainId = getDefaultChainId();
+      let nextMatchId = null;
+
+      for (const { events, provider, ...fixture } of apiMatches.slice(0, 50)) { // Limit to 50 matches
+        const matchData = { ...fixture, data_provider: provider };
         try {
-          // Check if match already exists by match_id
           const existingMatch = await prisma.match.findUnique({
-            where: { match_id: matchData.match_id }
+            where: {
+              chain_id_data_provider_external_id: {
+                chain_id: chainId,
+                data_provider: provider,
+                external_id: matchData.external_id
+              }
+            }
           });
-          
+
+          let matchId;
           if (existingMatch) {
-            // Update existing match
+            matchId = existingMatch.match_id;
+
+            // Update existing match; the feed's status is applied only where
+            // it is a legal next step from ours
+            const { status, ...fields } = matchData;
             await prisma.match.update({
-              where: { match_id: matchData.match_id },
-              data: matchData
+              where: { id: existingMatch.id },
+              data: fields
             });
             updated++;
-            logger.debug(`Updated match ${matchData.match_id}: ${matchData.team_a} vs ${matchData.team_b}`);
+            logger.debug(`Updated match ${matchId}: ${matchData.team_a} vs ${matchData.team_b}`);
+
+            if (status !== existingMatch.status && matchLifecycleService.canTransition(existingMatch.status, status)) {
+              await matchLifecycleService.transition({
+                chainId,
+                matchId,
+                to: status,
+                source: matchLifecycleService.SOURCES.SYNC
+              });
+
+              if (status === 'cancelled') {
+                cancelledMatchIds.push(matchId);
+              }
+            }
           } else {
-            // Create new match
+            if (nextMatchId === null) {
+              nextMatchId = await this.nextSyncedMatchId(prisma, chainId);
+            }
+            matchId = nextMatchId;
+
+            // Create new match; feeds carry no prices, so it gets placeholder
+            // odds until an admin sets them
             await prisma.match.create({
-              data: matchData
+              data: { ...matchData, match_id: matchId, chain_id: chainId, ...this.placeholderOdds() }
             });
+            nextMatchId++;
             created++;
-            logger.info(`✅ Created match ${matchData.match_id}: ${matchData.team_a} vs ${matchData.team_b}`);
+            logger.info(`✅ Created match ${matchId} from ${provider} fixture ${matchData.external_id}: ${matchData.team_a} vs ${matchData.team_b}`);
+          }
+
+          if (events) {
+            await MatchEvent.syncFromFeed(matchId, events, chainId);
           }
         } catch (matchError) {
           errors++;
-          logger.error(`Error processing match ${matchData.match_id}:`, matchError.message);
+          logger.error(`Error processing ${provider} fixture ${matchData.external_id}:`, matchError.message);
         }
       }
       
       await prisma.$disconnect();
+
+      // Refund bets on matches the feed just cancelled
+      const refunds = [];
+      for (const matchId of cancelledMatchIds) {
+        try {
+          refunds.push(await refundService.refundMatch(matchId, 'sports_sync'));
+        } catch (refundError) {
+          logger.error(`Error refunding cancelled match ${matchId}:`, refundError.message);
+        }
+      }
       
       const syncDuration = Date.now() - syncStart;
       this.lastSyncTime = new Date();
@@ -100,6 +157,7 @@ class DataSyncService {
         created,
         updated,
         errors,
+        refunds,
         total: apiMatches.length,
         duration: syncDuration,
         lastSync: this.lastSyncTime,
@@ -119,6 +177,24 @@ class DataSyncService {
       this.syncInProgress = false;
     }
   }
+
+  async nextSyncedMatchId(prisma, chainId) {
+    const first = constants.SPORTS_DATA.FIRST_SYNCED_MATCH_ID;
+    const { _max } = await prisma.match.aggregate({
+      where: { chain_id: chainId, match_id: { gte: first } },
+      _max: { match_id: true }
+    });
+
+    return _max.match_id === null ? first : _max.match_id + 1;
+  }
+
+  placeholderOdds() {
+    return {
+      odds_team_a: parseFloat((1.8 + Math.random() * 0.6).toFixed(2)),
+      odds_draw: parseFloat((3.2 + Math.random() * 0.5).toFixed(2)),
+      odds_team_b: parseFloat((2.1 + Math.random() * 0.8).toFixed(2))
+    };
+  }
 }
 
 module.exports = DataSyncService;
\ No newline at end of file
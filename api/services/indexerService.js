@@ -0,0 +1,495 @@
+// src/services/indexerService.js
+const { ethers } = require('ethers');
+const web3Config = require('../config/web3');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+const Match = require('../models/Match');
+const Bet = require('../models/Bet');
+const User = require('../models/User');
+const UltimateBet = require('../models/UltimateBet');
+const ChainEvent = require('../models/ChainEvent');
+const SyncCheckpoint = require('../models/SyncCheckpoint');
+const parlayService = require('./parlayService');
+const matchLifecycleService = require('./matchLifecycleService');
+
+// Reads contract events in block ranges and records them as provisional.
+// Events are applied to the database only once their block has
+// REQUIRED_CONFIRMATIONS on top of it and its hash still matches the chain;
+// if a scanned block is replaced by a reorg, everything not yet applied is
+// discarded and read again from the canonical chain.
+// A reorg below the confirmed block rewinds to the last block still on the
+// chain; applied events that vanished are marked orphaned for review.
+// Each network is indexed by its own instance with its own checkpoint (forNetwork).
+const instances = new Map();
+
+class IndexerService {
+  constructor(web3 = web3Config) {
+    this.web3 = web3;
+    this.isRunning = false;
+  }
+
+  get chainId() {
+    return this.web3.network.chainId;
+  }
+
+  // The default network keeps the original checkpoint name
+  get checkpointName() {
+    const { network } = this.web3;
+    return network.isDefault
+      ? constants.INDEXER.CHECKPOINT
+      : `${constants.INDEXER.CHECKPOINT}:${network.key.toLowerCase()}`;
+  }
+
+  // Indexer for a registered network (key, name or chain ID)
+  forNetwork(ref) {
+    const web3 = web3Config.forNetwork(ref);
+    if (web3 === web3Config) {
+      return indexerService;
+    }
+
+    if (!instances.has(web3)) {
+      instances.set(web3, new IndexerService(web3));
+    }
+    return instances.get(web3);
+  }
+
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Indexer already running');
+      return { success: false, message: 'Indexer already running' };
+    }
+
+    if (!this.web3.contract) {
+      throw new Error('Contract not loaded');
+    }
+
+    this.isRunning = true;
+
+    try {
+      return await this.catchUp();
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Re-read and re-apply every event from a block on (admin). Handlers are
+  // idempotent, so events that are still on the chain change nothing.
+  async resync(fromBlock) {
+    if (this.isRunning) {
+      return { success: false, message: 'Indexer already running' };
+    }
+
+    if (!this.web3.contract) {
+      throw new Error('Contract not loaded');
+    }
+
+    this.isRunning = true;
+
+    try {
+      const startBlock = Math.max(parseInt(fromBlock) || 0, this.web3.network.deployBlock);
+      const rewound = await this.rewind(startBlock - 1);
+      const result = await this.catchUp();
+
+      return { ...result, resyncedFrom: startBlock, orphaned: rewound.orphaned };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async catchUp() {
+    const startBlock = this.web3.network.deployBlock;
+
+    let checkpoint = await SyncCheckpoint.get(this.checkpointName);
+    if (!checkpoint) {
+      checkpoint = await SyncCheckpoint.set(this.checkpointName, {
+        block_number: startBlock - 1,
+        confirmed_block: startBlock - 1
+      });
+    }
+
+    const latestBlock = await this.web3.provider.getBlockNumber();
+
+    checkpoint = await this.checkForReorg(checkpoint);
+    const scanned = await this.scan(checkpoint.block_number + 1, latestBlock);
+    const applied = await this.applyConfirmed(latestBlock - constants.VERIFICATION.REQUIRED_CONFIRMATIONS);
+
+    logger.info(`Indexer (${this.web3.network.key}) caught up to block ${latestBlock}: ${scanned} events seen, ${applied} applied`);
+
+    return { success: true, latestBlock, scanned, applied };
+  }
+
+  async getBlockHash(blockNumber) {
+    if (blockNumber < 0) return null;
+
+    const block = await this.web3.provider.getBlock(blockNumber);
+    return block ? block.hash : null;
+  }
+
+  async checkForReorg(checkpoint) {
+    // A reorg deeper than the confirmation depth: rewind to the last block whose
+    // applied events are all still on the chain and read forward from there
+    if (checkpoint.confirmed_hash &&
+        await this.getBlockHash(checkpoint.confirmed_block) !== checkpoint.confirmed_hash) {
+      logger.error(`Chain reorg below confirmed block ${checkpoint.confirmed_block} on ${this.web3.network.key}`);
+      const { checkpoint: rewound } = await this.rewind(await this.findCommonAncestor(checkpoint.confirmed_block));
+      return rewound;
+    }
+
+    // Any reorg inside the scanned range changes the hash of its last block
+    if (checkpoint.block_hash &&
+        await this.getBlockHash(checkpoint.block_number) !== checkpoint.block_hash) {
+      return this.rollback(checkpoint, checkpoint.block_number);
+    }
+
+    return checkpoint;
+  }
+
+  async rollback(checkpoint, blockNumber) {
+    const discarded = await ChainEvent.deleteProvisional(this.chainId);
+
+    logger.warn(`Chain reorg detected at block ${blockNumber}: discarded ${discarded} provisional events, rescanning from block ${checkpoint.confirmed_block + 1}`);
+
+    return SyncCheckpoint.set(this.checkpointName, {
+      block_number: checkpoint.confirmed_block,
+      block_hash: checkpoint.confirmed_hash
+    });
+  }
+
+  // Highest block at or below maxBlock whose applied events still match the
+  // chain; before the deploy block if none do
+  async findCommonAncestor(maxBlock) {
+    const hashes = new Map();
+
+    for (;;) {
+      const events = await ChainEvent.findConfirmedBefore(maxBlock, this.chainId);
+      if (events.length === 0) {
+        return this.web3.network.deployBlock - 1;
+      }
+
+      for (const event of events) {
+        if (!hashes.has(event.block_number)) {
+          hashes.set(event.block_number, await this.getBlockHash(event.block_number));
+        }
+
+        if (hashes.get(event.block_number) === event.block_hash) {
+          return event.block_number;
+        }
+      }
+
+      maxBlock = events[events.length - 1].block_number - 1;
+    }
+  }
+
+  // Move both checkpoints back to a block. Applied events after it that are no
+  // longer on the chain are marked orphaned (their effects cannot be undone
+  // safely and need review); all other events after it are read and applied again.
+  async rewind(blockNumber) {
+    const events = await ChainEvent.findFrom(blockNumber + 1, this.chainId);
+
+    const hashes = new Map();
+    const orphaned = [];
+    for (const event of events) {
+      if (event.status !== ChainEvent.STATUS.CONFIRMED) continue;
+
+      if (!hashes.has(event.block_number)) {
+        hashes.set(event.block_number, await this.getBlockHash(event.block_number));
+      }
+
+      if (hashes.get(event.block_number) !== event.block_hash) {
+        orphaned.push(event);
+      }
+    }
+
+    if (orphaned.length > 0) {
+      await ChainEvent.markOrphaned(orphaned.map(event => event.id));
+      logger.error(`Indexer (${this.web3.network.key}): ${orphaned.length} applied events are no longer on the chain`, {
+        events: orphaned.map(event => `${event.event_name} ${event.tx_hash}:${event.log_index}`)
+      });
+    }
+
+    const replayed = await ChainEvent.deleteFrom(blockNumber + 1, this.chainId);
+    const blockHash = await this.getBlockHash(blockNumber);
+
+    const checkpoint = await SyncCheckpoint.set(this.checkpointName, {
+      block_number: blockNumber,
+      block_hash: blockHash,
+      confirmed_block: blockNumber,
+      confirmed_hash: blockHash
+    });
+
+    logger.warn(`Indexer (${this.web3.network.key}) rewound to block ${blockNumber}: ${orphaned.length} events orphaned, ${replayed} to read again`);
+
+    return { checkpoint, orphaned: orphaned.length };
+  }
+
+  // Record every event in the range as provisional
+  async scan(fromBlock, latestBlock) {
+    let scanned = 0;
+
+    while (fromBlock <= latestBlock) {
+      const toBlock = Math.min(fromBlock + constants.INDEXER.BLOCK_RANGE - 1, latestBlock);
+
+      const events = await this.fetchEvents(fromBlock, toBlock);
+      for (const event of events) {
+        const recorded = await ChainEvent.record({
+          chain_id: this.chainId,
+          tx_hash: event.transactionHash,
+          log_index: event.index,
+          block_number: event.blockNumber,
+          block_hash: event.blockHash,
+          event_name: event.eventName,
+          args: this.serializeArgs(event)
+        });
+        if (recorded) scanned++;
+      }
+
+      await SyncCheckpoint.set(this.checkpointName, {
+        block_number: toBlock,
+        block_hash: await this.getBlockHash(toBlock)
+      });
+      logger.debug(`Scanned blocks ${fromBlock}-${toBlock}: ${events.length} events`);
+
+      fromBlock = toBlock + 1;
+    }
+
+    return scanned;
+  }
+
+  // Apply provisional events up to the confirmed height, in chain order
+  async applyConfirmed(safeBlock) {
+    let checkpoint = await SyncCheckpoint.get(this.checkpointName);
+
+    const confirmedBlock = Math.min(safeBlock, checkpoint.block_number);
+    if (confirmedBlock <= checkpoint.confirmed_block) {
+      return 0;
+    }
+
+    checkpoint = await this.checkForReorg(checkpoint);
+    if (checkpoint.block_number < confirmedBlock) {
+      return 0;
+    }
+
+    const events = await ChainEvent.findProvisional(confirmedBlock, this.chainId);
+
+    // An event read just before a reorg can carry a hash the chain no longer has
+    const hashes = new Map();
+    for (const event of events) {
+      if (!hashes.has(event.block_number)) {
+        hashes.set(event.block_number, await this.getBlockHash(event.block_number));
+      }
+
+      if (hashes.get(event.block_number) !== event.block_hash) {
+        await this.rollback(checkpoint, event.block_number);
+        return 0;
+      }
+    }
+
+    for (const event of events) {
+      await this.applyEvent(event);
+      await ChainEvent.confirm(event.id);
+    }
+
+    await SyncCheckpoint.set(this.checkpointName, {
+      confirmed_block: confirmedBlock,
+      confirmed_hash: await this.getBlockHash(confirmedBlock)
+    });
+
+    return events.length;
+  }
+
+  // All indexed events in a block range, in chain order
+  async fetchEvents(fromBlock, toBlock) {
+    const events = [];
+
+    for (const eventName of constants.INDEXER.EVENTS) {
+      // Older deployments may not emit every event
+      if (!this.web3.contract.interface.getEvent(eventName)) continue;
+
+      const found = await this.web3.getEvents(eventName, {}, fromBlock, toBlock);
+      events.push(...found);
+    }
+
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }
+
+  // Event args as plain JSON; uint256 values become strings
+  serializeArgs(event) {
+    const args = {};
+    event.fragment.inputs.forEach((input, i) => {
+      const value = event.args[i];
+      args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+    });
+    return args;
+  }
+
+  // Handlers get the stored (serialized) args and must be safe to run twice
+  async applyEvent(event) {
+    switch (event.event_name) {
+      case 'MatchCreated': return this.handleMatchCreated(event.args);
+      case 'BetPlaced': return this.handleBetPlaced(event.args);
+      case 'MatchResultSet': return this.handleMatchResultSet(event.args, event);
+      case 'WinningsClaimed': return this.handleWinningsClaimed(event.args);
+      case 'BetRefunded': return this.handleBetRefunded(event.args);
+      case 'UltimateBetPlaced': return this.handleUltimateBetPlaced(event.args);
+      case 'UltimateWinningsClaimed': return this.handleUltimateWinningsClaimed(event.args);
+      default:
+        logger.warn(`Indexer: no handler for ${event.event_name}`);
+    }
+  }
+
+  async handleMatchCreated(args) {
+    const matchId = Number(args.matchId);
+
+    if (await Match.findById(matchId, this.chainId)) return;
+
+    await Match.create({
+      match_id: matchId,
+      chain_id: this.chainId,
+      team_a: args.teamA,
+      team_b: args.teamB,
+      match_date: new Date(Number(args.timestamp) * 1000),
+      odds_team_a: Number(args.oddsTeamA) / 100,
+      odds_draw: Number(args.oddsDraw) / 100,
+      odds_team_b: Number(args.oddsTeamB) / 100
+    });
+
+    logger.debug(`Indexer created match ${matchId}`);
+  }
+
+  // Bets confirmed through the API already exist; the rest are created here and
+  // picked up by /bets/confirm later if their owner submits the hash. Relayed
+  // bets carry the signer as bettor, so they are recorded the same way.
+  async handleBetPlaced(args) {
+    const betId = Number(args.betId);
+
+    if (await Bet.findById(betId, this.chainId)) return;
+
+    const amount = parseFloat(ethers.formatEther(args.amount));
+    const { odds, potentialWin } = Bet.fromChainAmounts(amount, parseFloat(ethers.formatEther(args.potentialWin)));
+
+    await Bet.create({
+      bet_id: betId,
+      chain_id: this.chainId,
+      user_address: args.bettor,
+      match_id: Number(args.matchId),
+      outcome: Number(args.predicted),
+      amount,
+      potential_win: potentialWin,
+      odds,
+      status: constants.BET_STATUS.PENDING
+    });
+
+    await Match.updateTotalStaked(Number(args.matchId), amount, this.chainId);
+
+    logger.debug(`Indexer created bet ${betId}`);
+  }
+
+  async handleMatchResultSet(args, event) {
+    const matchId = Number(args.matchId);
+    const result = Number(args.result);
+
+    const match = await Match.findById(matchId, this.chainId);
+    if (!match) {
+      logger.warn(`Indexer: result for unknown match ${matchId}`);
+      return;
+    }
+
+    // Results set through the API are already applied
+    if (match.result !== null) return;
+
+    // The contract only takes results for finished matches
+    if (match.status !== constants.MATCH_STATUS.FINISHED) {
+      await matchLifecycleService.finish({
+        chainId: this.chainId,
+        matchId,
+        source: matchLifecycleService.SOURCES.CHAIN,
+        actor: args.setBy,
+        reason: `Result set on chain in ${event.tx_hash}`
+      });
+    }
+
+    await Match.setResult(matchId, result, args.setBy, event.tx_hash, this.chainId);
+
+    const settledBets = await Bet.updateStatusForMatch(matchId, result, this.chainId);
+    for (const bet of settledBets) {
+      if (bet.status === constants.BET_STATUS.WON) {
+        await User.updateStats(bet.user_address, { total_won: bet.potential_win });
+      }
+    }
+
+    // Accumulators only exist on the default network
+    if (this.web3.network.isDefault) {
+      await parlayService.settleMatch(matchId, result, this.chainId);
+    }
+
+    logger.info(`Indexer applied result ${result} for match ${matchId}`);
+  }
+
+  async handleWinningsClaimed(args) {
+    const betId = Number(args.betId);
+
+    const bet = await Bet.findById(betId, this.chainId);
+    if (!bet || bet.claimed) return;
+
+    await Bet.update(betId, {
+      claimed: true,
+      claimed_at: true
+    }, this.chainId);
+
+    logger.debug(`Indexer marked bet ${betId} claimed`);
+  }
+
+  async handleBetRefunded(args) {
+    const bet = await Bet.findById(Number(args.betId), this.chainId);
+    if (!bet) return;
+
+    // No-op if the refund service already refunded it
+    await Bet.markRefunded(bet);
+  }
+
+  // Ultimate bets only run on the default network. Won/lost is decided
+  // off-chain, so only placement and claims come from the chain.
+  async handleUltimateBetPlaced(args) {
+    if (!this.web3.network.isDefault) return;
+
+    const betId = Number(args.betId);
+    if (await UltimateBet.findById(betId)) return;
+
+    // The event has no team ID; the stored bet does
+    const chainBet = await this.web3.callContract('ultimateBets', [betId], { readOnly: true });
+
+    await UltimateBet.create({
+      bet_id: betId,
+      user_address: args.bettor,
+      team_id: Number(chainBet.teamId),
+      team_name: args.teamName,
+      amount: parseFloat(ethers.formatEther(args.amount)),
+      potential_win: parseFloat(ethers.formatEther(args.potentialWin)),
+      odds: Number(chainBet.odds) / 100
+    });
+
+    logger.debug(`Indexer created ultimate bet ${betId}`);
+  }
+
+  async handleUltimateWinningsClaimed(args) {
+    if (!this.web3.network.isDefault) return;
+
+    const betId = Number(args.betId);
+
+    const bet = await UltimateBet.findById(betId);
+    if (!bet || bet.claimed) return;
+
+    await UltimateBet.update(betId, {
+      claimed: true,
+      active: false,
+      claimed_at: new Date()
+    });
+
+    logger.debug(`Indexer marked ultimate bet ${betId} claimed`);
+  }
+}
+
+// Create singleton instance
+const indexerService = new IndexerService();
+
+module.exports = indexerService;
@@ -0,0 +1,177 @@
+// src/services/matchLifecycleService.js
+const Match = require('../models/Match');
+const MatchTransition = require('../models/MatchTransition');
+const networks = require('../config/networks');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const { MATCH_STATUS } = constants;
+
+// Legal next statuses. Scheduled matches are announced but not open for
+// betting; upcoming ones are. Finished and cancelled are final.
+const TRANSITIONS = {
+  [MATCH_STATUS.SCHEDULED]: [MATCH_STATUS.UPCOMING, MATCH_STATUS.LIVE, MATCH_STATUS.POSTPONED, MATCH_STATUS.CANCELLED],
+  [MATCH_STATUS.UPCOMING]: [MATCH_STATUS.LIVE, MATCH_STATUS.POSTPONED, MATCH_STATUS.CANCELLED],
+  [MATCH_STATUS.LIVE]: [MATCH_STATUS.FINISHED, MATCH_STATUS.POSTPONED, MATCH_STATUS.CANCELLED],
+  [MATCH_STATUS.POSTPONED]: [MATCH_STATUS.SCHEDULED, MATCH_STATUS.UPCOMING, MATCH_STATUS.CANCELLED],
+  [MATCH_STATUS.FINISHED]: [],
+  [MATCH_STATUS.CANCELLED]: []
+};
+
+// What changed a match's status
+const SOURCES = {
+  ADMIN: 'admin',
+  SYNC: 'sync',
+  ORACLE: 'oracle',
+  CHAIN: 'chain',
+  SCHEDULER: 'scheduler'
+};
+
+// Every match status change goes through transition(): it checks the move is
+// legal, applies it only if the status has not changed underneath, and
+// records it in match_transitions. Betting closes at kickoff, both here and on
+// chain (startDue); cancellation refunds and results stay with their services.
+class MatchLifecycleService {
+  constructor() {
+    this.running = new Set();
+  }
+
+  canTransition(from, to) {
+    // Rows from before statuses were tracked have none; the column defaults to scheduled
+    return (TRANSITIONS[from || MATCH_STATUS.SCHEDULED] || []).includes(to);
+  }
+
+  isBettingOpen(match) {
+    return match.status === MATCH_STATUS.UPCOMING && new Date(match.match_date) > new Date();
+  }
+
+  async transition({ chainId = null, matchId, to, source, actor = null, reason = null }) {
+    if (!Object.values(MATCH_STATUS).includes(to)) {
+      throw fail(`Invalid status. Must be one of: ${Object.values(MATCH_STATUS).join(', ')}`, 400);
+    }
+
+    const chain = chainId ? parseInt(chainId) : networks.getDefaultChainId();
+
+    const match = await Match.findById(parseInt(matchId), chain);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    if (match.status === to) {
+      return { match, transition: null };
+    }
+
+    if (!this.canTransition(match.status, to)) {
+      throw fail(`Match ${match.match_id} cannot move from ${match.status || MATCH_STATUS.SCHEDULED} to ${to}`, 409);
+    }
+
+    const transition = await MatchTransition.record({
+      chainId: chain,
+      matchId: match.match_id,
+      from: match.status,
+      to,
+      source,
+      actor,
+      reason
+    });
+
+    if (!transition) {
+      throw fail(`Match ${match.match_id} status changed while updating it; try again`, 409);
+    }
+
+    logger.info(`Match ${match.match_id} ${match.status} -> ${to} (${source}${actor ? ` ${actor}` : ''})`);
+
+    await this.syncBettingOnChain(chain, match.match_id, match.status, to);
+
+    return { match: await Match.findById(match.match_id, chain), transition };
+  }
+
+  // Finished matches are reached through live, as on chain
+  async finish({ chainId = null, matchId, source, actor = null, reason = null }) {
+    const match = await Match.findById(parseInt(matchId), chainId);
+    if (match && [MATCH_STATUS.SCHEDULED, MATCH_STATUS.UPCOMING].includes(match.status)) {
+      await this.transition({ chainId, matchId, to: MATCH_STATUS.LIVE, source, actor, reason });
+    }
+
+    return this.transition({ chainId, matchId, to: MATCH_STATUS.FINISHED, source, actor, reason });
+  }
+
+  // Scheduled: starts matches whose kickoff has passed, which closes betting.
+  // One run per network at a time.
+  async startDue(chainId = null) {
+    const chain = chainId ? parseInt(chainId) : networks.getDefaultChainId();
+    const summary = { started: 0, failed: 0 };
+
+    if (this.running.has(chain)) {
+      return summary;
+    }
+
+    this.running.add(chain);
+    try {
+      for (const match of await Match.findKickoffDue(chain)) {
+        try {
+          await this.transition({
+            chainId: chain,
+            matchId: match.match_id,
+            to: MATCH_STATUS.LIVE,
+            source: SOURCES.SCHEDULER,
+            reason: 'Kickoff'
+          });
+          summary.started++;
+        } catch (error) {
+          summary.failed++;
+          logger.error(`Starting match ${match.match_id} at kickoff failed:`, error);
+        }
+      }
+
+      return summary;
+    } finally {
+      this.running.delete(chain);
+    }
+  }
+
+  async getTransitions(chainId, matchId) {
+    const match = await Match.findById(parseInt(matchId), chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    return {
+      match_id: match.match_id,
+      status: match.status,
+      next: TRANSITIONS[match.status || MATCH_STATUS.SCHEDULED] || [],
+      transitions: await MatchTransition.findByMatch(match.match_id, chainId)
+    };
+  }
+
+  // Keeps the contract's betting gate in line with the database. Best effort:
+  // the database status stands if the chain update fails, and matches that
+  // only exist in the database have nothing to update.
+  async syncBettingOnChain(chainId, matchId, from, to) {
+    if ([MATCH_STATUS.FINISHED, MATCH_STATUS.CANCELLED].includes(to)) {
+      return;
+    }
+
+    const open = to === MATCH_STATUS.UPCOMING;
+    if (open === (from === MATCH_STATUS.UPCOMING)) {
+      return;
+    }
+
+    try {
+      // Required here: web3Service's indexer routes chain results through this service
+      const web3Service = require('./web3Service');
+      await web3Service.forNetwork(chainId).setBettingOpenOnChain(matchId, open);
+    } catch (error) {
+      logger.warn(`Match ${matchId} betting not ${open ? 'opened' : 'closed'} on chain: ${error.message}`);
+    }
+  }
+}
+
+// Create singleton instance
+const matchLifecycleService = new MatchLifecycleService();
+matchLifecycleService.TRANSITIONS = TRANSITIONS;
+matchLifecycleService.SOURCES = SOURCES;
+
+module.exports = matchLifecycleService;
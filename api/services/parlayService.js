@@ -0,0 +1,187 @@
+// src/services/parlayService.js
+const BetSlip = require('../models/BetSlip');
+const Match = require('../models/Match');
+const matchLifecycleService = require('./matchLifecycleService');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Errors raised while validating a slip are the caller's fault
+const slipError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const roundOdds = (odds) => Math.round(odds * 100) / 100;
+
+class ParlayService {
+  // Combined odds are the product of every leg that still counts
+  calculateCombinedOdds(legs) {
+    const counted = legs.filter(leg => leg.status !== constants.BET_STATUS.VOID);
+    if (counted.length === 0) return 1;
+
+    return roundOdds(counted.reduce((product, leg) => product * leg.odds, 1));
+  }
+
+  async placeParlay(walletAddress, selections, stake, chainId) {
+    const { MIN_LEGS, MAX_LEGS, MAX_COMBINED_ODDS } = constants.PARLAY;
+
+    if (!Array.isArray(selections) || selections.length < MIN_LEGS || selections.length > MAX_LEGS) {
+      throw slipError(`A parlay needs between ${MIN_LEGS} and ${MAX_LEGS} selections`);
+    }
+
+    const amount = parseFloat(stake);
+    if (isNaN(amount) || amount < constants.BETTING_LIMITS.MIN_AMOUNT) {
+      throw slipError(`Minimum bet amount is ${constants.BETTING_LIMITS.MIN_AMOUNT} ${constants.STAKING.SYMBOL}`);
+    }
+
+    if (amount > constants.BETTING_LIMITS.MAX_AMOUNT) {
+      throw slipError(`Maximum bet amount is ${constants.BETTING_LIMITS.MAX_AMOUNT} ${constants.STAKING.SYMBOL}`);
+    }
+
+    const validOutcomes = Object.values(constants.OUTCOMES);
+    const seenMatches = new Set();
+    const legs = [];
+
+    for (const selection of selections) {
+      const matchId = parseInt(selection.match_id);
+      const outcome = parseInt(selection.outcome);
+
+      if (isNaN(matchId) || !validOutcomes.includes(outcome)) {
+        throw slipError(`Each selection needs a match_id and an outcome (${validOutcomes.join(', ')})`);
+      }
+
+      // Legs on the same match are correlated; the combined price would be wrong
+      if (seenMatches.has(matchId)) {
+        throw slipError(`Match ${matchId} appears more than once in the slip`);
+      }
+      seenMatches.add(matchId);
+
+      const match = await Match.findById(matchId, chainId);
+      if (!match) {
+        throw Object.assign(new Error(`Match ${matchId} not found`), { statusCode: 404 });
+      }
+
+      if (!matchLifecycleService.isBettingOpen(match)) {
+        throw slipError(`Match ${matchId} is not bettable`);
+      }
+
+      legs.push({
+        match_id: matchId,
+        outcome,
+        odds: Match.getOddsForOutcome(match, outcome)
+      });
+    }
+
+    const combinedOdds = this.calculateCombinedOdds(legs);
+    if (combinedOdds > MAX_COMBINED_ODDS) {
+      throw slipError(`Combined odds may not exceed ${MAX_COMBINED_ODDS}`);
+    }
+
+    // The stake comes out of the user's balance with the slip; a short
+    // balance is refused with a 400 and nothing is created
+    const slip = await BetSlip.create({
+      chain_id: chainId,
+      user_address: walletAddress,
+      type: 'parlay',
+      stake: amount,
+      combined_odds: combinedOdds,
+      potential_win: roundOdds(amount * combinedOdds),
+      legs
+    });
+
+    logger.info(`Parlay placed: slip ${slip.id} by ${walletAddress} with ${legs.length} legs @ ${combinedOdds}`);
+    return slip;
+  }
+
+  // Settle every open leg on a match once its result is known
+  async settleMatch(matchId, result, chainId) {
+    const legs = await BetSlip.getPendingLegsForMatch(matchId, chainId);
+
+    for (const leg of legs) {
+      const status = leg.outcome === parseInt(result)
+        ? constants.BET_STATUS.WON
+        : constants.BET_STATUS.LOST;
+      await BetSlip.updateLegStatus(leg.id, status);
+    }
+
+    return this.evaluateSlips(legs.map(leg => leg.slip_id));
+  }
+
+  // A cancelled match drops out of every slip it is part of
+  async voidMatch(matchId, chainId) {
+    const legs = await BetSlip.getPendingLegsForMatch(matchId, chainId);
+
+    for (const leg of legs) {
+      await BetSlip.updateLegStatus(leg.id, constants.BET_STATUS.VOID);
+    }
+
+    return this.evaluateSlips(legs.map(leg => leg.slip_id));
+  }
+
+  async evaluateSlips(slipIds) {
+    const summary = { won: 0, lost: 0, refunded: 0, repriced: 0, pending: 0 };
+
+    for (const slipId of new Set(slipIds)) {
+      try {
+        const outcome = await this.evaluateSlip(slipId);
+        summary[outcome]++;
+      } catch (error) {
+        logger.error(`Failed to evaluate bet slip ${slipId}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  async evaluateSlip(slipId) {
+    const slip = await BetSlip.findById(slipId);
+    if (!slip || slip.status !== constants.BET_STATUS.PENDING) {
+      return 'pending';
+    }
+
+    const { legs } = slip;
+    const combinedOdds = this.calculateCombinedOdds(legs);
+
+    if (legs.some(leg => leg.status === constants.BET_STATUS.LOST)) {
+      await BetSlip.settle(slip.id, {
+        status: constants.BET_STATUS.LOST,
+        combinedOdds,
+        payout: 0
+      });
+      logger.info(`Parlay lost: slip ${slip.id}`);
+      return 'lost';
+    }
+
+    if (legs.some(leg => leg.status === constants.BET_STATUS.PENDING)) {
+      if (combinedOdds !== slip.combined_odds) {
+        await BetSlip.updateOdds(slip.id, combinedOdds, roundOdds(slip.stake * combinedOdds));
+        logger.info(`Parlay repriced after void leg: slip ${slip.id} now @ ${combinedOdds}`);
+        return 'repriced';
+      }
+      return 'pending';
+    }
+
+    // Every leg is settled: all void means the stake goes back to the balance
+    if (legs.every(leg => leg.status === constants.BET_STATUS.VOID)) {
+      await BetSlip.settle(slip.id, {
+        status: constants.BET_STATUS.REFUNDED,
+        combinedOdds: 1,
+        payout: slip.stake
+      });
+      logger.info(`Parlay refunded: slip ${slip.id}`);
+      return 'refunded';
+    }
+
+    // Settling credits the payout to the user's balance
+    const payout = roundOdds(slip.stake * combinedOdds);
+    await BetSlip.settle(slip.id, {
+      status: constants.BET_STATUS.WON,
+      combinedOdds,
+      payout
+    });
+    logger.info(`Parlay won: slip ${slip.id} pays ${payout}`);
+    return 'won';
+  }
+}
+
+// Create singleton instance
+const parlayService = new ParlayService();
+
+module.exports = parlayService;
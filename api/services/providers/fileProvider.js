@@ -0,0 +1,101 @@
+// src/services/providers/fileProvider.js
+const fs = require('fs');
+const path = require('path');
+const { constants } = require('../../config/constants');
+const { normalizeMatches } = require('./matchShape');
+
+// Splits CSV text into rows of fields; quoted fields may contain commas,
+// newlines and doubled quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Fixtures and results kept in a local file (SPORTS_DATA.FILE): a JSON array
+// (or { matches: [...] }) or a CSV with a header row, using the normalised
+// match fields (external_id, team_a, team_b, match_date, status, score_a, ...).
+// The file is read on every call, so edits apply at the next sync.
+class FileProvider {
+  constructor() {
+    this.name = 'file';
+    this.file = constants.SPORTS_DATA.FILE ? path.resolve(constants.SPORTS_DATA.FILE) : null;
+  }
+
+  isConfigured() {
+    return !!this.file && fs.existsSync(this.file);
+  }
+
+  async read() {
+    const text = await fs.promises.readFile(this.file, 'utf8');
+
+    if (path.extname(this.file).toLowerCase() === '.csv') {
+      const [header, ...rows] = parseCsv(text);
+      const columns = header.map(column => column.trim());
+
+      return normalizeMatches(this.name, rows.map(fields =>
+        Object.fromEntries(columns.map((column, i) => [column, (fields[i] ?? '').trim()]))
+      ));
+    }
+
+    const body = JSON.parse(text);
+    return normalizeMatches(this.name, Array.isArray(body) ? body : body.matches || []);
+  }
+
+  async healthCheck() {
+    const matches = await this.read();
+    return { connected: true, file: this.file, matches: matches.length };
+  }
+
+  async fetchFixtures() {
+    return this.read();
+  }
+
+  async fetchLiveScores() {
+    return (await this.read()).filter(match => match.status === constants.MATCH_STATUS.LIVE);
+  }
+
+  async fetchResult(externalId) {
+    return (await this.read()).find(match => match.external_id === String(externalId)) || null;
+  }
+}
+
+FileProvider.parseCsv = parseCsv;
+
+module.exports = FileProvider;
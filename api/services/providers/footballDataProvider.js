@@ -0,0 +1,166 @@
+// src/services/providers/footballDataProvider.js
+const { constants } = require('../../config/constants');
+const { normalizeMatch, normalizeMatches } = require('./matchShape');
+
+const { MATCH_STATUS, MATCH_EVENT_TYPES } = constants;
+
+const STATUSES = {
+  SCHEDULED: MATCH_STATUS.UPCOMING,
+  TIMED: MATCH_STATUS.UPCOMING,
+  IN_PLAY: MATCH_STATUS.LIVE,
+  PAUSED: MATCH_STATUS.LIVE,
+  FINISHED: MATCH_STATUS.FINISHED,
+  AWARDED: MATCH_STATUS.FINISHED,
+  POSTPONED: MATCH_STATUS.POSTPONED,
+  SUSPENDED: MATCH_STATUS.POSTPONED,
+  CANCELLED: MATCH_STATUS.CANCELLED
+};
+
+const GOAL_TYPES = {
+  REGULAR: MATCH_EVENT_TYPES.GOAL,
+  OWN: MATCH_EVENT_TYPES.OWN_GOAL,
+  PENALTY: MATCH_EVENT_TYPES.PENALTY_GOAL
+};
+
+const CARD_TYPES = {
+  YELLOW: MATCH_EVENT_TYPES.YELLOW_CARD,
+  YELLOW_RED: MATCH_EVENT_TYPES.SECOND_YELLOW,
+  RED: MATCH_EVENT_TYPES.RED_CARD
+};
+
+// football-data.org v4 API (FOOTBALL_DATA_API_KEY), for the competition in
+// SPORTS_DATA.FOOTBALL_DATA_COMPETITION
+class FootballDataProvider {
+  constructor() {
+    this.name = 'football-data';
+    this.apiKey = process.env.FOOTBALL_DATA_API_KEY;
+    this.baseUrl = constants.EXTERNAL_APIS.FOOTBALL_DATA;
+    this.competition = constants.SPORTS_DATA.FOOTBALL_DATA_COMPETITION;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async request(path) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      headers: { 'X-Auth-Token': this.apiKey },
+      signal: AbortSignal.timeout(constants.SPORTS_DATA.TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`football-data.org returned ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  async healthCheck() {
+    const competition = await this.request(`/competitions/${this.competition}`);
+    return { connected: true, competition: competition.name };
+  }
+
+  async fetchFixtures() {
+    const body = await this.request(`/competitions/${this.competition}/matches`);
+    return normalizeMatches(this.name, (body.matches || []).map(match => this.transform(match)));
+  }
+
+  async fetchLiveScores() {
+    const body = await this.request(`/competitions/${this.competition}/matches?status=LIVE`);
+    return normalizeMatches(this.name, (body.matches || []).map(match => this.transform(match)));
+  }
+
+  async fetchResult(externalId) {
+    const body = await this.request(`/matches/${encodeURIComponent(externalId)}`);
+    return normalizeMatch(this.name, this.transform(body.match || body));
+  }
+
+  transform(apiMatch) {
+    const score = apiMatch.score || {};
+    const penalties = score.penalties || {};
+
+    // fullTime includes shoot-out goals; the stored full-time score does not
+    const fullTime = (side) => {
+      const goals = score.fullTime?.[side];
+      return goals === null || goals === undefined ? null : goals - (penalties[side] || 0);
+    };
+
+    return {
+      external_id: apiMatch.id,
+      team_a: apiMatch.homeTeam?.name,
+      team_b: apiMatch.awayTeam?.name,
+      match_date: apiMatch.utcDate,
+      venue: apiMatch.venue || null,
+      group_name: apiMatch.group ? apiMatch.group.replace('GROUP_', 'Group ') : apiMatch.stage || null,
+      status: STATUSES[apiMatch.status] || MATCH_STATUS.UPCOMING,
+      score_a: fullTime('home'),
+      score_b: fullTime('away'),
+      half_time_score_a: score.halfTime?.home,
+      half_time_score_b: score.halfTime?.away,
+      extra_time_score_a: score.extraTime?.home,
+      extra_time_score_b: score.extraTime?.away,
+      penalty_score_a: penalties.home,
+      penalty_score_b: penalties.away,
+      events: this.transformEvents(apiMatch)
+    };
+  }
+
+  // Events have no ids here, so they are keyed by type, minute and player.
+  // Null when the plan or endpoint returned none of the lists.
+  transformEvents(apiMatch) {
+    if (!apiMatch.goals && !apiMatch.bookings && !apiMatch.substitutions) {
+      return null;
+    }
+
+    const side = (team) => {
+      if (team?.id === apiMatch.homeTeam?.id) return 'team_a';
+      if (team?.id === apiMatch.awayTeam?.id) return 'team_b';
+      return null;
+    };
+    const key = (type, entry, player) => `${type}:${entry.minute}:${entry.injuryTime || 0}:${player?.id || player?.name}`;
+
+    const events = [];
+
+    for (const goal of apiMatch.goals || []) {
+      events.push({
+        external_id: key('goal', goal, goal.scorer),
+        type: GOAL_TYPES[goal.type] || MATCH_EVENT_TYPES.GOAL,
+        team: side(goal.team),
+        minute: goal.minute ?? null,
+        extra_minute: goal.injuryTime ?? null,
+        player: goal.scorer?.name || null,
+        related_player: goal.assist?.name || null
+      });
+    }
+
+    for (const booking of apiMatch.bookings || []) {
+      if (!CARD_TYPES[booking.card]) continue;
+
+      events.push({
+        external_id: key('booking', booking, booking.player),
+        type: CARD_TYPES[booking.card],
+        team: side(booking.team),
+        minute: booking.minute ?? null,
+        extra_minute: booking.injuryTime ?? null,
+        player: booking.player?.name || null,
+        related_player: null
+      });
+    }
+
+    for (const substitution of apiMatch.substitutions || []) {
+      events.push({
+        external_id: key('substitution', substitution, substitution.playerIn),
+        type: MATCH_EVENT_TYPES.SUBSTITUTION,
+        team: side(substitution.team),
+        minute: substitution.minute ?? null,
+        extra_minute: substitution.injuryTime ?? null,
+        player: substitution.playerIn?.name || null,
+        related_player: substitution.playerOut?.name || null
+      });
+    }
+
+    return events;
+  }
+}
+
+module.exports = FootballDataProvider;
@@ -0,0 +1,30 @@
+// src/services/providers/index.js
+const SportsDataIoProvider = require('./sportsDataIoProvider');
+const FootballDataProvider = require('./footballDataProvider');
+const FileProvider = require('./fileProvider');
+const GeneratedProvider = require('./generatedProvider');
+const { SCORE_FIELDS } = require('./matchShape');
+const logger = require('../../utils/logger');
+
+// Each provider has a name and implements isConfigured(), healthCheck(),
+// fetchFixtures(), fetchLiveScores() and fetchResult(externalId), returning
+// matches in the shape of matchShape.normalizeMatch. Providers may throw;
+// SportsDataService catches and falls through to the next one.
+const PROVIDERS = {
+  sportsdata: SportsDataIoProvider,
+  'football-data': FootballDataProvider,
+  file: FileProvider,
+  generated: GeneratedProvider
+};
+
+const createProviders = (names) => names
+  .filter(name => {
+    if (!PROVIDERS[name]) {
+      logger.warn(`Unknown sports data provider "${name}"; expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+      return false;
+    }
+    return true;
+  })
+  .map(name => new PROVIDERS[name]());
+
+module.exports = { PROVIDERS, SCORE_FIELDS, createProviders };
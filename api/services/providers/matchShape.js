@@ -0,0 +1,57 @@
+// src/services/providers/matchShape.js
+const { constants } = require('../../config/constants');
+
+const SCORE_FIELDS = [
+  'score_a', 'score_b',
+  'half_time_score_a', 'half_time_score_b',
+  'extra_time_score_a', 'extra_time_score_b',
+  'penalty_score_a', 'penalty_score_b'
+];
+
+const toScore = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const score = Number(value);
+  return Number.isInteger(score) && score >= 0 ? score : null;
+};
+
+// Every provider returns matches in this shape: external_id is the provider's
+// own fixture id as a string, only meaningful together with provider (synced
+// matches get a match_id of ours), status is one of MATCH_STATUS, scores are
+// integers or null, and events is null when the provider sent no timeline, as
+// opposed to an empty one. Fixtures missing an id, a team or a valid date are
+// dropped. match_id is read as the id when external_id is absent, for older
+// data files.
+const normalizeMatch = (provider, match) => {
+  const externalId = String(match.external_id ?? match.match_id ?? '').trim();
+  const matchDate = new Date(match.match_date);
+
+  if (!externalId || !match.team_a || !match.team_b || isNaN(matchDate)) {
+    return null;
+  }
+
+  const normalized = {
+    provider,
+    external_id: externalId,
+    team_a: match.team_a,
+    team_b: match.team_b,
+    match_date: matchDate,
+    venue: match.venue || null,
+    group_name: match.group_name || null,
+    status: Object.values(constants.MATCH_STATUS).includes(match.status)
+      ? match.status
+      : constants.MATCH_STATUS.UPCOMING,
+    events: Array.isArray(match.events) ? match.events : null
+  };
+
+  for (const field of SCORE_FIELDS) {
+    normalized[field] = toScore(match[field]);
+  }
+
+  return normalized;
+};
+
+const normalizeMatches = (provider, matches) => matches
+  .map(match => normalizeMatch(provider, match))
+  .filter(Boolean);
+
+module.exports = { SCORE_FIELDS, normalizeMatch, normalizeMatches };
@@ -0,0 +1,170 @@
+// src/services/providers/sportsDataIoProvider.js
+const { constants } = require('../../config/constants');
+const { normalizeMatch, normalizeMatches } = require('./matchShape');
+
+const { MATCH_STATUS, MATCH_EVENT_TYPES } = constants;
+
+const STATUSES = {
+  Scheduled: MATCH_STATUS.UPCOMING,
+  InProgress: MATCH_STATUS.LIVE,
+  Break: MATCH_STATUS.LIVE,
+  Final: MATCH_STATUS.FINISHED,
+  Postponed: MATCH_STATUS.POSTPONED,
+  Suspended: MATCH_STATUS.POSTPONED,
+  Canceled: MATCH_STATUS.CANCELLED
+};
+
+const GOAL_TYPES = {
+  Goal: MATCH_EVENT_TYPES.GOAL,
+  OwnGoal: MATCH_EVENT_TYPES.OWN_GOAL,
+  PenaltyGoal: MATCH_EVENT_TYPES.PENALTY_GOAL
+};
+
+const BOOKING_TYPES = {
+  YellowCard: MATCH_EVENT_TYPES.YELLOW_CARD,
+  YellowRed: MATCH_EVENT_TYPES.SECOND_YELLOW,
+  RedCard: MATCH_EVENT_TYPES.RED_CARD
+};
+
+// SportsData.io soccer API (SPORTS_DATA_API_KEY)
+class SportsDataIoProvider {
+  constructor() {
+    this.name = 'sportsdata';
+    this.apiKey = process.env.SPORTS_DATA_API_KEY;
+    this.baseUrl = constants.EXTERNAL_APIS.SPORTS_DATA;
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_sports_data_api_key';
+  }
+
+  async request(path) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+      signal: AbortSignal.timeout(constants.SPORTS_DATA.TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`SportsData.io returned ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  async healthCheck() {
+    const competitions = await this.request('/json/Competitions');
+    return { connected: true, competitions: competitions.length };
+  }
+
+  // Current World Cup scores, or the games list before any are played
+  async fetchFixtures() {
+    let games = await this.request('/json/Scores/WorldCup');
+    if (games.length === 0) {
+      games = await this.request('/json/Games/WorldCup');
+    }
+
+    return normalizeMatches(this.name, games.map(game => this.transform(game)));
+  }
+
+  async fetchLiveScores() {
+    const today = new Date().toISOString().slice(0, 10);
+    const games = await this.request(`/json/GamesByDate/${today}`);
+
+    return normalizeMatches(this.name, games.map(game => this.transform(game)))
+      .filter(match => match.status === MATCH_STATUS.LIVE);
+  }
+
+  // The box score carries the game plus its goals, bookings and lineups
+  async fetchResult(externalId) {
+    const body = await this.request(`/json/BoxScore/${encodeURIComponent(externalId)}`);
+    const boxScore = Array.isArray(body) ? body[0] : body;
+
+    return boxScore ? normalizeMatch(this.name, this.transform(boxScore)) : null;
+  }
+
+  // Accepts a game or a box score
+  transform(apiMatch) {
+    const game = apiMatch.Game || apiMatch;
+
+    return {
+      external_id: game.GameId || game.MatchId,
+      team_a: game.HomeTeamName || game.HomeTeam,
+      team_b: game.AwayTeamName || game.AwayTeam,
+      match_date: game.DateTime || game.Day,
+      venue: game.VenueName || game.Venue || null,
+      group_name: game.Group || game.Round || null,
+      status: STATUSES[game.Status] || MATCH_STATUS.UPCOMING,
+      score_a: game.HomeTeamScore,
+      score_b: game.AwayTeamScore,
+      half_time_score_a: game.HomeTeamScorePeriod1,
+      half_time_score_b: game.AwayTeamScorePeriod1,
+      extra_time_score_a: game.HomeTeamScoreExtraTime,
+      extra_time_score_b: game.AwayTeamScoreExtraTime,
+      penalty_score_a: game.HomeTeamScorePenalty,
+      penalty_score_b: game.AwayTeamScorePenalty,
+      events: this.transformEvents(apiMatch)
+    };
+  }
+
+  // Keyed by feed id so repeated syncs update rather than duplicate them.
+  // Null for plain games, which carry no events. A goal's team is the one
+  // credited with it, own goals included.
+  transformEvents(apiMatch) {
+    if (!apiMatch.Goals && !apiMatch.Bookings && !apiMatch.Lineups) {
+      return null;
+    }
+
+    const game = apiMatch.Game || apiMatch;
+    const side = (teamId) => {
+      if (teamId === game.HomeTeamId) return 'team_a';
+      if (teamId === game.AwayTeamId) return 'team_b';
+      return null;
+    };
+
+    const events = [];
+
+    for (const goal of apiMatch.Goals || []) {
+      events.push({
+        external_id: `goal:${goal.GoalId}`,
+        type: GOAL_TYPES[goal.Type] || MATCH_EVENT_TYPES.GOAL,
+        team: side(goal.TeamId),
+        minute: goal.GameMinute ?? null,
+        extra_minute: goal.GameMinuteExtra ?? null,
+        player: goal.Name || null,
+        related_player: goal.AssistedByPlayerName1 || null
+      });
+    }
+
+    for (const booking of apiMatch.Bookings || []) {
+      if (!BOOKING_TYPES[booking.Type]) continue;
+
+      events.push({
+        external_id: `booking:${booking.BookingId}`,
+        type: BOOKING_TYPES[booking.Type],
+        team: side(booking.TeamId),
+        minute: booking.GameMinute ?? null,
+        extra_minute: booking.GameMinuteExtra ?? null,
+        player: booking.Name || null,
+        related_player: null
+      });
+    }
+
+    for (const lineup of apiMatch.Lineups || []) {
+      if (lineup.Type !== 'Substitute In') continue;
+
+      events.push({
+        external_id: `substitution:${lineup.LineupId}`,
+        type: MATCH_EVENT_TYPES.SUBSTITUTION,
+        team: side(lineup.TeamId),
+        minute: lineup.GameMinute ?? null,
+        extra_minute: lineup.GameMinuteExtra ?? null,
+        player: lineup.Name || null,
+        related_player: lineup.ReplacedPlayerName || null
+      });
+    }
+
+    return events;
+  }
+}
+
+module.exports = SportsDataIoProvider;
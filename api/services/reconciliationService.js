@@ -0,0 +1,456 @@
+// src/services/reconciliationService.js
+const Bet = require('../models/Bet');
+const Match = require('../models/Match');
+const UltimateBet = require('../models/UltimateBet');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ChainEvent = require('../models/ChainEvent');
+const web3Service = require('./web3Service');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const SEVERITY = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// The database records gross stakes; the contract keeps the stake net of
+// platform and oracle fees, and pays winners a share of the potential win
+const NET_SHARE = 1 - (constants.FEES.PLATFORM + constants.FEES.ORACLE) / 100;
+const PAYOUT_SHARE = constants.FEES.WINNERS / 100;
+
+// Statuses the contract never sees: cash-outs are settled off-chain
+const OFF_CHAIN_STATUSES = [constants.BET_STATUS.CASHED_OUT, constants.BET_STATUS.VOID];
+
+// Indexed events that make up a bet's state, and the contract's BetStatus values
+const BET_EVENTS = ['BetPlaced', 'WinningsClaimed', 'BetRefunded'];
+const CHAIN_BET_STATUS = { PENDING: 0, WON: 1, REFUNDED: 3 };
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+const differs = (a, b) => Math.abs(a - b) > constants.RECONCILIATION.TOLERANCE;
+
+// Compares the contract with Postgres for one network: per-match status, stake
+// and result, per-bet status, claimed flag and amount (from the indexed contract
+// events), and the pool and fees overall. Every run is stored as a
+// ReconciliationReport. With repair on, bet status and claimed flags that
+// drifted from the contract are written back.
+class ReconciliationService {
+  async run({ chainId = null, repair = false, triggeredBy = null } = {}) {
+    const chain = web3Service.forNetwork(chainId);
+    const report = await ReconciliationReport.create({ chainId: chain.chainId, repair, triggeredBy });
+
+    try {
+      await chain.initialize();
+
+      const discrepancies = [];
+      const contract = await this.readContract(chain);
+      const matches = await this.compareMatches(chain, contract, discrepancies);
+      const bets = await this.compareBets(chain, contract, discrepancies, matches);
+      const totals = await this.compareTotals(chain, contract, bets, discrepancies);
+
+      const repaired = repair ? await this.repair(chain, discrepancies) : 0;
+
+      const completed = await ReconciliationReport.complete(report.id, {
+        summary: {
+          network: chain.network.key,
+          contract,
+          matches_checked: matches.checked,
+          bets_checked: bets.checked,
+          totals
+        },
+        discrepancies,
+        critical: discrepancies.filter(d => d.severity === SEVERITY.CRITICAL).length,
+        warnings: discrepancies.filter(d => d.severity === SEVERITY.WARNING).length,
+        repaired
+      });
+
+      if (completed.critical > 0) {
+        logger.error(`Reconciliation ${completed.id} on ${chain.network.key}: ${completed.critical} critical discrepancies`);
+      } else {
+        logger.info(`Reconciliation ${completed.id} on ${chain.network.key}: ${discrepancies.length} discrepancies, ${repaired} repaired`);
+      }
+
+      return completed;
+    } catch (error) {
+      logger.error(`Reconciliation ${report.id} failed:`, error);
+      await ReconciliationReport.fail(report.id, error.message);
+      throw error;
+    }
+  }
+
+  async readContract(chain) {
+    const read = (method, args = []) => chain.web3.callContract(method, args, { readOnly: true });
+    const ether = (value) => parseFloat(chain.web3.formatEther(value));
+
+    return {
+      match_count: chain.convertToNumber(await read('matchCounter')),
+      bet_count: chain.convertToNumber(await read('betCounter')),
+      active_bets: chain.convertToNumber(await read('getTotalActiveBets')),
+      total_pool: ether(await read('totalPool')),
+      fees_collected: ether(await read('totalFeesCollected')),
+      balance: ether(await read('getContractBalance'))
+    };
+  }
+
+  async compareMatches(chain, contract, discrepancies) {
+    const dbMatches = await Match.findAllByChain(chain.chainId);
+    // Results still open to disputes are only in the database
+    const provisional = new Set();
+    // On-chain matches by ID, to settle bets the contract has not settled yet
+    const onChainMatches = new Map();
+    let checked = 0;
+
+    for (const match of dbMatches) {
+      // Matches that were never created on chain (e.g. feed-only fixtures)
+      if (match.match_id < 1 || match.match_id > contract.match_count) {
+        continue;
+      }
+
+      const onChain = await chain.web3.callContract('matches', [match.match_id], { readOnly: true });
+      onChainMatches.set(match.match_id, onChain);
+      checked++;
+
+      if (onChain.teamA !== match.team_a || onChain.teamB !== match.team_b) {
+        discrepancies.push({
+          type: 'match_teams',
+          severity: SEVERITY.WARNING,
+          match_id: match.match_id,
+          chain: `${onChain.teamA} vs ${onChain.teamB}`,
+          database: `${match.team_a} vs ${match.team_b}`,
+          message: 'Match ID refers to different fixtures on chain and in the database',
+          repairable: false
+        });
+        continue;
+      }
+
+      // Status and result are not on chain until the result is final
+      const isProvisional = [constants.RESULT_STATUS.PROVISIONAL, constants.RESULT_STATUS.FINALIZING].includes(match.result_status);
+      if (isProvisional) {
+        provisional.add(match.match_id);
+      }
+
+      // The database leads the contract (it goes live first), so this is not repaired.
+      // Scheduled and postponed have no contract status; betting is closed there as live.
+      const chainStatus = chain.mapChainStatus(onChain.status);
+      const expectedStatus = [constants.MATCH_STATUS.SCHEDULED, constants.MATCH_STATUS.POSTPONED].includes(match.status)
+        ? constants.MATCH_STATUS.LIVE
+        : match.status;
+      if (!isProvisional && chainStatus !== expectedStatus) {
+        discrepancies.push({
+          type: 'match_status',
+          severity: SEVERITY.WARNING,
+          match_id: match.match_id,
+          chain: chainStatus,
+          database: match.status,
+          message: 'Match status differs',
+          repairable: false
+        });
+      }
+
+      const chainStaked = parseFloat(chain.web3.formatEther(onChain.totalStaked));
+      const dbStaked = (match.total_staked || 0) * NET_SHARE;
+      if (differs(chainStaked, dbStaked)) {
+        discrepancies.push({
+          type: 'match_total_staked',
+          severity: SEVERITY.WARNING,
+          match_id: match.match_id,
+          chain: round(chainStaked),
+          database: round(dbStaked),
+          // The total follows from the match's bets (parlay stakes are kept
+          // apart in parlay_staked); fix those rather than the total
+          message: 'Net amount staked on the match differs; resolve its bet discrepancies or resync the indexer',
+          repairable: false
+        });
+      }
+
+      const chainResult = onChain.resultVerified ? chain.convertToNumber(onChain.result) : null;
+      // Stored as text in the matches table
+      const dbResult = match.result === null || match.result === undefined ? null : parseInt(match.result);
+      if (!isProvisional && chainResult !== dbResult) {
+        discrepancies.push({
+          type: 'match_result',
+          severity: SEVERITY.CRITICAL,
+          match_id: match.match_id,
+          chain: chainResult,
+          database: dbResult,
+          message: 'Match result differs; settle the match again rather than editing it',
+          repairable: false
+        });
+      }
+    }
+
+    return { checked, provisional, onChainMatches };
+  }
+
+  // Bets are compared with the contract's events as the indexer stored them,
+  // not read one call per bet; bets after the last indexed one are not compared
+  async compareBets(chain, contract, discrepancies, { provisional = new Set(), onChainMatches = new Map() } = {}) {
+    const dbBets = await Bet.findAllByChain(chain.chainId);
+    const byBetId = new Map(dbBets.map(bet => [bet.bet_id, bet]));
+    const indexed = await this.readIndexedBets(chain);
+
+    const totals = {
+      checked: 0,
+      db_pending: 0,
+      db_gross_staked: 0,
+      db_outstanding: 0
+    };
+
+    let lastIndexed = 0;
+    for (const [betId, onChain] of indexed) {
+      lastIndexed = Math.max(lastIndexed, betId);
+      const bet = byBetId.get(betId);
+
+      if (!bet) {
+        discrepancies.push({
+          type: 'bet_missing_in_db',
+          severity: SEVERITY.CRITICAL,
+          bet_id: betId,
+          match_id: onChain.matchId,
+          chain: { bettor: onChain.bettor, amount: round(onChain.amount) },
+          database: null,
+          message: 'Bet exists on chain but not in the database; resync the indexer from its block',
+          repairable: false
+        });
+        continue;
+      }
+
+      totals.checked++;
+      // Provisionally won or lost bets are still pending on chain
+      const settledOnChain = !provisional.has(bet.match_id);
+      const chainStatus = chain.settledBetStatus(onChain, onChainMatches.get(bet.match_id));
+      this.compareBet(bet, onChain, chainStatus, discrepancies, settledOnChain);
+    }
+
+    if (lastIndexed < contract.bet_count) {
+      discrepancies.push({
+        type: 'bets_not_indexed',
+        severity: SEVERITY.INFO,
+        chain: contract.bet_count,
+        database: lastIndexed,
+        message: `Bets after ${lastIndexed} are not indexed yet and were not compared`,
+        repairable: false
+      });
+    }
+
+    for (const bet of dbBets) {
+      totals.db_gross_staked += bet.amount;
+
+      const settledOnChain = !provisional.has(bet.match_id);
+      if (bet.status === constants.BET_STATUS.PENDING || (!settledOnChain && !OFF_CHAIN_STATUSES.includes(bet.status))) {
+        totals.db_pending++;
+        totals.db_outstanding += bet.amount * NET_SHARE;
+      }
+      if (bet.status === constants.BET_STATUS.WON && !bet.claimed) {
+        totals.db_outstanding += bet.potential_win * PAYOUT_SHARE;
+      }
+
+      if (bet.bet_id > contract.bet_count) {
+        discrepancies.push({
+          type: 'bet_missing_on_chain',
+          severity: SEVERITY.CRITICAL,
+          bet_id: bet.bet_id,
+          match_id: bet.match_id,
+          chain: null,
+          database: { user_address: bet.user_address, amount: bet.amount },
+          message: 'Bet is recorded in the database but does not exist on chain',
+          repairable: false
+        });
+      }
+    }
+
+    return totals;
+  }
+
+  // Each bet's on-chain state from its BetPlaced, WinningsClaimed and
+  // BetRefunded events, in the shape of the contract's Bet struct
+  async readIndexedBets(chain) {
+    const ether = (value) => parseFloat(chain.web3.formatEther(BigInt(value)));
+    const bets = new Map();
+    const claimed = new Set();
+    const refunded = new Set();
+
+    let afterId = 0;
+    for (;;) {
+      const events = await ChainEvent.findConfirmedByName(BET_EVENTS, chain.chainId, { afterId });
+      if (events.length === 0) break;
+
+      for (const { event_name: name, args } of events) {
+        const betId = Number(args.betId);
+        if (name === 'BetPlaced') {
+          bets.set(betId, {
+            matchId: Number(args.matchId),
+            bettor: args.bettor,
+            predicted: Number(args.predicted),
+            amount: ether(args.amount),
+            potentialWin: ether(args.potentialWin)
+          });
+        } else if (name === 'WinningsClaimed') {
+          claimed.add(betId);
+        } else {
+          refunded.add(betId);
+        }
+      }
+
+      afterId = events[events.length - 1].id;
+    }
+
+    for (const [betId, bet] of bets) {
+      bet.claimed = claimed.has(betId);
+      bet.status = refunded.has(betId)
+        ? CHAIN_BET_STATUS.REFUNDED
+        : bet.claimed ? CHAIN_BET_STATUS.WON : CHAIN_BET_STATUS.PENDING;
+    }
+
+    return new Map([...bets].sort(([a], [b]) => a - b));
+  }
+
+  compareBet(bet, onChain, chainStatus, discrepancies, settledOnChain = true) {
+    // BetPlaced carries the gross stake, as the database does
+    if (onChain.matchId !== bet.match_id || differs(onChain.amount, bet.amount)) {
+      discrepancies.push({
+        type: 'bet_terms',
+        severity: SEVERITY.CRITICAL,
+        bet_id: bet.bet_id,
+        match_id: bet.match_id,
+        chain: { match_id: onChain.matchId, amount: round(onChain.amount) },
+        database: { match_id: bet.match_id, amount: round(bet.amount) },
+        message: 'Bet match or amount differs',
+        repairable: false
+      });
+    }
+
+    if (settledOnChain && !OFF_CHAIN_STATUSES.includes(bet.status) && chainStatus !== bet.status) {
+      const involvesWin = chainStatus === constants.BET_STATUS.WON || bet.status === constants.BET_STATUS.WON;
+      discrepancies.push({
+        type: 'bet_status',
+        severity: involvesWin ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+        bet_id: bet.bet_id,
+        match_id: bet.match_id,
+        chain: chainStatus,
+        database: bet.status,
+        message: 'Bet status differs',
+        repairable: true,
+        repair_value: chainStatus
+      });
+    }
+
+    const dbClaimed = Boolean(bet.claimed);
+    if (onChain.claimed !== dbClaimed) {
+      discrepancies.push({
+        type: 'bet_claimed',
+        // Telling a user they were paid when they were not is the worse case
+        severity: dbClaimed ? SEVERITY.CRITICAL : SEVERITY.WARNING,
+        bet_id: bet.bet_id,
+        match_id: bet.match_id,
+        chain: onChain.claimed,
+        database: dbClaimed,
+        message: 'Claimed flag differs',
+        repairable: true,
+        repair_value: onChain.claimed
+      });
+    }
+  }
+
+  async compareTotals(chain, contract, bets, discrepancies) {
+    // Ultimate bets pay the same fees and only exist on the default network
+    let ultimateStaked = 0;
+    if (chain.network.isDefault) {
+      const teamStats = await UltimateBet.getTeamStats();
+      ultimateStaked = teamStats.reduce((sum, stat) => sum + stat.total_staked, 0);
+    }
+
+    const expectedFees = (bets.db_gross_staked + ultimateStaked) * (1 - NET_SHARE);
+    const totals = {
+      db_pending_bets: bets.db_pending,
+      db_gross_staked: round(bets.db_gross_staked),
+      db_expected_fees: round(expectedFees),
+      db_outstanding: round(bets.db_outstanding)
+    };
+
+    if (contract.active_bets !== bets.db_pending) {
+      discrepancies.push({
+        type: 'active_bets',
+        severity: SEVERITY.WARNING,
+        chain: contract.active_bets,
+        database: bets.db_pending,
+        message: 'Number of pending bets differs',
+        repairable: false
+      });
+    }
+
+    // Withdrawals lower the contract's figure; a higher one means unrecorded bets
+    if (differs(contract.fees_collected, expectedFees)) {
+      const unexplained = contract.fees_collected > expectedFees;
+      discrepancies.push({
+        type: 'fees',
+        severity: unexplained ? SEVERITY.WARNING : SEVERITY.INFO,
+        chain: contract.fees_collected,
+        database: round(expectedFees),
+        message: unexplained
+          ? 'Contract holds more fees than recorded bets account for'
+          : 'Contract holds fewer fees than recorded bets paid (withdrawn fees)',
+        repairable: false
+      });
+    }
+
+    // Pending stakes and unclaimed winnings must be covered by the pool
+    if (contract.total_pool + constants.RECONCILIATION.TOLERANCE < bets.db_outstanding) {
+      discrepancies.push({
+        type: 'pool',
+        severity: SEVERITY.CRITICAL,
+        chain: contract.total_pool,
+        database: round(bets.db_outstanding),
+        message: 'Pool does not cover pending stakes and unclaimed winnings',
+        repairable: false
+      });
+    }
+
+    if (contract.balance + constants.RECONCILIATION.TOLERANCE < contract.total_pool + contract.fees_collected) {
+      discrepancies.push({
+        type: 'balance',
+        severity: SEVERITY.CRITICAL,
+        chain: contract.balance,
+        database: round(contract.total_pool + contract.fees_collected),
+        message: 'Contract balance is below its pool plus collected fees',
+        repairable: false
+      });
+    }
+
+    return totals;
+  }
+
+  // Write the contract's values back for database-side drift
+  async repair(chain, discrepancies) {
+    let repaired = 0;
+
+    for (const discrepancy of discrepancies.filter(d => d.repairable)) {
+      try {
+        if (discrepancy.type === 'bet_status') {
+          await Bet.update(discrepancy.bet_id, { status: discrepancy.repair_value }, chain.chainId);
+        } else if (discrepancy.type === 'bet_claimed') {
+          await Bet.update(discrepancy.bet_id, {
+            claimed: discrepancy.repair_value,
+            claimed_at: discrepancy.repair_value ? true : null
+          }, chain.chainId);
+        } else {
+          continue;
+        }
+
+        discrepancy.repaired = true;
+        repaired++;
+      } catch (error) {
+        logger.warn(`Could not repair ${discrepancy.type} for ${discrepancy.bet_id || discrepancy.match_id}: ${error.message}`);
+        discrepancy.repaired = false;
+        discrepancy.repair_error = error.message;
+      }
+    }
+
+    return repaired;
+  }
+}
+
+// Create singleton instance
+const reconciliationService = new ReconciliationService();
+
+module.exports = reconciliationService;
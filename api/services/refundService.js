@@ -0,0 +1,117 @@
+// src/services/refundService.js
+const Bet = require('../models/Bet');
+const Match = require('../models/Match');
+const RefundJob = require('../models/RefundJob');
+const web3Service = require('./web3Service');
+const parlayService = require('./parlayService');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const refundError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Refunds every pending bet on a cancelled match, as held by the contract. Each
+// step is recorded on the RefundJob, so running it again after a failure picks
+// up where it stopped.
+class RefundService {
+  async refundMatch(matchId, triggeredBy, chainId = null) {
+    const chain = web3Service.forNetwork(chainId);
+
+    const match = await Match.findById(parseInt(matchId), chain.chainId);
+    if (!match) {
+      throw refundError('Match not found', 404);
+    }
+
+    if (match.status !== constants.MATCH_STATUS.CANCELLED) {
+      throw refundError('Only cancelled matches can be refunded');
+    }
+
+    let job = await RefundJob.findOrCreate(match.match_id, triggeredBy, chain.chainId);
+    if (job.status === RefundJob.STATUS.COMPLETED) {
+      return this.buildReport(job);
+    }
+
+    if (!(await RefundJob.acquire(job.id))) {
+      throw refundError('A refund for this match is already in progress', 409);
+    }
+
+    try {
+      const onChain = await chain.matchExistsOnChain(match.match_id);
+
+      // Always cancelled on chain, even with nothing pending here: bets sent from
+      // wallets may not be confirmed or indexed yet, and the contract must stop
+      // taking new ones
+      if (onChain && !job.chain_cancelled) {
+        await chain.cancelMatchOnChain(match.match_id);
+        job = await RefundJob.update(job.id, { chain_cancelled: true });
+      }
+
+      // The contract refunds every pending bet it holds for the match
+      if (onChain && !job.chain_refunded) {
+        const chainResult = await chain.refundBetsOnChain(match.match_id);
+        job = await RefundJob.update(job.id, {
+          chain_refunded: true,
+          tx_hash: chainResult.txHash
+        });
+      }
+
+      // Mirror what the contract refunded. Bets not in the database yet are
+      // refunded by the indexer when it reaches the BetRefunded event.
+      const refundedBetIds = job.tx_hash ? await chain.getRefundedBetIds(job.tx_hash) : [];
+      for (const betId of refundedBetIds) {
+        const bet = await Bet.findById(betId, chain.chainId);
+        if (bet && await Bet.markRefunded(bet)) {
+          job = await RefundJob.recordRefund(job.id, bet.amount);
+        }
+      }
+
+      // Accumulators only exist on the default network
+      const parlays = chain.network.isDefault
+        ? await parlayService.voidMatch(match.match_id, chain.chainId)
+        : null;
+
+      job = await RefundJob.update(job.id, {
+        status: RefundJob.STATUS.COMPLETED,
+        parlays,
+        completed_at: new Date()
+      });
+
+      logger.info(`Refund completed for match ${match.match_id}: ${job.refunded_bets} bets, ${job.refunded_amount} ${constants.STAKING.SYMBOL}`);
+    } catch (error) {
+      logger.error(`Refund failed for match ${match.match_id}:`, error);
+      job = await RefundJob.update(job.id, {
+        status: RefundJob.STATUS.FAILED,
+        last_error: error.message
+      });
+    }
+
+    return this.buildReport(job);
+  }
+
+  async buildReport(job) {
+    const remaining = await Bet.getPendingForMatch(job.match_id, job.chain_id);
+
+    return {
+      match_id: job.match_id,
+      chain_id: job.chain_id,
+      status: job.status,
+      refunded_bets: job.refunded_bets,
+      refunded_amount: job.refunded_amount,
+      remaining_bets: remaining.length,
+      chain: {
+        cancelled: job.chain_cancelled,
+        refunded: job.chain_refunded,
+        tx_hash: job.tx_hash
+      },
+      parlays: job.parlays,
+      attempts: job.attempts,
+      last_error: job.last_error,
+      triggered_by: job.triggered_by,
+      completed_at: job.completed_at
+    };
+  }
+}
+
+// Create singleton instance
+const refundService = new RefundService();
+
+module.exports = refundService;
@@ -0,0 +1,296 @@
+// src/services/resultConsensusService.js
+const Match = require('../models/Match');
+const ResultAttestation = require('../models/ResultAttestation');
+const ResultReview = require('../models/ResultReview');
+const web3Service = require('./web3Service');
+const settlementService = require('./settlementService');
+const matchLifecycleService = require('./matchLifecycleService');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const { SOURCE_TYPES } = ResultAttestation;
+
+const STATE = {
+  PENDING: 'pending',
+  SETTLING: 'settling',
+  REVIEW: 'review',
+  SETTLED: 'settled'
+};
+
+// Match results are reported by several sources: the external feed, admin
+// wallets and contract oracle wallets. A match is settled once
+// CONSENSUS.REQUIRED_CONFIRMATIONS distinct sources report the same result.
+// Sources that disagree park the match in the review queue, where an admin
+// picks the result; nothing is settled from a guess or a missing score.
+class ResultConsensusService {
+  constructor() {
+    this.settling = new Set();
+  }
+
+  // An admin or oracle wallet's report; wallets the contract lists as oracles
+  // count as oracle sources
+  async attestFromWallet({ chainId = null, matchId, result, scoreA = null, scoreB = null, walletAddress }) {
+    const chain = web3Service.forNetwork(chainId);
+    await chain.initialize();
+
+    const isOracle = await chain.web3.callContract('isOracle', [walletAddress], { readOnly: true });
+    const sourceType = isOracle ? SOURCE_TYPES.ORACLE : SOURCE_TYPES.ADMIN;
+
+    return this.attest(chain, {
+      matchId,
+      source: `${sourceType}:${walletAddress.toLowerCase()}`,
+      sourceType,
+      result,
+      scoreA,
+      scoreB,
+      reportedBy: walletAddress
+    });
+  }
+
+  // A feed's final score; a feed result without a score is not a result
+  async attestFromFeed({ chainId = null, matchId, provider, scoreA, scoreB }) {
+    const score = this.parseScore(scoreA, scoreB);
+    if (!score) {
+      throw fail(`No final score from ${provider} for match ${matchId}`, 400);
+    }
+
+    const chain = web3Service.forNetwork(chainId);
+    await chain.initialize();
+
+    return this.attest(chain, {
+      matchId,
+      source: `${SOURCE_TYPES.FEED}:${provider}`,
+      sourceType: SOURCE_TYPES.FEED,
+      result: this.outcomeFromScore(score.a, score.b),
+      scoreA,
+      scoreB,
+      reportedBy: provider
+    });
+  }
+
+  async attest(chain, report) {
+    if (!constants.CONSENSUS.SOURCES.includes(report.sourceType)) {
+      throw fail(`Results from ${report.sourceType} sources are not accepted`, 403);
+    }
+
+    const result = this.parseResult(report.result);
+    const score = this.parseScore(report.scoreA, report.scoreB);
+
+    if (score && this.outcomeFromScore(score.a, score.b) !== result) {
+      throw fail('Score does not match the result', 400);
+    }
+
+    const match = await Match.findById(parseInt(report.matchId), chain.chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    if (match.result !== null) {
+      throw fail('Result already set for this match', 409);
+    }
+
+    if (![constants.MATCH_STATUS.LIVE, constants.MATCH_STATUS.FINISHED].includes(match.status)) {
+      throw fail('Match must be live or finished to report a result', 400);
+    }
+
+    await ResultAttestation.upsert({
+      chainId: chain.chainId,
+      matchId: match.match_id,
+      source: report.source,
+      sourceType: report.sourceType,
+      result,
+      scoreA: score ? score.a : null,
+      scoreB: score ? score.b : null,
+      reportedBy: report.reportedBy
+    });
+
+    logger.info(`Result ${result} for match ${match.match_id} reported by ${report.source}`);
+
+    return this.evaluate(chain, match);
+  }
+
+  // Settles the match, parks it for review, or leaves it waiting for more sources
+  async evaluate(chain, match) {
+    const attestations = await ResultAttestation.findByMatch(match.match_id, chain.chainId);
+    const state = {
+      match_id: match.match_id,
+      required: constants.CONSENSUS.REQUIRED_CONFIRMATIONS,
+      attestations
+    };
+
+    const active = await ResultReview.findActive(match.match_id, chain.chainId);
+    if (active) {
+      const review = active.status === ResultReview.STATUS.OPEN
+        ? await ResultReview.update(active.id, { attestations: this.snapshot(attestations) })
+        : active;
+      return { ...state, status: STATE.REVIEW, review };
+    }
+
+    const tally = new Map();
+    for (const attestation of attestations) {
+      tally.set(attestation.result, (tally.get(attestation.result) || 0) + 1);
+    }
+
+    if (tally.size > 1) {
+      const review = await ResultReview.create({
+        chainId: chain.chainId,
+        matchId: match.match_id,
+        attestations: this.snapshot(attestations)
+      });
+
+      logger.warn(`Conflicting results for match ${match.match_id}; parked for review ${review.id}`);
+      return { ...state, status: STATE.REVIEW, review };
+    }
+
+    const [[result, confirmations]] = tally;
+    if (confirmations < constants.CONSENSUS.REQUIRED_CONFIRMATIONS) {
+      return { ...state, status: STATE.PENDING, result, confirmations };
+    }
+
+    const settled = await this.settle(chain, match, result);
+    if (!settled) {
+      return { ...state, status: STATE.SETTLING, result, confirmations };
+    }
+
+    logger.info(`Match ${match.match_id} settled as ${result} by ${confirmations} agreeing sources`);
+    return {
+      ...state,
+      status: STATE.SETTLED,
+      result,
+      confirmations,
+      tx_hash: settled.txHash,
+      provisional: settled.provisional,
+      dispute_until: settled.disputeUntil || null
+    };
+  }
+
+  // Returns null if the match is already being settled; see settlementService
+  // for when the result goes on chain
+  async settle(chain, match, result) {
+    const key = `${chain.chainId}:${match.match_id}`;
+    if (this.settling.has(key)) {
+      return null;
+    }
+
+    this.settling.add(key);
+    try {
+      if (match.status !== constants.MATCH_STATUS.FINISHED) {
+        await matchLifecycleService.finish({
+          chainId: chain.chainId,
+          matchId: match.match_id,
+          source: matchLifecycleService.SOURCES.ORACLE,
+          reason: 'Result agreed'
+        });
+      }
+
+      return await settlementService.settle(chain, match, result);
+    } finally {
+      this.settling.delete(key);
+    }
+  }
+
+  async resolveReview({ chainId = null, reviewId, result, user }) {
+    const chain = web3Service.forNetwork(chainId);
+    const outcome = this.parseResult(result);
+
+    const review = await ResultReview.findById(reviewId);
+    if (!review || review.chain_id !== chain.chainId) {
+      throw fail('Result review not found', 404);
+    }
+
+    if (!(await ResultReview.claim(review.id, user.walletAddress))) {
+      throw fail(`Review is ${review.status === ResultReview.STATUS.OPEN ? 'being resolved' : review.status}`, 409);
+    }
+
+    try {
+      await chain.initialize();
+
+      const match = await Match.findById(review.match_id, chain.chainId);
+      if (match.result !== null) {
+        throw fail('Result already set for this match', 409);
+      }
+
+      const settled = await this.settle(chain, match, outcome);
+      if (!settled) {
+        throw fail('Match is already being settled', 409);
+      }
+
+      logger.info(`Review ${review.id} resolved as ${outcome} by ${user.walletAddress}: ${settled.txHash}`);
+      return await ResultReview.resolve(review.id, { result: outcome, txHash: settled.txHash });
+    } catch (error) {
+      logger.error(`Resolving review ${review.id} failed:`, error);
+      await ResultReview.reopen(review.id, error.message);
+      throw error;
+    }
+  }
+
+  // Reports and review state for one match
+  async getConsensus(chainId, matchId) {
+    const match = await Match.findById(parseInt(matchId), chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    const [attestations, review] = await Promise.all([
+      ResultAttestation.findByMatch(match.match_id, chainId),
+      ResultReview.findActive(match.match_id, chainId)
+    ]);
+
+    return {
+      match_id: match.match_id,
+      result: match.result !== null ? parseInt(match.result) : null,
+      required: constants.CONSENSUS.REQUIRED_CONFIRMATIONS,
+      sources: constants.CONSENSUS.SOURCES,
+      attestations,
+      review
+    };
+  }
+
+  parseResult(result) {
+    const validResults = Object.values(constants.OUTCOMES);
+    const parsed = parseInt(result);
+    if (!validResults.includes(parsed)) {
+      throw fail(`Invalid result. Must be one of: ${validResults.join(', ')}`, 400);
+    }
+    return parsed;
+  }
+
+  // Both scores or neither
+  parseScore(scoreA, scoreB) {
+    if ((scoreA === null || scoreA === undefined) && (scoreB === null || scoreB === undefined)) {
+      return null;
+    }
+
+    const a = Number(scoreA);
+    const b = Number(scoreB);
+    if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0) {
+      throw fail('Scores must be two non-negative integers', 400);
+    }
+    return { a, b };
+  }
+
+  outcomeFromScore(scoreA, scoreB) {
+    if (scoreA > scoreB) return constants.OUTCOMES.TEAM_A_WIN;
+    if (scoreA < scoreB) return constants.OUTCOMES.TEAM_B_WIN;
+    return constants.OUTCOMES.DRAW;
+  }
+
+  snapshot(attestations) {
+    return attestations.map(({ source, source_type, result, score_a, score_b, updated_at }) => ({
+      source,
+      source_type,
+      result,
+      score_a,
+      score_b,
+      reported_at: updated_at
+    }));
+  }
+}
+
+// Create singleton instance
+const resultConsensusService = new ResultConsensusService();
+resultConsensusService.STATE = STATE;
+
+module.exports = resultConsensusService;
@@ -0,0 +1,272 @@
+// src/services/settlementService.js
+const Match = require('../models/Match');
+const Bet = require('../models/Bet');
+const Role = require('../models/Role');
+const ResultDispute = require('../models/ResultDispute');
+const SettlementAudit = require('../models/SettlementAudit');
+const web3Service = require('./web3Service');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const { RESULT_STATUS } = constants;
+
+const DISPUTE_WINDOW = constants.VERIFICATION.DISPUTE_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+const MAX_REASON_LENGTH = 1000;
+
+const DECISIONS = {
+  UPHOLD: 'uphold',
+  OVERTURN: 'overturn'
+};
+
+// Results are provisional for VERIFICATION.DISPUTE_PERIOD_DAYS. Bets are marked
+// won or lost straight away, but the result only goes on chain (and claims,
+// winners' stats and accumulator legs follow) once the window has closed with
+// no open disputes. The contract cannot change a result, so an overturned
+// dispute re-settles the bets in the database while it is still provisional.
+class SettlementService {
+  constructor() {
+    this.running = new Set();
+  }
+
+  async settle(chain, match, result) {
+    if (DISPUTE_WINDOW <= 0) {
+      const settled = await chain.setMatchResultOnChain(match.match_id, result);
+      await Match.update(match.match_id, { result_status: RESULT_STATUS.FINAL }, chain.chainId);
+      return { txHash: settled.txHash, provisional: false };
+    }
+
+    const disputeUntil = new Date(Date.now() + DISPUTE_WINDOW);
+
+    await Match.update(match.match_id, {
+      result: String(result), // text column
+      result_status: RESULT_STATUS.PROVISIONAL,
+      dispute_until: disputeUntil
+    }, chain.chainId);
+
+    await Bet.updateStatusForMatch(match.match_id, result, chain.chainId);
+
+    logger.info(`Match ${match.match_id} provisionally settled as ${result}; disputes open until ${disputeUntil.toISOString()}`);
+    return { txHash: null, provisional: true, disputeUntil };
+  }
+
+  // Scheduled: sets results whose window has closed on chain. Matches with an
+  // open dispute wait for it to be decided. One run per network at a time.
+  async finalizeDue(chainId = null) {
+    const chain = web3Service.forNetwork(chainId);
+    const summary = { finalized: 0, waiting: 0, failed: 0 };
+
+    if (this.running.has(chain.chainId)) {
+      return summary;
+    }
+
+    this.running.add(chain.chainId);
+    try {
+      await chain.initialize();
+
+      for (const match of await Match.findProvisionalDue(chain.chainId)) {
+        if (await ResultDispute.countOpen(match.match_id, chain.chainId) > 0) {
+          summary.waiting++;
+          continue;
+        }
+
+        try {
+          if (await this.finalize(chain, match)) {
+            summary.finalized++;
+          }
+        } catch (error) {
+          summary.failed++;
+          logger.error(`Finalizing the result of match ${match.match_id} failed:`, error);
+        }
+      }
+
+      return summary;
+    } finally {
+      this.running.delete(chain.chainId);
+    }
+  }
+
+  async finalize(chain, match) {
+    if (!(await Match.moveResultStatus(match.match_id, RESULT_STATUS.PROVISIONAL, RESULT_STATUS.FINALIZING, chain.chainId))) {
+      return false;
+    }
+
+    const result = parseInt(match.result);
+
+    try {
+      // A previous run may have set it before failing
+      const onChain = await chain.web3.callContract('matches', [match.match_id], { readOnly: true });
+      if (onChain.resultVerified && chain.convertToNumber(onChain.result) !== result) {
+        throw new Error(`Contract holds result ${onChain.result} for match ${match.match_id}, database holds ${result}`);
+      }
+
+      const sent = onChain.resultVerified ? null : await chain.sendMatchResultOnChain(match.match_id, result);
+
+      // Bets the provisional settlement missed
+      await Bet.updateStatusForMatch(match.match_id, result, chain.chainId);
+      await Match.moveResultStatus(match.match_id, RESULT_STATUS.FINALIZING, RESULT_STATUS.FINAL, chain.chainId);
+      await chain.applyFinalResult(match.match_id, result);
+
+      logger.info(`Result ${result} for match ${match.match_id} is final${sent ? `: ${sent.txHash}` : ''}`);
+      return true;
+    } catch (error) {
+      await Match.moveResultStatus(match.match_id, RESULT_STATUS.FINALIZING, RESULT_STATUS.PROVISIONAL, chain.chainId);
+      throw error;
+    }
+  }
+
+  // Bettors on the match and result admins may dispute a provisional result
+  async fileDispute({ chainId = null, matchId, user, reason, proposedResult }) {
+    const chain = web3Service.forNetwork(chainId);
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw fail('A reason is required', 400);
+    }
+
+    if (reason.length > MAX_REASON_LENGTH) {
+      throw fail(`Reason may be at most ${MAX_REASON_LENGTH} characters`, 400);
+    }
+
+    const proposed = proposedResult === undefined || proposedResult === null
+      ? null
+      : this.parseResult(proposedResult);
+
+    const match = await Match.findById(parseInt(matchId), chain.chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    if (match.result === null) {
+      throw fail('Match has no result to dispute', 400);
+    }
+
+    if (match.result_status !== RESULT_STATUS.PROVISIONAL || new Date(match.dispute_until) <= new Date()) {
+      throw fail('The dispute window for this result has closed', 409);
+    }
+
+    if (proposed === parseInt(match.result)) {
+      throw fail('Proposed result is the current result', 400);
+    }
+
+    const { permissions } = await Role.getPermissionsForWallet(user.walletAddress);
+    const isAdmin = Role.hasPermission(permissions, constants.PERMISSIONS.MATCHES_SETTLE);
+
+    if (!isAdmin) {
+      const bets = await Bet.findByUser(user.walletAddress, { match_id: match.match_id, chain_id: chain.chainId }, { limit: 1 });
+      if (bets.data.length === 0) {
+        throw fail('Only bettors on this match can dispute its result', 403);
+      }
+    }
+
+    const open = await ResultDispute.findByMatch(match.match_id, chain.chainId, {
+      status: ResultDispute.STATUS.OPEN,
+      filed_by: user.walletAddress
+    });
+    if (open.length > 0) {
+      throw fail('You already have an open dispute on this result', 409);
+    }
+
+    const dispute = await ResultDispute.create({
+      chain_id: chain.chainId,
+      match_id: match.match_id,
+      filed_by: user.walletAddress,
+      filer_role: isAdmin ? 'admin' : 'user',
+      disputed_result: match.result,
+      proposed_result: proposed,
+      reason: reason.trim()
+    });
+
+    logger.warn(`Dispute ${dispute.id} filed on the result of match ${match.match_id} by ${user.walletAddress}`);
+    return dispute;
+  }
+
+  // Uphold keeps the result. Overturn replaces it with the given result (or the
+  // one the dispute proposed), re-settles the bets and restarts the window.
+  async decideDispute({ chainId = null, matchId, disputeId, decision, result, note = null, user }) {
+    const chain = web3Service.forNetwork(chainId);
+
+    const dispute = await ResultDispute.findById(disputeId);
+    if (!dispute || dispute.chain_id !== chain.chainId || dispute.match_id !== parseInt(matchId)) {
+      throw fail('Dispute not found', 404);
+    }
+
+    if (dispute.status !== ResultDispute.STATUS.OPEN) {
+      throw fail(`Dispute is ${dispute.status}`, 409);
+    }
+
+    if (decision === DECISIONS.UPHOLD) {
+      const upheld = await ResultDispute.uphold(dispute.id, { decidedBy: user.walletAddress, note });
+      if (!upheld) {
+        throw fail('Dispute was already decided', 409);
+      }
+
+      logger.info(`Dispute ${dispute.id} upheld by ${user.walletAddress}`);
+      return { dispute: upheld, bets_resettled: 0 };
+    }
+
+    if (decision !== DECISIONS.OVERTURN) {
+      throw fail(`Decision must be one of: ${Object.values(DECISIONS).join(', ')}`, 400);
+    }
+
+    const newResult = this.parseResult(result ?? dispute.proposed_result);
+
+    const match = await Match.findById(dispute.match_id, chain.chainId);
+    if (newResult === parseInt(match.result)) {
+      throw fail('New result is the current result', 400);
+    }
+
+    const overturned = await ResultDispute.overturn({
+      dispute,
+      result: newResult,
+      decidedBy: user.walletAddress,
+      note,
+      disputeUntil: new Date(Date.now() + DISPUTE_WINDOW)
+    });
+
+    if (!overturned) {
+      throw fail('Dispute was already decided or the result is no longer provisional', 409);
+    }
+
+    logger.warn(`Dispute ${dispute.id} overturned by ${user.walletAddress}: match ${match.match_id} ${match.result} -> ${newResult}, ${overturned.bets_resettled} bets re-settled`);
+    return overturned;
+  }
+
+  async getDisputes(chainId, matchId) {
+    const match = await Match.findById(parseInt(matchId), chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    return {
+      match_id: match.match_id,
+      result: match.result !== null ? parseInt(match.result) : null,
+      result_status: match.result_status,
+      dispute_until: match.dispute_until,
+      disputes: await ResultDispute.findByMatch(match.match_id, chainId)
+    };
+  }
+
+  async getAudit(chainId, matchId) {
+    const match = await Match.findById(parseInt(matchId), chainId);
+    if (!match) {
+      throw fail('Match not found', 404);
+    }
+
+    return SettlementAudit.findByMatch(match.match_id, chainId);
+  }
+
+  parseResult(result) {
+    const validResults = Object.values(constants.OUTCOMES);
+    const parsed = parseInt(result);
+    if (!validResults.includes(parsed)) {
+      throw fail(`Invalid result. Must be one of: ${validResults.join(', ')}`, 400);
+    }
+    return parsed;
+  }
+}
+
+// Create singleton instance
+const settlementService = new SettlementService();
+
+module.exports = settlementService;
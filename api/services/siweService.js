@@ -0,0 +1,210 @@
+// src/services/siweService.js
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// Errors raised here are always the caller's fault, so they carry a 401
+const authError = (message) => Object.assign(new Error(message), { statusCode: 401 });
+
+class SiweService {
+  // Issue a single-use nonce, optionally bound to a wallet
+  async issueNonce(walletAddress = null) {
+    const record = await AuthNonce.issue(walletAddress);
+
+    return {
+      nonce: record.nonce,
+      expiresAt: record.expires_at
+    };
+  }
+
+  // Build the message a client should sign (convenience for simple frontends)
+  buildMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+    const lines = [
+      `${domain}${HEADER_SUFFIX}`,
+      ethers.getAddress(address),
+      ''
+    ];
+
+    if (statement) {
+      lines.push(statement, '');
+    }
+
+    lines.push(
+      `URI: ${uri}`,
+      `Version: ${constants.SIWE.VERSION}`,
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`
+    );
+
+    if (expirationTime) {
+      lines.push(`Expiration Time: ${expirationTime}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // Parse an EIP-4361 message into its fields
+  parseMessage(message) {
+    if (typeof message !== 'string' || message.length === 0) {
+      throw authError('SIWE message is required');
+    }
+
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+    if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+      throw authError('Malformed SIWE message: invalid header');
+    }
+
+    const parsed = {
+      domain: lines[0].slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''),
+      address: (lines[1] || '').trim(),
+      statement: null,
+      resources: []
+    };
+
+    if (!ethers.isAddress(parsed.address)) {
+      throw authError('Malformed SIWE message: invalid address');
+    }
+
+    const statementLines = [];
+    let inResources = false;
+
+    for (const line of lines.slice(2)) {
+      if (inResources) {
+        if (line.startsWith('- ')) {
+          parsed.resources.push(line.slice(2));
+        }
+        continue;
+      }
+
+      if (line === 'Resources:') {
+        inResources = true;
+        continue;
+      }
+
+      const separator = line.indexOf(': ');
+      const fieldName = separator > 0 ? FIELD_NAMES[line.slice(0, separator)] : undefined;
+
+      if (fieldName) {
+        parsed[fieldName] = line.slice(separator + 2).trim();
+      } else if (line.trim() !== '' && !parsed.uri) {
+        statementLines.push(line);
+      }
+    }
+
+    if (statementLines.length > 0) {
+      parsed.statement = statementLines.join('\n');
+    }
+
+    for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+      if (!parsed[required]) {
+        throw authError(`Malformed SIWE message: missing ${required}`);
+      }
+    }
+
+    parsed.chainId = parseInt(parsed.chainId);
+    return parsed;
+  }
+
+  // Verify a signed SIWE message and consume its nonce.
+  // Returns the lowercase wallet address of the signer.
+  async verify({ message, signature, expectedDomain, expectedAddress }) {
+    if (!signature) {
+      throw authError('Signature is required');
+    }
+
+    const fields = this.parseMessage(message);
+    const now = Date.now();
+
+    const domain = constants.SIWE.DOMAIN || expectedDomain;
+    if (domain && fields.domain !== domain) {
+      throw authError('SIWE domain mismatch');
+    }
+
+    if (fields.version !== constants.SIWE.VERSION) {
+      throw authError(`Unsupported SIWE version: ${fields.version}`);
+    }
+
+    if (!constants.SIWE.ALLOWED_CHAIN_IDS.includes(fields.chainId)) {
+      throw authError(`Unsupported chain ID: ${fields.chainId}`);
+    }
+
+    const issuedAt = Date.parse(fields.issuedAt);
+    if (isNaN(issuedAt) || issuedAt > now + constants.TIME.ONE_MINUTE) {
+      throw authError('Invalid SIWE issued-at time');
+    }
+
+    if (now - issuedAt > constants.SIWE.NONCE_TTL) {
+      throw authError('SIWE message is too old');
+    }
+
+    if (fields.expirationTime) {
+      const expiresAt = Date.parse(fields.expirationTime);
+      if (isNaN(expiresAt) || expiresAt <= now) {
+        throw authError('SIWE message has expired');
+      }
+    }
+
+    if (fields.notBefore) {
+      const notBefore = Date.parse(fields.notBefore);
+      if (isNaN(notBefore) || notBefore > now) {
+        throw authError('SIWE message is not yet valid');
+      }
+    }
+
+    if (expectedAddress && expectedAddress.toLowerCase() !== fields.address.toLowerCase()) {
+      throw authError('Wallet address does not match signed message');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw authError('Invalid signature');
+    }
+
+    if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+      logger.security('SIWE signature mismatch', {
+        claimed: fields.address,
+        recovered
+      });
+      throw authError('Signature does not match wallet address');
+    }
+
+    // Only burn the nonce once everything else checks out
+    const consumed = await AuthNonce.consume(fields.nonce, fields.address);
+    if (!consumed) {
+      logger.security('Rejected replayed or stale SIWE nonce', {
+        address: fields.address,
+        nonce: fields.nonce
+      });
+      throw authError('Nonce is invalid, expired or already used');
+    }
+
+    return {
+      walletAddress: fields.address.toLowerCase(),
+      chainId: fields.chainId,
+      fields
+    };
+  }
+}
+
+// Create singleton instance
+const siweService = new SiweService();
+
+module.exports = siweService;
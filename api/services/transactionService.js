@@ -0,0 +1,388 @@
+// src/services/transactionService.js
+const { ethers } = require('ethers');
+const web3Config = require('../config/web3');
+const Transaction = require('../models/Transaction');
+const { constants } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const bumpFee = (fee) => fee * BigInt(100 + constants.TRANSACTIONS.BUMP_PERCENT) / 100n;
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+
+// Contract args as plain JSON for the transactions table
+const serializeArgs = (args) => JSON.parse(JSON.stringify(args, (key, value) =>
+  (typeof value === 'bigint' ? value.toString() : value)
+));
+
+// Every write from the platform and relayer wallets goes through here.
+// Transactions are recorded before they are sent, nonces are handed out one at
+// a time so concurrent requests never collide, and a transaction that sits
+// unmined is re-broadcast with the same nonce and higher fees.
+// Nonces are per network and signer, so each network has its own instance
+// (forNetwork), and the bet relayer its own as well (forRelayer).
+const instances = new Map();
+const relayers = new Map();
+
+class TransactionService {
+  constructor(web3 = web3Config, { relayer = false } = {}) {
+    this.web3 = web3;
+    this.relayer = relayer;
+    this.nextNonce = null;
+    this.sendQueue = Promise.resolve();
+    this.watching = new Set();
+  }
+
+  async ready() {
+    if (!this.web3.isInitialized) {
+      await this.web3.initialize();
+    }
+    return this;
+  }
+
+  get chainId() {
+    return this.web3.network.chainId;
+  }
+
+  get signer() {
+    return this.relayer ? this.web3.relayer : this.web3.signer;
+  }
+
+  // Transaction service for a registered network (key, name or chain ID)
+  forNetwork(ref) {
+    const web3 = web3Config.forNetwork(ref);
+    if (web3 === web3Config) {
+      return transactionService;
+    }
+
+    if (!instances.has(web3)) {
+      instances.set(web3, new TransactionService(web3));
+    }
+    return instances.get(web3);
+  }
+
+  // Transaction service that sends from the network's relayer wallet
+  forRelayer(ref) {
+    const web3 = web3Config.forNetwork(ref);
+
+    if (!relayers.has(web3)) {
+      relayers.set(web3, new TransactionService(web3, { relayer: true }));
+    }
+    return relayers.get(web3);
+  }
+
+  // Send a contract call and wait until it is mined with enough confirmations
+  async send(method, args = [], options = {}) {
+    const transaction = await this.enqueue(method, args, options);
+    return this.waitForTransaction(transaction.id, options.confirmations);
+  }
+
+  async enqueue(method, args = [], options = {}) {
+    if (!this.web3.contract || !this.signer) {
+      throw new Error('Contract and signer are required to send transactions');
+    }
+
+    const transaction = await Transaction.create({
+      chain_id: this.chainId,
+      method,
+      args: serializeArgs(args),
+      value: options.value ? ethers.parseEther(options.value.toString()) : 0n,
+      from_address: this.signer.address,
+      to_address: await this.web3.contract.getAddress(),
+      data: this.web3.contract.interface.encodeFunctionData(method, args)
+    });
+
+    // Nonces are assigned in queue order, one transaction at a time
+    const dispatched = this.sendQueue.then(() => this.dispatch(transaction, options));
+    this.sendQueue = dispatched.catch(() => {});
+
+    return dispatched;
+  }
+
+  async dispatch(transaction, options = {}) {
+    try {
+      const gasLimit = options.gasLimit
+        ? BigInt(options.gasLimit)
+        : await this.estimateGasLimit(transaction);
+      const fees = await this.getFees();
+      const nonce = await this.reserveNonce();
+
+      let sent;
+      try {
+        sent = await this.broadcast(transaction, nonce, gasLimit, fees);
+      } catch (error) {
+        // The nonce was not used; read it from the chain again next time
+        this.nextNonce = null;
+        throw error;
+      }
+
+      return Transaction.update(transaction.id, {
+        status: Transaction.STATUS.PENDING,
+        nonce,
+        gas_limit: gasLimit.toString(),
+        tx_hash: sent.hash.toLowerCase(),
+        sent_at: new Date()
+      });
+    } catch (error) {
+      logger.error(`Transaction ${transaction.id} (${transaction.method}) could not be sent:`, error);
+      await Transaction.update(transaction.id, {
+        status: Transaction.STATUS.FAILED,
+        error: error.shortMessage || error.message
+      });
+      throw error;
+    }
+  }
+
+  async reserveNonce() {
+    if (this.nextNonce === null) {
+      const address = this.signer.address;
+      const chainNonce = await this.web3.provider.getTransactionCount(address, 'pending');
+      const maxNonce = await Transaction.getMaxNonce(address, this.chainId);
+
+      // Our own pending transactions may have fallen out of the node's mempool
+      this.nextNonce = Math.max(chainNonce, maxNonce === null ? 0 : maxNonce + 1);
+    }
+
+    return this.nextNonce++;
+  }
+
+  // Estimation also surfaces contract reverts before anything is sent
+  async estimateGasLimit(transaction) {
+    const estimate = await this.web3.provider.estimateGas({
+      from: transaction.from_address,
+      to: transaction.to_address,
+      data: transaction.data,
+      value: BigInt(transaction.value)
+    });
+
+    return estimate * BigInt(Math.round(constants.TRANSACTIONS.GAS_LIMIT_BUFFER * 100)) / 100n;
+  }
+
+  // EIP-1559 fees from the node, bumped above the previous attempt for replacements
+  async getFees(previous = null) {
+    const feeData = await this.web3.provider.getFeeData();
+    const cap = ethers.parseUnits(constants.TRANSACTIONS.MAX_FEE_GWEI.toString(), 'gwei');
+
+    // Networks without EIP-1559 only know a single gas price
+    if (feeData.maxFeePerGas === null) {
+      let gasPrice = feeData.gasPrice;
+      if (previous && previous.gas_price) {
+        gasPrice = maxBigInt(gasPrice, bumpFee(BigInt(previous.gas_price)));
+      }
+      return { gasPrice: gasPrice > cap ? cap : gasPrice };
+    }
+
+    let maxFeePerGas = feeData.maxFeePerGas;
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+
+    if (previous && previous.max_fee_per_gas) {
+      maxFeePerGas = maxBigInt(maxFeePerGas, bumpFee(BigInt(previous.max_fee_per_gas)));
+      maxPriorityFeePerGas = maxBigInt(maxPriorityFeePerGas, bumpFee(BigInt(previous.max_priority_fee_per_gas)));
+    }
+
+    if (maxFeePerGas > cap) maxFeePerGas = cap;
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  async broadcast(transaction, nonce, gasLimit, fees) {
+    const tx = await this.signer.sendTransaction({
+      to: transaction.to_address,
+      data: transaction.data,
+      value: BigInt(transaction.value),
+      nonce,
+      gasLimit,
+      ...fees
+    });
+
+    await Transaction.addAttempt(transaction.id, {
+      tx_hash: tx.hash,
+      nonce,
+      max_fee_per_gas: fees.maxFeePerGas,
+      max_priority_fee_per_gas: fees.maxPriorityFeePerGas,
+      gas_price: fees.gasPrice
+    });
+
+    logger.info(`Transaction ${transaction.id} (${transaction.method}) sent: ${tx.hash} nonce ${nonce}`);
+    return tx;
+  }
+
+  async waitForTransaction(transactionId, confirmations = constants.VERIFICATION.REQUIRED_CONFIRMATIONS) {
+    this.watching.add(transactionId);
+
+    try {
+      const deadline = Date.now() + constants.TRANSACTIONS.WAIT_TIMEOUT;
+
+      while (Date.now() < deadline) {
+        const result = await this.checkTransaction(transactionId, confirmations);
+        if (result) return result;
+
+        await sleep(constants.TRANSACTIONS.POLL_INTERVAL);
+      }
+
+      throw new Error(`Transaction ${transactionId} is still pending; check its status later`);
+    } finally {
+      this.watching.delete(transactionId);
+    }
+  }
+
+  // One monitoring step. Returns the result once mined and confirmed, null while
+  // still pending, and throws if the transaction reverted or was dropped.
+  async checkTransaction(transactionId, confirmations = constants.VERIFICATION.REQUIRED_CONFIRMATIONS) {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction || transaction.status !== Transaction.STATUS.PENDING) {
+      throw new Error(`Transaction ${transactionId} is not pending`);
+    }
+
+    const attempts = await Transaction.getAttempts(transaction.id);
+
+    const mined = await this.findMinedAttempt(attempts);
+    if (mined) {
+      return this.finalize(transaction, mined, confirmations);
+    }
+
+    // Nothing of ours was mined but the nonce is used: another transaction took it
+    const minedNonce = await this.web3.provider.getTransactionCount(transaction.from_address, 'latest');
+    if (minedNonce > transaction.nonce) {
+      const lateMined = await this.findMinedAttempt(attempts);
+      if (lateMined) {
+        return this.finalize(transaction, lateMined, confirmations);
+      }
+
+      await Transaction.update(transaction.id, {
+        status: Transaction.STATUS.DROPPED,
+        error: 'Nonce was used by another transaction'
+      });
+      throw new Error(`Transaction ${transaction.id} (${transaction.method}) was dropped`);
+    }
+
+    const lastAttempt = attempts[attempts.length - 1];
+    if (Date.now() - new Date(lastAttempt.created_at).getTime() >= constants.TRANSACTIONS.STUCK_AFTER &&
+        transaction.bumps < constants.TRANSACTIONS.MAX_BUMPS) {
+      await this.speedUp(transaction, lastAttempt);
+    }
+
+    return null;
+  }
+
+  async findMinedAttempt(attempts) {
+    // Newest first: a replacement is the most likely to have been mined
+    for (const attempt of [...attempts].reverse()) {
+      const receipt = await this.web3.provider.getTransactionReceipt(attempt.tx_hash);
+      if (receipt) return { attempt, receipt };
+    }
+    return null;
+  }
+
+  async finalize(transaction, { attempt, receipt }, confirmations) {
+    if (await receipt.confirmations() < confirmations) {
+      return null;
+    }
+
+    const success = receipt.status === 1;
+
+    await Transaction.markAttemptMined(transaction.id, attempt.tx_hash);
+    await Transaction.update(transaction.id, {
+      status: success ? Transaction.STATUS.CONFIRMED : Transaction.STATUS.FAILED,
+      tx_hash: receipt.hash.toLowerCase(),
+      block_number: receipt.blockNumber,
+      mined_at: new Date(),
+      error: success ? null : 'Transaction reverted'
+    });
+
+    if (!success) {
+      throw new Error(`Transaction ${transaction.id} (${transaction.method}) reverted: ${receipt.hash}`);
+    }
+
+    return {
+      txHash: receipt.hash,
+      receipt,
+      success,
+      transactionId: transaction.id
+    };
+  }
+
+  // Re-broadcast the same nonce with higher fees
+  async speedUp(transaction, lastAttempt) {
+    try {
+      const fees = await this.getFees(lastAttempt);
+      const sent = await this.broadcast(transaction, transaction.nonce, BigInt(transaction.gas_limit), fees);
+
+      await Transaction.update(transaction.id, {
+        bumps: { increment: 1 },
+        tx_hash: sent.hash.toLowerCase()
+      });
+
+      logger.warn(`Transaction ${transaction.id} (${transaction.method}) was stuck; replaced with ${sent.hash}`);
+      return sent;
+    } catch (error) {
+      // Usually the original was mined meanwhile, or the fee cap was reached
+      logger.warn(`Could not speed up transaction ${transaction.id}: ${error.shortMessage || error.message}`);
+      return null;
+    }
+  }
+
+  async speedUpById(transactionId) {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction || transaction.status !== Transaction.STATUS.PENDING) {
+      throw Object.assign(new Error('Only pending transactions can be sped up'), { statusCode: 400 });
+    }
+
+    // Replace it on the network it was sent to, from the wallet that sent it
+    let service = await this.forNetwork(transaction.chain_id).ready();
+    if (service.signer.address.toLowerCase() !== transaction.from_address.toLowerCase()) {
+      service = await this.forRelayer(transaction.chain_id).ready();
+    }
+
+    const attempts = await Transaction.getAttempts(transaction.id);
+    const sent = await service.speedUp(transaction, attempts[attempts.length - 1]);
+    if (!sent) {
+      throw Object.assign(new Error('Replacement transaction was rejected'), { statusCode: 409 });
+    }
+
+    return Transaction.findById(transaction.id);
+  }
+
+  // Watch transactions nobody is waiting on, e.g. after a restart or a request timeout
+  async monitorPending() {
+    await this.ready();
+
+    const abandonedBefore = Date.now() - constants.TRANSACTIONS.WAIT_TIMEOUT;
+    // Only this service's own wallet: replacements must be signed by the sender
+    if (!this.signer) {
+      return { queued: 0, pending: 0 };
+    }
+
+    const queued = await Transaction.findByStatus(Transaction.STATUS.QUEUED, this.chainId, this.signer.address);
+
+    for (const transaction of queued) {
+      if (new Date(transaction.created_at).getTime() < abandonedBefore) {
+        await Transaction.update(transaction.id, {
+          status: Transaction.STATUS.FAILED,
+          error: 'Abandoned before it was sent'
+        });
+      }
+    }
+
+    const pending = await Transaction.findByStatus(Transaction.STATUS.PENDING, this.chainId, this.signer.address);
+
+    for (const transaction of pending) {
+      if (this.watching.has(transaction.id)) continue;
+
+      try {
+        await this.checkTransaction(transaction.id);
+      } catch (error) {
+        logger.warn(`Pending transaction ${transaction.id}: ${error.message}`);
+      }
+    }
+
+    return { queued: queued.length, pending: pending.length };
+  }
+}
+
+// Create singleton instance
+const transactionService = new TransactionService();
+
+module.exports = transactionService;
@@ -1,17 +1,49 @@
 // src/services/web3Service.js
 const web3Config = require('../config/web3');
+const networks = require('../config/networks');
 const { constants } = require('../config/constants');
 const logger = require('../utils/logger');
 const Match = require('../models/Match');
 const Bet = require('../models/Bet');
 const User = require('../models/User');
+const parlayService = require('./parlayService');
+const indexerService = require('./indexerService');
+const transactionService = require('./transactionService');
+const matchLifecycleService = require('./matchLifecycleService');
+const UltimateBet = require('../models/UltimateBet');
+
+// One instance per network (forNetwork); the exported singleton is the default network
+const instances = new Map();
 
 class Web3Service {
-  constructor() {
-    this.web3 = web3Config;
+  constructor(networkRef = null) {
+    this.web3 = networkRef ? web3Config.forNetwork(networkRef) : web3Config;
+    this.transactions = networkRef ? transactionService.forNetwork(networkRef) : transactionService;
+    this.indexer = networkRef ? indexerService.forNetwork(networkRef) : indexerService;
     this.isInitialized = false;
   }
 
+  get network() {
+    return this.web3.network || networks.getDefaultNetwork();
+  }
+
+  get chainId() {
+    return this.network.chainId;
+  }
+
+  // Service bound to a registered network (key, name or chain ID)
+  forNetwork(ref) {
+    const network = networks.getNetwork(ref);
+    if (network.isDefault) {
+      return web3Service;
+    }
+
+    if (!instances.has(network.chainId)) {
+      instances.set(network.chainId, new Web3Service(network.key));
+    }
+    return instances.get(network.chainId);
+  }
+
   async initialize() {
     try {
       if (!this.isInitialized) {
@@ -81,7 +113,7 @@ class Web3Service {
       const timestamp = Math.floor(new Date(matchData.match_date).getTime() / 1000);
 
       // Call contract
-      const result = await this.web3.callContract('createMatch', [
+      const result = await this.transactions.send('createMatch', [
         matchData.team_a,
         matchData.team_b,
         timestamp,
@@ -112,8 +144,7 @@ class Web3Service {
   async extractMatchIdFromEvent(receipt) {
     try {
       // Parse logs to find MatchCreated event
-      const eventSignature = 'MatchCreated(uint256,string,string,uint256,uint256,uint256,uint256)';
-      const eventTopic = this.web3.web3.utils.keccak256(eventSignature);
+      const eventTopic = this.web3.contract.interface.getEvent('MatchCreated').topicHash;
 
       for (const log of receipt.logs) {
         if (log.topics[0] === eventTopic) {
@@ -130,37 +161,52 @@ class Web3Service {
     }
   }
 
-  async placeBetOnChain(userAddress, matchId, outcome, amount) {
+  async placeBetOnChain(userAddress, matchId, outcome, amount, oddsTerms = null) {
     try {
       await this.initialize();
+      this.assertNativeStakes();
 
       // Validate amount
       const minAmount = constants.BETTING_LIMITS.MIN_AMOUNT;
       const maxAmount = constants.BETTING_LIMITS.MAX_AMOUNT;
 
       if (amount < minAmount) {
-        throw new Error(`Minimum bet amount is ${minAmount} CLUTCH`);
+        throw new Error(`Minimum bet amount is ${minAmount} ETH`);
       }
 
       if (amount > maxAmount) {
-        throw new Error(`Maximum bet amount is ${maxAmount} CLUTCH`);
+        throw new Error(`Maximum bet amount is ${maxAmount} ETH`);
       }
 
       // Get match to verify odds
-      const match = await Match.findById(matchId);
+      const match = await Match.findById(matchId, this.chainId);
       if (!match) {
         throw new Error('Match not found');
       }
 
-      if (match.status !== constants.MATCH_STATUS.UPCOMING) {
+      if (!matchLifecycleService.isBettingOpen(match)) {
         throw new Error('Match is not bettable');
       }
 
-      // Convert amount to wei
-      const amountInWei = this.web3.parseEther(amount.toString());
+      const odds = Match.getOddsForOutcome(match, outcome);
+
+      // Re-check the price right before sending; it may have moved since the user saw it
+      if (oddsTerms && !Match.isOddsAcceptable(odds, oddsTerms.displayedOdds, oddsTerms.policy)) {
+        throw Object.assign(new Error('Odds have changed'), {
+          statusCode: 409,
+          code: 'ODDS_CHANGED',
+          details: {
+            match_id: matchId,
+            outcome,
+            displayed_odds: oddsTerms.displayedOdds,
+            current_odds: odds,
+            odds_policy: oddsTerms.policy
+          }
+        });
+      }
 
-      // Call contract
-      const result = await this.web3.callContract('placeBet', [
+      // Call contract; the transaction manager converts the value to wei
+      const result = await this.transactions.send('placeBet', [
         matchId,
         outcome
       ], {
@@ -175,15 +221,6 @@ class Web3Service {
       const betId = await this.extractBetIdFromEvent(result.receipt);
 
       // Calculate potential win
-      let odds;
-      if (outcome === constants.OUTCOMES.TEAM_A_WIN) {
-        odds = match.odds_team_a;
-      } else if (outcome === constants.OUTCOMES.DRAW) {
-        odds = match.odds_draw;
-      } else {
-        odds = match.odds_team_b;
-      }
-
       const potentialWin = amount * odds;
 
       return {
@@ -202,8 +239,7 @@ class Web3Service {
 
   async extractBetIdFromEvent(receipt) {
     try {
-      const eventSignature = 'BetPlaced(uint256,address,uint256,uint8,uint256,uint256)';
-      const eventTopic = this.web3.web3.utils.keccak256(eventSignature);
+      const eventTopic = this.web3.contract.interface.getEvent('BetPlaced').topicHash;
 
       for (const log of receipt.logs) {
         if (log.topics[0] === eventTopic) {
@@ -219,38 +255,166 @@ class Web3Service {
     }
   }
 
-  async setMatchResultOnChain(matchId, result) {
-    try {
-      await this.initialize();
+  // A mined, confirmed transaction from the user's wallet to the betting
+  // contract, and the event it emitted
+  async verifyWalletTransaction(txHash, walletAddress, eventName) {
+    await this.initialize();
 
-      // Verify match exists and is finished
-      const match = await Match.findById(matchId);
-      if (!match) {
-        throw new Error('Match not found');
-      }
+    const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+    const receipt = await this.web3.getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw fail('Transaction not found or not yet mined', 404);
+    }
+
+    const contractAddress = (await this.web3.contract.getAddress()).toLowerCase();
+    if (!receipt.to || receipt.to.toLowerCase() !== contractAddress) {
+      throw fail('Transaction was not sent to the betting contract', 400);
+    }
+
+    if (receipt.status !== 1) {
+      throw fail('Transaction reverted', 400);
+    }
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations < constants.VERIFICATION.REQUIRED_CONFIRMATIONS) {
+      throw fail(`Transaction has ${confirmations} of ${constants.VERIFICATION.REQUIRED_CONFIRMATIONS} required confirmations`, 409);
+    }
 
-      if (match.status !== constants.MATCH_STATUS.FINISHED) {
-        throw new Error('Match must be finished to set result');
+    let event = null;
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) continue;
+
+      const parsed = this.web3.contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        event = parsed;
+        break;
       }
+    }
 
-      // Call contract
-      const contractResult = await this.web3.callContract('setMatchResult', [
-        matchId,
-        result
-      ]);
+    if (!event) {
+      throw fail(`${eventName} event not found in transaction`, 400);
+    }
 
-      if (!contractResult.success) {
-        throw new Error('Failed to set match result on chain');
+    if (event.args.bettor.toLowerCase() !== walletAddress.toLowerCase()) {
+      throw fail('Transaction was not sent from your wallet', 403);
+    }
+
+    return { receipt, event };
+  }
+
+  // Token stakes must come from the bettor's wallet, which the platform
+  // wallets cannot spend from
+  assertNativeStakes() {
+    if (constants.STAKING.TOKEN_MODE) {
+      throw Object.assign(
+        new Error(`${constants.STAKING.SYMBOL} bets are placed from your wallet. Check /bets/approval, send placeTokenBet and submit the hash to /bets/confirm`),
+        { statusCode: 409 }
+      );
+    }
+  }
+
+  // Balance and allowance check before a token bet. Throws INSUFFICIENT_BALANCE,
+  // or INSUFFICIENT_ALLOWANCE with the approve call the wallet has to send first.
+  async checkTokenApproval(owner, amount) {
+    await this.initialize();
+
+    const fail = (message, statusCode, code, details) => Object.assign(new Error(message), { statusCode, code, details });
+
+    if (!this.web3.token) {
+      throw fail(`Bets on ${this.network.name} are staked in ETH; no approval is needed`, 400);
+    }
+
+    const token = this.web3.token.target;
+    const spender = await this.web3.contract.getAddress();
+    const required = this.web3.parseEther(amount);
+
+    const [balance, allowance] = await Promise.all([
+      this.web3.getTokenBalance(owner),
+      this.web3.getTokenAllowance(owner, spender)
+    ]);
+
+    const details = {
+      token,
+      symbol: constants.STAKING.SYMBOL,
+      spender,
+      required: this.web3.formatEther(required),
+      balance: this.web3.formatEther(balance),
+      allowance: this.web3.formatEther(allowance)
+    };
+
+    if (balance < required) {
+      throw fail(`Insufficient ${constants.STAKING.SYMBOL} balance`, 400, 'INSUFFICIENT_BALANCE', details);
+    }
+
+    if (allowance < required) {
+      throw fail(`Approve the betting contract to spend ${details.required} ${constants.STAKING.SYMBOL} first`, 400, 'INSUFFICIENT_ALLOWANCE', {
+        ...details,
+        approve: {
+          to: token,
+          data: this.web3.encodeApprove(spender, required),
+          value: '0'
+        }
+      });
+    }
+
+    return { ...details, approved: true };
+  }
+
+  // Check a placeBet or placeTokenBet transaction the user sent from their own wallet
+  async verifyBetTransaction(txHash, walletAddress) {
+    try {
+      const { receipt, event } = await this.verifyWalletTransaction(txHash, walletAddress, 'BetPlaced');
+
+      // Token stakes must have moved from the bettor's wallet to the contract
+      if (this.web3.token) {
+        const contractAddress = (await this.web3.contract.getAddress()).toLowerCase();
+        const staked = this.web3.decodeTransfers(receipt)
+          .filter(transfer => transfer.from === walletAddress.toLowerCase() && transfer.to === contractAddress)
+          .reduce((sum, transfer) => sum + transfer.value, 0n);
+
+        if (staked !== event.args.amount) {
+          throw Object.assign(
+            new Error(`No ${constants.STAKING.SYMBOL} transfer of the stake from your wallet found in transaction`),
+            { statusCode: 400 }
+          );
+        }
       }
 
+      const amount = parseFloat(this.web3.formatEther(event.args.amount));
+      const { odds, potentialWin } = Bet.fromChainAmounts(
+        amount,
+        parseFloat(this.web3.formatEther(event.args.potentialWin))
+      );
+
+      return {
+        betId: this.convertToNumber(event.args.betId),
+        matchId: this.convertToNumber(event.args.matchId),
+        outcome: this.convertToNumber(event.args.predicted),
+        bettor: event.args.bettor,
+        amount,
+        potentialWin,
+        odds,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+    } catch (error) {
+      logger.error('Error verifying bet transaction:', error);
+      throw error;
+    }
+  }
+
+  async setMatchResultOnChain(matchId, result) {
+    try {
+      const contractResult = await this.sendMatchResultOnChain(matchId, result);
+
       // Update database
-      await Match.setResult(matchId, result, this.web3.getSignerAddress(), contractResult.txHash);
+      await Match.setResult(matchId, result, this.web3.getSignerAddress(), contractResult.txHash, this.chainId);
 
       // Update bet statuses
-      await Bet.updateStatusForMatch(matchId, result);
+      await Bet.updateStatusForMatch(matchId, result, this.chainId);
 
-      // Update user stats and leaderboard
-      await this.updateUserStatsAfterMatch(matchId, result);
+      await this.applyFinalResult(matchId, result);
 
       return {
         success: true,
@@ -264,12 +428,55 @@ class Web3Service {
     }
   }
 
+  // The contract side of a result. Provisional results are applied to the
+  // database first and only sent here once their dispute window has closed.
+  async sendMatchResultOnChain(matchId, result) {
+    await this.initialize();
+
+    // Verify match exists and is finished
+    const match = await Match.findById(matchId, this.chainId);
+    if (!match) {
+      throw new Error('Match not found');
+    }
+
+    if (match.status !== constants.MATCH_STATUS.FINISHED) {
+      throw new Error('Match must be finished to set result');
+    }
+
+    // The contract only accepts a result for a match it knows is finished
+    await this.finishMatchOnChain(matchId);
+
+    // Call contract
+    const contractResult = await this.transactions.send('setMatchResult', [
+      matchId,
+      result
+    ]);
+
+    if (!contractResult.success) {
+      throw new Error('Failed to set match result on chain');
+    }
+
+    return contractResult;
+  }
+
+  // What waits for a result to be final: winners' stats and accumulator legs
+  async applyFinalResult(matchId, result) {
+    // Update user stats and leaderboard
+    await this.updateUserStatsAfterMatch(matchId, result);
+
+    // Settle accumulator legs on this match; accumulators only exist on the default network
+    if (this.network.isDefault) {
+      await this.settleParlaysAfterMatch(matchId, result);
+    }
+  }
+
   async updateUserStatsAfterMatch(matchId, result) {
     try {
       // Get all winning bets for this match
       const winningBets = await Bet.findByMatch(matchId, {
         outcome: result,
-        status: constants.BET_STATUS.WON
+        status: constants.BET_STATUS.WON,
+        chain_id: this.chainId
       });
 
       for (const bet of winningBets.data) {
@@ -287,12 +494,22 @@ class Web3Service {
     }
   }
 
+  async settleParlaysAfterMatch(matchId, result) {
+    try {
+      const summary = await parlayService.settleMatch(matchId, result, this.chainId);
+      logger.info(`Parlays settled for match ${matchId}:`, summary);
+    } catch (error) {
+      logger.error('Error settling parlays after match:', error);
+      // Don't throw error, the on-chain result is already set
+    }
+  }
+
   async claimWinningsOnChain(betId, userAddress) {
     try {
       await this.initialize();
 
       // Verify bet exists and belongs to user
-      const bet = await Bet.findById(betId);
+      const bet = await Bet.findById(betId, this.chainId);
       if (!bet) {
         throw new Error('Bet not found');
       }
@@ -309,15 +526,16 @@ class Web3Service {
         throw new Error('Bet already claimed');
       }
 
-      // Call contract
-      const result = await this.web3.callContract('claimBetWinnings', [betId]);
+      // The platform signer claims as admin; the contract pays the bettor it
+      // holds, so wallet-placed and relayed bets pay the user directly
+      const result = await this.transactions.send('claimBetWinnings', [betId]);
 
       if (!result.success) {
         throw new Error('Failed to claim winnings on chain');
       }
 
       // Update database
-      await Bet.claim(betId, userAddress);
+      await Bet.claim(betId, userAddress, this.chainId);
 
       return {
         success: true,
@@ -331,6 +549,289 @@ class Web3Service {
     }
   }
 
+  // Bets placed by the platform signer can only be claimed by the platform
+  async isCustodialBet(betId) {
+    const signer = this.web3.getSignerAddress();
+    if (!signer) return false;
+
+    const bet = await this.web3.callContract('getBet', [betId], { readOnly: true });
+    return bet.bettor.toLowerCase() === signer.toLowerCase();
+  }
+
+  // The contract only refunds bets on a match it knows is cancelled
+  async cancelMatchOnChain(matchId) {
+    try {
+      await this.initialize();
+
+      const chainMatch = await this.getMatchFromChain(matchId);
+      if (chainMatch.status === constants.MATCH_STATUS.CANCELLED) {
+        return { success: true, matchId, alreadyCancelled: true };
+      }
+
+      // The contract only cancels upcoming matches, so a live one is moved back first.
+      // Contract enum: UPCOMING, LIVE, FINISHED, CANCELLED
+      const steps = chainMatch.status === constants.MATCH_STATUS.LIVE ? [0, 3] : [3];
+
+      let result;
+      for (const status of steps) {
+        result = await this.transactions.send('updateMatchStatus', [matchId, status]);
+        if (!result.success) {
+          throw new Error('Failed to cancel match on chain');
+        }
+      }
+
+      return {
+        success: true,
+        txHash: result.txHash,
+        matchId
+      };
+    } catch (error) {
+      logger.error('Error cancelling match on chain:', error);
+      throw error;
+    }
+  }
+
+  // The contract takes bets only while a match is UPCOMING; closing betting
+  // marks it LIVE. Finished and cancelled matches are left alone.
+  async setBettingOpenOnChain(matchId, open) {
+    try {
+      await this.initialize();
+
+      const chainMatch = await this.getMatchFromChain(matchId);
+      const target = open ? constants.MATCH_STATUS.UPCOMING : constants.MATCH_STATUS.LIVE;
+      const movable = [constants.MATCH_STATUS.UPCOMING, constants.MATCH_STATUS.LIVE];
+
+      if (chainMatch.status === target || !movable.includes(chainMatch.status)) {
+        return { success: true, matchId, changed: false };
+      }
+
+      // Contract enum: UPCOMING, LIVE, FINISHED, CANCELLED
+      const result = await this.transactions.send('updateMatchStatus', [matchId, open ? 0 : 1]);
+      if (!result.success) {
+        throw new Error('Failed to update match status on chain');
+      }
+
+      return { success: true, txHash: result.txHash, matchId, changed: true };
+    } catch (error) {
+      logger.error('Error updating match betting on chain:', error);
+      throw error;
+    }
+  }
+
+  // Walk the on-chain status forward to FINISHED (UPCOMING -> LIVE -> FINISHED)
+  async finishMatchOnChain(matchId) {
+    try {
+      await this.initialize();
+
+      const chainMatch = await this.getMatchFromChain(matchId);
+      const steps = {
+        [constants.MATCH_STATUS.UPCOMING]: [1, 2],
+        [constants.MATCH_STATUS.LIVE]: [2],
+        [constants.MATCH_STATUS.FINISHED]: []
+      }[chainMatch.status];
+
+      if (!steps) {
+        throw new Error(`Match ${matchId} is ${chainMatch.status} on chain`);
+      }
+
+      // Contract enum: UPCOMING, LIVE, FINISHED, CANCELLED
+      for (const status of steps) {
+        const result = await this.transactions.send('updateMatchStatus', [matchId, status]);
+        if (!result.success) {
+          throw new Error('Failed to update match status on chain');
+        }
+      }
+
+      return { success: true, matchId };
+    } catch (error) {
+      logger.error('Error finishing match on chain:', error);
+      throw error;
+    }
+  }
+
+  async refundBetsOnChain(matchId) {
+    try {
+      await this.initialize();
+
+      const result = await this.transactions.send('refundBets', [matchId]);
+
+      if (!result.success) {
+        throw new Error('Failed to refund bets on chain');
+      }
+
+      return {
+        success: true,
+        txHash: result.txHash,
+        matchId
+      };
+    } catch (error) {
+      logger.error('Error refunding bets on chain:', error);
+      throw error;
+    }
+  }
+
+  // Bet IDs the contract refunded in a refundBets transaction
+  async getRefundedBetIds(txHash) {
+    try {
+      await this.initialize();
+
+      const receipt = await this.web3.getTransactionReceipt(txHash);
+      if (!receipt) {
+        throw new Error(`Refund transaction ${txHash} not found`);
+      }
+
+      const contractAddress = (await this.web3.contract.getAddress()).toLowerCase();
+
+      return receipt.logs
+        .filter(log => log.address.toLowerCase() === contractAddress)
+        .map(log => this.web3.contract.interface.parseLog(log))
+        .filter(parsed => parsed && parsed.name === 'BetRefunded')
+        .map(parsed => this.convertToNumber(parsed.args.betId));
+    } catch (error) {
+      logger.error('Error reading refunded bets from chain:', error);
+      throw error;
+    }
+  }
+
+  async placeUltimateBetOnChain(userAddress, teamId, teamName, amount, odds) {
+    try {
+      await this.initialize();
+      this.assertNativeStakes();
+
+      if (amount < constants.BETTING_LIMITS.MIN_AMOUNT) {
+        throw new Error(`Minimum bet amount is ${constants.BETTING_LIMITS.MIN_AMOUNT} ETH`);
+      }
+
+      if (amount > constants.BETTING_LIMITS.MAX_AMOUNT) {
+        throw new Error(`Maximum bet amount is ${constants.BETTING_LIMITS.MAX_AMOUNT} ETH`);
+      }
+
+      // Contract odds are multiplied by 100
+      const result = await this.transactions.send('placeUltimateBet', [
+        teamId,
+        teamName,
+        Math.floor(odds * 100)
+      ], {
+        value: amount
+      });
+
+      if (!result.success) {
+        throw new Error('Failed to place ultimate bet on chain');
+      }
+
+      const betId = await this.extractUltimateBetIdFromEvent(result.receipt);
+
+      return {
+        success: true,
+        betId,
+        txHash: result.txHash,
+        amount,
+        potentialWin: amount * odds,
+        odds
+      };
+    } catch (error) {
+      logger.error('Error placing ultimate bet on chain:', error);
+      throw error;
+    }
+  }
+
+  // Check a placeUltimateBet transaction the user sent from their own wallet
+  async verifyUltimateBetTransaction(txHash, walletAddress) {
+    try {
+      const { receipt, event } = await this.verifyWalletTransaction(txHash, walletAddress, 'UltimateBetPlaced');
+
+      // The event has no team ID; the stored bet does
+      const betId = this.convertToNumber(event.args.betId);
+      const chainBet = await this.getUltimateBetFromChain(betId);
+
+      return {
+        betId,
+        teamId: chainBet.teamId,
+        teamName: event.args.teamName,
+        bettor: event.args.bettor,
+        amount: parseFloat(this.web3.formatEther(event.args.amount)),
+        potentialWin: parseFloat(this.web3.formatEther(event.args.potentialWin)),
+        odds: chainBet.odds,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+    } catch (error) {
+      logger.error('Error verifying ultimate bet transaction:', error);
+      throw error;
+    }
+  }
+
+  async extractUltimateBetIdFromEvent(receipt) {
+    try {
+      for (const log of receipt.logs) {
+        let parsed;
+        try {
+          parsed = this.web3.contract.interface.parseLog(log);
+        } catch (parseError) {
+          continue;
+        }
+
+        if (parsed && parsed.name === 'UltimateBetPlaced') {
+          return this.convertToNumber(parsed.args.betId);
+        }
+      }
+
+      throw new Error('UltimateBetPlaced event not found in receipt');
+    } catch (error) {
+      logger.error('Error extracting ultimate bet ID from event:', error);
+      throw error;
+    }
+  }
+
+  // The contract does not know the champion, so the database status is the
+  // source of truth for whether an ultimate bet may be claimed
+  async claimUltimateWinningsOnChain(betId, userAddress) {
+    try {
+      await this.initialize();
+
+      const bet = await UltimateBet.findById(betId);
+      if (!bet) {
+        throw new Error('Ultimate bet not found');
+      }
+
+      if (bet.user_address.toLowerCase() !== userAddress.toLowerCase()) {
+        throw new Error('Ultimate bet does not belong to user');
+      }
+
+      if (bet.status !== constants.BET_STATUS.WON) {
+        throw new Error('Ultimate bet did not win');
+      }
+
+      if (bet.claimed) {
+        throw new Error('Ultimate bet already claimed');
+      }
+
+      // The contract pays whoever placed the bet; one from the user's wallet is claimed there
+      const chainBet = await this.getUltimateBetFromChain(betId);
+      if (chainBet.bettor.toLowerCase() !== this.web3.getSignerAddress()?.toLowerCase()) {
+        throw Object.assign(new Error('This bet is held by your wallet; send claimUltimateWinnings from it'), { statusCode: 409 });
+      }
+
+      const result = await this.transactions.send('claimUltimateWinnings', [betId]);
+
+      if (!result.success) {
+        throw new Error('Failed to claim ultimate winnings on chain');
+      }
+
+      await UltimateBet.claim(betId, userAddress);
+
+      return {
+        success: true,
+        txHash: result.txHash,
+        betId,
+        amount: bet.potential_win
+      };
+    } catch (error) {
+      logger.error('Error claiming ultimate winnings on chain:', error);
+      throw error;
+    }
+  }
+
   // ========== READ OPERATIONS ==========
 
   async getContractBalance() {
@@ -357,6 +858,14 @@ class Web3Service {
     }
   }
 
+  // Matches synced from a sports data feed may have no contract counterpart
+  async matchExistsOnChain(matchId) {
+    await this.initialize();
+
+    const counter = await this.web3.callContract('matchCounter', [], { readOnly: true });
+    return matchId > 0 && matchId <= this.convertToNumber(counter);
+  }
+
   async getMatchFromChain(matchId) {
     try {
       await this.initialize();
@@ -385,6 +894,9 @@ class Web3Service {
       await this.initialize();
       
       const bet = await this.web3.callContract('getBet', [betId], { readOnly: true });
+      const match = this.mapBetStatus(bet.status) === constants.BET_STATUS.PENDING
+        ? await this.web3.callContract('matches', [bet.matchId], { readOnly: true })
+        : null;
       
       return {
         matchId: this.convertToNumber(bet.matchId),
@@ -392,7 +904,7 @@ class Web3Service {
         predicted: bet.predicted,
         amount: this.web3.formatEther(bet.amount),
         potentialWin: this.web3.formatEther(bet.potentialWin),
-        status: this.mapBetStatus(bet.status),
+        status: this.settledBetStatus(bet, match),
         claimed: bet.claimed,
         timestamp: new Date(this.convertToNumber(bet.timestamp) * 1000)
       };
@@ -402,6 +914,28 @@ class Web3Service {
     }
   }
 
+  async getUltimateBetFromChain(betId) {
+    try {
+      await this.initialize();
+
+      const bet = await this.web3.callContract('ultimateBets', [betId], { readOnly: true });
+
+      return {
+        bettor: bet.bettor,
+        teamId: this.convertToNumber(bet.teamId),
+        teamName: bet.teamName,
+        amount: this.web3.formatEther(bet.amount),
+        potentialWin: this.web3.formatEther(bet.potentialWin),
+        odds: this.convertToNumber(bet.odds) / 100,
+        active: bet.active,
+        claimed: bet.claimed
+      };
+    } catch (error) {
+      logger.error('Error getting ultimate bet from chain:', error);
+      throw error;
+    }
+  }
+
   async getUserActiveBetsFromChain(userAddress) {
     try {
       await this.initialize();
@@ -452,6 +986,19 @@ class Web3Service {
     return statusMap[statusNum] || constants.MATCH_STATUS.UPCOMING;
   }
 
+  // The contract settles a bet when it is claimed; until then a bet on a
+  // decided match is still PENDING there
+  settledBetStatus(bet, match) {
+    const status = this.mapBetStatus(bet.status);
+    if (status !== constants.BET_STATUS.PENDING || !match || !match.resultVerified) {
+      return status;
+    }
+
+    return this.convertToNumber(bet.predicted) === this.convertToNumber(match.result)
+      ? constants.BET_STATUS.WON
+      : constants.BET_STATUS.LOST;
+  }
+
   mapBetStatus(chainStatus) {
     const statusNum = this.convertToNumber(chainStatus);
     const statusMap = {
@@ -471,11 +1018,8 @@ class Web3Service {
       
       logger.info('Starting chain-database sync...');
       
-      // Sync matches
-      await this.syncMatches();
-      
-      // Sync bets
-      await this.syncBets();
+      // Apply new contract events to matches, bets and ultimate bets
+      await this.indexer.run();
       
       logger.info('Chain-database sync completed');
     } catch (error) {
@@ -484,154 +1028,6 @@ class Web3Service {
     }
   }
 
-  async syncMatches() {
-    try {
-      // Get match counter from chain
-      const matchCounter = await this.web3.callContract('matchCounter', [], { readOnly: true });
-      
-      // Log for debugging
-      logger.debug(`matchCounter raw value: ${matchCounter}, type: ${typeof matchCounter}`);
-      
-      const totalMatches = this.convertToNumber(matchCounter);
-      
-      logger.info(`Found ${totalMatches} matches on chain`);
-      
-      // If no matches, return early
-      if (totalMatches <= 0) {
-        logger.info('No matches found on chain to sync');
-        return;
-      }
-      
-      // Sync each match
-      for (let i = 1; i <= totalMatches; i++) {
-        try {
-          const chainMatch = await this.getMatchFromChain(i);
-          const dbMatch = await Match.findById(i);
-          
-          if (!dbMatch) {
-            // Create match in database
-            await Match.create({
-              match_id: i,
-              team_a: chainMatch.teamA,
-              team_b: chainMatch.teamB,
-              match_date: chainMatch.timestamp,
-              odds_team_a: chainMatch.oddsTeamA,
-              odds_draw: chainMatch.oddsDraw,
-              odds_team_b: chainMatch.oddsTeamB,
-              status: chainMatch.status,
-              total_staked: parseFloat(chainMatch.totalStaked)
-            });
-            
-            logger.debug(`Created match ${i} in database`);
-          } else {
-            // Update match if needed
-            const updates = {};
-            
-            if (dbMatch.status !== chainMatch.status) {
-              updates.status = chainMatch.status;
-            }
-            
-            if (parseFloat(dbMatch.total_staked) !== parseFloat(chainMatch.totalStaked)) {
-              updates.total_staked = parseFloat(chainMatch.totalStaked);
-            }
-            
-            if (Object.keys(updates).length > 0) {
-              await Match.update(i, updates);
-              logger.debug(`Updated match ${i} in database`);
-            }
-          }
-        } catch (error) {
-          logger.warn(`Error syncing match ${i}:`, error);
-          // Continue with next match
-        }
-      }
-    } catch (error) {
-      logger.error('Error syncing matches:', error);
-      throw error;
-    }
-  }
-
-  async syncBets() {
-    try {
-      // Get bet counter from chain
-      const betCounter = await this.web3.callContract('betCounter', [], { readOnly: true });
-      
-      // Log for debugging
-      logger.debug(`betCounter raw value: ${betCounter}, type: ${typeof betCounter}`);
-      
-      const totalBets = this.convertToNumber(betCounter);
-      
-      logger.info(`Found ${totalBets} bets on chain`);
-      
-      // If no bets, return early
-      if (totalBets <= 0) {
-        logger.info('No bets found on chain to sync');
-        return;
-      }
-      
-      // Sync each bet
-      for (let i = 1; i <= totalBets; i++) {
-        try {
-          const chainBet = await this.getBetFromChain(i);
-          const dbBet = await Bet.findById(i);
-          
-          if (!dbBet) {
-            // Create bet in database
-            await Bet.create({
-              bet_id: i,
-              user_address: chainBet.bettor,
-              match_id: chainBet.matchId,
-              outcome: chainBet.predicted,
-              amount: parseFloat(chainBet.amount),
-              potential_win: parseFloat(chainBet.potentialWin),
-              odds: this.calculateOddsFromChainBet(chainBet),
-              status: chainBet.status,
-              claimed: chainBet.claimed
-            });
-            
-            logger.debug(`Created bet ${i} in database`);
-          } else {
-            // Update bet if needed
-            const updates = {};
-            
-            if (dbBet.status !== chainBet.status) {
-              updates.status = chainBet.status;
-            }
-            
-            if (dbBet.claimed !== chainBet.claimed) {
-              updates.claimed = chainBet.claimed;
-              if (chainBet.claimed) {
-                updates.claimed_at = new Date();
-              }
-            }
-            
-            if (Object.keys(updates).length > 0) {
-              await Bet.update(i, updates);
-              logger.debug(`Updated bet ${i} in database`);
-            }
-          }
-        } catch (error) {
-          logger.warn(`Error syncing bet ${i}:`, error);
-          // Continue with next bet
-        }
-      }
-    } catch (error) {
-      logger.error('Error syncing bets:', error);
-      throw error;
-    }
-  }
-
-  calculateOddsFromChainBet(chainBet) {
-    // Calculate odds from amount and potential win
-    const amount = parseFloat(chainBet.amount);
-    const potentialWin = parseFloat(chainBet.potentialWin);
-    
-    if (amount > 0) {
-      return potentialWin / amount;
-    }
-    return 1;
-  }
-
   async healthCheck() {
     try {
       await this.initialize();
@@ -31,14 +31,14 @@ class Validators {
     if (amount < minAmount) {
       return { 
         isValid: false, 
-        error: `Minimum bet amount is ${minAmount} CLUTCH` 
+        error: `Minimum bet amount is ${minAmount} ${constants.STAKING.SYMBOL}` 
       };
     }
     
     if (amount > maxAmount) {
       return { 
         isValid: false, 
-        error: `Maximum bet amount is ${maxAmount} CLUTCH` 
+        error: `Maximum bet amount is ${maxAmount} ${constants.STAKING.SYMBOL}` 
       };
     }
     
@@ -5,13 +5,19 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title ClutchBetting
  * @dev Decentralized betting platform for World Cup 2026
  */
-contract ClutchBetting is Ownable, ReentrancyGuard {
+contract ClutchBetting is Ownable, ReentrancyGuard, EIP712 {
     using SafeMath for uint256;
+    using SafeERC20 for IERC20;
     
     // ========== CONSTANTS ==========
     uint256 public constant PLATFORM_FEE_PERCENT = 200; // 2%
@@ -22,6 +28,10 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
     uint256 public constant MIN_BET_AMOUNT = 1 ether;
     uint256 public constant MAX_BET_AMOUNT = 10000 ether;
     
+    bytes32 public constant BET_INTENT_TYPEHASH = keccak256(
+        "BetIntent(address bettor,uint256 matchId,uint8 outcome,uint256 amount,uint256 maxOdds,uint256 deadline,uint256 nonce)"
+    );
+    
     // ========== ENUMS ==========
     enum MatchStatus { UPCOMING, LIVE, FINISHED, CANCELLED }
     enum BetStatus { PENDING, WON, LOST, REFUNDED, CANCELLED }
@@ -69,6 +79,17 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         uint256 placedBlock;
     }
     
+    // Bet signed by the bettor and sent by someone else (placeBetFor)
+    struct BetIntent {
+        address bettor;
+        uint256 matchId;
+        Outcome outcome;
+        uint256 amount;
+        uint256 maxOdds;    // Multiplied by 100
+        uint256 deadline;
+        uint256 nonce;
+    }
+    
     // ========== STATE VARIABLES ==========
     uint256 public matchCounter;
     uint256 public betCounter;
@@ -83,6 +104,10 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
     mapping(uint256 => uint256[]) public matchBets;
     mapping(address => bool) public isOracle;
     mapping(address => bool) public isAdmin;
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+    
+    // ERC-20 that stakes are placed in; unset means stakes are in ETH
+    IERC20 public stakeToken;
     
     // ========== EVENTS ==========
     event MatchCreated(
@@ -130,11 +155,19 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         uint256 indexed betId
     );
     
+    event BetRefunded(
+        uint256 indexed betId,
+        address indexed bettor,
+        uint256 indexed matchId,
+        uint256 amount
+    );
+    
     event FeesWithdrawn(
         address indexed to,
         uint256 amount
     );
     
+    event StakeTokenSet(address indexed token);
     event OracleAdded(address indexed oracle);
     event OracleRemoved(address indexed oracle);
     event AdminAdded(address indexed admin);
@@ -167,8 +200,8 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
     }
     
     // ========== CONSTRUCTOR ==========
-    constructor() Ownable(msg.sender) {
-        // Initialize owner as admin and oracle
+    constructor() EIP712("ClutchBetting", "1") {
+        // Ownable makes the deployer the owner; it is also admin and oracle
         isAdmin[msg.sender] = true;
         isOracle[msg.sender] = true;
         
@@ -273,9 +306,64 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
     function placeBet(
         uint256 _matchId,
         Outcome _predicted
-    ) external payable nonReentrant validMatch(_matchId) matchUpcoming(_matchId) {
-        require(msg.value >= MIN_BET_AMOUNT, "Bet amount too low");
-        require(msg.value <= MAX_BET_AMOUNT, "Bet amount too high");
+    ) external payable nonReentrant {
+        require(address(stakeToken) == address(0), "Stakes are in tokens");
+        _placeBet(msg.sender, _matchId, _predicted, msg.value);
+    }
+    
+    /**
+     * @dev Place a bet staked in the stake token. The bettor approves this
+     * contract to spend the amount first.
+     */
+    function placeTokenBet(
+        uint256 _matchId,
+        Outcome _predicted,
+        uint256 _amount
+    ) external nonReentrant {
+        require(address(stakeToken) != address(0), "Stakes are in ETH");
+        _placeBet(msg.sender, _matchId, _predicted, _amount);
+        stakeToken.safeTransferFrom(msg.sender, address(this), _amount);
+    }
+    
+    /**
+     * @dev Place a bet the bettor signed, staked with the sender's ETH. The bet
+     * belongs to the signer, so its winnings and refunds go to them.
+     */
+    function placeBetFor(
+        BetIntent calldata _intent,
+        bytes calldata _signature
+    ) external payable nonReentrant {
+        require(address(stakeToken) == address(0), "Stakes are in tokens");
+        require(block.timestamp <= _intent.deadline, "Intent expired");
+        require(msg.value == _intent.amount, "Value does not match intent");
+        require(!usedNonces[_intent.bettor][_intent.nonce], "Nonce already used");
+        
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            BET_INTENT_TYPEHASH,
+            _intent.bettor,
+            _intent.matchId,
+            _intent.outcome,
+            _intent.amount,
+            _intent.maxOdds,
+            _intent.deadline,
+            _intent.nonce
+        )));
+        require(ECDSA.recover(digest, _signature) == _intent.bettor, "Invalid signature");
+        
+        usedNonces[_intent.bettor][_intent.nonce] = true;
+        
+        uint256 odds = _placeBet(_intent.bettor, _intent.matchId, _intent.outcome, msg.value);
+        require(odds <= _intent.maxOdds, "Odds changed");
+    }
+    
+    function _placeBet(
+        address _bettor,
+        uint256 _matchId,
+        Outcome _predicted,
+        uint256 _amount
+    ) internal validMatch(_matchId) matchUpcoming(_matchId) returns (uint256 odds) {
+        require(_amount >= MIN_BET_AMOUNT, "Bet amount too low");
+        require(_amount <= MAX_BET_AMOUNT, "Bet amount too high");
         require(
             _predicted == Outcome.TEAM_A || 
             _predicted == Outcome.DRAW || 
@@ -286,7 +374,6 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         Match storage matchData = matches[_matchId];
         
         // Calculate odds based on prediction
-        uint256 odds;
         if (_predicted == Outcome.TEAM_A) {
             odds = matchData.oddsTeamA;
         } else if (_predicted == Outcome.DRAW) {
@@ -296,9 +383,9 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         }
         
         // Calculate fees
-        uint256 platformFee = msg.value.mul(PLATFORM_FEE_PERCENT).div(PERCENT_DIVISOR);
-        uint256 oracleFee = msg.value.mul(ORACLE_FEE_PERCENT).div(PERCENT_DIVISOR);
-        uint256 netAmount = msg.value.sub(platformFee).sub(oracleFee);
+        uint256 platformFee = _amount.mul(PLATFORM_FEE_PERCENT).div(PERCENT_DIVISOR);
+        uint256 oracleFee = _amount.mul(ORACLE_FEE_PERCENT).div(PERCENT_DIVISOR);
+        uint256 netAmount = _amount.sub(platformFee).sub(oracleFee);
         
         // Calculate potential win
         uint256 potentialWin = netAmount.mul(odds).div(100);
@@ -308,7 +395,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         bets[betCounter] = Bet({
             id: betCounter,
             matchId: _matchId,
-            bettor: msg.sender,
+            bettor: _bettor,
             predicted: _predicted,
             amount: netAmount,
             potentialWin: potentialWin,
@@ -319,7 +406,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         });
         
         // Update mappings
-        userBets[msg.sender].push(betCounter);
+        userBets[_bettor].push(betCounter);
         matchBets[_matchId].push(betCounter);
         
         // Update match total staked
@@ -331,10 +418,10 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         
         emit BetPlaced(
             betCounter,
-            msg.sender,
+            _bettor,
             _matchId,
             _predicted,
-            msg.value,
+            _amount,
             potentialWin
         );
     }
@@ -347,6 +434,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         string memory _teamName,
         uint256 _odds
     ) external payable nonReentrant {
+        require(address(stakeToken) == address(0), "Stakes are in tokens");
         require(msg.value >= MIN_BET_AMOUNT, "Bet amount too low");
         require(msg.value <= MAX_BET_AMOUNT, "Bet amount too high");
         require(_odds >= 101 && _odds <= 10000, "Invalid odds");
@@ -395,7 +483,8 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Claim winnings for a regular bet
+     * @dev Claim winnings for a regular bet. Admins may claim on the bettor's
+     * behalf; the winnings always go to the bettor.
      */
     function claimBetWinnings(
         uint256 _betId
@@ -403,14 +492,20 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         require(_betId > 0 && _betId <= betCounter, "Invalid bet");
         
         Bet storage bet = bets[_betId];
-        require(bet.bettor == msg.sender, "Not your bet");
-        require(bet.status == BetStatus.WON, "Bet did not win");
+        require(bet.bettor == msg.sender || isAdmin[msg.sender] || msg.sender == owner(), "Not your bet");
         require(!bet.claimed, "Already claimed");
         require(bet.amount > 0, "Invalid bet amount");
         
         Match storage matchData = matches[bet.matchId];
         require(matchData.resultVerified, "Result not verified");
         
+        // Bets are settled when claimed, so setting a result costs the same
+        // gas however many bets the match has
+        if (bet.status == BetStatus.PENDING) {
+            bet.status = bet.predicted == matchData.result ? BetStatus.WON : BetStatus.LOST;
+        }
+        require(bet.status == BetStatus.WON, "Bet did not win");
+        
         // Mark as claimed
         bet.claimed = true;
         
@@ -418,13 +513,12 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         uint256 winnings = bet.potentialWin.mul(WINNERS_PERCENT).div(PERCENT_DIVISOR);
         
         // Transfer winnings
-        (bool success, ) = payable(msg.sender).call{value: winnings}("");
-        require(success, "Transfer failed");
+        _pay(bet.bettor, winnings);
         
         // Update total pool
         totalPool = totalPool.sub(winnings);
         
-        emit WinningsClaimed(msg.sender, winnings, _betId);
+        emit WinningsClaimed(bet.bettor, winnings, _betId);
     }
     
     /**
@@ -476,11 +570,12 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
                 bet.status = BetStatus.REFUNDED;
                 
                 // Refund amount (without fees)
-                (bool success, ) = payable(bet.bettor).call{value: bet.amount}("");
-                require(success, "Refund failed");
+                _pay(bet.bettor, bet.amount);
                 
                 // Update total pool
                 totalPool = totalPool.sub(bet.amount);
+                
+                emit BetRefunded(betId, bet.bettor, _matchId, bet.amount);
             }
         }
     }
@@ -537,8 +632,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         
         totalFeesCollected = 0;
         
-        (bool success, ) = payable(owner()).call{value: amount}("");
-        require(success, "Withdrawal failed");
+        _pay(owner(), amount);
         
         emit FeesWithdrawn(owner(), amount);
     }
@@ -548,10 +642,31 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
      */
     function emergencyWithdraw() external onlyOwner {
         uint256 balance = address(this).balance;
-        require(balance > 0, "No balance to withdraw");
+        uint256 tokenBalance = address(stakeToken) == address(0) ? 0 : stakeToken.balanceOf(address(this));
+        require(balance > 0 || tokenBalance > 0, "No balance to withdraw");
         
-        (bool success, ) = payable(owner()).call{value: balance}("");
-        require(success, "Withdrawal failed");
+        if (balance > 0) {
+            (bool success, ) = payable(owner()).call{value: balance}("");
+            require(success, "Withdrawal failed");
+        }
+        
+        if (tokenBalance > 0) {
+            stakeToken.safeTransfer(owner(), tokenBalance);
+        }
+    }
+    
+    /**
+     * @dev Switch stakes to an ERC-20. Only before the first bet, so every bet
+     * is paid out in what it was staked in. Bet limits are in 18-decimal
+     * units, so the token must use 18 decimals.
+     */
+    function setStakeToken(address _token) external onlyOwner {
+        require(betCounter == 0 && ultimateBetCounter == 0, "Bets already placed");
+        require(_token != address(0), "Invalid address");
+        require(IERC20Metadata(_token).decimals() == 18, "Token must have 18 decimals");
+        
+        stakeToken = IERC20(_token);
+        emit StakeTokenSet(_token);
     }
     
     // ========== VIEW FUNCTIONS ==========
@@ -628,7 +743,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         
         // Count active bets
         for (uint256 i = 0; i < userBetIds.length; i++) {
-            if (bets[userBetIds[i]].status == BetStatus.PENDING) {
+            if (_isActive(userBetIds[i])) {
                 activeCount++;
             }
         }
@@ -639,7 +754,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         
         for (uint256 i = 0; i < userBetIds.length; i++) {
             uint256 betId = userBetIds[i];
-            if (bets[betId].status == BetStatus.PENDING) {
+            if (_isActive(betId)) {
                 activeBetIds[index] = betId;
                 index++;
             }
@@ -655,7 +770,7 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         uint256 count = 0;
         
         for (uint256 i = 1; i <= betCounter; i++) {
-            if (bets[i].status == BetStatus.PENDING) {
+            if (_isActive(i)) {
                 count++;
             }
         }
@@ -664,9 +779,12 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Get contract balance
+     * @dev Get contract balance, in the stake token once one is set
      */
     function getContractBalance() external view returns (uint256) {
+        if (address(stakeToken) != address(0)) {
+            return stakeToken.balanceOf(address(this));
+        }
         return address(this).balance;
     }
     
@@ -698,6 +816,27 @@ contract ClutchBetting is Ownable, ReentrancyGuard {
         return total;
     }
     
+    /**
+     * @dev A bet still waiting on its match; bets on a decided match stay
+     * PENDING until claimed but are no longer active
+     */
+    function _isActive(uint256 _betId) internal view returns (bool) {
+        Bet storage bet = bets[_betId];
+        return bet.status == BetStatus.PENDING && !matches[bet.matchId].resultVerified;
+    }
+    
+    /**
+     * @dev Pay out in whatever stakes are placed in
+     */
+    function _pay(address _to, uint256 _amount) internal {
+        if (address(stakeToken) != address(0)) {
+            stakeToken.safeTransfer(_to, _amount);
+        } else {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, "Transfer failed");
+        }
+    }
+    
     // ========== RECEIVE FUNCTION ==========
     receive() external payable {
         // Accept ETH transfers
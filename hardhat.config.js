@@ -0,0 +1,31 @@
+// hardhat.config.js
+require('dotenv').config();
+require('@nomicfoundation/hardhat-toolbox');
+
+const accounts = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
+
+module.exports = {
+  solidity: {
+    version: '0.8.20',
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
+  networks: {
+    // In-process network used by the integration tests (chain ID 31337)
+    hardhat: {},
+    'base-sepolia': {
+      url: process.env.RPC_URL_BASE_SEPOLIA || '',
+      chainId: 84532,
+      accounts
+    },
+    base: {
+      url: process.env.RPC_URL_BASE || '',
+      chainId: 8453,
+      accounts
+    }
+  }
+};
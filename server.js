@@ -9,6 +9,7 @@ const path = require('path');
 // Import configurations
 const { constants, validateConfig } = require('./api/src/config/constants');
 const database = require('./api/src/config/database');
+const networks = require('./api/src/config/networks');
 const web3Service = require('./api/src/services/web3Service');
 const AuthMiddleware = require('./api/src/middleware/auth');
 const logger = require('./api/src/utils/logger');
@@ -19,6 +20,10 @@ const matchRoutes = require('./api/src/routes/matches');
 const betRoutes = require('./api/src/routes/bets');
 const leaderboardRoutes = require('./api/src/routes/leaderboard');
 const adminRoutes = require('./api/src/routes/admin');
+const partnerRoutes = require('./api/src/routes/partner');
+const ultimateBetRoutes = require('./api/src/routes/ultimateBets');
+const transactionRoutes = require('./api/src/routes/transactions');
+const networkRoutes = require('./api/src/routes/networks');
 
 // Import new services for external data
 const DataSyncService = require('./api/src/services/dataSyncService');
@@ -109,7 +114,7 @@ class Server {
           styleSrc: ["'self'", "'unsafe-inline'"],
           scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
           imgSrc: ["'self'", "data:", "https:"],
-          connectSrc: ["'self'", process.env.RPC_URL_BASE, constants.EXTERNAL_APIS.SPORTS_DATA, constants.EXTERNAL_APIS.FIFA_API]
+          connectSrc: ["'self'", process.env.RPC_URL_BASE, constants.EXTERNAL_APIS.SPORTS_DATA, constants.EXTERNAL_APIS.FOOTBALL_DATA, constants.EXTERNAL_APIS.FIFA_API]
         }
       },
       crossOriginEmbedderPolicy: false
@@ -121,7 +126,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 this.app.use(cors(corsOptions));
     // Compression
@@ -202,37 +208,29 @@ this.app.get('/api/v4/matches/all', async (req, res) => {
       try {
         const sportsService = new SportsDataService();
         
-        // Test connection
-        await sportsService.testConnection();
+        // Check every configured provider
+        const health = await sportsService.healthCheck();
         
-        // Fetch competitions
-        const competitions = await sportsService.fetchCompetitions();
-        const worldCup = competitions.find(c => c.CompetitionId === 21);
-        
-        // Fetch matches
-        const matches = await sportsService.fetchWorldCupMatches();
+        // Fetch matches from the first provider that answers
+        const fixtures = await sportsService.fetchFixtures();
         const upcoming = await sportsService.fetchUpcomingMatches(3);
-        const groups = await sportsService.fetchGroupStageMatches();
+        const live = await sportsService.fetchLiveScores();
         
         res.json({
           success: true,
-          connection: 'tested',
-          competitions: {
-            total: competitions.length,
-            worldCup: worldCup ? {
-              name: worldCup.Name,
-              id: worldCup.CompetitionId,
-              seasons: worldCup.Seasons?.map(s => s.Season)
-            } : null
-          },
+          connected: health.connected,
+          providers: health.providers,
+          activeProvider: sportsService.activeProvider,
+          errors: sportsService.lastErrors,
           matches: {
-            total: matches.length,
+            total: fixtures.length,
             upcoming: upcoming.length,
-            groups: Object.keys(groups).length
+            live: live.length,
+            groups: new Set(fixtures.map(match => match.group_name).filter(Boolean)).size
           },
           config: {
-            apiKey: process.env.SPORTS_DATA_API_KEY ? '✓ Set' : '✗ Missing',
-            baseUrl: process.env.SPORTS_DATA_API_URL
+            providers: constants.SPORTS_DATA.PROVIDERS,
+            file: constants.SPORTS_DATA.FILE
           }
         });
         
@@ -241,8 +239,8 @@ this.app.get('/api/v4/matches/all', async (req, res) => {
           success: false,
           error: error.message,
           config: {
-            apiKey: process.env.SPORTS_DATA_API_KEY ? 'Set' : 'Not set',
-            baseUrl: process.env.SPORTS_DATA_API_URL
+            providers: constants.SPORTS_DATA.PROVIDERS,
+            file: constants.SPORTS_DATA.FILE
           }
         });
       }
@@ -299,7 +297,7 @@ this.app.get('/api/v4/debug/db-matches', async (req, res) => {
   }
 });
 // Debug endpoints for result detection
-this.app.get('/api/v4/admin/check-finished-matches', async (req, res) => {
+this.app.get('/api/v4/admin/check-finished-matches', AuthMiddleware.requirePermission(constants.PERMISSIONS.MATCHES_SETTLE), async (req, res) => {
   try {
     const ResultDetectorService = require('./api/src/services/ResultDetectorService');
     const detector = new ResultDetectorService();
@@ -319,7 +317,8 @@ this.app.get('/api/v4/admin/check-finished-matches', async (req, res) => {
   }
 });
 
-this.app.post('/api/v4/admin/finish-match/:matchId', async (req, res) => {
+// Reports a result from the caller's wallet; settles once enough sources agree
+this.app.post('/api/v4/admin/finish-match/:matchId', AuthMiddleware.requirePermission(constants.PERMISSIONS.MATCHES_SETTLE), async (req, res) => {
   try {
     const { matchId } = req.params;
     const { outcome } = req.body;
@@ -334,12 +333,12 @@ this.app.post('/api/v4/admin/finish-match/:matchId', async (req, res) => {
     const ResultDetectorService = require('./api/src/services/ResultDetectorService');
     const detector = new ResultDetectorService();
     
-    const result = await detector.manuallyFinishMatch(parseInt(matchId), parseInt(outcome));
+    const result = await detector.manuallyFinishMatch(parseInt(matchId), parseInt(outcome), req.user.walletAddress);
     
     res.json(result);
   } catch (error) {
     logger.error('Manual finish failed:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -357,7 +356,7 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
 });
     
     // New endpoint: Force data sync
-    this.app.get('/api/admin/sync-data', AuthMiddleware.verifyAdmin, async (req, res) => {
+    this.app.get('/api/admin/sync-data', AuthMiddleware.requirePermission(constants.PERMISSIONS.SYSTEM_MANAGE), async (req, res) => {
       try {
         logger.info('Manual data sync requested by admin');
         
@@ -387,6 +386,10 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
     try {
       await database.connect();
       logger.info('Database connection established');
+
+      // Built-in roles and first super admin
+      const Role = require('./api/src/models/Role');
+      await Role.ensureDefaults();
       
       // Check if we have real data or just sample data
       const Match = require('./api/src/models/Match');
@@ -405,56 +408,35 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
   }
 
   async initializeBlockchain() {
-    try {
-      await web3Service.initialize();
-      logger.info('Blockchain connection established');
-    } catch (error) {
-      logger.error('Blockchain connection failed:', error);
-      logger.warn('Running in read-only mode (blockchain operations disabled)');
+    // A network that fails to connect does not stop the others
+    for (const network of networks.getEnabledNetworks()) {
+      try {
+        await web3Service.forNetwork(network.key).initialize();
+        logger.info(`Blockchain connection established: ${network.key} (chain ${network.chainId})`);
+      } catch (error) {
+        logger.error(`Blockchain connection failed for ${network.key}:`, error);
+        logger.warn(`Running ${network.key} in read-only mode (blockchain operations disabled)`);
+      }
     }
   }
 
   async initializeExternalServices() {
     try {
-      // Check API key
-      if (!process.env.SPORTS_DATA_API_KEY) {
-        logger.warn('SPORTS_DATA_API_KEY not found in .env file. Using generated data.');
-        return this.initializeWithGeneratedData();
-      }
-
-      logger.info('Initializing external sports data service...');
+      logger.info(`Initializing sports data providers: ${constants.SPORTS_DATA.PROVIDERS.join(', ')}`);
       
       // Initialize services
       const sportsDataService = new SportsDataService();
       
-      // Test connection with timeout handling
-      let isConnected = false;
-      try {
-        logger.info('Testing API connection...');
-        
-        // Use Promise.race for timeout
-        const connectionPromise = sportsDataService.testConnection();
-        const timeoutPromise = new Promise((resolve) => 
-          setTimeout(() => {
-            logger.warn('API connection timeout after 5 seconds');
-            resolve(false);
-          }, 5000)
-        );
-        
-        isConnected = await Promise.race([connectionPromise, timeoutPromise]);
-        
-      } catch (error) {
-        logger.warn(`API connection test error: ${error.message}`);
-        isConnected = false;
-      }
+      // At least one configured provider has to answer
+      const connection = await sportsDataService.testConnection();
       
-      if (!isConnected) {
-        logger.warn('⚠️ Could not connect to sports data API');
+      if (!connection.success) {
+        logger.warn('⚠️ No sports data provider is reachable');
         logger.warn('⚠️ Using generated World Cup 2026 data instead');
         logger.warn('⚠️ To use real data:');
         logger.warn('   1. Check your internet connection');
-        logger.warn('   2. Verify SPORTS_DATA_API_KEY is valid');
-        logger.warn('   3. Make sure you have proper API subscription');
+        logger.warn('   2. Set SPORTS_DATA_API_KEY, FOOTBALL_DATA_API_KEY or MATCH_DATA_FILE');
+        logger.warn('   3. List the providers to use in SPORTS_DATA_PROVIDERS');
         
         // Don't throw error, use generated data
         return this.initializeWithGeneratedData();
@@ -499,7 +481,7 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
       logger.info('🔄 Initializing with generated match data...');
       
       // Create sports data service in "generated mode"
-      const sportsDataService = new SportsDataService();
+      const sportsDataService = new SportsDataService(['generated']);
       sportsDataService.usingGeneratedData = true;
       
       // Store service instance
@@ -532,6 +514,10 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
     this.app.use(`${this.apiPrefix}/${this.apiVersion}/bets`, betRoutes);
     this.app.use(`${this.apiPrefix}/${this.apiVersion}/leaderboard`, leaderboardRoutes);
     this.app.use(`${this.apiPrefix}/${this.apiVersion}/admin`, adminRoutes);
+    this.app.use(`${this.apiPrefix}/${this.apiVersion}/partner`, partnerRoutes);
+    this.app.use(`${this.apiPrefix}/${this.apiVersion}/ultimate-bets`, ultimateBetRoutes);
+    this.app.use(`${this.apiPrefix}/${this.apiVersion}/transactions`, transactionRoutes);
+    this.app.use(`${this.apiPrefix}/${this.apiVersion}/networks`, networkRoutes);
     
     // API documentation (if using Swagger)
     this.setupSwagger();
@@ -612,14 +598,87 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
   startScheduledTasks() {
     const cron = require('node-cron');
     
-    // Sync with blockchain every 5 minutes
+    // Sync with blockchain every 5 minutes, each network on its own
     cron.schedule('*/5 * * * *', async () => {
-      try {
-        logger.info('Starting scheduled blockchain sync...');
-        await web3Service.syncChainWithDatabase();
-        logger.info('Scheduled blockchain sync completed');
-      } catch (error) {
-        logger.error('Scheduled blockchain sync failed:', error);
+      for (const network of networks.getEnabledNetworks()) {
+        try {
+          logger.info(`Starting scheduled blockchain sync on ${network.key}...`);
+          await web3Service.forNetwork(network.key).syncChainWithDatabase();
+          logger.info(`Scheduled blockchain sync on ${network.key} completed`);
+        } catch (error) {
+          logger.error(`Scheduled blockchain sync on ${network.key} failed:`, error);
+        }
+      }
+    });
+    
+    // Watch outgoing transactions nobody is waiting on and speed up stuck ones
+    cron.schedule('* * * * *', async () => {
+      const transactionService = require('./api/src/services/transactionService');
+      for (const network of networks.getEnabledNetworks()) {
+        try {
+          await transactionService.forNetwork(network.key).monitorPending();
+          await transactionService.forRelayer(network.key).monitorPending();
+        } catch (error) {
+          logger.error(`Transaction monitor failed on ${network.key}:`, error);
+        }
+      }
+    });
+    
+    // Relay queued bet intents every 10 seconds
+    cron.schedule('*/10 * * * * *', async () => {
+      const betIntentService = require('./api/src/services/betIntentService');
+      for (const network of networks.getEnabledNetworks()) {
+        try {
+          await betIntentService.processQueue(network.chainId);
+        } catch (error) {
+          logger.error(`Bet relayer failed on ${network.key}:`, error);
+        }
+      }
+    });
+    
+    // Start matches at kickoff, which closes betting on them
+    cron.schedule('* * * * *', async () => {
+      const matchLifecycleService = require('./api/src/services/matchLifecycleService');
+      for (const network of networks.getEnabledNetworks()) {
+        try {
+          const summary = await matchLifecycleService.startDue(network.chainId);
+          if (summary.started > 0 || summary.failed > 0) {
+            logger.info(`Matches kicked off on ${network.key}: ${summary.started}, failed: ${summary.failed}`);
+          }
+        } catch (error) {
+          logger.error(`Kickoff check failed on ${network.key}:`, error);
+        }
+      }
+    });
+    
+    // Put provisional results whose dispute window has closed on chain
+    cron.schedule('* * * * *', async () => {
+      const settlementService = require('./api/src/services/settlementService');
+      for (const network of networks.getEnabledNetworks()) {
+        try {
+          const summary = await settlementService.finalizeDue(network.chainId);
+          if (summary.finalized > 0 || summary.failed > 0) {
+            logger.info(`Results finalized on ${network.key}: ${summary.finalized}, failed: ${summary.failed}, awaiting dispute decisions: ${summary.waiting}`);
+          }
+        } catch (error) {
+          logger.error(`Result finalization failed on ${network.key}:`, error);
+        }
+      }
+    });
+    
+    // Compare each network's contract with the database every hour (at :30)
+    cron.schedule('30 * * * *', async () => {
+      const reconciliationService = require('./api/src/services/reconciliationService');
+      for (const network of networks.getEnabledNetworks()) {
+        try {
+          await reconciliationService.run({
+            chainId: network.chainId,
+            repair: constants.RECONCILIATION.AUTO_REPAIR,
+            triggeredBy: 'cron'
+          });
+        } catch (error) {
+          logger.error(`Scheduled reconciliation on ${network.key} failed:`, error);
+        }
       }
     });
     
@@ -703,7 +762,23 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
         SET archived = 1 
         WHERE match_date < datetime('now', '-1 year')
       `);
-      
+
+      // Drop expired SIWE nonces
+      const AuthNonce = require('./api/src/models/AuthNonce');
+      await AuthNonce.deleteExpired();
+
+      // Drop expired refresh tokens
+      const RefreshToken = require('./api/src/models/RefreshToken');
+      await RefreshToken.deleteExpired();
+
+      // Drop expired idempotency keys
+      const IdempotencyKey = require('./api/src/models/IdempotencyKey');
+      await IdempotencyKey.deleteExpired();
+
+      // Drop expired, unused cash-out quotes
+      const CashoutQuote = require('./api/src/models/CashoutQuote');
+      await CashoutQuote.deleteExpired();
+
       logger.info('Data cleanup completed');
     } catch (error) {
       logger.error('Data cleanup failed:', error);
@@ -712,9 +787,7 @@ this.app.get('/api/v4/debug/auth-test', AuthMiddleware.verifyToken, (req, res) =
 
   start() {
     this.server = this.app.listen(this.port, () => {
-      const hasExternalAPI = process.env.SPORTS_DATA_API_KEY && 
-                            process.env.SPORTS_DATA_API_KEY !== 'your_sports_data_api_key';
-      const usingGeneratedData = this.sportsDataService?.usingGeneratedData || !hasExternalAPI;
+      const usingGeneratedData = !!this.sportsDataService?.usingGeneratedData;
       const dataSource = usingGeneratedData ? 'Generated' : 'External API';
       const isHealthy = this.sportsDataService !== null;
       
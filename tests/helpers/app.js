@@ -0,0 +1,46 @@
+// tests/helpers/app.js
+const express = require('express');
+const AuthMiddleware = require('../../api/middleware/auth');
+const Role = require('../../api/models/Role');
+const User = require('../../api/models/User');
+
+const matchRoutes = require('../../api/routes/matches');
+const betRoutes = require('../../api/routes/bets');
+const adminRoutes = require('../../api/routes/admin');
+
+const API = '/api/v4';
+
+// The routes under test, mounted the way server.js mounts them
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  app.use(`${API}/matches`, matchRoutes);
+  app.use(`${API}/bets`, betRoutes);
+  app.use(`${API}/admin`, adminRoutes);
+
+  app.use(AuthMiddleware.errorHandler());
+  return app;
+};
+
+// Bearer token for a wallet; ADMIN_WALLETS become super admins
+const authenticate = async (walletAddress) => {
+  await Role.ensureDefaults();
+
+  if (!(await User.findByWalletAddress(walletAddress))) {
+    await User.create({ wallet_address: walletAddress });
+  }
+
+  const { token } = await AuthMiddleware.issueTokens(walletAddress);
+  return `Bearer ${token}`;
+};
+
+// Integration suites need a disposable Postgres database (TEST_DATABASE_URL)
+const describeIntegration = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+module.exports = {
+  API,
+  createApp,
+  authenticate,
+  describeIntegration
+};
@@ -0,0 +1,35 @@
+// tests/helpers/chain.js
+const { ethers } = require('ethers');
+const hre = require('hardhat');
+const web3Config = require('../../api/config/web3');
+
+// Deploy ClutchBetting on the in-process Hardhat network and point the
+// default web3 connection at it. Winners are paid from the staked pool only.
+const startChain = async () => {
+  // No response caching: blocks are mined instantly and nonces read back at once
+  const provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+  const deployer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+
+  const artifact = await hre.artifacts.readArtifact('ClutchBetting');
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+  const contract = await factory.deploy();
+  await contract.waitForDeployment();
+
+  const address = await contract.getAddress();
+
+  // Read by the network registry when web3Config initializes
+  process.env.CONTRACT_ADDRESS = address;
+  web3Config.setProvider(provider);
+  await web3Config.initialize();
+
+  return { provider, contract, address, deployer };
+};
+
+const stopChain = async ({ provider }) => {
+  provider.destroy();
+};
+
+module.exports = {
+  startChain,
+  stopChain
+};
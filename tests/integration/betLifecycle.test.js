@@ -0,0 +1,355 @@
+// tests/integration/betLifecycle.test.js
+const request = require('supertest');
+const { ethers } = require('ethers');
+const prisma = require('../../api/config/database');
+const Bet = require('../../api/models/Bet');
+const Match = require('../../api/models/Match');
+const { constants } = require('../../api/config/constants');
+const { startChain, stopChain } = require('../helpers/chain');
+const { API, createApp, authenticate, describeIntegration } = require('../helpers/app');
+
+// Contract enum: PENDING, WON, LOST, REFUNDED, CANCELLED
+const CHAIN_BET_STATUS = { PENDING: 0n, WON: 1n, REFUNDED: 3n };
+
+const ADMIN = process.env.ADMIN_WALLETS;
+const BETTOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+// Hardhat's second default account
+const BETTOR_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+describeIntegration('bet lifecycle on a local Hardhat network', () => {
+  let chain;
+  let app;
+  let adminAuth;
+  let bettorAuth;
+
+  const createMatch = async (teamA, teamB) => {
+    const res = await request(app)
+      .post(`${API}/matches`)
+      .set('Authorization', adminAuth)
+      .send({
+        team_a: teamA,
+        team_b: teamB,
+        match_date: inDays(30),
+        odds_team_a: 2.0,
+        odds_draw: 3.2,
+        odds_team_b: 3.5
+      });
+
+    expect(res.status).toBe(201);
+    return res.body.data.chain.matchId;
+  };
+
+  const placeBet = async (matchId, outcome, amount) => {
+    const res = await request(app)
+      .post(`${API}/bets`)
+      .set('Authorization', bettorAuth)
+      .send({ match_id: matchId, outcome, amount });
+
+    expect(res.status).toBe(201);
+    return res.body.data.chain.betId;
+  };
+
+  const setStatus = (matchId, status) => request(app)
+    .put(`${API}/matches/${matchId}/status`)
+    .set('Authorization', adminAuth)
+    .send({ status });
+
+  beforeAll(async () => {
+    chain = await startChain();
+    app = createApp();
+    adminAuth = await authenticate(ADMIN);
+    bettorAuth = await authenticate(BETTOR);
+  });
+
+  afterAll(async () => {
+    await stopChain(chain);
+    await prisma.$disconnect();
+  });
+
+  describe('settled match', () => {
+    let matchId;
+    let betId;
+    let losingBetId;
+
+    test('creates the match on chain and in the database', async () => {
+      matchId = await createMatch('USA', 'Mexico');
+
+      const onChain = await chain.contract.getMatch(matchId);
+      expect(onChain.teamA).toBe('USA');
+      expect(onChain.oddsTeamA).toBe(200n);
+
+      const match = await Match.findById(matchId);
+      expect(match.status).toBe(constants.MATCH_STATUS.UPCOMING);
+    });
+
+    test('places a bet', async () => {
+      betId = await placeBet(matchId, constants.OUTCOMES.TEAM_A_WIN, 10);
+
+      const onChain = await chain.contract.getBet(betId);
+      expect(onChain.matchId).toBe(BigInt(matchId));
+      expect(onChain.status).toBe(CHAIN_BET_STATUS.PENDING);
+
+      const bet = await Bet.findById(betId);
+      expect(bet.user_address).toBe(BETTOR);
+      expect(bet.status).toBe(constants.BET_STATUS.PENDING);
+
+      // The losing side's stake is what pays the winner
+      losingBetId = await placeBet(matchId, constants.OUTCOMES.TEAM_B_WIN, 15);
+    });
+
+    test('sets the result and settles the bet', async () => {
+      expect((await setStatus(matchId, constants.MATCH_STATUS.FINISHED)).status).toBe(200);
+
+      const res = await request(app)
+        .post(`${API}/matches/${matchId}/result`)
+        .set('Authorization', adminAuth)
+        .send({ result: constants.OUTCOMES.TEAM_A_WIN });
+
+      expect(res.status).toBe(200);
+
+      const onChainMatch = await chain.contract.getMatch(matchId);
+      expect(onChainMatch.resultVerified).toBe(true);
+      // The contract settles bets when they are claimed
+      expect((await chain.contract.getBet(betId)).status).toBe(CHAIN_BET_STATUS.PENDING);
+
+      const bet = await Bet.findById(betId);
+      expect(bet.status).toBe(constants.BET_STATUS.WON);
+      expect((await Bet.findById(losingBetId)).status).toBe(constants.BET_STATUS.LOST);
+    });
+
+    test('claims the winnings', async () => {
+      const balanceBefore = await chain.provider.getBalance(chain.address);
+
+      const res = await request(app)
+        .post(`${API}/bets/${betId}/claim`)
+        .set('Authorization', bettorAuth);
+
+      expect(res.status).toBe(200);
+      const onChain = await chain.contract.getBet(betId);
+      expect(onChain.claimed).toBe(true);
+      expect(onChain.status).toBe(CHAIN_BET_STATUS.WON);
+      expect(await chain.provider.getBalance(chain.address)).toBeLessThan(balanceBefore);
+
+      const bet = await Bet.findById(betId);
+      expect(bet.claimed).toBe(1);
+    });
+
+    test('rejects a second claim', async () => {
+      const res = await request(app)
+        .post(`${API}/bets/${betId}/claim`)
+        .set('Authorization', bettorAuth);
+
+      expect(res.status).toBe(400);
+    });
+
+    test('returns the match score and an empty timeline', async () => {
+      const match = await request(app).get(`${API}/matches/${matchId}`);
+
+      expect(match.status).toBe(200);
+      expect(match.body.data.score.full_time).toBeNull();
+      expect(match.body.data.events).toEqual([]);
+
+      const timeline = await request(app).get(`${API}/matches/${matchId}/timeline`);
+
+      expect(timeline.status).toBe(200);
+      expect(timeline.body.data.team_a).toBe('USA');
+      expect(timeline.body.data.events).toEqual([]);
+    });
+
+    test('records status transitions and keeps a finished match finished', async () => {
+      expect((await setStatus(matchId, constants.MATCH_STATUS.UPCOMING)).status).toBe(409);
+
+      const res = await request(app).get(`${API}/matches/${matchId}/transitions`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.transitions.map(t => t.to_status)).toEqual([
+        constants.MATCH_STATUS.LIVE,
+        constants.MATCH_STATUS.FINISHED
+      ]);
+      expect(res.body.data.next).toEqual([]);
+    });
+
+    test('refuses disputes on a final result', async () => {
+      const res = await request(app)
+        .post(`${API}/matches/${matchId}/disputes`)
+        .set('Authorization', bettorAuth)
+        .send({ reason: 'Wrong winner', proposed_result: constants.OUTCOMES.DRAW });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('cancelled match', () => {
+    let matchId;
+    let betId;
+
+    test('refunds pending bets when the match is cancelled', async () => {
+      matchId = await createMatch('Canada', 'Jamaica');
+      betId = await placeBet(matchId, constants.OUTCOMES.DRAW, 5);
+
+      const res = await setStatus(matchId, constants.MATCH_STATUS.CANCELLED);
+
+      expect(res.status).toBe(200);
+      expect(res.body.refund.status).toBe('completed');
+      expect(res.body.refund.remaining_bets).toBe(0);
+
+      expect((await chain.contract.getBet(betId)).status).toBe(CHAIN_BET_STATUS.REFUNDED);
+
+      const bet = await Bet.findById(betId);
+      expect(bet.status).toBe(constants.BET_STATUS.REFUNDED);
+    });
+
+    test('refund report is available to admins', async () => {
+      const res = await request(app)
+        .get(`${API}/admin/refunds/${matchId}`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.refunded_bets).toBe(1);
+    });
+  });
+
+  describe('reconciliation', () => {
+    test('finds the contract and database in agreement', async () => {
+      const res = await request(app)
+        .get(`${API}/admin/reconciliation`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('clean');
+      expect(res.body.data.summary.bets_checked).toBe(2);
+    });
+
+    test('repairs database drift from the contract', async () => {
+      const [bet] = await Bet.findAllByChain();
+      await Bet.update(bet.bet_id, { status: constants.BET_STATUS.PENDING, claimed: false });
+
+      const res = await request(app)
+        .post(`${API}/admin/reconciliation/repair`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.repaired).toBe(2);
+
+      const repaired = await Bet.findById(bet.bet_id);
+      expect(repaired.status).toBe(constants.BET_STATUS.WON);
+      expect(repaired.claimed).toBe(1);
+    });
+  });
+
+  describe('contract roles', () => {
+    test('adds an oracle only after confirmation', async () => {
+      const requested = await request(app)
+        .post(`${API}/admin/contract/actions`)
+        .set('Authorization', adminAuth)
+        .send({ action: 'add_oracle', address: BETTOR });
+
+      expect(requested.status).toBe(202);
+      expect(await chain.contract.isOracle(BETTOR)).toBe(false);
+
+      const { id, confirmation_token: token } = requested.body.data;
+
+      const rejected = await request(app)
+        .post(`${API}/admin/contract/actions/${id}/confirm`)
+        .set('Authorization', adminAuth)
+        .send({ confirmation_token: 'wrong' });
+
+      expect(rejected.status).toBe(403);
+
+      const confirmed = await request(app)
+        .post(`${API}/admin/contract/actions/${id}/confirm`)
+        .set('Authorization', adminAuth)
+        .send({ confirmation_token: token });
+
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.data.status).toBe('executed');
+      expect(await chain.contract.isOracle(BETTOR)).toBe(true);
+    });
+
+    test('lists on-chain roles from events', async () => {
+      const res = await request(app)
+        .get(`${API}/admin/contract/roles`)
+        .set('Authorization', adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.signer_is_owner).toBe(true);
+      expect(res.body.data.oracles.map(o => o.address)).toEqual([ADMIN.toLowerCase(), BETTOR]);
+      expect(res.body.data.admins.map(a => a.address)).toEqual([ADMIN.toLowerCase()]);
+    });
+  });
+
+  describe('gasless bet', () => {
+    test('relays a signed bet intent', async () => {
+      const matchId = await createMatch('Brazil', 'Japan');
+
+      const typed = await request(app).get(`${API}/bets/intent/typed-data`);
+      expect(typed.status).toBe(200);
+
+      const { domain, types } = typed.body.data;
+      const intent = {
+        bettor: ethers.getAddress(BETTOR),
+        matchId,
+        outcome: constants.OUTCOMES.TEAM_B_WIN,
+        amount: ethers.parseEther('3').toString(),
+        maxOdds: 350,
+        deadline: Math.floor(Date.now() / 1000) + 600,
+        nonce: 1
+      };
+      const signature = await new ethers.Wallet(BETTOR_KEY).signTypedData(domain, types, intent);
+
+      // The stake comes out of the bettor's custodial balance
+      await prisma.user.update({
+        where: { wallet_address: BETTOR },
+        data: { balance: 5 }
+      });
+
+      const res = await request(app)
+        .post(`${API}/bets/intent`)
+        .set('Authorization', bettorAuth)
+        .send({ intent, signature });
+
+      expect(res.status).toBe(202);
+
+      let relayed;
+      for (let i = 0; i < 100; i++) {
+        relayed = (await request(app)
+          .get(`${API}/bets/intent/${res.body.data.id}`)
+          .set('Authorization', bettorAuth)).body.data;
+        if (relayed.status !== 'queued' && relayed.status !== 'submitted') break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      expect(relayed.status).toBe('confirmed');
+
+      const bet = await Bet.findById(relayed.bet_id);
+      expect(bet.user_address).toBe(BETTOR);
+      expect(bet.amount).toBe(3);
+      expect(bet.odds).toBe(3.5);
+
+      // The contract holds the signer as bettor, not the relayer
+      expect((await chain.contract.getBet(relayed.bet_id)).bettor).toBe(ethers.getAddress(BETTOR));
+
+      const replay = await request(app)
+        .post(`${API}/bets/intent`)
+        .set('Authorization', bettorAuth)
+        .send({ intent, signature });
+
+      expect(replay.status).toBe(409);
+      expect((await prisma.user.findUnique({ where: { wallet_address: BETTOR } })).balance).toBe(2);
+
+      const tooLarge = { ...intent, nonce: 2 };
+      const unfunded = await request(app)
+        .post(`${API}/bets/intent`)
+        .set('Authorization', bettorAuth)
+        .send({
+          intent: tooLarge,
+          signature: await new ethers.Wallet(BETTOR_KEY).signTypedData(domain, types, tooLarge)
+        });
+
+      expect(unfunded.status).toBe(400);
+      expect(unfunded.body.error).toBe('Insufficient balance');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+// tests/setup/env.js
+// Runs before any test module is loaded; constants read the environment once.
+
+// Hardhat's first default account deploys the contract and signs platform transactions
+const HARDHAT_ACCOUNT_0 = {
+  address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+};
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'integration-test-secret';
+
+// Disposable Postgres database; globalSetup resets its schema
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
+
+// In-process Hardhat network
+process.env.NETWORK = 'hardhat';
+process.env.ENABLED_NETWORKS = '';
+process.env.PRIVATE_KEY = HARDHAT_ACCOUNT_0.privateKey;
+process.env.ADMIN_WALLETS = HARDHAT_ACCOUNT_0.address;
+process.env.CONTRACT_ABI_HARDHAT = 'artifacts/contracts/ClutchBetting.sol/ClutchBetting.json';
+
+// Hardhat mines one block per transaction
+process.env.REQUIRED_CONFIRMATIONS = '1';
+process.env.TX_POLL_INTERVAL_MS = '100';
+
+// A single admin report settles a match, on chain straight away
+process.env.RESULT_REQUIRED_CONFIRMATIONS = '1';
+process.env.DISPUTE_PERIOD_DAYS = '0';
+
+process.env.CUSTODIAL_BETS_ENABLED = 'true';
+process.env.RELAYED_BETS_ENABLED = 'true';
+
+// Hardhat's third default account relays gasless bets
+process.env.RELAYER_PRIVATE_KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a';
@@ -0,0 +1,21 @@
+// tests/setup/globalSetup.js
+const { execSync } = require('child_process');
+const path = require('path');
+
+const root = path.resolve(__dirname, '../..');
+
+// Compile the contract once and give the test database a fresh schema.
+// Without TEST_DATABASE_URL the integration suites are skipped.
+module.exports = async () => {
+  if (!process.env.TEST_DATABASE_URL) {
+    return;
+  }
+
+  execSync('npx hardhat compile --quiet', { cwd: root, stdio: 'inherit' });
+
+  execSync('npx prisma db push --force-reset --skip-generate', {
+    cwd: root,
+    stdio: 'inherit',
+    env: { ...process.env, DATABASE_URL: process.env.TEST_DATABASE_URL }
+  });
+};
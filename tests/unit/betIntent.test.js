@@ -0,0 +1,234 @@
+// tests/unit/betIntent.test.js
+const { ethers } = require('ethers');
+const prisma = require('../../api/config/database');
+const betIntentService = require('../../api/services/betIntentService');
+const web3Service = require('../../api/services/web3Service');
+const BetIntent = require('../../api/models/BetIntent');
+const { constants } = require('../../api/config/constants');
+
+// Hardhat's second default account signs the intents
+const bettor = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const other = ethers.Wallet.createRandom();
+
+const chain = {
+  chainId: 31337,
+  network: { key: 'hardhat', name: 'Hardhat' },
+  initialize: async () => {},
+  web3: {
+    relayer: {},
+    contract: { getAddress: async () => '0x5FbDB2315678afecb367f032d93F642f64180aa3' }
+  }
+};
+
+const intentFor = (overrides = {}) => ({
+  bettor: bettor.address,
+  matchId: 7,
+  outcome: constants.OUTCOMES.TEAM_A_WIN,
+  amount: ethers.parseEther('2').toString(),
+  maxOdds: 250,
+  deadline: Math.floor(Date.now() / 1000) + 600,
+  nonce: 1,
+  ...overrides
+});
+
+const sign = async (wallet, intent) => wallet.signTypedData(
+  await betIntentService.getDomain(chain),
+  (await betIntentService.getTypedData()).types,
+  intent
+);
+
+describe('Bet intents', () => {
+  let enabled;
+
+  beforeEach(() => {
+    enabled = constants.RELAYED_BETS_ENABLED;
+    constants.RELAYED_BETS_ENABLED = true;
+
+    jest.spyOn(web3Service, 'forNetwork').mockReturnValue(chain);
+    jest.spyOn(betIntentService, 'checkMatch').mockResolvedValue(2.5);
+    jest.spyOn(betIntentService, 'processQueue').mockResolvedValue({ relayed: 0, resumed: 0 });
+    jest.spyOn(BetIntent, 'create').mockImplementation(async data => ({
+      id: 1,
+      ...data,
+      amount_wei: data.amount_wei.toString(),
+      nonce: data.nonce.toString()
+    }));
+  });
+
+  afterEach(() => {
+    constants.RELAYED_BETS_ENABLED = enabled;
+    jest.restoreAllMocks();
+  });
+
+  const submit = async (intent, wallet = bettor, walletAddress = bettor.address) => betIntentService.submit({
+    chainId: chain.chainId,
+    walletAddress,
+    intent,
+    signature: await sign(wallet, intent)
+  });
+
+  test('a correctly signed intent is queued and relayed exactly as signed', async () => {
+    const intent = intentFor();
+    const created = await submit(intent);
+
+    expect(created).toMatchObject({
+      user_address: bettor.address,
+      match_id: 7,
+      amount: 2,
+      max_odds: 2.5
+    });
+    expect(betIntentService.toContractIntent(created)).toEqual([
+      bettor.address,
+      7,
+      constants.OUTCOMES.TEAM_A_WIN,
+      intent.amount,
+      250,
+      intent.deadline,
+      '1'
+    ]);
+  });
+
+  test('an intent signed by someone other than the bettor is refused', async () => {
+    await expect(submit(intentFor(), other)).rejects.toMatchObject({ statusCode: 401 });
+    expect(BetIntent.create).not.toHaveBeenCalled();
+  });
+
+  test('an intent for another wallet than the caller is refused', async () => {
+    await expect(submit(intentFor(), bettor, other.address)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('a reused nonce is refused', async () => {
+    BetIntent.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    await expect(submit(intentFor())).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Intent nonce has already been used'
+    });
+  });
+
+  test('expired intents and deadlines too far away are refused', async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    await expect(submit(intentFor({ deadline: now - 1 }))).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Intent has expired'
+    });
+
+    const tooFar = now + constants.RELAYER.MAX_DEADLINE / 1000 + 60;
+    await expect(submit(intentFor({ deadline: tooFar }))).rejects.toMatchObject({ statusCode: 400 });
+    expect(BetIntent.create).not.toHaveBeenCalled();
+  });
+
+  test('nothing is accepted or relayed while gasless bets are disabled', async () => {
+    constants.RELAYED_BETS_ENABLED = false;
+
+    await expect(submit(intentFor())).rejects.toMatchObject({ statusCode: 410 });
+
+    betIntentService.processQueue.mockRestore();
+    jest.spyOn(betIntentService, 'resumeSubmitted').mockResolvedValue(0);
+    const findByStatus = jest.spyOn(BetIntent, 'findByStatus');
+
+    await expect(betIntentService.processQueue(chain.chainId)).resolves.toEqual({ relayed: 0, resumed: 0 });
+    expect(findByStatus).not.toHaveBeenCalled();
+  });
+});
+
+// The stake comes out of the bettor's balance and goes back if the bet is never placed
+describe('Bet intent stakes', () => {
+  let user;
+  let intents;
+
+  const client = {
+    user: {
+      updateMany: async ({ where, data }) => {
+        if (where.wallet_address !== user.wallet_address || user.balance < where.balance.gte) return { count: 0 };
+        user.balance -= data.balance.decrement;
+        return { count: 1 };
+      },
+      update: async ({ data }) => {
+        user.balance += data.balance.increment;
+        return user;
+      }
+    },
+    betIntent: {
+      create: async ({ data }) => {
+        const intent = { id: intents.length + 1, ...data };
+        intents.push(intent);
+        return intent;
+      },
+      updateMany: async ({ where, data }) => {
+        const intent = intents.find(row => row.id === where.id && where.status.in.includes(row.status));
+        if (!intent) return { count: 0 };
+        Object.assign(intent, data);
+        return { count: 1 };
+      },
+      findUnique: async ({ where }) => intents.find(row => row.id === where.id) || null
+    }
+  };
+
+  const queue = (amount) => BetIntent.create({
+    chain_id: chain.chainId,
+    user_address: bettor.address,
+    match_id: 7,
+    outcome: constants.OUTCOMES.TEAM_A_WIN,
+    amount,
+    amount_wei: ethers.parseEther(String(amount)),
+    max_odds: 2.5,
+    deadline: new Date(Date.now() + 600000),
+    nonce: 1,
+    signature: '0x'
+  });
+
+  beforeEach(() => {
+    user = { wallet_address: bettor.address.toLowerCase(), balance: 3 };
+    intents = [];
+    jest.spyOn(prisma, '$transaction').mockImplementation(async fn => fn(client));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queueing an intent takes the stake from the balance', async () => {
+    await expect(queue(2)).resolves.toMatchObject({ status: BetIntent.STATUS.QUEUED, amount: 2 });
+    expect(user.balance).toBe(1);
+  });
+
+  test('an intent the balance cannot cover is refused and not queued', async () => {
+    await expect(queue(5)).rejects.toMatchObject({ statusCode: 400, message: 'Insufficient balance' });
+    expect(user.balance).toBe(3);
+    expect(intents).toHaveLength(0);
+  });
+
+  test('a failed intent returns the stake once', async () => {
+    const intent = await queue(2);
+
+    await BetIntent.markFailed(intent.id, 'Odds have changed');
+    await BetIntent.markFailed(intent.id, 'Relay transaction failed');
+
+    expect(user.balance).toBe(3);
+    expect(intents[0]).toMatchObject({ status: BetIntent.STATUS.FAILED, error: 'Odds have changed' });
+  });
+
+  test('a placed intent keeps the stake', async () => {
+    const intent = await queue(2);
+    intent.status = BetIntent.STATUS.CONFIRMED;
+
+    await BetIntent.markFailed(intent.id, 'Relay transaction failed');
+    expect(user.balance).toBe(1);
+  });
+
+  test('an interrupted relay whose nonce was spent on chain is not refunded', async () => {
+    const intent = { id: 3, user_address: user.wallet_address, nonce: '1', submitted_at: new Date(0) };
+    const usedNonces = jest.fn().mockResolvedValue(true);
+    jest.spyOn(BetIntent, 'findByStatus').mockResolvedValue([intent]);
+    const update = jest.spyOn(BetIntent, 'update').mockResolvedValue({});
+    const markFailed = jest.spyOn(BetIntent, 'markFailed');
+
+    await betIntentService.resumeSubmitted({ ...chain, web3: { ...chain.web3, contract: { usedNonces } } });
+
+    expect(usedNonces).toHaveBeenCalledWith(user.wallet_address, '1');
+    expect(update).toHaveBeenCalledWith(3, expect.objectContaining({ status: BetIntent.STATUS.CONFIRMED }));
+    expect(markFailed).not.toHaveBeenCalled();
+  });
+});
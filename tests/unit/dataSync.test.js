@@ -0,0 +1,85 @@
+// tests/unit/dataSync.test.js
+const mockMatches = [];
+let mockNextId = 1;
+
+const mockPrisma = {
+  match: {
+    findUnique: jest.fn(async ({ where }) => {
+      const key = where.chain_id_data_provider_external_id;
+      return mockMatches.find(match => match.chain_id === key.chain_id &&
+        match.data_provider === key.data_provider &&
+        match.external_id === key.external_id) || null;
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(mockMatches.find(match => match.id === where.id), data)),
+    create: jest.fn(async ({ data }) => {
+      const match = { id: mockNextId++, ...data };
+      mockMatches.push(match);
+      return match;
+    }),
+    aggregate: jest.fn(async ({ where }) => {
+      const ids = mockMatches
+        .filter(match => match.chain_id === where.chain_id && match.match_id >= where.match_id.gte)
+        .map(match => match.match_id);
+      return { _max: { match_id: ids.length > 0 ? Math.max(...ids) : null } };
+    })
+  },
+  $disconnect: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const DataSyncService = require('../../api/services/dataSyncService');
+const { normalizeMatch } = require('../../api/services/providers/matchShape');
+const { getDefaultChainId } = require('../../api/config/networks');
+const { constants } = require('../../api/config/constants');
+
+const FIRST = constants.SPORTS_DATA.FIRST_SYNCED_MATCH_ID;
+
+const fixture = (provider, externalId, teamA, teamB) => normalizeMatch(provider, {
+  external_id: externalId,
+  team_a: teamA,
+  team_b: teamB,
+  match_date: '2026-06-12T20:00:00Z'
+});
+
+const syncWith = (fixtures) => new DataSyncService({
+  healthCheck: async () => ({ connected: true }),
+  fetchFixtures: async () => fixtures
+}).syncMatches();
+
+// Synced matches are keyed by provider and fixture id, never by match_id
+describe('Fixture sync', () => {
+  beforeEach(() => {
+    mockMatches.length = 0;
+    mockNextId = 1;
+    // An admin-created match whose on-chain id equals a provider's fixture id
+    mockMatches.push({ id: mockNextId++, chain_id: getDefaultChainId(), match_id: 7, team_a: 'Spain', team_b: 'Italy', status: 'upcoming' });
+  });
+
+  test('the same fixture id from two providers makes two matches and leaves ours alone', async () => {
+    const result = await syncWith([
+      fixture('football-data', 7, 'USA', 'Mexico'),
+      fixture('file', 7, 'Brazil', 'Japan')
+    ]);
+
+    expect(result).toMatchObject({ success: true, created: 2, updated: 0 });
+    expect(mockMatches.map(match => [match.match_id, match.data_provider || null, match.team_a])).toEqual([
+      [7, null, 'Spain'],
+      [FIRST, 'football-data', 'USA'],
+      [FIRST + 1, 'file', 'Brazil']
+    ]);
+  });
+
+  test('a fixture seen again updates its match, and new ones continue the numbering', async () => {
+    await syncWith([fixture('football-data', 7, 'USA', 'Mexico')]);
+
+    const result = await syncWith([
+      fixture('football-data', 7, 'USA', 'Mexico (updated)'),
+      fixture('football-data', 8, 'Canada', 'Panama')
+    ]);
+
+    expect(result).toMatchObject({ created: 1, updated: 1 });
+    expect(mockMatches.find(match => match.match_id === FIRST).team_b).toBe('Mexico (updated)');
+    expect(mockMatches.find(match => match.match_id === FIRST + 1)).toMatchObject({ external_id: '8', team_a: 'Canada' });
+  });
+});
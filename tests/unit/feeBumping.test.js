@@ -0,0 +1,73 @@
+// tests/unit/feeBumping.test.js
+const { ethers } = require('ethers');
+const transactionService = require('../../api/services/transactionService');
+const { constants } = require('../../api/config/constants');
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+// The transaction service reading fees from a node that quotes feeData
+const withFees = (feeData) => Object.assign(Object.create(transactionService), {
+  web3: { provider: { getFeeData: async () => feeData } }
+});
+
+describe('transaction fees', () => {
+  const bumpPercent = constants.TRANSACTIONS.BUMP_PERCENT;
+  const maxFeeGwei = constants.TRANSACTIONS.MAX_FEE_GWEI;
+
+  beforeEach(() => {
+    constants.TRANSACTIONS.BUMP_PERCENT = 20;
+    constants.TRANSACTIONS.MAX_FEE_GWEI = 500;
+  });
+
+  afterEach(() => {
+    constants.TRANSACTIONS.BUMP_PERCENT = bumpPercent;
+    constants.TRANSACTIONS.MAX_FEE_GWEI = maxFeeGwei;
+  });
+
+  test('uses the node fees for a first attempt', async () => {
+    const fees = await withFees({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) }).getFees();
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+  });
+
+  test('bumps a replacement above the previous attempt', async () => {
+    const service = withFees({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+
+    const fees = await service.getFees({
+      max_fee_per_gas: gwei(40).toString(),
+      max_priority_fee_per_gas: gwei(3).toString()
+    });
+
+    expect(fees.maxFeePerGas).toBe(gwei(48));
+    expect(fees.maxPriorityFeePerGas).toBe(gwei('3.6'));
+  });
+
+  test('keeps the node fees when they already exceed the bump', async () => {
+    const service = withFees({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(5) });
+
+    const fees = await service.getFees({
+      max_fee_per_gas: gwei(40).toString(),
+      max_priority_fee_per_gas: gwei(3).toString()
+    });
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(5) });
+  });
+
+  test('caps fees at MAX_FEE_GWEI and the tip at the fee', async () => {
+    const service = withFees({ maxFeePerGas: gwei(450), maxPriorityFeePerGas: gwei(450) });
+
+    const fees = await service.getFees({
+      max_fee_per_gas: gwei(450).toString(),
+      max_priority_fee_per_gas: gwei(450).toString()
+    });
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(500), maxPriorityFeePerGas: gwei(500) });
+  });
+
+  test('bumps the gas price on networks without EIP-1559', async () => {
+    const service = withFees({ maxFeePerGas: null, gasPrice: gwei(10) });
+
+    expect(await service.getFees()).toEqual({ gasPrice: gwei(10) });
+    expect(await service.getFees({ gas_price: gwei(10).toString() })).toEqual({ gasPrice: gwei(12) });
+  });
+});
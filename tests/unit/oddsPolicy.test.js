@@ -0,0 +1,70 @@
+// tests/unit/oddsPolicy.test.js
+const Match = require('../../api/models/Match');
+const web3Service = require('../../api/services/web3Service');
+const matchLifecycleService = require('../../api/services/matchLifecycleService');
+const { constants } = require('../../api/config/constants');
+
+const { EXACT, ACCEPT_HIGHER, ACCEPT_ANY } = constants.ODDS_POLICY;
+
+describe('Match.isOddsAcceptable', () => {
+  test('exact only accepts the displayed odds', () => {
+    expect(Match.isOddsAcceptable(2.1, 2.1, EXACT)).toBe(true);
+    expect(Match.isOddsAcceptable(2.2, 2.1, EXACT)).toBe(false);
+    expect(Match.isOddsAcceptable(2.0, 2.1, EXACT)).toBe(false);
+  });
+
+  test('accept_higher takes equal or better odds', () => {
+    expect(Match.isOddsAcceptable(2.1, 2.1, ACCEPT_HIGHER)).toBe(true);
+    expect(Match.isOddsAcceptable(2.3, 2.1, ACCEPT_HIGHER)).toBe(true);
+    expect(Match.isOddsAcceptable(2.0, 2.1, ACCEPT_HIGHER)).toBe(false);
+  });
+
+  test('accept_any takes any odds, with or without displayed odds', () => {
+    expect(Match.isOddsAcceptable(1.1, 2.1, ACCEPT_ANY)).toBe(true);
+    expect(Match.isOddsAcceptable(1.1, null, ACCEPT_ANY)).toBe(true);
+  });
+
+  test('an unknown policy is treated as exact', () => {
+    expect(Match.isOddsAcceptable(2.1, 2.1, 'whatever')).toBe(true);
+    expect(Match.isOddsAcceptable(2.3, 2.1, 'whatever')).toBe(false);
+  });
+});
+
+// The price is checked again right before the bet is sent
+describe('placeBetOnChain odds check', () => {
+  let send;
+
+  beforeEach(() => {
+    jest.spyOn(web3Service, 'initialize').mockResolvedValue();
+    jest.spyOn(Match, 'findById').mockResolvedValue({ match_id: 3, odds_team_a: 2.4, odds_draw: 3.1, odds_team_b: 2.9 });
+    jest.spyOn(matchLifecycleService, 'isBettingOpen').mockReturnValue(true);
+    jest.spyOn(web3Service, 'extractBetIdFromEvent').mockResolvedValue(11);
+    send = jest.spyOn(web3Service.transactions, 'send').mockResolvedValue({ success: true, txHash: '0xabc', receipt: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses without sending when the odds moved against the policy', async () => {
+    await expect(web3Service.placeBetOnChain('0xabc', 3, constants.OUTCOMES.TEAM_A_WIN, 2, {
+      displayedOdds: 2.5,
+      policy: EXACT
+    })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'ODDS_CHANGED',
+      details: { displayed_odds: 2.5, current_odds: 2.4 }
+    });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('sends the stake as the transaction value when the odds are acceptable', async () => {
+    const bet = await web3Service.placeBetOnChain('0xabc', 3, constants.OUTCOMES.TEAM_A_WIN, 2, {
+      displayedOdds: 2.2,
+      policy: ACCEPT_HIGHER
+    });
+
+    expect(send).toHaveBeenCalledWith('placeBet', [3, constants.OUTCOMES.TEAM_A_WIN], { value: 2 });
+    expect(bet).toMatchObject({ betId: 11, odds: 2.4, potentialWin: 4.8 });
+  });
+});
@@ -0,0 +1,159 @@
+// tests/unit/parlay.test.js
+const prisma = require('../../api/config/database');
+const parlayService = require('../../api/services/parlayService');
+const BetSlip = require('../../api/models/BetSlip');
+const Match = require('../../api/models/Match');
+const { constants } = require('../../api/config/constants');
+
+const { BET_STATUS, OUTCOMES } = constants;
+const wallet = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+// Just enough of a database for slips, their legs and the user's balance
+const createStore = (balance) => {
+  const store = { user: { wallet_address: wallet, balance, total_won: 0 }, slips: [], legs: [], exposure: {} };
+
+  store.client = {
+    user: {
+      updateMany: async ({ where, data }) => {
+        if (where.wallet_address !== wallet || store.user.balance < where.balance.gte) return { count: 0 };
+        store.user.balance -= data.balance.decrement;
+        return { count: 1 };
+      },
+      update: async ({ data }) => {
+        store.user.balance += data.balance.increment;
+        store.user.total_won += data.total_won ? data.total_won.increment : 0;
+        return store.user;
+      }
+    },
+    betSlip: {
+      create: async ({ data }) => {
+        const slip = { id: store.slips.length + 1, ...data };
+        store.slips.push(slip);
+        return slip;
+      },
+      updateMany: async ({ where, data }) => {
+        const slip = store.slips.find(row => row.id === where.id && row.status === where.status);
+        if (!slip) return { count: 0 };
+        Object.assign(slip, data);
+        return { count: 1 };
+      },
+      findUnique: async ({ where }) => store.slips.find(row => row.id === where.id) || null
+    },
+    betSlipLeg: {
+      createMany: async ({ data }) => {
+        data.forEach(leg => store.legs.push({ id: store.legs.length + 1, ...leg }));
+        return { count: data.length };
+      },
+      findMany: async ({ where }) => store.legs.filter(leg => where.slip_id.in.includes(leg.slip_id))
+    },
+    match: {
+      update: async ({ where, data }) => {
+        const { match_id } = where.chain_id_match_id;
+        store.exposure[match_id] = (store.exposure[match_id] || 0) + data.parlay_staked.increment;
+      },
+      findMany: async () => []
+    }
+  };
+
+  // Reads of a slip see its legs with their current status
+  store.slip = (id) => {
+    const slip = store.slips.find(row => row.id === id);
+    return { ...slip, legs: store.legs.filter(leg => leg.slip_id === id) };
+  };
+
+  return store;
+};
+
+const upcoming = (matchId) => ({
+  match_id: matchId,
+  status: constants.MATCH_STATUS.UPCOMING,
+  match_date: new Date(Date.now() + 3600000),
+  odds_team_a: 2,
+  odds_draw: 3,
+  odds_team_b: 4
+});
+
+const selections = [
+  { match_id: 1, outcome: OUTCOMES.TEAM_A_WIN },
+  { match_id: 2, outcome: OUTCOMES.TEAM_B_WIN }
+];
+
+describe('Parlay stakes and payouts', () => {
+  let store;
+
+  const useStore = (balance) => {
+    store = createStore(balance);
+    jest.spyOn(prisma, '$transaction').mockImplementation(async fn => fn(store.client));
+    jest.spyOn(Match, 'findById').mockImplementation(async matchId => upcoming(matchId));
+  };
+
+  const settleLegs = async (...statuses) => {
+    store.legs.forEach((leg, i) => { leg.status = statuses[i]; });
+    jest.spyOn(BetSlip, 'findById').mockImplementation(async id => store.slip(id));
+    return parlayService.evaluateSlip(1);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('placing a slip takes the stake from the balance and records the exposure', async () => {
+    useStore(5);
+
+    const slip = await parlayService.placeParlay(wallet, selections, '1', 31337);
+
+    expect(slip).toMatchObject({ stake: 1, combined_odds: 8, potential_win: 8 });
+    expect(store.user.balance).toBe(4);
+    expect(store.exposure).toEqual({ 1: 1, 2: 1 });
+  });
+
+  test('a slip the balance cannot cover is refused and nothing is created', async () => {
+    useStore(0.5);
+
+    await expect(parlayService.placeParlay(wallet, selections, '1', 31337)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Insufficient balance'
+    });
+    expect(store.user.balance).toBe(0.5);
+    expect(store.slips).toHaveLength(0);
+    expect(store.exposure).toEqual({});
+  });
+
+  test('a winning slip credits the payout once', async () => {
+    useStore(5);
+    await parlayService.placeParlay(wallet, selections, '1', 31337);
+
+    await expect(settleLegs(BET_STATUS.WON, BET_STATUS.WON)).resolves.toBe('won');
+    await expect(parlayService.evaluateSlip(1)).resolves.toBe('pending');
+
+    expect(store.user.balance).toBe(12);
+    expect(store.user.total_won).toBe(8);
+    expect(store.slips[0]).toMatchObject({ status: BET_STATUS.WON, payout: 8 });
+  });
+
+  test('a void leg drops out of the payout', async () => {
+    useStore(5);
+    await parlayService.placeParlay(wallet, selections, '1', 31337);
+
+    await expect(settleLegs(BET_STATUS.WON, BET_STATUS.VOID)).resolves.toBe('won');
+    expect(store.user.balance).toBe(6);
+  });
+
+  test('a lost slip pays nothing', async () => {
+    useStore(5);
+    await parlayService.placeParlay(wallet, selections, '1', 31337);
+
+    await expect(settleLegs(BET_STATUS.WON, BET_STATUS.LOST)).resolves.toBe('lost');
+    expect(store.user.balance).toBe(4);
+  });
+
+  test('a slip whose legs are all voided refunds the stake', async () => {
+    useStore(5);
+    await parlayService.placeParlay(wallet, selections, '1', 31337);
+
+    await expect(settleLegs(BET_STATUS.VOID, BET_STATUS.VOID)).resolves.toBe('refunded');
+    expect(store.user.balance).toBe(5);
+    expect(store.user.total_won).toBe(0);
+    expect(store.slips[0]).toMatchObject({ status: BET_STATUS.REFUNDED, payout: 1 });
+  });
+});
@@ -0,0 +1,30 @@
+// tests/unit/parseCsv.test.js
+const { parseCsv } = require('../../api/services/providers/fileProvider');
+
+describe('parseCsv', () => {
+  test('splits rows and fields', () => {
+    expect(parseCsv('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  test('keeps commas, newlines and doubled quotes inside quoted fields', () => {
+    const text = 'team,venue\n"Korea, South","MetLife\nStadium"\n"The ""Reds""",x';
+
+    expect(parseCsv(text)).toEqual([
+      ['team', 'venue'],
+      ['Korea, South', 'MetLife\nStadium'],
+      ['The "Reds"', 'x']
+    ]);
+  });
+
+  test('handles CRLF line endings and a last row without a newline', () => {
+    expect(parseCsv('a,b\r\n1,2\r\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  test('keeps empty fields and drops blank lines', () => {
+    expect(parseCsv('a,,c\n\n , \n1,2,\n')).toEqual([['a', '', 'c'], ['1', '2', '']]);
+  });
+
+  test('returns no rows for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
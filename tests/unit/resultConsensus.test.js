@@ -0,0 +1,91 @@
+// tests/unit/resultConsensus.test.js
+const ResultAttestation = require('../../api/models/ResultAttestation');
+const ResultReview = require('../../api/models/ResultReview');
+const resultConsensusService = require('../../api/services/resultConsensusService');
+const { constants } = require('../../api/config/constants');
+
+const { TEAM_A_WIN, DRAW, TEAM_B_WIN } = constants.OUTCOMES;
+
+const chain = { chainId: 31337 };
+const match = { match_id: 7, status: constants.MATCH_STATUS.FINISHED, result: null };
+
+const report = (source, result) => ({ source, source_type: source.split(':')[0], result });
+
+describe('result consensus', () => {
+  const required = constants.CONSENSUS.REQUIRED_CONFIRMATIONS;
+  let settle;
+
+  beforeEach(() => {
+    constants.CONSENSUS.REQUIRED_CONFIRMATIONS = 2;
+    jest.spyOn(ResultReview, 'findActive').mockResolvedValue(null);
+    jest.spyOn(ResultReview, 'create').mockImplementation(async ({ attestations }) => ({ id: 1, attestations }));
+    settle = jest.spyOn(resultConsensusService, 'settle').mockResolvedValue({ txHash: '0xabc', provisional: false });
+  });
+
+  afterEach(() => {
+    constants.CONSENSUS.REQUIRED_CONFIRMATIONS = required;
+    jest.restoreAllMocks();
+  });
+
+  const evaluate = (attestations) => {
+    jest.spyOn(ResultAttestation, 'findByMatch').mockResolvedValue(attestations);
+    return resultConsensusService.evaluate(chain, match);
+  };
+
+  test('waits while fewer sources than required agree', async () => {
+    const state = await evaluate([report('feed:file', TEAM_A_WIN)]);
+
+    expect(state.status).toBe('pending');
+    expect(state.result).toBe(TEAM_A_WIN);
+    expect(state.confirmations).toBe(1);
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  test('settles once enough sources agree', async () => {
+    const state = await evaluate([report('feed:file', DRAW), report('admin:0x1', DRAW)]);
+
+    expect(state.status).toBe('settled');
+    expect(state.confirmations).toBe(2);
+    expect(state.tx_hash).toBe('0xabc');
+    expect(settle).toHaveBeenCalledWith(chain, match, DRAW);
+  });
+
+  test('parks disagreeing sources for review however many agree', async () => {
+    const state = await evaluate([
+      report('feed:file', TEAM_A_WIN),
+      report('admin:0x1', TEAM_A_WIN),
+      report('oracle:0x2', TEAM_B_WIN)
+    ]);
+
+    expect(state.status).toBe('review');
+    expect(state.review.attestations).toHaveLength(3);
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  test('keeps a match under review while its review is open', async () => {
+    ResultReview.findActive.mockResolvedValue({ id: 1, status: ResultReview.STATUS.RESOLVING });
+
+    const state = await evaluate([report('feed:file', DRAW), report('admin:0x1', DRAW)]);
+
+    expect(state.status).toBe('review');
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  test('reports the match as settling when another settlement holds it', async () => {
+    settle.mockResolvedValue(null);
+
+    const state = await evaluate([report('feed:file', DRAW), report('admin:0x1', DRAW)]);
+
+    expect(state.status).toBe('settling');
+  });
+
+  test('derives the outcome from a score and rejects partial scores', () => {
+    expect(resultConsensusService.outcomeFromScore(2, 1)).toBe(TEAM_A_WIN);
+    expect(resultConsensusService.outcomeFromScore(1, 1)).toBe(DRAW);
+    expect(resultConsensusService.outcomeFromScore(0, 3)).toBe(TEAM_B_WIN);
+
+    expect(resultConsensusService.parseScore(null, undefined)).toBeNull();
+    expect(() => resultConsensusService.parseScore(1, undefined)).toThrow('Scores must be two non-negative integers');
+    expect(() => resultConsensusService.parseScore(-1, 0)).toThrow();
+  });
+});
@@ -0,0 +1,323 @@
+// tests/unit/sportsDataProviders.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SportsDataService = require('../../api/services/sportsDataService');
+const FootballDataProvider = require('../../api/services/providers/footballDataProvider');
+const SportsDataIoProvider = require('../../api/services/providers/sportsDataIoProvider');
+const FileProvider = require('../../api/services/providers/fileProvider');
+const GeneratedProvider = require('../../api/services/providers/generatedProvider');
+const { normalizeMatch } = require('../../api/services/providers/matchShape');
+const { constants } = require('../../api/config/constants');
+
+const { MATCH_STATUS, MATCH_EVENT_TYPES } = constants;
+
+// Answers each requested URL with the body registered for its path
+const mockFetch = (responses) => jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+  const entry = Object.entries(responses).find(([suffix]) => url.endsWith(suffix));
+  if (!entry) {
+    return { ok: false, status: 404, statusText: 'Not Found' };
+  }
+  return { ok: true, json: async () => entry[1] };
+});
+
+describe('Sports data providers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('match shape', () => {
+    test('keeps the provider id as a string external_id and no match_id', () => {
+      const match = normalizeMatch('file', {
+        external_id: 42,
+        team_a: 'USA',
+        team_b: 'Mexico',
+        match_date: '2026-06-12T20:00:00Z',
+        status: 'unknown',
+        score_a: '2',
+        score_b: '-1'
+      });
+
+      expect(match).toMatchObject({
+        provider: 'file',
+        external_id: '42',
+        status: MATCH_STATUS.UPCOMING,
+        score_a: 2,
+        score_b: null,
+        events: null
+      });
+      expect(match).not.toHaveProperty('match_id');
+    });
+
+    test('drops fixtures without an id, a team or a valid date', () => {
+      const base = { external_id: 'a1', team_a: 'USA', team_b: 'Mexico', match_date: '2026-06-12T20:00:00Z' };
+
+      expect(normalizeMatch('file', { ...base, external_id: '' })).toBeNull();
+      expect(normalizeMatch('file', { ...base, team_b: '' })).toBeNull();
+      expect(normalizeMatch('file', { ...base, match_date: 'soon' })).toBeNull();
+      expect(normalizeMatch('file', base).external_id).toBe('a1');
+    });
+  });
+
+  describe('football-data.org', () => {
+    test('maps a finished shoot-out with its timeline', async () => {
+      const provider = new FootballDataProvider();
+      mockFetch({
+        '/matches/500': {
+          id: 500,
+          utcDate: '2026-07-04T20:00:00Z',
+          status: 'FINISHED',
+          stage: 'LAST_16',
+          homeTeam: { id: 1, name: 'Spain' },
+          awayTeam: { id: 2, name: 'Italy' },
+          score: {
+            fullTime: { home: 5, away: 4 },
+            halfTime: { home: 1, away: 0 },
+            extraTime: { home: 0, away: 0 },
+            penalties: { home: 4, away: 3 }
+          },
+          goals: [{ minute: 30, type: 'REGULAR', team: { id: 1 }, scorer: { id: 9, name: 'Morata' } }],
+          bookings: [{ minute: 50, card: 'RED', team: { id: 2 }, player: { id: 4, name: 'Bastoni' } }]
+        }
+      });
+
+      const match = await provider.fetchResult('500');
+
+      expect(match).toMatchObject({
+        provider: 'football-data',
+        external_id: '500',
+        team_a: 'Spain',
+        team_b: 'Italy',
+        status: MATCH_STATUS.FINISHED,
+        group_name: 'LAST_16',
+        score_a: 1,
+        score_b: 1,
+        half_time_score_a: 1,
+        penalty_score_a: 4,
+        penalty_score_b: 3
+      });
+      expect(match.events).toEqual([
+        expect.objectContaining({ external_id: 'goal:30:0:9', type: MATCH_EVENT_TYPES.GOAL, team: 'team_a' }),
+        expect.objectContaining({ external_id: 'booking:50:0:4', type: MATCH_EVENT_TYPES.RED_CARD, team: 'team_b' })
+      ]);
+    });
+
+    test('a failed request throws so the next provider is tried', async () => {
+      const provider = new FootballDataProvider();
+      mockFetch({});
+
+      await expect(provider.fetchFixtures()).rejects.toThrow('football-data.org returned 404');
+    });
+  });
+
+  describe('SportsData.io', () => {
+    test('falls back to the games list before any scores exist', async () => {
+      const provider = new SportsDataIoProvider();
+      mockFetch({
+        '/json/Scores/WorldCup': [],
+        '/json/Games/WorldCup': [{
+          GameId: 77,
+          HomeTeamName: 'Brazil',
+          AwayTeamName: 'Japan',
+          DateTime: '2026-06-15T16:00:00',
+          Group: 'Group B',
+          Status: 'Scheduled'
+        }]
+      });
+
+      const [match] = await provider.fetchFixtures();
+
+      expect(match).toMatchObject({
+        provider: 'sportsdata',
+        external_id: '77',
+        team_a: 'Brazil',
+        group_name: 'Group B',
+        status: MATCH_STATUS.UPCOMING,
+        events: null
+      });
+    });
+
+    test('maps a box score with goals, bookings and substitutions', async () => {
+      const provider = new SportsDataIoProvider();
+      mockFetch({
+        '/json/BoxScore/77': [{
+          Game: {
+            GameId: 77,
+            HomeTeamId: 10,
+            AwayTeamId: 20,
+            HomeTeamName: 'Brazil',
+            AwayTeamName: 'Japan',
+            DateTime: '2026-06-15T16:00:00',
+            Status: 'Final',
+            HomeTeamScore: 2,
+            AwayTeamScore: 1
+          },
+          Goals: [{ GoalId: 1, Type: 'OwnGoal', TeamId: 20, GameMinute: 12, Name: 'Tomiyasu' }],
+          Bookings: [{ BookingId: 3, Type: 'YellowCard', TeamId: 10, GameMinute: 40, Name: 'Casemiro' }],
+          Lineups: [
+            { LineupId: 5, Type: 'Starter', TeamId: 10, Name: 'Vinicius' },
+            { LineupId: 6, Type: 'Substitute In', TeamId: 10, GameMinute: 70, Name: 'Endrick', ReplacedPlayerName: 'Vinicius' }
+          ]
+        }]
+      });
+
+      const match = await provider.fetchResult(77);
+
+      expect(match).toMatchObject({ external_id: '77', status: MATCH_STATUS.FINISHED, score_a: 2, score_b: 1 });
+      expect(match.events.map(event => [event.external_id, event.type, event.team])).toEqual([
+        ['goal:1', MATCH_EVENT_TYPES.OWN_GOAL, 'team_b'],
+        ['booking:3', MATCH_EVENT_TYPES.YELLOW_CARD, 'team_a'],
+        ['substitution:6', MATCH_EVENT_TYPES.SUBSTITUTION, 'team_a']
+      ]);
+    });
+  });
+
+  describe('data file', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const providerFor = (name, contents) => {
+      const provider = new FileProvider();
+      provider.file = path.join(dir, name);
+      fs.writeFileSync(provider.file, contents);
+      return provider;
+    };
+
+    test('reads a CSV, including files that still use a match_id column', async () => {
+      const provider = providerFor('matches.csv', [
+        'match_id,team_a,team_b,match_date,status,score_a,score_b',
+        '9,"Korea, South",Ghana,2026-06-20T18:00:00Z,finished,1,0',
+        ',Nowhere,Ghana,2026-06-20T18:00:00Z,upcoming,,'
+      ].join('\n'));
+
+      const matches = await provider.fetchFixtures();
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({ provider: 'file', external_id: '9', team_a: 'Korea, South', score_a: 1 });
+      expect(await provider.fetchResult(9)).toMatchObject({ team_b: 'Ghana' });
+    });
+
+    test('reads a JSON list and filters live matches', async () => {
+      const provider = providerFor('matches.json', JSON.stringify({
+        matches: [
+          { external_id: 'g1', team_a: 'France', team_b: 'Peru', match_date: '2026-06-21T16:00:00Z', status: 'live' },
+          { external_id: 'g2', team_a: 'Chile', team_b: 'Fiji', match_date: '2026-06-22T16:00:00Z' }
+        ]
+      }));
+
+      expect(provider.isConfigured()).toBe(true);
+      expect((await provider.fetchLiveScores()).map(match => match.external_id)).toEqual(['g1']);
+    });
+  });
+
+  describe('generated schedule', () => {
+    test('gives the same group stage with distinct fixture ids every time', async () => {
+      const provider = new GeneratedProvider();
+      const first = await provider.fetchFixtures();
+      const second = await provider.fetchFixtures();
+
+      expect(first).toHaveLength(48);
+      expect(new Set(first.map(match => match.external_id)).size).toBe(48);
+      expect(second.map(match => match.external_id)).toEqual(first.map(match => match.external_id));
+      expect(first[0]).toMatchObject({ provider: 'generated', group_name: 'Group A', status: MATCH_STATUS.UPCOMING });
+    });
+  });
+
+  describe('fallback order', () => {
+    const service = (names, setup) => {
+      const sportsData = new SportsDataService(names);
+      for (const provider of sportsData.providers) {
+        setup[provider.name](provider);
+      }
+      return sportsData;
+    };
+
+    const fixture = (provider) => normalizeMatch(provider, {
+      external_id: 1,
+      team_a: 'USA',
+      team_b: 'Wales',
+      match_date: '2026-06-12T20:00:00Z'
+    });
+
+    test('asks configured providers in order until one has fixtures', async () => {
+      const calls = [];
+      const sportsData = service(['sportsdata', 'football-data', 'file', 'generated'], {
+        sportsdata: (provider) => {
+          jest.spyOn(provider, 'isConfigured').mockReturnValue(false);
+        },
+        'football-data': (provider) => {
+          jest.spyOn(provider, 'isConfigured').mockReturnValue(true);
+          jest.spyOn(provider, 'fetchFixtures').mockImplementation(async () => {
+            calls.push('football-data');
+            throw new Error('rate limited');
+          });
+        },
+        file: (provider) => {
+          jest.spyOn(provider, 'isConfigured').mockReturnValue(true);
+          jest.spyOn(provider, 'fetchFixtures').mockImplementation(async () => {
+            calls.push('file');
+            return [];
+          });
+        },
+        generated: (provider) => {
+          jest.spyOn(provider, 'fetchFixtures').mockImplementation(async () => {
+            calls.push('generated');
+            return [fixture('generated')];
+          });
+        }
+      });
+
+      const fixtures = await sportsData.fetchFixtures();
+
+      expect(calls).toEqual(['football-data', 'file', 'generated']);
+      expect(fixtures[0].provider).toBe('generated');
+      expect(sportsData.activeProvider).toBe('generated');
+      expect(sportsData.lastErrors).toEqual({ 'football-data': 'rate limited' });
+    });
+
+    test('an empty live list is an answer, so later providers are not asked', async () => {
+      const sportsData = service(['file', 'generated'], {
+        file: (provider) => {
+          jest.spyOn(provider, 'isConfigured').mockReturnValue(true);
+          jest.spyOn(provider, 'fetchLiveScores').mockResolvedValue([]);
+        },
+        generated: (provider) => {
+          jest.spyOn(provider, 'fetchLiveScores');
+        }
+      });
+
+      expect(await sportsData.fetchLiveScores()).toEqual([]);
+      expect(sportsData.providers[1].fetchLiveScores).not.toHaveBeenCalled();
+    });
+
+    test('results come only from the provider a match was synced from', async () => {
+      const sportsData = service(['football-data', 'file'], {
+        'football-data': (provider) => {
+          jest.spyOn(provider, 'isConfigured').mockReturnValue(true);
+          jest.spyOn(provider, 'fetchResult').mockResolvedValue(fixture('football-data'));
+        },
+        file: (provider) => {
+          jest.spyOn(provider, 'isConfigured').mockReturnValue(true);
+          jest.spyOn(provider, 'fetchResult').mockResolvedValue(fixture('file'));
+        }
+      });
+
+      expect((await sportsData.fetchResult('1', 'file')).provider).toBe('file');
+      expect(sportsData.providers[0].fetchResult).not.toHaveBeenCalled();
+      expect(await sportsData.fetchResult('1', 'sportsdata')).toBeNull();
+    });
+
+    test('unknown provider names are skipped', () => {
+      const sportsData = new SportsDataService(['file', 'espn', 'generated']);
+
+      expect(sportsData.providers.map(provider => provider.name)).toEqual(['file', 'generated']);
+    });
+  });
+});
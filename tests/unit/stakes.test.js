@@ -0,0 +1,72 @@
+// tests/unit/stakes.test.js
+const { ethers } = require('ethers');
+const web3Service = require('../../api/services/web3Service');
+const indexerService = require('../../api/services/indexerService');
+const Bet = require('../../api/models/Bet');
+const Match = require('../../api/models/Match');
+const Validators = require('../../api/utils/validators');
+const { constants } = require('../../api/config/constants');
+
+// Stakes are native ETH: amounts come from the contract's events in wei
+describe('ETH stakes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // The contract's potential win is on the stake net of the 3% fees: a 0.5 ETH
+  // bet at 3.30 has 0.485 * 3.30 = 1.6005 to win on chain
+  test('a wallet-placed bet is recorded with the gross stake and the odds it was placed at', async () => {
+    jest.spyOn(web3Service, 'verifyWalletTransaction').mockResolvedValue({
+      receipt: { hash: '0xabc', blockNumber: 12 },
+      event: {
+        args: {
+          betId: 4n,
+          matchId: 2n,
+          predicted: 1n,
+          bettor: '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+          amount: ethers.parseEther('0.5'),
+          potentialWin: ethers.parseEther('1.6005')
+        }
+      }
+    });
+
+    const bet = await web3Service.verifyBetTransaction('0xabc', '0x70997970c51812dc3a010c7d01b50e0d17dc79c8');
+
+    expect(bet).toMatchObject({
+      betId: 4,
+      matchId: 2,
+      outcome: 1,
+      amount: 0.5,
+      potentialWin: 1.65,
+      odds: 3.3,
+      txHash: '0xabc'
+    });
+  });
+
+  test('the indexer records bets it finds first at the same odds', async () => {
+    jest.spyOn(indexerService, 'chainId', 'get').mockReturnValue(31337);
+    jest.spyOn(Bet, 'findById').mockResolvedValue(null);
+    jest.spyOn(Match, 'updateTotalStaked').mockResolvedValue();
+    const create = jest.spyOn(Bet, 'create').mockResolvedValue({});
+
+    await indexerService.handleBetPlaced({
+      betId: 5n,
+      matchId: 2n,
+      predicted: 1n,
+      bettor: '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+      amount: ethers.parseEther('0.5'),
+      potentialWin: ethers.parseEther('1.6005')
+    });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ amount: 0.5, odds: 3.3, potential_win: 1.65 }));
+  });
+
+  test('bet limits are checked and reported in ETH', () => {
+    const { MIN_AMOUNT, MAX_AMOUNT } = constants.BETTING_LIMITS;
+
+    expect(Validators.validateBetAmount(MIN_AMOUNT)).toEqual({ isValid: true });
+    expect(Validators.validateBetAmount(MIN_AMOUNT / 2).error).toBe(`Minimum bet amount is ${MIN_AMOUNT} ETH`);
+    expect(Validators.validateBetAmount(MAX_AMOUNT * 2).error).toBe(`Maximum bet amount is ${MAX_AMOUNT} ETH`);
+    expect(Validators.validateBetAmount('1').isValid).toBe(false);
+  });
+});
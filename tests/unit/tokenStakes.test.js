@@ -0,0 +1,139 @@
+// tests/unit/tokenStakes.test.js
+const { ethers } = require('ethers');
+const web3Config = require('../../api/config/web3');
+const web3Service = require('../../api/services/web3Service');
+const { constants } = require('../../api/config/constants');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const CONTRACT = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const BETTOR = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+const transferLog = (from, to, value) => ({
+  address: TOKEN,
+  ...web3Config.token.interface.encodeEventLog('Transfer', [from, to, value])
+});
+
+// Stakes in the contract's stakeToken, approved from the bettor's wallet
+describe('ERC-20 stakes', () => {
+  let saved;
+
+  beforeEach(async () => {
+    saved = { network: web3Config.network, contract: web3Config.contract, token: web3Config.token };
+    web3Config.network = { key: 'HARDHAT', name: 'Hardhat', chainId: 31337 };
+    web3Config.contract = {
+      stakeToken: async () => TOKEN,
+      getAddress: async () => CONTRACT
+    };
+    await web3Config.loadToken();
+
+    jest.spyOn(web3Service, 'initialize').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    Object.assign(web3Config, saved);
+    jest.restoreAllMocks();
+  });
+
+  const holding = (balance, allowance) => {
+    jest.spyOn(web3Config, 'getTokenBalance').mockResolvedValue(ethers.parseEther(balance));
+    jest.spyOn(web3Config, 'getTokenAllowance').mockResolvedValue(ethers.parseEther(allowance));
+  };
+
+  test('the token is the one the contract takes stakes in', async () => {
+    expect(web3Config.token.target).toBe(TOKEN);
+
+    web3Config.contract.stakeToken = async () => ethers.ZeroAddress;
+    await expect(web3Config.loadToken()).rejects.toThrow('takes ETH stakes');
+  });
+
+  test('a bet the allowance covers is approved', async () => {
+    holding('50', '10');
+
+    await expect(web3Service.checkTokenApproval(BETTOR, 10)).resolves.toMatchObject({
+      token: TOKEN,
+      spender: CONTRACT,
+      required: '10.0',
+      approved: true
+    });
+    expect(web3Config.getTokenAllowance).toHaveBeenCalledWith(BETTOR, CONTRACT);
+  });
+
+  test('too low an allowance returns the approve call to send first', async () => {
+    holding('50', '1');
+
+    const error = await web3Service.checkTokenApproval(BETTOR, 10).catch(e => e);
+
+    expect(error).toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_ALLOWANCE' });
+    expect(error.details).toMatchObject({ allowance: '1.0', required: '10.0' });
+    expect(error.details.approve).toMatchObject({ to: TOKEN, value: '0' });
+
+    const call = web3Config.token.interface.parseTransaction({ data: error.details.approve.data });
+    expect(call.name).toBe('approve');
+    expect(call.args.toArray()).toEqual([CONTRACT, ethers.parseEther('10')]);
+  });
+
+  test('too low a balance is reported before the allowance', async () => {
+    holding('5', '0');
+
+    await expect(web3Service.checkTokenApproval(BETTOR, 10)).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INSUFFICIENT_BALANCE'
+    });
+  });
+
+  test('Transfer events of the stake token are decoded from a receipt', () => {
+    const receipt = {
+      logs: [
+        transferLog(BETTOR, CONTRACT, ethers.parseEther('10')),
+        { ...transferLog(BETTOR, CONTRACT, 1n), address: CONTRACT }
+      ]
+    };
+
+    expect(web3Config.decodeTransfers(receipt)).toEqual([
+      { from: BETTOR, to: CONTRACT.toLowerCase(), value: ethers.parseEther('10') }
+    ]);
+  });
+
+  describe('a wallet-placed token bet', () => {
+    const placed = (logs) => jest.spyOn(web3Service, 'verifyWalletTransaction').mockResolvedValue({
+      receipt: { hash: '0xabc', blockNumber: 12, logs },
+      event: {
+        args: {
+          betId: 4n,
+          matchId: 2n,
+          predicted: 1n,
+          bettor: BETTOR,
+          amount: ethers.parseEther('10'),
+          potentialWin: ethers.parseEther('19.4')
+        }
+      }
+    });
+
+    test('is recorded when the stake moved from the bettor to the contract', async () => {
+      placed([transferLog(BETTOR, CONTRACT, ethers.parseEther('10'))]);
+
+      await expect(web3Service.verifyBetTransaction('0xabc', BETTOR)).resolves.toMatchObject({
+        betId: 4,
+        amount: 10,
+        odds: 2
+      });
+    });
+
+    test('is refused without that transfer', async () => {
+      placed([transferLog(CONTRACT, BETTOR, ethers.parseEther('10'))]);
+
+      await expect(web3Service.verifyBetTransaction('0xabc', BETTOR)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  test('the platform wallets do not place token bets', async () => {
+    const tokenMode = constants.STAKING.TOKEN_MODE;
+    constants.STAKING.TOKEN_MODE = true;
+
+    try {
+      await expect(web3Service.placeBetOnChain(BETTOR, 2, 1, 10)).rejects.toMatchObject({ statusCode: 409 });
+    } finally {
+      constants.STAKING.TOKEN_MODE = tokenMode;
+    }
+  });
+});